@@ -1,5 +1,35 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+
+// Whether the user's role must use two-factor authentication and the user hasn't turned it on yet
+const twoFactorSetupRequired = async (user) => {
+  if (!user || user.twoFactor?.enabled) return false;
+
+  const requiredRoles = await Setting.getValue('twoFactorRequiredRoles');
+  return requiredRoles.includes(user.role);
+};
+
+// Resolve an access token to its user and session.
+// Returns null when the user is gone or suspended, or the session was revoked (e.g. remote logout).
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+  if (!decoded.sessionId) return null;
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findById(decoded.sessionId)
+  ]);
+
+  if (!user || !user.isActive || !session || !session.isValid() || !session.user.equals(user._id)) {
+    return null;
+  }
+
+  return { user, session };
+};
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -14,17 +44,27 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const auth = await resolveAccessToken(token);
 
-    if (!user || !user.isActive) {
+    if (!auth) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid token or user not found' 
+        code: 'SESSION_EXPIRED',
+        message: 'Your session has ended, please sign in again' 
       });
     }
 
-    req.user = user;
+    // Until two-factor is set up, only the account routes (where it is set up) can be used
+    if (req.baseUrl !== '/api/auth' && await twoFactorSetupRequired(auth.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Your role requires two-factor authentication. Turn it on in your profile settings to continue.'
+      });
+    }
+
+    req.user = auth.user;
+    req.authSession = auth.session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -33,9 +73,11 @@ const authenticateToken = async (req, res, next) => {
         message: 'Invalid token' 
       });
     }
+    // The client refreshes the access token and retries
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         success: false, 
+        code: 'TOKEN_EXPIRED',
         message: 'Token expired' 
       });
     }
@@ -53,16 +95,24 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+      const auth = await resolveAccessToken(token);
+
+      if (auth) {
+        req.user = auth.user;
+        req.authSession = auth.session;
       }
     }
     
     next();
   } catch (error) {
+    // An expired token is refreshed by the client, so the retry sees the signed-in view
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        code: 'TOKEN_EXPIRED',
+        message: 'Token expired'
+      });
+    }
     // Continue without authentication if token is invalid
     next();
   }
@@ -106,6 +156,9 @@ const requireModerator = (req, res, next) => {
   next();
 };
 
+// Whether a user can moderate content
+const isModerator = (user) => !!user && ['moderator', 'admin'].includes(user.role);
+
 // Middleware to check if user owns resource or is admin
 const requireOwnershipOrAdmin = (resourceUserIdField = 'author') => {
   return (req, res, next) => {
@@ -139,5 +192,7 @@ export {
   optionalAuth,
   requireAdmin,
   requireModerator,
-  requireOwnershipOrAdmin
+  requireOwnershipOrAdmin,
+  isModerator,
+  twoFactorSetupRequired
 };
\ No newline at end of file
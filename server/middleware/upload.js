@@ -0,0 +1,41 @@
+import fs from 'fs';
+import os from 'os';
+import multer from 'multer';
+import { ATTACHMENT_MAX_BYTES, MAX_ATTACHMENTS } from '../utils/attachments.js';
+
+// Files land in a temporary folder; handlers check them and move them to attachment storage with
+// storeUploads() (utils/attachments.js)
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: MAX_ATTACHMENTS
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files can be at most ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_ATTACHMENTS} files can be attached`,
+  LIMIT_UNEXPECTED_FILE: `At most ${MAX_ATTACHMENTS} files can be attached, in the "attachments" field`
+};
+
+// Delete the temporary files once the response is sent
+const discardUploads = (files = []) => {
+  Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })))
+    .catch(error => console.error('Discard upload error:', error));
+};
+
+// Accept files in the multipart field "attachments". JSON requests pass through untouched.
+export const acceptAttachments = (req, res, next) => {
+  res.on('close', () => discardUploads(req.files));
+
+  upload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: LIMIT_MESSAGES[error.code] || error.message
+      });
+    }
+    next(error);
+  });
+};
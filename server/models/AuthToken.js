@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// How long each kind of token stays valid
+export const AUTH_TOKEN_TTL = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000,
+  'magic-link': 15 * 60 * 1000,
+  // Handed to the client after an identity provider sign-in, exchanged for a session straight away
+  'oidc-login': 2 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens sent by email or in sign-in redirects. Only a hash is stored, so a leaked database can't be used to sign in.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(AUTH_TOKEN_TTL),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ user: 1, purpose: 1 });
+
+// Static method to issue a token, replacing the user's unused tokens for the same purpose.
+// Returns the raw token to put in the emailed link.
+authTokenSchema.statics.issue = async function(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL[purpose])
+  });
+
+  return token;
+};
+
+// Static method to use up a token. Returns the token document, or null if it is unknown, used or expired.
+authTokenSchema.statics.consume = function(token, purpose) {
+  if (typeof token !== 'string' || !token) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+export default mongoose.model('AuthToken', authTokenSchema);
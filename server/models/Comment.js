@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { renderInlineMarkdown } from '../utils/markdown.js';
+import { removeAttachments } from '../utils/storage.js';
+import attachmentSchema from './attachmentSchema.js';
+
+const commentSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    minlength: [2, 'Comment must be at least 2 characters long'],
+    maxlength: [600, 'Comment cannot exceed 600 characters']
+  },
+  // Sanitized HTML rendered from the inline Markdown content
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  attachments: [attachmentSchema],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  // Set when the comment belongs to an answer rather than the question itself
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  votes: {
+    upvotes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Hidden by a moderator; only moderators can still see it
+  isHidden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+commentSchema.index({ question: 1, answer: 1, createdAt: 1 });
+
+// Virtual for vote score
+commentSchema.virtual('voteScore').get(function() {
+  return this.votes.upvotes.length;
+});
+
+// Method to toggle an upvote, returns whether the user now upvotes the comment
+commentSchema.methods.toggleUpvote = function(userId) {
+  const userIdStr = userId.toString();
+  const hasUpvoted = this.votes.upvotes.some(id => id.toString() === userIdStr);
+
+  if (hasUpvoted) {
+    this.votes.upvotes = this.votes.upvotes.filter(id => id.toString() !== userIdStr);
+  } else {
+    this.votes.upvotes.push(userId);
+  }
+
+  return !hasUpvoted;
+};
+
+// Method to soft delete the comment and delete its attachment files
+commentSchema.methods.softDelete = async function() {
+  const attachments = this.attachments.map(attachment => attachment.toObject());
+  this.isActive = false;
+  this.attachments = [];
+  await this.save();
+
+  await removeAttachments(attachments);
+};
+
+// Render Markdown before saving
+commentSchema.pre('save', function(next) {
+  if (this.isModified('content') || !this.contentHtml) {
+    this.contentHtml = renderInlineMarkdown(this.content);
+  }
+  next();
+});
+
+// Static method to pull @username mentions out of comment text
+commentSchema.statics.extractMentions = function(content) {
+  const matches = content.match(/(^|\s)@([A-Za-z0-9_.-]{3,30})/g) || [];
+  // Trailing dots/hyphens are sentence punctuation, not part of the username
+  return [...new Set(matches.map(match => match.trim().slice(1).replace(/[.-]+$/, '')))];
+};
+
+// Static method to delete the attachment files of the comments matching a filter, for when the
+// question or answer they belong to is deleted
+commentSchema.statics.discardAttachments = async function(filter) {
+  const comments = await this.find({ ...filter, 'attachments.0': { $exists: true } }).select('attachments').lean();
+  if (comments.length === 0) return;
+
+  await this.updateMany({ _id: { $in: comments.map(comment => comment._id) } }, { $set: { attachments: [] } });
+  await removeAttachments(comments.flatMap(comment => comment.attachments));
+};
+
+export default mongoose.model('Comment', commentSchema);
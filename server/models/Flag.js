@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const FLAG_TARGET_TYPES = ['question', 'answer', 'comment', 'user'];
+export const FLAG_REASONS = ['spam', 'abuse', 'off-topic', 'low-quality', 'other'];
+
+const flagSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: FLAG_TARGET_TYPES,
+    required: true
+  },
+  // Id of the flagged question, answer, comment or user
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Question the flagged content belongs to (unset for user flags)
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  // Author of the flagged content, or the flagged user
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: FLAG_REASONS,
+      message: 'Invalid flag reason'
+    },
+    required: [true, 'Flag reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'actioned'],
+    default: 'pending'
+  },
+  // Moderator action that resolved the flag
+  resolution: {
+    type: String,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+flagSchema.index({ status: 1, targetType: 1, targetId: 1 });
+flagSchema.index({ reporter: 1, targetId: 1, status: 1 });
+
+// Static method to resolve every pending flag on a target
+flagSchema.statics.resolveTarget = function(targetType, targetId, { status, resolution, moderator }) {
+  return this.updateMany(
+    { targetType, targetId, status: 'pending' },
+    { status, resolution, resolvedBy: moderator, resolvedAt: new Date() }
+  );
+};
+
+export default mongoose.model('Flag', flagSchema);
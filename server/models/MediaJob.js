@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// How long a claimed job may run before another worker may take it over (the first worker is
+// assumed to have died)
+const LOCK_TIMEOUT = 60 * 60 * 1000;
+
+// A job of the media pipeline (see utils/mediaQueue.js). Jobs are kept in MongoDB, so they survive
+// restarts and can be worked off by a separate worker process.
+const mediaJobSchema = new mongoose.Schema({
+  // image: sizes; video: metadata and poster frame; transcode: a browser-playable copy
+  kind: {
+    type: String,
+    enum: ['image', 'video', 'transcode'],
+    required: true
+  },
+  // The attachment as it was when the job was queued, enough to read its file
+  attachment: {
+    filename: {
+      type: String,
+      required: true
+    },
+    storage: String,
+    key: String,
+    mimetype: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  finishedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+mediaJobSchema.index({ status: 1, runAt: 1 });
+// Finished jobs are cleaned up after a week; failed ones stay for inspection
+mediaJobSchema.index({ finishedAt: 1 }, {
+  expireAfterSeconds: 7 * 24 * 60 * 60,
+  partialFilterExpression: { status: 'done' }
+});
+
+// Static method to queue a job for an attachment
+mediaJobSchema.statics.enqueue = function(kind, attachment) {
+  const { filename, storage, key, mimetype } = attachment;
+  return this.create({ kind, attachment: { filename, storage, key, mimetype } });
+};
+
+// Static method to claim the next due job, including ones whose worker stopped mid-run.
+// Returns null when there is nothing to do.
+mediaJobSchema.statics.claimNext = function() {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Method to mark the job as done
+mediaJobSchema.methods.complete = function() {
+  this.status = 'done';
+  this.finishedAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Method to record a failed attempt: the job runs again after `retryIn` ms, or is given up when
+// `retryIn` is null
+mediaJobSchema.methods.fail = function(error, retryIn) {
+  this.lastError = error.message;
+  if (retryIn === null) {
+    this.status = 'failed';
+    this.finishedAt = new Date();
+  } else {
+    this.status = 'queued';
+    this.runAt = new Date(Date.now() + retryIn);
+  }
+  return this.save();
+};
+
+export default mongoose.model('MediaJob', mediaJobSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['answer', 'upvote', 'accepted', 'follow', 'warning', 'edit'],
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  answer: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Free text for notifications that carry one, such as moderator warnings
+  message: {
+    type: String,
+    default: ''
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Static method to create a notification. Users are never notified about their own actions,
+// and a failure here is logged rather than allowed to fail the request that triggered it.
+notificationSchema.statics.notify = async function({ recipient, actor, type, question, answer, message }) {
+  if (!recipient || (actor && recipient.toString() === actor.toString())) return null;
+
+  try {
+    return await this.create({ recipient, actor, type, question, answer, message });
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ recipient: userId, isRead: false });
+};
+
+// Method to mark a notification as read
+notificationSchema.methods.markRead = function() {
+  if (this.isRead) return this;
+
+  this.isRead = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('Notification', notificationSchema);
@@ -1,12 +1,52 @@
 import mongoose from 'mongoose';
+import ReputationEvent from './ReputationEvent.js';
+import attachmentSchema from './attachmentSchema.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { removeAttachments } from '../utils/storage.js';
+
+export const CLOSE_REASONS = ['duplicate', 'off-topic', 'unclear', 'too-broad', 'opinion-based'];
+
+// Community close and reopen votes: who may cast them and how many it takes
+export const CLOSE_VOTE_REPUTATION = 250;
+export const CLOSE_VOTES_REQUIRED = 3;
+
+// Replace a user's vote in a { upvotes, downvotes } pair and return their previous vote
+const applyVote = (votes, userId, voteType) => {
+  const userIdStr = userId.toString();
+  const upvotes = votes.upvotes || [];
+  const downvotes = votes.downvotes || [];
+
+  const previousVote = upvotes.some(id => id.toString() === userIdStr) ? 'upvote' :
+    downvotes.some(id => id.toString() === userIdStr) ? 'downvote' : null;
+
+  // Remove existing votes by this user
+  votes.upvotes = upvotes.filter(id => id.toString() !== userIdStr);
+  votes.downvotes = downvotes.filter(id => id.toString() !== userIdStr);
+
+  // Add new vote
+  if (voteType === 'upvote') {
+    votes.upvotes.push(userId);
+  } else if (voteType === 'downvote') {
+    votes.downvotes.push(userId);
+  }
+
+  return previousVote;
+};
 
 const answerSchema = new mongoose.Schema({
   content: {
     type: String,
     required: [true, 'Answer content is required'],
     trim: true,
-    minlength: [10, 'Answer must be at least 10 characters long']
+    minlength: [10, 'Answer must be at least 10 characters long'],
+    maxlength: [5000, 'Answer cannot exceed 5000 characters']
+  },
+  // Sanitized HTML rendered from the Markdown content
+  contentHtml: {
+    type: String,
+    default: ''
   },
+  attachments: [attachmentSchema],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -26,6 +66,23 @@ const answerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Hidden by a moderator; only moderators can still see it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,7 +105,13 @@ const questionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Question description is required'],
     trim: true,
-    minlength: [20, 'Description must be at least 20 characters long']
+    minlength: [20, 'Description must be at least 20 characters long'],
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  // Sanitized HTML rendered from the Markdown description
+  descriptionHtml: {
+    type: String,
+    default: ''
   },
   author: {
     type: mongoose.Schema.Types.ObjectId,
@@ -64,33 +127,58 @@ const questionSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
-  attachments: [{
-    filename: {
-      type: String,
-      required: true
-    },
-    originalName: {
+  attachments: [attachmentSchema],
+  answers: [answerSchema],
+  // Closed questions accept no new answers; duplicates link to the canonical question
+  closure: {
+    reason: {
       type: String,
-      required: true
+      enum: CLOSE_REASONS,
+      default: null
     },
-    mimetype: {
+    note: {
       type: String,
-      required: true
+      trim: true,
+      maxlength: [500, 'Close note cannot exceed 500 characters'],
+      default: ''
     },
-    size: {
-      type: Number,
-      required: true
+    closedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    default: null
+  },
+  closeVotes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    path: {
+    reason: {
       type: String,
-      required: true
+      enum: CLOSE_REASONS
     },
-    uploadedAt: {
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      default: null
+    },
+    createdAt: {
       type: Date,
       default: Date.now
     }
   }],
-  answers: [answerSchema],
+  reopenVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   votes: {
     upvotes: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -119,14 +207,76 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Pinned to the top of the home listing by an admin
   isPinned: {
     type: Boolean,
     default: false
   },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  // Pin expiry; null keeps the question pinned until it is unpinned
+  pinnedUntil: {
+    type: Date,
+    default: null
+  },
+  // Pinned to the top of a topic listing by a topic moderator
+  topicPins: [{
+    topic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Hidden by a moderator; only moderators can still see it
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Locked questions accept no new answers, comments or votes
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -141,17 +291,192 @@ questionSchema.index({ author: 1, createdAt: -1 });
 questionSchema.index({ topics: 1, createdAt: -1 });
 questionSchema.index({ tags: 1 });
 questionSchema.index({ lastActivity: -1 });
+questionSchema.index({ 'topicPins.topic': 1 });
 
 // Virtual for vote score
 questionSchema.virtual('voteScore').get(function() {
   return this.votes.upvotes.length - this.votes.downvotes.length;
 });
 
-// Virtual for answer count
+// Virtual for closed state
+questionSchema.virtual('isClosed').get(function() {
+  return !!this.closure && !!this.closure.closedAt;
+});
+
+// Virtual for answer count (deleted answers excluded)
 questionSchema.virtual('answerCount').get(function() {
-  return this.answers.length;
+  return this.answers.filter(answer => answer.isActive !== false).length;
 });
 
+// Method to find an answer that has not been deleted
+questionSchema.methods.findAnswer = function(answerId) {
+  const answer = this.answers.id(answerId);
+  return answer && answer.isActive !== false ? answer : null;
+};
+
+// Method to soft delete the question, delete the attachment files of the question, its answers and
+// comments, and update the author's, topics' and tags' question counts. Deleting again does nothing.
+questionSchema.methods.softDelete = async function() {
+  if (!this.isActive) return;
+
+  const attachments = [
+    ...this.attachments,
+    ...this.answers.flatMap(answer => answer.attachments)
+  ].map(attachment => attachment.toObject());
+
+  this.isActive = false;
+  this.attachments = [];
+  this.answers.forEach(answer => {
+    answer.attachments = [];
+  });
+  await this.save();
+
+  await removeAttachments(attachments);
+  await mongoose.model('Comment').discardAttachments({ question: this._id });
+
+  await mongoose.model('User').findByIdAndUpdate(this.author, {
+    $inc: { questionsAsked: -1 }
+  });
+
+  if (this.topics.length > 0) {
+    await mongoose.model('Topic').updateMany(
+      { _id: { $in: this.topics } },
+      { $inc: { questionCount: -1 } }
+    );
+  }
+
+  await mongoose.model('Tag').updateUsage(this.tags, []);
+};
+
+// Method to soft delete an answer and the attachment files of the answer and its comments.
+// Unaccept the answer first if needed.
+questionSchema.methods.softDeleteAnswer = async function(answer) {
+  const attachments = answer.attachments.map(attachment => attachment.toObject());
+  answer.isActive = false;
+  answer.attachments = [];
+  await this.save();
+
+  await removeAttachments(attachments);
+  await mongoose.model('Comment').discardAttachments({ question: this._id, answer: answer._id });
+};
+
+// Method to close the question. closedBy lists the moderator or the community voters.
+questionSchema.methods.close = function({ reason, note = '', closedBy, duplicateOf = null }) {
+  this.closure = {
+    reason,
+    note,
+    closedBy,
+    closedAt: new Date()
+  };
+  this.duplicateOf = reason === 'duplicate' ? duplicateOf : null;
+  this.closeVotes = [];
+  this.reopenVotes = [];
+};
+
+// Method to reopen a closed question
+questionSchema.methods.reopen = function() {
+  this.closure = { reason: null, note: '', closedBy: [], closedAt: null };
+  this.duplicateOf = null;
+  this.closeVotes = [];
+  this.reopenVotes = [];
+};
+
+// Method to cast a community close vote
+// Closes the question once enough votes are in, with the most common reason; returns true if it closed
+questionSchema.methods.castCloseVote = function(userId, reason, duplicateOf = null) {
+  this.closeVotes = this.closeVotes.filter(vote => vote.user.toString() !== userId.toString());
+  this.closeVotes.push({ user: userId, reason, duplicateOf: reason === 'duplicate' ? duplicateOf : null });
+
+  if (this.closeVotes.length < CLOSE_VOTES_REQUIRED) {
+    return false;
+  }
+
+  const mostCommon = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  };
+
+  const closeReason = mostCommon(this.closeVotes.map(vote => vote.reason));
+  const duplicateTarget = closeReason === 'duplicate'
+    ? mostCommon(this.closeVotes.filter(vote => vote.duplicateOf).map(vote => vote.duplicateOf.toString()))
+    : null;
+
+  this.close({
+    reason: closeReason,
+    closedBy: this.closeVotes.map(vote => vote.user),
+    duplicateOf: duplicateTarget
+  });
+  return true;
+};
+
+// Method to cast a community reopen vote; returns true if it reopened the question
+questionSchema.methods.castReopenVote = function(userId) {
+  if (!this.reopenVotes.some(id => id.toString() === userId.toString())) {
+    this.reopenVotes.push(userId);
+  }
+
+  if (this.reopenVotes.length < CLOSE_VOTES_REQUIRED) {
+    return false;
+  }
+
+  this.reopen();
+  return true;
+};
+
+// Method to lock or unlock the question
+questionSchema.methods.setLocked = function(isLocked, userId) {
+  this.isLocked = isLocked;
+  this.lockedBy = isLocked ? userId : null;
+  this.lockedAt = isLocked ? new Date() : null;
+};
+
+// Method to pin the question globally, or in a topic when topicId is given
+questionSchema.methods.pin = function({ topicId = null, userId, expiresAt = null }) {
+  if (!topicId) {
+    this.isPinned = true;
+    this.pinnedBy = userId;
+    this.pinnedAt = new Date();
+    this.pinnedUntil = expiresAt;
+    return;
+  }
+
+  this.topicPins = this.topicPins.filter(pin => pin.topic.toString() !== topicId.toString());
+  this.topicPins.push({ topic: topicId, pinnedBy: userId, expiresAt });
+};
+
+// Method to unpin the question globally, or from a topic when topicId is given
+questionSchema.methods.unpin = function(topicId = null) {
+  if (!topicId) {
+    this.isPinned = false;
+    this.pinnedBy = null;
+    this.pinnedAt = null;
+    this.pinnedUntil = null;
+    return;
+  }
+
+  this.topicPins = this.topicPins.filter(pin => pin.topic.toString() !== topicId.toString());
+};
+
+// Static method to build the filter for questions currently pinned globally, or in a topic
+questionSchema.statics.pinnedFilter = function(topicId = null, now = new Date()) {
+  if (!topicId) {
+    return {
+      isPinned: true,
+      $or: [{ pinnedUntil: null }, { pinnedUntil: { $gt: now } }]
+    };
+  }
+
+  return {
+    topicPins: {
+      $elemMatch: {
+        topic: topicId,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }
+    }
+  };
+};
+
 // Method to increment views
 questionSchema.methods.incrementViews = function(userId) {
   // Only increment if user hasn't viewed recently (within 24 hours)
@@ -180,23 +505,66 @@ questionSchema.methods.addAnswer = function(answerData) {
 };
 
 // Method to vote on question
-questionSchema.methods.vote = function(userId, voteType) {
-  const userIdStr = userId.toString();
-  
-  // Remove existing votes by this user
-  this.votes.upvotes = this.votes.upvotes.filter(id => id.toString() !== userIdStr);
-  this.votes.downvotes = this.votes.downvotes.filter(id => id.toString() !== userIdStr);
-  
-  // Add new vote
-  if (voteType === 'upvote') {
-    this.votes.upvotes.push(userId);
-  } else if (voteType === 'downvote') {
-    this.votes.downvotes.push(userId);
-  }
-  
-  return this.save();
+// Returns the user's previous vote ('upvote', 'downvote' or null)
+questionSchema.methods.vote = async function(userId, voteType) {
+  const previousVote = applyVote(this.votes, userId, voteType);
+
+  await this.save();
+
+  await ReputationEvent.recordVote({
+    recipient: this.author,
+    actor: userId,
+    kind: 'question',
+    previousVote,
+    newVote: voteType === 'remove' ? null : voteType,
+    question: this._id
+  });
+
+  return previousVote;
+};
+
+// Method to vote on an answer (caller saves the parent question)
+// Returns the user's previous vote so the reputation change can be recorded
+answerSchema.methods.vote = function(userId, voteType) {
+  return applyVote(this.votes, userId, voteType);
+};
+
+// Method to accept an answer (only one accepted answer per question)
+// Returns the previously accepted answer, if any, so callers can reverse its reputation
+questionSchema.methods.acceptAnswer = function(answerId) {
+  const previous = this.answers.find(answer => answer.isAccepted) || null;
+
+  this.answers.forEach(answer => {
+    answer.isAccepted = answer._id.toString() === answerId.toString();
+  });
+  this.isResolved = true;
+
+  return previous;
+};
+
+// Method to remove the accepted answer
+questionSchema.methods.unacceptAnswer = function() {
+  this.answers.forEach(answer => {
+    answer.isAccepted = false;
+  });
+  this.isResolved = false;
 };
 
+// Render Markdown before saving (also fills in posts created before Markdown support)
+answerSchema.pre('save', function(next) {
+  if (this.isModified('content') || !this.contentHtml) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+  next();
+});
+
+questionSchema.pre('save', function(next) {
+  if (this.isModified('description') || !this.descriptionHtml) {
+    this.descriptionHtml = renderMarkdown(this.description);
+  }
+  next();
+});
+
 // Update lastActivity before saving
 questionSchema.pre('save', function(next) {
   if (this.isModified('answers')) {
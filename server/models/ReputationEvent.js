@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+
+// Points awarded per vote, keyed by `${kind}_${voteType}`
+export const VOTE_POINTS = {
+  question_upvote: 5,
+  question_downvote: -2,
+  answer_upvote: 10,
+  answer_downvote: -2
+};
+
+// Points awarded when an answer is accepted
+export const ACCEPT_POINTS = {
+  answer: 15, // to the answer author
+  accepter: 2 // to the question author
+};
+
+const reputationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['upvote', 'downvote', 'vote_removed', 'accepted', 'accept_removed', 'bounty', 'adjustment'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  source: {
+    kind: {
+      type: String,
+      enum: ['question', 'answer', 'admin'],
+      required: true
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    answer: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+reputationEventSchema.index({ user: 1, createdAt: -1 });
+reputationEventSchema.index({ 'source.question': 1 });
+
+// Static method to record an event and apply its points to the user's cached reputation
+reputationEventSchema.statics.record = async function({ user, actor, type, points, source }) {
+  if (!points) return null;
+
+  const event = await this.create({ user, actor, type, points, source });
+  await User.findByIdAndUpdate(user, { $inc: { reputation: points } });
+
+  return event;
+};
+
+// Static method to record the change from one vote to another on a question or answer
+// (previousVote/newVote are 'upvote', 'downvote' or null)
+reputationEventSchema.statics.recordVote = async function({ recipient, actor, kind, previousVote, newVote, question, answer }) {
+  if (previousVote === newVote) return;
+
+  const source = { kind, question, answer };
+
+  if (previousVote) {
+    await this.record({
+      user: recipient,
+      actor,
+      type: 'vote_removed',
+      points: -VOTE_POINTS[`${kind}_${previousVote}`],
+      source
+    });
+  }
+
+  if (newVote) {
+    await this.record({
+      user: recipient,
+      actor,
+      type: newVote,
+      points: VOTE_POINTS[`${kind}_${newVote}`],
+      source
+    });
+  }
+};
+
+// Static method to reverse the points awarded when an answer was accepted
+reputationEventSchema.statics.reverseAcceptance = async function(question, answer, actorId) {
+  if (answer.author.toString() !== question.author.toString()) {
+    await this.record({
+      user: answer.author,
+      actor: actorId,
+      type: 'accept_removed',
+      points: -ACCEPT_POINTS.answer,
+      source: { kind: 'answer', question: question._id, answer: answer._id }
+    });
+  }
+  await this.record({
+    user: question.author,
+    actor: actorId,
+    type: 'accept_removed',
+    points: -ACCEPT_POINTS.accepter,
+    source: { kind: 'question', question: question._id, answer: answer._id }
+  });
+};
+
+// Static method to sum a user's ledger
+reputationEventSchema.statics.getTotal = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: '$points' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+// Static method to reset a user's cached reputation from the ledger
+reputationEventSchema.statics.recomputeUserReputation = async function(userId) {
+  const total = await this.getTotal(userId);
+  await User.findByIdAndUpdate(userId, { reputation: total });
+  return total;
+};
+
+export default mongoose.model('ReputationEvent', reputationEventSchema);
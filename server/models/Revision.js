@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { diffLines } from '../utils/diff.js';
+
+const revisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  // Set for answer revisions, null for revisions of the question itself
+  answer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String
+  }],
+  // Questions only; revisions from before these were recorded have neither
+  topics: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic'
+    }],
+    default: undefined
+  },
+  // Original names of the attached files
+  attachments: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+revisionSchema.index({ question: 1, answer: 1, revision: 1 }, { unique: true });
+
+// Static method to record an edit. The first edit also stores the original
+// version as revision 1, so posts that were never edited need no revisions.
+// `previous` and `current` are { title, body, tags } snapshots, with topics
+// and attachments for questions.
+revisionSchema.statics.recordEdit = async function({ question, answer = null, editor, originalAuthor, originalDate, previous, current }) {
+  const latest = await this.findOne({ question, answer }).sort({ revision: -1 });
+  let nextRevision = latest ? latest.revision + 1 : 1;
+
+  if (!latest) {
+    await this.create({
+      question,
+      answer,
+      revision: nextRevision++,
+      editor: originalAuthor,
+      ...previous,
+      createdAt: originalDate
+    });
+  }
+
+  return this.create({
+    question,
+    answer,
+    revision: nextRevision,
+    editor,
+    ...current
+  });
+};
+
+// Items added and removed between two lists, compared by `identify`. Null when
+// either revision predates the list being recorded.
+const listDiff = (before, after, identify = item => item) => {
+  if (!before || !after) return null;
+  const beforeIds = before.map(identify);
+  const afterIds = after.map(identify);
+  return {
+    added: after.filter(item => !beforeIds.includes(identify(item))),
+    removed: before.filter(item => !afterIds.includes(identify(item)))
+  };
+};
+
+// Static method to list revisions, each with a diff against the one before it
+revisionSchema.statics.getHistory = async function(question, answer = null) {
+  const revisions = await this.find({ question, answer })
+    .populate('editor', 'username avatar')
+    .populate('topics', 'name slug color')
+    .sort({ revision: 1 })
+    .lean();
+
+  return revisions.map((revision, index) => {
+    const before = revisions[index - 1];
+    return {
+      ...revision,
+      diff: before ? {
+        title: diffLines(before.title, revision.title),
+        body: diffLines(before.body, revision.body),
+        tags: listDiff(before.tags, revision.tags),
+        topics: listDiff(before.topics, revision.topics, topic => topic._id.toString()),
+        attachments: listDiff(before.attachments, revision.attachments)
+      } : null
+    };
+  }).reverse();
+};
+
+export default mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import process from 'process';
+
+// Refresh tokens last this long without use; every refresh extends the session
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// A just-replaced refresh token is still tolerated this long, so two tabs refreshing at once
+// don't end the session. Older replaced tokens mean the token was copied, and revoke the session.
+const REUSE_GRACE = 30 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Short description of the browser and OS from a user agent string
+const describeUserAgent = (userAgent = '') => {
+  const browser = /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\/|Opera/.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' : null;
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' : null;
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser, os].filter(Boolean).join(' on ');
+};
+
+// A signed-in device. The refresh token is `<session id>.<secret>` and only the secret's hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token this one replaced, to tell a refresh race from a copied token
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for a readable device name
+sessionSchema.virtual('device').get(function() {
+  return describeUserAgent(this.userAgent);
+});
+
+// Method to check the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to replace the refresh token and extend the session (caller saves). Returns the new refresh token.
+sessionSchema.methods.rotate = function({ ip, userAgent } = {}) {
+  const secret = newSecret();
+
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashSecret(secret);
+  this.rotatedAt = new Date();
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + SESSION_TTL);
+  if (ip) this.ip = ip;
+  if (userAgent) this.userAgent = userAgent;
+
+  return `${this._id}.${secret}`;
+};
+
+// Method to revoke the session (caller saves)
+sessionSchema.methods.revoke = function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+  }
+};
+
+// Static method to start a session. Returns the session and its first refresh token.
+sessionSchema.statics.start = async function(userId, { ip = '', userAgent = '' } = {}) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: userId,
+    ip,
+    userAgent,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + SESSION_TTL)
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Static method to look up the session for a refresh token.
+// Returns { session, status } where status is 'valid', 'race' (a just-replaced token) or 'invalid'.
+// A replaced token outside the grace period revokes the session.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return { session: null, status: 'invalid' };
+  }
+
+  const session = await this.findById(sessionId);
+  if (!session || !session.isValid()) {
+    return { session: null, status: 'invalid' };
+  }
+
+  const hash = hashSecret(secret);
+  if (hash === session.refreshTokenHash) {
+    return { session, status: 'valid' };
+  }
+
+  if (hash === session.previousTokenHash) {
+    if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE) {
+      return { session, status: 'race' };
+    }
+
+    session.revoke();
+    await session.save();
+  }
+
+  return { session: null, status: 'invalid' };
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { revokedAt: new Date() });
+};
+
+export default mongoose.model('Session', sessionSchema);
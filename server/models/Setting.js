@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Site-wide settings changed by admins, with the value used until one is saved
+export const SETTING_DEFAULTS = {
+  // Roles whose members must turn on two-factor authentication
+  twoFactorRequiredRoles: []
+};
+
+// Settings are read on every authenticated request, so values are cached briefly.
+// Another server instance picks up a change within this time.
+const CACHE_TTL = 30 * 1000;
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: Object.keys(SETTING_DEFAULTS),
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : SETTING_DEFAULTS[key];
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+  return value;
+};
+
+// Static method to save a setting
+settingSchema.statics.setValue = async function(key, value, userId) {
+  await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, runValidators: true }
+  );
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+  return value;
+};
+
+export default mongoose.model('Setting', settingSchema);
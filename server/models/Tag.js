@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+export const MAX_TAG_LENGTH = 35;
+export const MAX_TAGS = 10;
+
+// Tags are stored by name on questions; a Tag document carries the name's description, synonyms
+// and usage count. Names are lowercase with hyphens for spaces.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [MAX_TAG_LENGTH, `Tag names cannot exceed ${MAX_TAG_LENGTH} characters`]
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Other names for this tag; questions tagged with one of them get this tag instead
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  questionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+tagSchema.index({ synonyms: 1 });
+tagSchema.index({ questionCount: -1 });
+
+// Normalized form of a tag name: lowercase, with runs of whitespace as hyphens
+export const normalizeTagName = (name) => String(name)
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Static method to turn tag names into canonical tags: normalized, synonyms replaced by the tag they
+// belong to and duplicates dropped. Names without a Tag document are kept; they get one when used.
+tagSchema.statics.canonicalize = async function(names) {
+  const normalized = [...new Set(names.map(normalizeTagName).filter(Boolean))];
+  if (normalized.length === 0) return [];
+
+  const owners = await this.find({ synonyms: { $in: normalized } }).select('name synonyms').lean();
+  const canonical = normalized.map(name => owners.find(tag => tag.synonyms.includes(name))?.name || name);
+  return [...new Set(canonical)];
+};
+
+// Static method to update usage counts when a question's tags change. Tags used for the first time
+// are created.
+tagSchema.statics.updateUsage = async function(previousNames, currentNames) {
+  const added = currentNames.filter(name => !previousNames.includes(name));
+  const removed = previousNames.filter(name => !currentNames.includes(name));
+
+  if (added.length > 0) {
+    await this.bulkWrite(added.map(name => ({
+      updateOne: {
+        filter: { name },
+        update: { $inc: { questionCount: 1 }, $set: { lastUsedAt: new Date() } },
+        upsert: true
+      }
+    })));
+  }
+  if (removed.length > 0) {
+    await this.updateMany(
+      { name: { $in: removed }, questionCount: { $gt: 0 } },
+      { $inc: { questionCount: -1 } }
+    );
+  }
+};
+
+// Static method to recompute usage counts from the questions, for the given tags or all of them.
+// Tags found on questions without a Tag document get one.
+tagSchema.statics.recount = async function(names = null) {
+  const pipeline = [{ $match: { isActive: true } }, { $unwind: '$tags' }];
+  if (names) {
+    pipeline.push({ $match: { tags: { $in: names } } });
+  }
+  pipeline.push({ $group: { _id: '$tags', count: { $sum: 1 } } });
+
+  const counts = new Map((await mongoose.model('Question').aggregate(pipeline)).map(({ _id, count }) => [_id, count]));
+  const tagNames = names || [...new Set([...counts.keys(), ...(await this.distinct('name'))])];
+  if (tagNames.length === 0) return;
+
+  await this.bulkWrite(tagNames.map(name => ({
+    updateOne: {
+      filter: { name },
+      update: { $set: { questionCount: counts.get(name) || 0 } },
+      upsert: counts.has(name)
+    }
+  })));
+};
+
+export default mongoose.model('Tag', tagSchema);
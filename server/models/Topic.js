@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ATTACHMENT_TYPES, ATTACHMENT_MAX_BYTES, DEFAULT_ATTACHMENT_POLICY } from '../utils/attachments.js';
 
 const topicSchema = new mongoose.Schema({
   name: {
@@ -34,6 +35,16 @@ const topicSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the topic was merged into another; its slug then redirects there
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    default: null
+  },
   questionCount: {
     type: Number,
     default: 0
@@ -46,6 +57,22 @@ const topicSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Attachments allowed on posts in this topic; unset fields fall back to the site-wide defaults
+  attachmentPolicy: {
+    allowedTypes: {
+      type: [{
+        type: String,
+        enum: Object.keys(ATTACHMENT_TYPES)
+      }],
+      default: undefined
+    },
+    maxFileSize: {
+      type: Number,
+      min: [1, 'Maximum file size must be positive'],
+      max: [ATTACHMENT_MAX_BYTES, `Maximum file size cannot exceed ${ATTACHMENT_MAX_BYTES / 1024 / 1024} MB`],
+      default: null
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -91,6 +118,27 @@ topicSchema.methods.decrementQuestionCount = function() {
   return this.save();
 };
 
+// Static method to update question counts when a question moves between topics
+topicSchema.statics.moveQuestion = async function(previousIds, currentIds) {
+  const previous = previousIds.map(id => id.toString());
+  const current = currentIds.map(id => id.toString());
+  const added = current.filter(id => !previous.includes(id));
+  const removed = previous.filter(id => !current.includes(id));
+
+  if (added.length > 0) {
+    await this.updateMany(
+      { _id: { $in: added } },
+      { $inc: { questionCount: 1 }, lastActivity: new Date() }
+    );
+  }
+  if (removed.length > 0) {
+    await this.updateMany(
+      { _id: { $in: removed }, questionCount: { $gt: 0 } },
+      { $inc: { questionCount: -1 } }
+    );
+  }
+};
+
 // Method to add follower
 topicSchema.methods.addFollower = function() {
   this.followerCount += 1;
@@ -103,6 +151,20 @@ topicSchema.methods.removeFollower = function() {
   return this.save();
 };
 
+// Static method to get the attachment policy for a post in the given topics: a file type must be
+// allowed by every topic and the smallest size limit applies
+topicSchema.statics.attachmentPolicyFor = async function(topicIds) {
+  const topics = await this.find({ _id: { $in: topicIds } }).select('attachmentPolicy').lean();
+
+  return topics.reduce((policy, topic) => {
+    const { allowedTypes, maxFileSize } = topic.attachmentPolicy || {};
+    return {
+      allowedTypes: allowedTypes ? policy.allowedTypes.filter(type => allowedTypes.includes(type)) : policy.allowedTypes,
+      maxFileSize: maxFileSize ? Math.min(policy.maxFileSize, maxFileSize) : policy.maxFileSize
+    };
+  }, DEFAULT_ATTACHMENT_POLICY);
+};
+
 // Static method to get popular topics
 topicSchema.statics.getPopularTopics = function(limit = 10) {
   return this.find({ isActive: true })
@@ -124,8 +186,55 @@ topicSchema.statics.searchTopics = function(query, limit = 20) {
       }
     ]
   })
+  .sort({ followerCount: -1, questionCount: -1 })
   .limit(limit)
-  .select('name slug description color icon questionCount followerCount');
+  .select('name slug description color icon isFeatured questionCount followerCount');
+};
+
+// Static method to rank a topic's contributors by questions asked, answers given and answers accepted
+topicSchema.statics.getTopContributors = function(topicId, limit = 5) {
+  return mongoose.model('Question').aggregate([
+    { $match: { topics: topicId, isActive: true } },
+    {
+      $project: {
+        contributions: {
+          $concatArrays: [
+            [{ user: '$author', questions: 1, answers: 0, accepted: 0 }],
+            {
+              $map: {
+                input: { $filter: { input: '$answers', cond: { $ne: ['$$this.isActive', false] } } },
+                in: { user: '$$this.author', questions: 0, answers: 1, accepted: { $cond: ['$$this.isAccepted', 1, 0] } }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$contributions' },
+    {
+      $group: {
+        _id: '$contributions.user',
+        questions: { $sum: '$contributions.questions' },
+        answers: { $sum: '$contributions.answers' },
+        accepted: { $sum: '$contributions.accepted' }
+      }
+    },
+    { $addFields: { score: { $add: ['$questions', { $multiply: ['$answers', 2] }, { $multiply: ['$accepted', 3] }] } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        user: { _id: '$user._id', username: '$user.username', avatar: '$user.avatar', reputation: '$user.reputation' },
+        questions: 1,
+        answers: 1,
+        accepted: 1,
+        score: 1
+      }
+    }
+  ]);
 };
 
 export default mongoose.model('Topic', topicSchema);
\ No newline at end of file
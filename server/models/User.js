@@ -1,5 +1,16 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateSecret, verifyCode } from '../utils/totp.js';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Fields of twoFactor that are never loaded unless selected
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared without case, spaces or dashes, and only their hash is stored
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -59,11 +70,69 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'moderator', 'admin'],
     default: 'user'
   },
+  // Accounts at external identity providers (OIDC) that sign in to this user
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    // The provider's stable user id ("sub")
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      default: ''
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Authenticator app codes asked for after the password
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during setup, until the user confirms it with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step a code was accepted for, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -72,14 +141,65 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question'
   }],
+  // Named groups of saved questions; every question in a collection is also in savedQuestions
+  bookmarkCollections: [{
+    name: {
+      type: String,
+      required: [true, 'Collection name is required'],
+      trim: true,
+      maxlength: [50, 'Collection name cannot exceed 50 characters']
+    },
+    questions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Questions whose activity shows up in the personal feed (own questions and answers are watched automatically)
+  watchedQuestions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
   followedTopics: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Topic'
+  }],
+  following: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Warnings issued by moderators
+  warnings: [{
+    reason: {
+      type: String,
+      default: ''
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 }, {
   timestamps: true
 });
 
+// An external identity belongs to at most one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -93,17 +213,135 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Mark the email address as verified (caller saves the user)
+userSchema.methods.markEmailVerified = function() {
+  if (!this.emailVerified) {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
+  }
+};
+
+// Method to start two-factor setup with a new secret (caller saves). Returns the secret.
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.pendingSecret = generateSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Method to replace the recovery codes (caller saves). Returns the new codes; only hashes are kept.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Method to turn on two-factor once a code from the pending secret checks out (caller saves).
+// Returns the recovery codes, or null if the code is wrong.
+userSchema.methods.enableTwoFactor = function(code) {
+  if (!this.twoFactor.pendingSecret) return null;
+
+  const step = verifyCode(this.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+  return this.generateRecoveryCodes();
+};
+
+// Method to turn off two-factor (caller saves)
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = 0;
+};
+
+// Method to check an authenticator code or a recovery code (caller saves).
+// Needs TWO_FACTOR_SECRET_FIELDS selected. Used recovery codes are removed.
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode } = {}) {
+  if (!this.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null || step <= this.twoFactor.lastUsedStep) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to find a linked identity
+userSchema.methods.findIdentity = function(provider, subject) {
+  return this.identities.find(identity => identity.provider === provider && identity.subject === subject) || null;
+};
+
+// Method to link an external identity (caller saves)
+userSchema.methods.linkIdentity = function({ provider, subject, email = '' }) {
+  if (!this.findIdentity(provider, subject)) {
+    this.identities.push({ provider, subject, email });
+  }
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Fields anyone may see on a profile. Everything else (email, sign-in identities, two-factor settings,
+// bookmarks, watches, moderator warnings) stays private.
+export const PUBLIC_PROFILE_FIELDS = [
+  '_id', 'username', 'avatar', 'bio', 'location', 'website', 'reputation',
+  'questionsAsked', 'answersGiven', 'role', 'followedTopics', 'createdAt'
+];
+
 // Get user's public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
-  delete userObject.password;
-  delete userObject.email;
-  return userObject;
+  const profile = Object.fromEntries(
+    PUBLIC_PROFILE_FIELDS.filter(field => field in userObject).map(field => [field, userObject[field]])
+  );
+  profile.followerCount = this.followers.length;
+  profile.followingCount = this.following.length;
+  return profile;
+};
+
+// Check whether a question is saved
+userSchema.methods.hasBookmark = function(questionId) {
+  return this.savedQuestions.some(id => id.toString() === questionId.toString());
+};
+
+// Save a question, optionally into a collection (caller saves the user)
+userSchema.methods.addBookmark = function(questionId, collection = null) {
+  if (!this.hasBookmark(questionId)) {
+    this.savedQuestions.push(questionId);
+  }
+  if (collection && !collection.questions.some(id => id.toString() === questionId.toString())) {
+    collection.questions.push(questionId);
+  }
+};
+
+// Unsave a question and take it out of every collection (caller saves the user)
+userSchema.methods.removeBookmark = function(questionId) {
+  const idStr = questionId.toString();
+  this.savedQuestions = this.savedQuestions.filter(id => id.toString() !== idStr);
+  this.bookmarkCollections.forEach(collection => {
+    collection.questions = collection.questions.filter(id => id.toString() !== idStr);
+  });
 };
 
 // Update reputation
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A derived file made by the media pipeline (see utils/media.js): an image size, a video poster frame
+// or a browser-playable copy of a video
+const mediaVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['thumb', 'medium', 'large', 'poster', 'playback'],
+    required: true
+  },
+  storage: String,
+  key: String,
+  mimetype: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+// A file attached to a question, answer or comment (see utils/attachments.js)
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Detected from the file's content when it was uploaded
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Storage driver holding the file and its key there (see utils/storage.js). Attachments from
+  // before storage drivers have neither and live on disk under their filename.
+  storage: String,
+  key: String,
+  // Disk path of attachments from before storage drivers
+  path: String,
+  // Results of the media pipeline for images and videos; absent for other files
+  media: {
+    status: {
+      type: String,
+      enum: ['pending', 'ready', 'failed']
+    },
+    width: Number,
+    height: Number,
+    // Videos only, in seconds
+    duration: Number,
+    codec: String,
+    variants: {
+      type: [mediaVariantSchema],
+      default: undefined
+    },
+    error: String
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default attachmentSchema;
@@ -1,20 +1,181 @@
+import crypto from 'crypto';
 import express from 'express';
+import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import rateLimit from 'express-rate-limit';
+import process from 'process';
+import QRCode from 'qrcode';
+import User, { TWO_FACTOR_SECRET_FIELDS } from '../models/User.js';
+import AuthToken from '../models/AuthToken.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import { authenticateToken, requireAdmin, twoFactorSetupRequired } from '../middleware/auth.js';
+import { isValidEmail, emailExists, sendMail } from '../utils/email.js';
+import { provisioningUri } from '../utils/totp.js';
+import { getProvider, publicProviders, createAuthorizationRequest, fetchIdentity } from '../utils/oidc.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate a short-lived access token; clients renew it with the session's refresh token
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+// Start a session for the requesting device and return its access and refresh tokens
+const startSession = async (req, user) => {
+  const { session, refreshToken } = await Session.start(user._id, clientInfo(req));
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Two-factor flags the client needs alongside the user
+const twoFactorStatus = async (user) => ({
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  twoFactorSetupRequired: await twoFactorSetupRequired(user)
+});
+
+// User data returned with a new session token (never the password)
+const sessionUser = async (user) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  reputation: user.reputation,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  ...(await twoFactorStatus(user))
+});
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'H-Forum';
+
+// Short-lived token proving the first sign-in step passed; it can't be used as an access token
+const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Verify a JWT issued by this server for a given purpose. Returns its payload, or null.
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Finish a sign-in. Users with two-factor turned on get a challenge to answer at
+// POST /login/two-factor instead of a session.
+const sendSignIn = async (req, res, user, { message, status = 200 }) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(status).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      requiresTwoFactor: true,
+      challengeToken: generateChallengeToken(user._id)
+    });
+  }
+
+  res.status(status).json({
+    success: true,
+    message,
+    ...(await startSession(req, user)),
+    user: await sessionUser(user)
+  });
+};
+
+// Six-digit codes are guessable, so code checks get a tight limit
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many attempts, please try again later'
+  }
+});
+
+// Unverified accounts can't sign in when REQUIRE_EMAIL_VERIFICATION=true
+const requiresVerifiedEmail = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Passwordless sign-in links are opt-in with MAGIC_LINKS_ENABLED=true
+const magicLinksEnabled = () => process.env.MAGIC_LINKS_ENABLED === 'true';
+
+// Base URL of the client app, for links in emails and redirects back from identity providers
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5174';
+
+// Links in emails point at these pages of the client app
+const EMAIL_TEMPLATES = {
+  'verify-email': {
+    path: '/verify-email',
+    subject: 'Verify your email address',
+    body: (link) => `Confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  },
+  'reset-password': {
+    path: '/reset-password',
+    subject: 'Reset your password',
+    body: (link) => `Choose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask to reset your password, you can ignore this email.`
+  },
+  'magic-link': {
+    path: '/magic-link',
+    subject: 'Your sign-in link',
+    body: (link) => `Sign in by opening this link:\n${link}\n\nThe link expires in 15 minutes and can only be used once.`
+  }
+};
+
+// Issue a single-use token and email the link for it
+const sendTokenEmail = async (user, purpose) => {
+  const template = EMAIL_TEMPLATES[purpose];
+  const token = await AuthToken.issue(user._id, purpose);
+  const link = `${clientUrl()}${template.path}?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: template.subject,
+    text: `Hi ${user.username},\n\n${template.body(link)}\n`
+  });
+};
+
+// Endpoints that send email get a tighter limit than the API as a whole
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many email requests, please try again later'
+  }
+});
+
+// Same response whether or not the address has an account, so it can't be used to find accounts
+const EMAIL_SENT_MESSAGE = 'If an account exists for that email, we sent it a link';
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// @route   GET /api/auth/options
+// @desc    Sign-in options enabled on this server
+// @access  Public
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    magicLinks: magicLinksEnabled(),
+    requireEmailVerification: requiresVerifiedEmail(),
+    oidcProviders: publicProviders()
+  });
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -37,133 +198,860 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid email'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
     });
 
-    if (existingUser) {
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: existingUser.email === email 
+          ? 'Email already registered' 
+          : 'Username already taken'
+      });
+    }
+
+    if (!(await emailExists(email))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address does not seem to exist'
+      });
+    }
+
+    // Create new user
+    const user = new User({
+      username,
+      email,
+      password
+    });
+
+    await user.save();
+
+    // A failed email shouldn't fail the signup; the user can ask for another link
+    try {
+      await sendTokenEmail(user, 'verify-email');
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    if (requiresVerifiedEmail()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Account created. Check your email to verify your address before signing in.',
+        requiresVerification: true
+      });
+    }
+
+    await sendSignIn(req, res, user, { message: 'User registered successfully', status: 201 });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration'
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validation
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    // Find user and include password for comparison
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (requiresVerifiedEmail() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    await sendSignIn(req, res, user, { message: 'Login successful' });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/two-factor
+// @desc    Second sign-in step: an authenticator code or a recovery code
+// @access  Public
+router.post('/login/two-factor', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyPurposeToken(challengeToken, 'two-factor');
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Sign-in took too long, please start again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user || !user.isActive || !user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...(await startSession(req, user)),
+      user: await sessionUser(user),
+      recoveryCodesLeft: user.twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the token from the verification email, and sign in
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const authToken = await AuthToken.consume(req.body.token, 'verify-email');
+    const user = authToken && await User.findById(authToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    user.lastLogin = new Date();
+    await user.save();
+
+    await sendSignIn(req, res, user, { message: 'Email verified' });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', emailLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: normalizeEmail(req.body.email), isActive: true });
+
+    if (user && !user.emailVerified) {
+      await sendTokenEmail(user, 'verify-email');
+    }
+
+    res.json({
+      success: true,
+      message: EMAIL_SENT_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: normalizeEmail(req.body.email), isActive: true });
+
+    if (user) {
+      await sendTokenEmail(user, 'reset-password');
+    }
+
+    res.json({
+      success: true,
+      message: EMAIL_SENT_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending password reset email'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email, and sign in
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const authToken = await AuthToken.consume(token, 'reset-password');
+    const user = authToken && await User.findById(authToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired'
+      });
+    }
+
+    // Opening the emailed link proves the address belongs to the user
+    user.password = password;
+    user.markEmailVerified();
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await Session.revokeAll(user._id);
+
+    await sendSignIn(req, res, user, { message: 'Password reset successfully' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a passwordless sign-in link
+// @access  Public
+router.post('/magic-link', emailLimiter, async (req, res) => {
+  try {
+    if (!magicLinksEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in links are not enabled'
+      });
+    }
+
+    const user = await User.findOne({ email: normalizeEmail(req.body.email), isActive: true });
+
+    if (user) {
+      await sendTokenEmail(user, 'magic-link');
+    }
+
+    res.json({
+      success: true,
+      message: EMAIL_SENT_MESSAGE
+    });
+
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending sign-in link'
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Sign in with the token from a magic link email
+// @access  Public
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    if (!magicLinksEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in links are not enabled'
+      });
+    }
+
+    const authToken = await AuthToken.consume(req.body.token, 'magic-link');
+    const user = authToken && await User.findById(authToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    user.lastLogin = new Date();
+    await user.save();
+
+    await sendSignIn(req, res, user, { message: 'Login successful' });
+
+  } catch (error) {
+    console.error('Magic link sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing in'
+    });
+  }
+});
+
+// Holds the provider round trip's state and PKCE verifier between /start and /callback
+const OIDC_COOKIE = 'h_forum_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// Send the browser back to a page of the client app
+const redirectToClient = (res, path, params) => {
+  res.redirect(`${clientUrl()}${path}?${new URLSearchParams(params)}`);
+};
+
+const findUserByIdentity = (provider, subject) => User.findOne({
+  identities: { $elemMatch: { provider, subject } }
+});
+
+// Free username for a new account, based on the provider's profile
+const uniqueUsername = async ({ username, email, name }) => {
+  const base = (username || email.split('@')[0] || name)
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 10 && await User.exists({ username: candidate }); attempt++) {
+    candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+// The user an external identity signs in to: the user it is linked to, else an existing user with
+// the same verified email (the identity is linked to them), else a new account.
+// Returns { user } or { error }.
+const findOrCreateOidcUser = async (provider, identity) => {
+  const linked = await findUserByIdentity(provider.id, identity.subject);
+  if (linked) {
+    return linked.isActive ? { user: linked } : { error: 'This account has been deactivated' };
+  }
+
+  if (!identity.email) {
+    return { error: `${provider.name} didn't share an email address` };
+  }
+
+  const existing = await User.findOne({ email: identity.email });
+  if (existing) {
+    // Both sides must vouch for the address, or an account registered with someone else's
+    // address could be taken over (or could take over theirs)
+    if (!identity.emailVerified || !existing.emailVerified) {
+      return { error: `An account with ${identity.email} already exists. Sign in with its password and link ${provider.name} from your profile.` };
+    }
+    if (!existing.isActive) {
+      return { error: 'This account has been deactivated' };
+    }
+
+    existing.linkIdentity({ provider: provider.id, subject: identity.subject, email: identity.email });
+    await existing.save();
+    return { user: existing };
+  }
+
+  // New accounts get a random password; the user can set one with "forgot password"
+  const user = new User({
+    username: await uniqueUsername(identity),
+    email: identity.email,
+    password: crypto.randomBytes(24).toString('hex'),
+    emailVerified: identity.emailVerified,
+    emailVerifiedAt: identity.emailVerified ? new Date() : null,
+    identities: [{ provider: provider.id, subject: identity.subject, email: identity.email }]
+  });
+  await user.save();
+  return { user };
+};
+
+// @route   GET /api/auth/oidc/:provider/start
+// @desc    Send the browser to an identity provider to sign in, or to link it when given a linkToken
+// @access  Public
+router.get('/oidc/:provider/start', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  const isLink = !!req.query.linkToken;
+  const fail = (message) => redirectToClient(res, isLink ? '/edit-profile' : '/oauth/callback', {
+    [isLink ? 'oidcError' : 'error']: message
+  });
+
+  if (!provider) {
+    return fail('Unknown sign-in provider');
+  }
+
+  try {
+    // Link tokens are for one provider; the session they were issued to is checked when linking completes
+    const link = isLink ? verifyPurposeToken(req.query.linkToken, 'oidc-link') : null;
+    if (isLink && (!link || link.provider !== provider.id)) {
+      return fail('The request to link an account expired, please try again');
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const { url, codeVerifier } = await createAuthorizationRequest(provider, state);
+
+    const flow = jwt.sign(
+      {
+        purpose: 'oidc-flow',
+        provider: provider.id,
+        state,
+        codeVerifier,
+        linkUserId: link?.userId || null,
+        linkSessionId: link?.sessionId || null
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+    res.cookie(OIDC_COOKIE, flow, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 10 * 60 * 1000,
+      path: OIDC_COOKIE_PATH
+    });
+
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    fail(`Couldn't reach ${provider.name}, please try again later`);
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Where the identity provider sends the browser back; signs in, or for links hands the client a
+//          confirmation to send to POST /oidc/link/complete, then returns to the client
+// @access  Public
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const flow = verifyPurposeToken(readCookie(req, OIDC_COOKIE), 'oidc-flow');
+  res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+
+  const isLink = !!flow?.linkUserId;
+  const fail = (message) => redirectToClient(res, isLink ? '/edit-profile' : '/oauth/callback', {
+    [isLink ? 'oidcError' : 'error']: message
+  });
+
+  const provider = getProvider(req.params.provider);
+
+  // The state must match the one stored in this browser, so a callback can't be replayed into another browser
+  if (!provider || !flow || flow.provider !== provider.id || !req.query.state || req.query.state !== flow.state) {
+    return fail('The sign-in request expired, please try again');
+  }
+
+  if (req.query.error) {
+    return fail(req.query.error_description || `${provider.name} sign-in was cancelled`);
+  }
+
+  try {
+    const identity = await fetchIdentity(provider, { code: req.query.code, codeVerifier: flow.codeVerifier });
+
+    if (isLink) {
+      const owner = await findUserByIdentity(provider.id, identity.subject);
+      if (owner && !owner._id.equals(flow.linkUserId)) {
+        return fail(`That ${provider.name} account is already linked to another user`);
+      }
+
+      // Not linked yet: a link URL opened in someone else's browser would otherwise attach their
+      // provider account to the user who started it. The signed-in client confirms with its own session.
+      const confirmation = jwt.sign(
+        {
+          purpose: 'oidc-link-confirm',
+          userId: flow.linkUserId,
+          sessionId: flow.linkSessionId,
+          provider: provider.id,
+          subject: identity.subject,
+          email: identity.email
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: '10m' }
+      );
+      return redirectToClient(res, '/edit-profile', { linkConfirmation: confirmation });
+    }
+
+    const { user, error } = await findOrCreateOidcUser(provider, identity);
+    if (!user) {
+      return fail(error);
+    }
+
+    // The client exchanges this single-use token for a session (tokens never go in the URL)
+    const token = await AuthToken.issue(user._id, 'oidc-login');
+    redirectToClient(res, '/oauth/callback', { token });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    fail(`${provider.name} sign-in failed, please try again`);
+  }
+});
+
+// @route   POST /api/auth/oidc/complete
+// @desc    Exchange the token from an identity provider sign-in for a session
+// @access  Public
+router.post('/oidc/complete', async (req, res) => {
+  try {
+    const authToken = await AuthToken.consume(req.body.token, 'oidc-login');
+    const user = authToken && await User.findById(authToken.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in has expired, please try again'
+      });
+    }
+
+    if (requiresVerifiedEmail() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before signing in'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    await sendSignIn(req, res, user, { message: 'Login successful' });
+
+  } catch (error) {
+    console.error('OIDC sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing in'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link-token
+// @desc    Short-lived token to start linking an identity provider to the current account
+// @access  Private
+router.post('/oidc/:provider/link-token', authenticateToken, (req, res) => {
+  if (!getProvider(req.params.provider)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown sign-in provider'
+    });
+  }
+
+  res.json({
+    success: true,
+    linkToken: jwt.sign(
+      { userId: req.user._id, sessionId: req.authSession._id, provider: req.params.provider, purpose: 'oidc-link' },
+      process.env.JWT_SECRET,
+      { expiresIn: '2m' }
+    )
+  });
+});
+
+// @route   POST /api/auth/oidc/link/complete
+// @desc    Link the identity from a provider round trip, started from this same session
+// @access  Private
+router.post('/oidc/link/complete', authenticateToken, async (req, res) => {
+  try {
+    const confirmation = verifyPurposeToken(req.body.confirmation, 'oidc-link-confirm');
+    const provider = confirmation && getProvider(confirmation.provider);
+
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: 'The request to link an account expired, please try again'
+      });
+    }
+
+    if (confirmation.userId !== req.user._id.toString() || confirmation.sessionId !== req.authSession._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link was started from another account or device'
+      });
+    }
+
+    const owner = await findUserByIdentity(provider.id, confirmation.subject);
+    if (owner && !owner._id.equals(req.user._id)) {
       return res.status(400).json({
         success: false,
-        message: existingUser.email === email 
-          ? 'Email already registered' 
-          : 'Username already taken'
+        message: `That ${provider.name} account is already linked to another user`
       });
     }
 
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password
-    });
-
+    const user = await User.findById(req.user._id);
+    user.linkIdentity({ provider: provider.id, subject: confirmation.subject, email: confirmation.email });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Return user data without password
-    const userData = {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      reputation: user.reputation,
-      role: user.role,
-      createdAt: user.createdAt
-    };
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: userData
+      message: `${provider.name} account linked`,
+      identities: user.identities
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
+    console.error('Link identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error linking account'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/identities/:identityId
+// @desc    Unlink an identity provider from the current account
+// @access  Private
+router.delete('/identities/:identityId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const identity = user.identities.id(req.params.identityId);
+
+    if (!identity) {
+      return res.status(404).json({
         success: false,
-        message: messages.join(', ')
+        message: 'Linked account not found'
       });
     }
 
+    identity.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Account unlinked',
+      identities: user.identities
+    });
+
+  } catch (error) {
+    console.error('Unlink identity error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during registration'
+      message: 'Server error unlinking account'
     });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { session, status } = await Session.findByRefreshToken(req.body.refreshToken);
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
+    // Another tab refreshed with this token a moment ago and holds the new one
+    if (status === 'race') {
+      return res.status(409).json({
         success: false,
-        message: 'Please provide email and password'
+        code: 'REFRESH_CONFLICT',
+        message: 'Session was just refreshed'
       });
     }
 
-    // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = session && await User.findById(session.user);
 
     if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        code: 'SESSION_EXPIRED',
+        message: 'Your session has ended, please sign in again'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const refreshToken = session.rotate(clientInfo(req));
+    await session.save();
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    res.json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    req.authSession.revoke();
+    await req.authSession.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error logging out'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in devices
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere, including the current device
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out on all devices',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error logging out'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, user: req.user._id })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Session not found'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    // Return user data without password
-    const userData = {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      reputation: user.reputation,
-      role: user.role,
-      lastLogin: user.lastLogin
-    };
+    session.revoke();
+    await session.save();
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: userData
+      message: 'Session revoked',
+      current: session._id.equals(req.authSession._id)
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Revoke session error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error revoking session'
     });
   }
 });
@@ -186,7 +1074,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user: { ...user.toJSON(), ...(await twoFactorStatus(user)) }
     });
 
   } catch (error) {
@@ -236,12 +1124,16 @@ router.put('/profile', authenticateToken, async (req, res) => {
       }
     }
 
+    // A new address has to be verified again
+    const emailChanged = !!email && normalizeEmail(email) !== req.user.email;
+
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       {
         ...(username && { username }),
         ...(email && { email }),
+        ...(emailChanged && { emailVerified: false, emailVerifiedAt: null }),
         ...(bio !== undefined && { bio }),
         ...(location !== undefined && { location }),
         ...(website !== undefined && { website }),
@@ -250,10 +1142,18 @@ router.put('/profile', authenticateToken, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      try {
+        await sendTokenEmail(updatedUser, 'verify-email');
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      user: updatedUser
+      user: { ...updatedUser.toJSON(), ...(await twoFactorStatus(updatedUser)) }
     });
 
   } catch (error) {
@@ -312,9 +1212,12 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    await Session.revokeAll(user._id, req.authSession._id);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.'
     });
 
   } catch (error) {
@@ -326,4 +1229,211 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/two-factor/setup
+// @desc    Start two-factor setup: a new secret and its QR code for an authenticator app
+// @access  Private
+router.post('/two-factor/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save();
+
+    const otpauthUri = provisioningUri({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/two-factor/enable
+// @desc    Turn on two-factor with a code from the app, and get recovery codes
+// @access  Private
+router.post('/two-factor/enable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already on'
+      });
+    }
+
+    const recoveryCodes = user.enableTwoFactor(req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error turning on two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/two-factor/disable
+// @desc    Turn off two-factor with the password and a code
+// @access  Private
+router.post('/two-factor/disable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const requiredRoles = await Setting.getValue('twoFactorRequiredRoles');
+    if (requiredRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error turning off two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/two-factor/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+// @access  Private
+router.post('/two-factor/recovery-codes', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.verifySecondFactor({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating recovery codes'
+    });
+  }
+});
+
+// @route   GET /api/auth/two-factor/policy
+// @desc    Roles that must use two-factor authentication
+// @access  Private (Admin)
+router.get('/two-factor/policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requiredRoles: await Setting.getValue('twoFactorRequiredRoles'),
+      roles: User.schema.path('role').enumValues
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor policy'
+    });
+  }
+});
+
+// @route   PUT /api/auth/two-factor/policy
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (Admin)
+router.put('/two-factor/policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const roles = User.schema.path('role').enumValues;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !roles.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `Roles must be some of: ${roles.join(', ')}`
+      });
+    }
+
+    const value = await Setting.setValue('twoFactorRequiredRoles', [...new Set(requiredRoles)], req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      requiredRoles: value
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating two-factor policy'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,343 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import Question from '../models/Question.js';
+import User from '../models/User.js';
+import Topic from '../models/Topic.js';
+import { authenticateToken, optionalAuth, isModerator } from '../middleware/auth.js';
+import { acceptAttachments } from '../middleware/upload.js';
+import { AttachmentError, storeUploads } from '../utils/attachments.js';
+import { removeAttachments, withAttachmentUrls } from '../utils/storage.js';
+import { enqueueMedia } from '../utils/mediaQueue.js';
+
+// Mounted at /api/questions/:id, so both question and answer threads share these handlers
+const router = express.Router({ mergeParams: true });
+
+// Paths for question-level and answer-level comment threads
+const threadPaths = ['/comments', '/answers/:answerId/comments'];
+const commentPaths = ['/comments/:commentId', '/answers/:answerId/comments/:commentId'];
+
+// Load the question (and answer, for answer threads) the comment thread belongs to. Threads of
+// hidden posts exist only for moderators.
+const loadThread = async (req, res) => {
+  const question = mongoose.isValidObjectId(req.params.id) ? await Question.findById(req.params.id) : null;
+  const canModerate = isModerator(req.user);
+
+  if (!question || !question.isActive || (question.isHidden && !canModerate)) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  let answer = null;
+  if (req.params.answerId) {
+    answer = question.findAnswer(req.params.answerId);
+    if (!answer || (answer.isHidden && !canModerate)) {
+      res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+      return null;
+    }
+  }
+
+  return { question, answer };
+};
+
+// Load a comment that belongs to the thread in the URL
+const loadComment = async (req, res) => {
+  const { id, answerId, commentId } = req.params;
+  const validIds = [id, commentId, ...(answerId ? [answerId] : [])].every(value => mongoose.isValidObjectId(value));
+
+  const comment = validIds && await Comment.findOne({
+    _id: commentId,
+    question: id,
+    answer: answerId || null,
+    isActive: true
+  });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// Resolve @username mentions to user ids
+const resolveMentions = async (content) => {
+  const usernames = Comment.extractMentions(content);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: messages.join(', ')
+  });
+};
+
+// @route   GET /api/questions/:id/comments
+// @route   GET /api/questions/:id/answers/:answerId/comments
+// @desc    Get comments on a question or answer
+// @access  Public
+router.get(threadPaths, optionalAuth, async (req, res) => {
+  try {
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+
+    const query = {
+      question: thread.question._id,
+      answer: thread.answer ? thread.answer._id : null,
+      isActive: true
+    };
+    if (!isModerator(req.user)) {
+      query.isHidden = { $ne: true };
+    }
+
+    const comments = await Comment.find(query)
+      .populate('author', 'username avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      comments: comments.map(comment => withAttachmentUrls(comment.toObject()))
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching comments'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/comments
+// @route   POST /api/questions/:id/answers/:answerId/comments
+// @desc    Comment on a question or answer
+// @access  Private
+router.post(threadPaths, authenticateToken, acceptAttachments, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const thread = await loadThread(req, res);
+    if (!thread) return;
+
+    if (thread.question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    const attachments = await storeUploads(req.files, await Topic.attachmentPolicyFor(thread.question.topics));
+
+    const comment = new Comment({
+      content,
+      attachments,
+      author: req.user._id,
+      question: thread.question._id,
+      answer: thread.answer ? thread.answer._id : null,
+      mentions: await resolveMentions(content)
+    });
+
+    try {
+      await comment.save();
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
+    await enqueueMedia(attachments);
+    await comment.populate('author', 'username avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      comment: withAttachmentUrls(comment.toObject())
+    });
+
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding comment'
+    });
+  }
+});
+
+// @route   PUT /api/questions/:id/comments/:commentId
+// @route   PUT /api/questions/:id/answers/:answerId/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (Author only)
+router.put(commentPaths, authenticateToken, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    const question = await Question.findById(comment.question).select('isLocked');
+    if (question && question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    comment.content = content;
+    comment.mentions = await resolveMentions(content);
+    await comment.save();
+    await comment.populate('author', 'username avatar');
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: withAttachmentUrls(comment.toObject())
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating comment'
+    });
+  }
+});
+
+// @route   DELETE /api/questions/:id/comments/:commentId
+// @route   DELETE /api/questions/:id/answers/:answerId/comments/:commentId
+// @desc    Delete a comment (soft delete)
+// @access  Private (Author, Moderator or Admin)
+router.delete(commentPaths, authenticateToken, async (req, res) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    const isModerator = ['moderator', 'admin'].includes(req.user.role);
+
+    if (!isAuthor && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    // Moderators can still clean up locked questions
+    const question = await Question.findById(comment.question).select('isLocked');
+    if (!isModerator && question && question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    await comment.softDelete();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting comment'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/comments/:commentId/vote
+// @route   POST /api/questions/:id/answers/:answerId/comments/:commentId/vote
+// @desc    Toggle an upvote on a comment
+// @access  Private
+router.post(commentPaths.map(path => `${path}/vote`), authenticateToken, async (req, res) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    const question = await Question.findById(comment.question).select('isLocked');
+    if (question && question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    // Can't vote on own comment
+    if (comment.author.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot vote on your own comment'
+      });
+    }
+
+    const hasUpvoted = comment.toggleUpvote(req.user._id);
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: hasUpvoted ? 'Comment upvoted' : 'Upvote removed',
+      voteScore: comment.votes.upvotes.length,
+      userVote: hasUpvoted ? 'upvote' : null
+    });
+
+  } catch (error) {
+    console.error('Vote comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording vote'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import { subscribe, questionChannel } from '../utils/realtime.js';
+
+const router = express.Router();
+
+// @route   GET /api/events/questions
+// @desc    Stream question-created events for listing pages (SSE)
+// @access  Public
+router.get('/questions', (req, res) => {
+  subscribe('questions', req, res);
+});
+
+// @route   GET /api/events/questions/:id
+// @desc    Stream answer, vote and acceptance events for a question (SSE). EventSource requests carry
+//          no credentials, so deleted and hidden questions have no stream for anyone.
+// @access  Public
+router.get('/questions/:id', async (req, res) => {
+  try {
+    const question = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await Question.exists({ _id: req.params.id, isActive: true, isHidden: { $ne: true } });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    subscribe(questionChannel(req.params.id), req, res);
+  } catch (error) {
+    console.error('Subscribe to question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error subscribing to question'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { Buffer } from 'buffer';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ranking: hours since epoch of the latest activity, plus a boost that grows with
+// the log of engagement. A tenfold increase in engagement is worth ENGAGEMENT_HOURS of recency.
+const ENGAGEMENT_HOURS = 12;
+const ANSWER_WEIGHT = 2;
+
+const MAX_FEED_LIMIT = 50;
+
+// Cursors are opaque to clients: the score and id of the last item returned
+const encodeCursor = (item) =>
+  Buffer.from(JSON.stringify({ score: item.feedScore, id: item._id.toString() })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { score, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof score !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { score, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+const includesId = (ids, id) => ids.some(other => other.toString() === id.toString());
+
+// @route   GET /api/feed
+// @desc    Questions from followed topics, followed users and watched questions, ranked by recency and activity
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_FEED_LIMIT);
+    const { followedTopics, following, watchedQuestions } = req.user;
+
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const sources = [];
+    if (followedTopics.length > 0) sources.push({ topics: { $in: followedTopics } });
+    if (following.length > 0) sources.push({ author: { $in: following } });
+    if (watchedQuestions.length > 0) sources.push({ _id: { $in: watchedQuestions } });
+
+    if (sources.length === 0) {
+      return res.json({
+        success: true,
+        questions: [],
+        nextCursor: null,
+        hasMore: false
+      });
+    }
+
+    const pipeline = [
+      { $match: { isActive: true, isHidden: { $ne: true }, $or: sources } },
+      {
+        $addFields: {
+          engagement: {
+            $add: [
+              {
+                $multiply: [ANSWER_WEIGHT, {
+                  $size: {
+                    $filter: {
+                      input: '$answers',
+                      cond: { $and: [{ $ne: ['$$this.isActive', false] }, { $ne: ['$$this.isHidden', true] }] }
+                    }
+                  }
+                }]
+              },
+              { $max: [0, { $subtract: [{ $size: '$votes.upvotes' }, { $size: '$votes.downvotes' }] }] }
+            ]
+          }
+        }
+      },
+      {
+        $addFields: {
+          feedScore: {
+            $add: [
+              { $divide: [{ $toLong: { $max: ['$createdAt', '$lastActivity'] } }, HOUR_MS] },
+              { $multiply: [ENGAGEMENT_HOURS, { $log10: { $add: [1, '$engagement'] } }] }
+            ]
+          }
+        }
+      }
+    ];
+
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { feedScore: { $lt: after.score } },
+            { feedScore: after.score, _id: { $lt: after.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push(
+      { $sort: { feedScore: -1, _id: -1 } },
+      { $limit: limitNum + 1 },
+      { $project: { feedScore: 1 } }
+    );
+
+    const ranked = await Question.aggregate(pipeline);
+    const hasMore = ranked.length > limitNum;
+    const page = ranked.slice(0, limitNum);
+
+    const questions = await Question.find({ _id: { $in: page.map(item => item._id) } })
+      .populate('author', 'username avatar reputation')
+      .populate('topics', 'name slug color')
+      .populate('answers.author', 'username avatar')
+      .lean();
+    const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+
+    // Keep the ranked order and note why each question is in the feed
+    const questionsWithStats = page
+      .map(item => questionsById.get(item._id.toString()))
+      .filter(Boolean)
+      .map(question => {
+        const answers = question.answers.filter(answer => answer.isActive !== false && !answer.isHidden);
+        const feedReasons = [];
+        if (question.topics.some(topic => includesId(followedTopics, topic._id))) feedReasons.push('topic');
+        if (question.author && includesId(following, question.author._id)) feedReasons.push('user');
+        if (includesId(watchedQuestions, question._id)) feedReasons.push('watched');
+
+        return {
+          ...question,
+          answers,
+          voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
+          answerCount: answers.length,
+          hasAcceptedAnswer: answers.some(answer => answer.isAccepted),
+          feedReasons
+        };
+      });
+
+    res.json({
+      success: true,
+      questions: questionsWithStats,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    });
+
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching feed'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import path from 'path';
+import { getStorageDriver, verifyFileSignature } from '../utils/storage.js';
+
+const router = express.Router();
+
+// @route   GET /api/files/:storage/:key
+// @desc    Download an attachment held by a driver the API serves itself (disk, GridFS)
+// @access  Public (signed URL)
+router.get('/:storage/:key', async (req, res) => {
+  try {
+    const { storage, key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyFileSignature(storage, key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    const stream = await getStorageDriver(storage).get(key);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.set('Cache-Control', `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`);
+    stream.on('error', (error) => {
+      console.error('File download error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching file'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { renderMarkdown, renderInlineMarkdown } from '../utils/markdown.js';
+
+const router = express.Router();
+
+// @route   POST /api/markdown/preview
+// @desc    Render Markdown the same way it will be stored (inline for comments)
+// @access  Private
+router.post('/preview', authenticateToken, (req, res) => {
+  try {
+    const { content = '', inline = false } = req.body;
+
+    if (typeof content !== 'string' || content.length > 20000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content must be text of at most 20000 characters'
+      });
+    }
+
+    res.json({
+      success: true,
+      html: inline ? renderInlineMarkdown(content) : renderMarkdown(content)
+    });
+
+  } catch (error) {
+    console.error('Markdown preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rendering preview'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,364 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Flag, { FLAG_TARGET_TYPES, FLAG_REASONS } from '../models/Flag.js';
+import Question from '../models/Question.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import ReputationEvent from '../models/ReputationEvent.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Actions a moderator can take on each kind of flagged target.
+// Locking an answer or comment locks its question; locking a user suspends the account.
+const MODERATION_ACTIONS = {
+  question: ['dismiss', 'hide', 'delete', 'lock', 'warn'],
+  answer: ['dismiss', 'hide', 'delete', 'lock', 'warn'],
+  comment: ['dismiss', 'hide', 'delete', 'lock', 'warn'],
+  user: ['dismiss', 'lock', 'warn']
+};
+
+// Moderators can only suspend accounts of a lower role than their own
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const PREVIEW_LENGTH = 300;
+
+const truncate = (text = '') => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text);
+
+// Load a flaggable target. Returns null when it doesn't exist or was deleted.
+const loadTarget = async (targetType, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) return null;
+
+  switch (targetType) {
+    case 'question': {
+      const question = await Question.findById(targetId);
+      return question && question.isActive ? { question, targetUser: question.author } : null;
+    }
+    case 'answer': {
+      const question = await Question.findOne({ 'answers._id': targetId, isActive: true });
+      const answer = question && question.findAnswer(targetId);
+      return answer ? { question, answer, targetUser: answer.author } : null;
+    }
+    case 'comment': {
+      const comment = await Comment.findOne({ _id: targetId, isActive: true });
+      if (!comment) return null;
+      const question = await Question.findById(comment.question);
+      return question ? { question, comment, targetUser: comment.author } : null;
+    }
+    case 'user': {
+      const user = await User.findById(targetId);
+      return user ? { user, targetUser: user._id } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// @route   POST /api/moderation/flags
+// @desc    Flag a question, answer, comment or user for moderator review
+// @access  Private
+router.post('/flags', authenticateToken, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    if (!FLAG_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flag target'
+      });
+    }
+
+    const target = await loadTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged content not found'
+      });
+    }
+
+    if (target.targetUser.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: targetType === 'user' ? 'Cannot flag yourself' : 'Cannot flag your own content'
+      });
+    }
+
+    const existing = await Flag.findOne({ reporter: req.user._id, targetId, status: 'pending' });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already flagged this'
+      });
+    }
+
+    await Flag.create({
+      targetType,
+      targetId,
+      question: target.question ? target.question._id : null,
+      targetUser: target.targetUser,
+      reporter: req.user._id,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will review this'
+    });
+
+  } catch (error) {
+    console.error('Create flag error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating flag'
+    });
+  }
+});
+
+// @route   GET /api/moderation/queue
+// @desc    Pending flags grouped by target, most-flagged first
+// @access  Private (Moderator or Admin)
+router.get('/queue', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, targetType, reason } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const match = { status: 'pending' };
+    if (FLAG_TARGET_TYPES.includes(targetType)) match.targetType = targetType;
+    if (FLAG_REASONS.includes(reason)) match.reason = reason;
+
+    const [result] = await Flag.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          count: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          details: { $push: '$details' },
+          question: { $first: '$question' },
+          targetUser: { $first: '$targetUser' },
+          firstFlaggedAt: { $min: '$createdAt' },
+          lastFlaggedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastFlaggedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const groups = result.items;
+    const total = result.total[0]?.count || 0;
+
+    // Load what each flag points at, for previews and current state
+    const idsOf = (type) => groups.filter(group => group._id.targetType === type).map(group => group._id.targetId);
+    const [questions, comments, users] = await Promise.all([
+      Question.find({ _id: { $in: groups.map(group => group.question).filter(Boolean) } })
+        .select('title description answers._id answers.content answers.isHidden answers.isActive isHidden isLocked isActive')
+        .lean(),
+      Comment.find({ _id: { $in: idsOf('comment') } }).select('content isHidden isActive').lean(),
+      User.find({ _id: { $in: groups.map(group => group.targetUser) } })
+        .select('username avatar reputation isActive warnings')
+        .lean()
+    ]);
+    const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+    const questionsById = byId(questions);
+    const commentsById = byId(comments);
+    const usersById = byId(users);
+
+    const items = groups.map(group => {
+      const { targetType: type, targetId } = group._id;
+      const question = group.question && questionsById.get(group.question.toString());
+      const user = usersById.get(group.targetUser.toString());
+
+      let preview = '';
+      let state = {};
+      if (type === 'question' && question) {
+        preview = truncate(question.description);
+        state = { isHidden: question.isHidden, isLocked: question.isLocked, isActive: question.isActive };
+      } else if (type === 'answer' && question) {
+        const answer = question.answers.find(candidate => candidate._id.toString() === targetId.toString());
+        preview = truncate(answer?.content);
+        state = { isHidden: !!answer?.isHidden, isLocked: question.isLocked, isActive: answer?.isActive !== false };
+      } else if (type === 'comment') {
+        const comment = commentsById.get(targetId.toString());
+        preview = truncate(comment?.content);
+        state = { isHidden: !!comment?.isHidden, isLocked: !!question?.isLocked, isActive: !!comment?.isActive };
+      } else if (type === 'user' && user) {
+        state = { isActive: user.isActive };
+      }
+
+      const reasons = {};
+      group.reasons.forEach(flagReason => {
+        reasons[flagReason] = (reasons[flagReason] || 0) + 1;
+      });
+
+      return {
+        targetType: type,
+        targetId,
+        count: group.count,
+        reasons,
+        details: group.details.filter(Boolean).slice(0, 5),
+        firstFlaggedAt: group.firstFlaggedAt,
+        lastFlaggedAt: group.lastFlaggedAt,
+        question: question ? { _id: question._id, title: question.title } : null,
+        targetUser: user ? {
+          _id: user._id,
+          username: user.username,
+          avatar: user.avatar,
+          reputation: user.reputation,
+          isActive: user.isActive,
+          warningCount: user.warnings ? user.warnings.length : 0
+        } : null,
+        preview,
+        state,
+        actions: MODERATION_ACTIONS[type]
+      };
+    });
+
+    res.json({
+      success: true,
+      items,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching moderation queue'
+    });
+  }
+});
+
+// @route   POST /api/moderation/queue/:targetType/:targetId
+// @desc    Act on a flagged target (dismiss, hide, delete, lock or warn) and resolve its flags
+// @access  Private (Moderator or Admin)
+router.post('/queue/:targetType/:targetId', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, note = '' } = req.body;
+
+    if (!MODERATION_ACTIONS[targetType] || !MODERATION_ACTIONS[targetType].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid moderation action'
+      });
+    }
+
+    if (typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be text'
+      });
+    }
+
+    const target = action === 'dismiss' ? null : await loadTarget(targetType, targetId);
+    if (action !== 'dismiss' && !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged content not found'
+      });
+    }
+
+    switch (action) {
+      case 'hide':
+        (target.answer || target.comment || target.question).isHidden = true;
+        await (target.comment || target.question).save();
+        break;
+
+      case 'delete':
+        if (target.comment) {
+          await target.comment.softDelete();
+        } else if (target.answer) {
+          const wasAccepted = target.answer.isAccepted;
+          if (wasAccepted) {
+            target.question.unacceptAnswer();
+          }
+          await target.question.softDeleteAnswer(target.answer);
+          if (wasAccepted) {
+            await ReputationEvent.reverseAcceptance(target.question, target.answer, req.user._id);
+          }
+        } else {
+          await target.question.softDelete();
+        }
+        break;
+
+      case 'lock':
+        if (target.user) {
+          if (ROLE_RANK[target.user.role] >= ROLE_RANK[req.user.role]) {
+            return res.status(403).json({
+              success: false,
+              message: 'You cannot suspend a user whose role is equal to or higher than yours'
+            });
+          }
+          target.user.isActive = false;
+          await target.user.save();
+        } else {
+          target.question.setLocked(true, req.user._id);
+          await target.question.save();
+        }
+        break;
+
+      case 'warn': {
+        const reasons = await Flag.distinct('reason', { targetType, targetId, status: 'pending' });
+        const message = note.trim() || `Your ${targetType === 'user' ? 'account' : targetType} was reported for: ${reasons.join(', ')}`;
+
+        await User.findByIdAndUpdate(target.targetUser, {
+          $push: { warnings: { reason: message, issuedBy: req.user._id } }
+        });
+        await Notification.notify({
+          recipient: target.targetUser,
+          actor: req.user._id,
+          type: 'warning',
+          question: target.question ? target.question._id : undefined,
+          answer: target.answer ? target.answer._id : undefined,
+          message
+        });
+        break;
+      }
+    }
+
+    const result = await Flag.resolveTarget(targetType, targetId, {
+      status: action === 'dismiss' ? 'dismissed' : 'actioned',
+      resolution: action,
+      moderator: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: action === 'dismiss' ? 'Flags dismissed' : `Action "${action}" applied`,
+      resolved: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Moderation action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying moderation action'
+    });
+  }
+});
+
+export default router;
@@ -1,48 +1,152 @@
 import express from 'express';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import Question from '../models/Question.js';
+import mongoose from 'mongoose';
+import Question, { CLOSE_REASONS, CLOSE_VOTE_REPUTATION, CLOSE_VOTES_REQUIRED } from '../models/Question.js';
 import Topic from '../models/Topic.js';
+import Tag, { MAX_TAGS } from '../models/Tag.js';
 import User from '../models/User.js';
-import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import ReputationEvent, { ACCEPT_POINTS } from '../models/ReputationEvent.js';
+import Comment from '../models/Comment.js';
+import Revision from '../models/Revision.js';
+import Notification from '../models/Notification.js';
+import { authenticateToken, optionalAuth, requireModerator, isModerator } from '../middleware/auth.js';
+import { acceptAttachments } from '../middleware/upload.js';
+import { publish, questionChannel } from '../utils/realtime.js';
+import { parseSearchQuery, escapeRegex, highlight, snippet } from '../utils/search.js';
+import { removeAttachments, withAttachmentUrls } from '../utils/storage.js';
+import { AttachmentError, MAX_ATTACHMENTS, storeUploads, describePolicy } from '../utils/attachments.js';
+import { enqueueMedia } from '../utils/mediaQueue.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = 'uploads/';
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// Snapshots of the editable content, stored as revisions
+const questionSnapshot = (question) => ({
+  title: question.title,
+  body: question.description,
+  tags: [...question.tags],
+  topics: question.topics.map(topic => topic._id || topic),
+  attachments: question.attachments.map(attachment => attachment.originalName)
+});
+
+const answerSnapshot = (answer) => ({
+  title: '',
+  body: answer.content,
+  tags: []
 });
 
-// File filter for images and videos
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|mp4|mov|avi|webm|mkv/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-  
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only images (JPEG, JPG, PNG, GIF) and videos (MP4, MOV, AVI, WEBM, MKV) are allowed'));
+// Topic ids for the topics sent with a question form: slugs or names, as an array or,
+// from multipart forms, a JSON string of one
+const resolveTopicIds = async (topics) => {
+  let topicsArray = [];
+  try {
+    topicsArray = typeof topics === 'string' ? JSON.parse(topics) : topics;
+  } catch {
+    // If parsing fails, treat as single topic
+    topicsArray = [topics];
+  }
+
+  if (!Array.isArray(topicsArray) || topicsArray.length === 0) {
+    return [];
+  }
+  const topicDocs = await Topic.find({
+    slug: { $in: topicsArray.map(t => String(t).toLowerCase().replace(/\s+/g, '-')) }
+  });
+  return topicDocs.map(topic => topic._id);
+};
+
+// Canonical tags (synonyms replaced, see models/Tag.js) for tags sent as a comma-separated string
+// or an array, limited to MAX_TAGS
+const resolveTags = async (tags) => (
+  await Tag.canonicalize(Array.isArray(tags) ? tags : String(tags).split(','))
+).slice(0, MAX_TAGS);
+
+// Ids sent as an array or, from multipart forms, a JSON string of one
+const parseIdList = (ids) => {
+  try {
+    const list = typeof ids === 'string' ? JSON.parse(ids) : ids;
+    return Array.isArray(list) ? list.map(String) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Moderators close and reopen immediately; other users above the threshold cast votes
+const canVoteToClose = (user) => isModerator(user) || (!!user && user.reputation >= CLOSE_VOTE_REPUTATION);
+
+const lifecyclePopulate = [
+  { path: 'duplicateOf', select: 'title' },
+  { path: 'closure.closedBy', select: 'username' },
+  { path: 'lockedBy', select: 'username' }
+];
+
+// Close, duplicate and lock state of a question as seen by the given user
+// (expects the fields in lifecyclePopulate to be populated)
+const lifecycleState = (question, user) => {
+  const userId = user ? user._id.toString() : null;
+
+  return {
+    isClosed: question.isClosed,
+    closure: question.closure,
+    duplicateOf: question.duplicateOf,
+    isLocked: question.isLocked,
+    lockedBy: question.lockedBy,
+    lockedAt: question.lockedAt,
+    closeVoteCount: question.closeVotes.length,
+    reopenVoteCount: question.reopenVotes.length,
+    closeVotesRequired: CLOSE_VOTES_REQUIRED,
+    hasVotedToClose: !!userId && question.closeVotes.some(vote => vote.user.toString() === userId),
+    hasVotedToReopen: !!userId && question.reopenVotes.some(id => id.toString() === userId),
+    canClose: canVoteToClose(user)
+  };
+};
+
+// Admins pin globally and in any topic; topic moderators pin inside their own topics
+const canPinIn = (user, topic) => !!user && (
+  user.role === 'admin' ||
+  (!!topic && topic.moderators.some(id => id.toString() === user._id.toString()))
+);
+
+// Load the question and pin scope (a topic slug, or global when omitted) for the pin routes.
+// Sends the error response and returns null when the user can't pin there.
+const loadPinTarget = async (req, res, topicSlug) => {
+  const question = await Question.findById(req.params.id);
+
+  if (!question || !question.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  let topic = null;
+  if (topicSlug) {
+    topic = await Topic.findOne({ slug: topicSlug, isActive: true });
+
+    if (!topic || !question.topics.some(id => id.equals(topic._id))) {
+      res.status(404).json({
+        success: false,
+        message: 'Question is not in this topic'
+      });
+      return null;
+    }
+  }
+
+  if (!canPinIn(req.user, topic)) {
+    res.status(403).json({
+      success: false,
+      message: topic ? 'Only topic moderators can pin questions in this topic' : 'Admin access required'
+    });
+    return null;
   }
+
+  return { question, topic };
 };
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
-  },
-  fileFilter: fileFilter
+// Pin fields returned after pinning or unpinning
+const pinState = (question) => ({
+  isPinned: question.isPinned,
+  pinnedUntil: question.pinnedUntil,
+  topicPins: question.topicPins
 });
 
 // @route   GET /api/questions
@@ -64,13 +168,18 @@ router.get('/', optionalAuth, async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Build query
-    let query = { isActive: true };
+    // Build query (content hidden by moderators is never listed)
+    let query = { isActive: true, isHidden: { $ne: true } };
+
+    // Home listings show global pins first, topic listings the topic's pins
+    let pinFilter = topic ? null : Question.pinnedFilter();
 
     if (topic) {
       const topicDoc = await Topic.findOne({ slug: topic });
       if (topicDoc) {
-        query.topics = topicDoc._id;
+        // Slugs of merged topics list the questions of the topic they were merged into
+        query.topics = topicDoc.mergedInto || topicDoc._id;
+        pinFilter = Question.pinnedFilter(query.topics);
       }
     }
 
@@ -82,8 +191,8 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 
     if (search) {
-      // Use regex for partial matching instead of text search
-      const searchRegex = new RegExp(search, 'i'); // case-insensitive
+      // Partial matching for the listing filter; /search is the ranked full-text endpoint
+      const searchRegex = new RegExp(escapeRegex(search), 'i'); // case-insensitive
       query.$or = [
         { title: searchRegex },
         { description: searchRegex },
@@ -92,8 +201,7 @@ router.get('/', optionalAuth, async (req, res) => {
     }
 
     if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-      query.tags = { $in: tagArray };
+      query.tags = { $in: await Tag.canonicalize(tags.split(',')) };
     }
 
     // Build sort
@@ -116,26 +224,44 @@ router.get('/', optionalAuth, async (req, res) => {
         sort = { lastActivity: -1 };
     }
 
-    // Execute query
-    const questions = await Question.find(query)
+    const findQuestions = (filter, skipCount, limitCount) => Question.find(filter)
       .populate('author', 'username avatar reputation')
       .populate('topics', 'name slug color')
       .populate('answers.author', 'username avatar')
       .sort(sort)
-      .skip(skip)
-      .limit(limitNum)
+      .skip(skipCount)
+      .limit(limitCount)
       .lean();
 
-    // Get total count for pagination
-    const total = await Question.countDocuments(query);
+    // Pinned questions come first: page through them, then through the rest
+    const pinnedQuery = pinFilter ? { $and: [query, pinFilter] } : null;
+    const listQuery = pinFilter ? { $and: [query, { $nor: [pinFilter] }] } : query;
+    const pinnedTotal = pinnedQuery ? await Question.countDocuments(pinnedQuery) : 0;
+
+    const pinnedQuestions = skip < pinnedTotal ? await findQuestions(pinnedQuery, skip, limitNum) : [];
+    const remaining = limitNum - pinnedQuestions.length;
+    const listedQuestions = remaining > 0
+      ? await findQuestions(listQuery, Math.max(0, skip - pinnedTotal), remaining)
+      : [];
+    const questions = [
+      ...pinnedQuestions.map(question => ({ ...question, pinned: true })),
+      ...listedQuestions
+    ];
 
-    // Add computed fields
-    const questionsWithStats = questions.map(question => ({
-      ...question,
-      voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
-      answerCount: question.answers.length,
-      hasAcceptedAnswer: question.answers.some(answer => answer.isAccepted)
-    }));
+    // Get total count for pagination
+    const total = pinnedTotal + await Question.countDocuments(listQuery);
+
+    // Add computed fields (deleted and hidden answers excluded)
+    const questionsWithStats = questions.map(question => {
+      const answers = question.answers.filter(answer => answer.isActive !== false && !answer.isHidden);
+      return {
+        ...question,
+        answers,
+        voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
+        answerCount: answers.length,
+        hasAcceptedAnswer: answers.some(answer => answer.isAccepted)
+      };
+    });
 
     res.json({
       success: true,
@@ -158,6 +284,237 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// Date range facets for search, in days
+const SEARCH_DATE_RANGES = { day: 1, week: 7, month: 30, year: 365 };
+
+// Match questions with at least one answer that hasn't been deleted
+const hasActiveAnswer = { $elemMatch: { isActive: { $ne: false } } };
+
+// @route   GET /api/questions/search
+// @desc    Full-text search with relevance ranking, facets and highlighted snippets
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const {
+      q = '',
+      page = 1,
+      limit = 10,
+      sort = 'relevance',
+      topic,
+      tag,
+      answered,
+      date
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const skip = (pageNum - 1) * limitNum;
+
+    const parsed = parseSearchQuery(String(q).slice(0, 500));
+    const hasText = Boolean(parsed.text);
+
+    // Operators typed in the query and facet filters picked on the results page combine
+    const tags = await Tag.canonicalize([...parsed.tags, ...(tag ? [String(tag)] : [])]);
+    const topicSlugs = [...new Set([...parsed.topics, ...(topic ? [String(topic).toLowerCase()] : [])])];
+    const states = [...parsed.is, ...(answered ? [String(answered).toLowerCase()] : [])];
+
+    if (!hasText && tags.length === 0 && topicSlugs.length === 0 && parsed.users.length === 0 && states.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    const match = { isActive: true, isHidden: { $ne: true } };
+    const conditions = [];
+
+    if (hasText) {
+      match.$text = { $search: parsed.text };
+    }
+
+    if (tags.length > 0) {
+      match.tags = { $all: tags };
+    }
+
+    if (parsed.users.length > 0) {
+      const users = await User.find({
+        username: { $in: parsed.users.map(username => new RegExp(`^${escapeRegex(username)}$`, 'i')) }
+      }).select('_id');
+      match.author = { $in: users.map(user => user._id) };
+    }
+
+    if (topicSlugs.length > 0) {
+      const topics = await Topic.find({ slug: { $in: topicSlugs } }).select('_id mergedInto');
+      // Every requested topic must exist, otherwise nothing can match
+      match.topics = topics.length === topicSlugs.length
+        ? { $all: topics.map(topicDoc => topicDoc.mergedInto || topicDoc._id) }
+        : { $in: [] };
+    }
+
+    states.forEach(state => {
+      switch (state) {
+        case 'answered':
+          conditions.push({ answers: hasActiveAnswer });
+          break;
+        case 'unanswered':
+          conditions.push({ answers: { $not: hasActiveAnswer } });
+          break;
+        case 'accepted':
+        case 'resolved':
+          conditions.push({ answers: { $elemMatch: { isAccepted: true, isActive: { $ne: false } } } });
+          break;
+      }
+    });
+    if (conditions.length > 0) {
+      match.$and = conditions;
+    }
+
+    if (SEARCH_DATE_RANGES[date]) {
+      match.createdAt = { $gte: new Date(Date.now() - SEARCH_DATE_RANGES[date] * 24 * 60 * 60 * 1000) };
+    }
+
+    // Build sort (relevance needs free text to rank by)
+    let sortStage;
+    switch (sort) {
+      case 'recent':
+        sortStage = { createdAt: -1 };
+        break;
+      case 'votes':
+        sortStage = { voteScore: -1, createdAt: -1 };
+        break;
+      default:
+        sortStage = hasText ? { score: -1, createdAt: -1 } : { createdAt: -1 };
+    }
+
+    const since = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+    const answerCount = { $size: '$activeAnswers' };
+    const isAccepted = { $in: [true, '$activeAnswers.isAccepted'] };
+
+    const [result] = await Question.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          ...(hasText && { score: { $meta: 'textScore' } }),
+          voteScore: {
+            $subtract: [
+              { $size: { $ifNull: ['$votes.upvotes', []] } },
+              { $size: { $ifNull: ['$votes.downvotes', []] } }
+            ]
+          },
+          activeAnswers: {
+            $filter: { input: { $ifNull: ['$answers', []] }, cond: { $ne: ['$$this.isActive', false] } }
+          }
+        }
+      },
+      {
+        $facet: {
+          results: [
+            { $sort: sortStage },
+            { $skip: skip },
+            { $limit: limitNum },
+            {
+              $project: {
+                title: 1,
+                description: 1,
+                author: 1,
+                topics: 1,
+                tags: 1,
+                views: 1,
+                createdAt: 1,
+                score: 1,
+                voteScore: 1,
+                answerCount,
+                hasAcceptedAnswer: isAccepted
+              }
+            }
+          ],
+          total: [{ $count: 'count' }],
+          topics: [
+            { $unwind: '$topics' },
+            { $group: { _id: '$topics', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+            { $lookup: { from: 'topics', localField: '_id', foreignField: '_id', as: 'topic' } },
+            { $unwind: '$topic' },
+            { $project: { _id: 0, slug: '$topic.slug', name: '$topic.name', color: '$topic.color', count: 1 } }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 15 },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+          ],
+          answered: [
+            {
+              $group: {
+                _id: null,
+                answered: countIf({ $gt: [answerCount, 0] }),
+                unanswered: countIf({ $eq: [answerCount, 0] }),
+                accepted: countIf(isAccepted)
+              }
+            },
+            { $project: { _id: 0 } }
+          ],
+          dates: [
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(Object.entries(SEARCH_DATE_RANGES).map(([range, days]) => (
+                  [range, countIf({ $gte: ['$createdAt', since(days)] })]
+                )))
+              }
+            },
+            { $project: { _id: 0 } }
+          ]
+        }
+      }
+    ]);
+
+    await Question.populate(result.results, [
+      { path: 'author', select: 'username avatar reputation' },
+      { path: 'topics', select: 'name slug color' }
+    ]);
+
+    // Negated words (-word) are excluded by $text, so don't highlight them
+    const terms = [...parsed.phrases, ...parsed.words.filter(word => !word.startsWith('-'))];
+    const results = result.results.map(({ description, ...question }) => ({
+      ...question,
+      titleHtml: highlight(question.title, terms),
+      snippet: snippet(description, terms)
+    }));
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      query: parsed,
+      results,
+      facets: {
+        topics: result.topics,
+        tags: result.tags,
+        answered: result.answered[0] || { answered: 0, unanswered: 0, accepted: 0 },
+        dates: result.dates[0] || Object.fromEntries(Object.keys(SEARCH_DATE_RANGES).map(range => [range, 0]))
+      },
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Search questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching questions'
+    });
+  }
+});
+
 // @route   GET /api/questions/:id
 // @desc    Get single question by ID
 // @access  Public
@@ -165,12 +522,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const question = await Question.findById(req.params.id)
       .populate('author', 'username avatar reputation createdAt')
-      .populate('topics', 'name slug color')
+      .populate('topics', 'name slug color moderators')
       .populate('answers.author', 'username avatar reputation')
       .populate('votes.upvotes', 'username')
-      .populate('votes.downvotes', 'username');
+      .populate('votes.downvotes', 'username')
+      .populate(lifecyclePopulate);
 
-    if (!question || !question.isActive) {
+    // Moderators can still open hidden content to review it
+    const canModerate = isModerator(req.user);
+
+    if (!question || !question.isActive || (question.isHidden && !canModerate)) {
       return res.status(404).json({
         success: false,
         message: 'Question not found'
@@ -182,17 +543,43 @@ router.get('/:id', optionalAuth, async (req, res) => {
       await question.incrementViews(req.user._id);
     }
 
+    // Attach comment threads to the question and each answer
+    const commentQuery = { question: question._id, isActive: true };
+    if (!canModerate) {
+      commentQuery.isHidden = { $ne: true };
+    }
+    const comments = await Comment.find(commentQuery)
+      .populate('author', 'username avatar')
+      .sort({ createdAt: 1 })
+      .lean();
+    const commentsFor = (answerId) => comments.filter(comment =>
+      answerId ? comment.answer && comment.answer.toString() === answerId.toString() : !comment.answer
+    ).map(withAttachmentUrls);
+    const { closeVotes: _closeVotes, reopenVotes: _reopenVotes, ...questionObject } = question.toObject();
+    questionObject.answers = questionObject.answers
+      .filter(answer => answer.isActive !== false && (canModerate || !answer.isHidden))
+      .map(answer => ({
+        ...withAttachmentUrls(answer),
+        comments: commentsFor(answer._id)
+      }));
+
     // Add computed fields
     const questionWithStats = {
-      ...question.toObject(),
+      ...withAttachmentUrls(questionObject),
+      ...lifecycleState(question, req.user),
+      canPinGlobally: canPinIn(req.user, null),
+      pinnableTopics: question.topics.filter(topic => canPinIn(req.user, topic)).map(topic => topic._id),
+      attachmentPolicy: describePolicy(await Topic.attachmentPolicyFor(question.topics.map(topic => topic._id))),
+      comments: commentsFor(null),
       voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
-      answerCount: question.answers.length,
-      hasAcceptedAnswer: question.answers.some(answer => answer.isAccepted),
+      answerCount: questionObject.answers.length,
+      hasAcceptedAnswer: questionObject.answers.some(answer => answer.isAccepted),
       userVote: req.user ? (
         question.votes.upvotes.some(vote => vote._id.toString() === req.user._id.toString()) ? 'upvote' :
         question.votes.downvotes.some(vote => vote._id.toString() === req.user._id.toString()) ? 'downvote' :
         null
-      ) : null
+      ) : null,
+      isWatching: req.user ? req.user.watchedQuestions.some(id => id.toString() === question._id.toString()) : false
     };
 
     res.json({
@@ -212,7 +599,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @route   POST /api/questions
 // @desc    Create a new question
 // @access  Private
-router.post('/', authenticateToken, upload.array('attachments', 5), async (req, res) => {
+router.post('/', authenticateToken, acceptAttachments, async (req, res) => {
   try {
     const { title, description, topics, tags } = req.body;
 
@@ -224,56 +611,11 @@ router.post('/', authenticateToken, upload.array('attachments', 5), async (req,
       });
     }
 
-    // Process topics
-    let topicIds = [];
-    if (topics) {
-      let topicsArray = [];
-      try {
-        // If topics is a JSON string, parse it
-        topicsArray = typeof topics === 'string' ? JSON.parse(topics) : topics;
-      } catch (e) {
-        // If parsing fails, treat as single topic
-        topicsArray = [topics];
-      }
-      
-      if (Array.isArray(topicsArray) && topicsArray.length > 0) {
-        const topicDocs = await Topic.find({ 
-          slug: { $in: topicsArray.map(t => t.toLowerCase().replace(/\s+/g, '-')) }
-        });
-        topicIds = topicDocs.map(topic => topic._id);
-      }
-    }
-
-    // Process tags
-    let processedTags = [];
-    if (tags) {
-      if (Array.isArray(tags)) {
-        // If tags is already an array
-        processedTags = tags
-          .map(tag => tag.trim().toLowerCase())
-          .filter(tag => tag.length > 0)
-          .slice(0, 10); // Limit to 10 tags
-      } else {
-        // If tags is a string
-        processedTags = tags
-          .split(',')
-          .map(tag => tag.trim().toLowerCase())
-          .filter(tag => tag.length > 0)
-          .slice(0, 10); // Limit to 10 tags
-      }
-    }
+    const topicIds = topics ? await resolveTopicIds(topics) : [];
+    const processedTags = tags ? await resolveTags(tags) : [];
 
     // Process file attachments
-    let attachments = [];
-    if (req.files && req.files.length > 0) {
-      attachments = req.files.map(file => ({
-        filename: file.filename,
-        originalName: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size,
-        path: file.path
-      }));
-    }
+    const attachments = await storeUploads(req.files, await Topic.attachmentPolicyFor(topicIds));
 
     // Create question
     const question = new Question({
@@ -285,11 +627,19 @@ router.post('/', authenticateToken, upload.array('attachments', 5), async (req,
       attachments: attachments
     });
 
-    await question.save();
+    try {
+      await question.save();
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
+    await enqueueMedia(attachments);
+    await Tag.updateUsage([], question.tags);
 
     // Update user's question count
     await User.findByIdAndUpdate(req.user._id, {
-      $inc: { questionsAsked: 1 }
+      $inc: { questionsAsked: 1 },
+      $addToSet: { watchedQuestions: question._id }
     });
 
     // Update topic question counts
@@ -305,6 +655,14 @@ router.post('/', authenticateToken, upload.array('attachments', 5), async (req,
       .populate('author', 'username avatar reputation')
       .populate('topics', 'name slug color');
 
+    publish('questions', 'question-created', {
+      questionId: populatedQuestion._id,
+      title: populatedQuestion.title,
+      author: populatedQuestion.author?.username,
+      topics: populatedQuestion.topics.map(topic => topic.slug),
+      tags: populatedQuestion.tags
+    });
+
     res.status(201).json({
       success: true,
       message: 'Question created successfully',
@@ -312,6 +670,13 @@ router.post('/', authenticateToken, upload.array('attachments', 5), async (req,
     });
 
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create question error:', error);
     
     if (error.name === 'ValidationError') {
@@ -330,9 +695,10 @@ router.post('/', authenticateToken, upload.array('attachments', 5), async (req,
 });
 
 // @route   PUT /api/questions/:id
-// @desc    Update a question
+// @desc    Update a question: content, topics and attachments. Multipart when files are added;
+//          removeAttachments lists the ids of attachments to drop.
 // @access  Private (Author only)
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, acceptAttachments, async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
 
@@ -351,43 +717,121 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const { title, description, topics, tags } = req.body;
+    const { title, description, topics, tags, removeAttachments: removedIds } = req.body;
+
+    const previous = questionSnapshot(question);
+    const previousTopics = [...question.topics];
+    const previousTags = [...question.tags];
 
     // Update fields
     if (title) question.title = title;
     if (description) question.description = description;
+    if (topics !== undefined) question.topics = await resolveTopicIds(topics);
+    if (tags !== undefined) question.tags = await resolveTags(tags);
 
-    // Process topics
-    if (topics) {
-      const topicDocs = await Topic.find({ 
-        slug: { $in: topics.map(t => t.toLowerCase().replace(/\s+/g, '-')) }
+    // Drop the attachments asked for, then add the uploads, checked against the policy of the new topics
+    const dropIds = parseIdList(removedIds);
+    const dropped = question.attachments
+      .filter(attachment => dropIds.includes(attachment._id.toString()))
+      .map(attachment => attachment.toObject());
+    question.attachments = question.attachments.filter(attachment => !dropIds.includes(attachment._id.toString()));
+
+    if (question.attachments.length + (req.files?.length || 0) > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_ATTACHMENTS} files can be attached`
       });
-      question.topics = topicDocs.map(topic => topic._id);
+    }
+    const added = await storeUploads(req.files, await Topic.attachmentPolicyFor(question.topics));
+    question.attachments.push(...added);
+
+    // Keep a revision whenever the visible content changes
+    const current = questionSnapshot(question);
+    const isEdited = JSON.stringify(previous) !== JSON.stringify(current);
+    if (isEdited) {
+      question.editedAt = new Date();
+      question.editedBy = req.user._id;
     }
 
-    // Process tags
-    if (tags !== undefined) {
-      question.tags = tags
-        .split(',')
-        .map(tag => tag.trim().toLowerCase())
-        .filter(tag => tag.length > 0)
-        .slice(0, 10);
+    try {
+      await question.save();
+    } catch (error) {
+      await removeAttachments(added);
+      throw error;
     }
+    await removeAttachments(dropped);
+    await enqueueMedia(added);
+    await Topic.moveQuestion(previousTopics, question.topics);
+    await Tag.updateUsage(previousTags, question.tags);
+
+    if (isEdited) {
+      await Revision.recordEdit({
+        question: question._id,
+        editor: req.user._id,
+        originalAuthor: question.author,
+        originalDate: question.createdAt,
+        previous,
+        current
+      });
 
-    await question.save();
+      // Tell the asker (when someone else edited) and everyone who answered
+      const recipients = new Set([
+        question.author,
+        ...question.answers.filter(answer => answer.isActive !== false).map(answer => answer.author)
+      ].map(String));
+      await Promise.all([...recipients].map(recipient => Notification.notify({
+        recipient,
+        actor: req.user._id,
+        type: 'edit',
+        question: question._id
+      })));
+    }
 
     const updatedQuestion = await Question.findById(question._id)
       .populate('author', 'username avatar reputation')
       .populate('topics', 'name slug color');
+    const updated = withAttachmentUrls(updatedQuestion.toObject());
+
+    // Votes and answers have their own events, so only the edited content goes out. Hidden questions
+    // may still have subscribers from before they were hidden, so their edits aren't sent.
+    if (isEdited && !question.isHidden) {
+      publish(questionChannel(question._id), 'question-edited', {
+        question: {
+          title: updated.title,
+          description: updated.description,
+          descriptionHtml: updated.descriptionHtml,
+          tags: updated.tags,
+          topics: updated.topics,
+          attachments: updated.attachments,
+          editedAt: updated.editedAt
+        }
+      });
+    }
 
     res.json({
       success: true,
       message: 'Question updated successfully',
-      question: updatedQuestion
+      question: updated
     });
 
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update question error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error updating question'
@@ -402,7 +846,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
 
-    if (!question) {
+    if (!question || !question.isActive) {
       return res.status(404).json({
         success: false,
         message: 'Question not found'
@@ -417,22 +861,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Soft delete
-    question.isActive = false;
-    await question.save();
-
-    // Update user's question count
-    await User.findByIdAndUpdate(question.author, {
-      $inc: { questionsAsked: -1 }
-    });
-
-    // Update topic question counts
-    if (question.topics.length > 0) {
-      await Topic.updateMany(
-        { _id: { $in: question.topics } },
-        { $inc: { questionCount: -1 } }
-      );
-    }
+    await question.softDelete();
 
     res.json({
       success: true,
@@ -464,13 +893,20 @@ router.post('/:id/vote', authenticateToken, async (req, res) => {
 
     const question = await Question.findById(req.params.id);
 
-    if (!question || !question.isActive) {
+    if (!question || !question.isActive || (question.isHidden && !isModerator(req.user))) {
       return res.status(404).json({
         success: false,
         message: 'Question not found'
       });
     }
 
+    if (question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
     // Can't vote on own question
     if (question.author.toString() === req.user._id.toString()) {
       return res.status(400).json({
@@ -479,10 +915,21 @@ router.post('/:id/vote', authenticateToken, async (req, res) => {
       });
     }
 
-    await question.vote(req.user._id, voteType);
+    const previousVote = await question.vote(req.user._id, voteType);
+
+    if (voteType === 'upvote' && previousVote !== 'upvote') {
+      await Notification.notify({
+        recipient: question.author,
+        actor: req.user._id,
+        type: 'upvote',
+        question: question._id
+      });
+    }
 
     const voteScore = question.votes.upvotes.length - question.votes.downvotes.length;
 
+    publish(questionChannel(question._id), 'question-voted', { voteScore });
+
     res.json({
       success: true,
       message: 'Vote recorded successfully',
@@ -499,100 +946,510 @@ router.post('/:id/vote', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/questions/:id/answers
-// @desc    Add an answer to a question
+// @route   POST /api/questions/:id/watch
+// @desc    Watch a question so its activity appears in the feed
 // @access  Private
-router.post('/:id/answers', authenticateToken, async (req, res) => {
+router.post('/:id/watch', authenticateToken, async (req, res) => {
   try {
-    const { content } = req.body;
-    const questionId = req.params.id;
-    const userId = req.user._id;
+    const question = await Question.findById(req.params.id).select('isActive');
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ message: 'Answer content is required' });
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
     }
 
-    const question = await Question.findById(questionId);
-    if (!question) {
-      return res.status(404).json({ message: 'Question not found' });
-    }
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { watchedQuestions: question._id }
+    });
 
-    const newAnswer = {
-      content: content.trim(),
-      author: userId,
-      createdAt: new Date(),
-      votes: 0,
-      isAccepted: false
-    };
+    res.json({
+      success: true,
+      message: 'Question watched',
+      isWatching: true
+    });
 
-    question.answers.push(newAnswer);
-    await question.save();
+  } catch (error) {
+    console.error('Watch question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error watching question'
+    });
+  }
+});
 
-    // Populate the new answer with author details
-    await question.populate('answers.author', 'username avatar');
-    const addedAnswer = question.answers[question.answers.length - 1];
+// @route   DELETE /api/questions/:id/watch
+// @desc    Stop watching a question
+// @access  Private
+router.delete('/:id/watch', authenticateToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { watchedQuestions: req.params.id }
+    });
 
-    res.status(201).json({
-      message: 'Answer added successfully',
-      answer: addedAnswer
+    res.json({
+      success: true,
+      message: 'Question unwatched',
+      isWatching: false
     });
+
   } catch (error) {
-    console.error('Error adding answer:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Unwatch question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unwatching question'
+    });
   }
 });
 
-// @route   POST /api/questions/:id/answers/:answerId/vote
-// @desc    Vote on an answer
+// @route   POST /api/questions/:id/close
+// @desc    Close a question (moderators) or cast a close vote (users above the reputation threshold)
 // @access  Private
-router.post('/:id/answers/:answerId/vote', authenticateToken, async (req, res) => {
+router.post('/:id/close', authenticateToken, async (req, res) => {
   try {
-    const { voteType } = req.body;
-    const questionId = req.params.id;
-    const answerId = req.params.answerId;
-    const userId = req.user._id;
-
-    if (!['upvote', 'downvote'].includes(voteType)) {
-      return res.status(400).json({ message: 'Invalid vote type' });
-    }
-
-    const question = await Question.findById(questionId);
-    if (!question) {
-      return res.status(404).json({ message: 'Question not found' });
-    }
+    const { reason, note = '', duplicateOf } = req.body;
 
-    const answer = question.answers.id(answerId);
-    if (!answer) {
-      return res.status(404).json({ message: 'Answer not found' });
+    if (!CLOSE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid close reason'
+      });
     }
 
-    // Can't vote on own answer
-    if (answer.author.toString() === userId.toString()) {
+    if (typeof note !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot vote on your own answer'
+        message: 'Note must be text'
       });
     }
 
-    // Remove user from both vote arrays first
-    answer.votes.upvotes = answer.votes.upvotes.filter(id => !id.equals(userId));
-    answer.votes.downvotes = answer.votes.downvotes.filter(id => !id.equals(userId));
-
-    // Add vote based on type
-    if (voteType === 'upvote') {
-      answer.votes.upvotes.push(userId);
-    } else {
-      answer.votes.downvotes.push(userId);
+    if (!canVoteToClose(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `You need ${CLOSE_VOTE_REPUTATION} reputation to vote to close questions`
+      });
     }
 
-    await question.save();
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (question.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is already closed'
+      });
+    }
+
+    let duplicateId = null;
+    if (reason === 'duplicate') {
+      const original = mongoose.isValidObjectId(duplicateOf)
+        ? await Question.findById(duplicateOf).select('isActive duplicateOf')
+        : null;
+
+      if (!original || !original.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Original question not found'
+        });
+      }
+
+      // Point at the canonical question rather than at another duplicate
+      duplicateId = original.duplicateOf || original._id;
+
+      if (duplicateId.equals(question._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A question cannot be a duplicate of itself'
+        });
+      }
+    }
+
+    let closed = true;
+    if (isModerator(req.user)) {
+      question.close({ reason, note: note.trim(), closedBy: [req.user._id], duplicateOf: duplicateId });
+    } else {
+      closed = question.castCloseVote(req.user._id, reason, duplicateId);
+    }
+
+    await question.save();
+    await question.populate(lifecyclePopulate);
+
+    res.json({
+      success: true,
+      message: closed ? 'Question closed' : 'Close vote recorded',
+      state: lifecycleState(question, req.user)
+    });
+
+  } catch (error) {
+    console.error('Close question error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing question'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/reopen
+// @desc    Reopen a closed question (moderators) or cast a reopen vote
+// @access  Private
+router.post('/:id/reopen', authenticateToken, async (req, res) => {
+  try {
+    if (!canVoteToClose(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `You need ${CLOSE_VOTE_REPUTATION} reputation to vote to reopen questions`
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (!question.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is not closed'
+      });
+    }
+
+    let reopened = true;
+    if (isModerator(req.user)) {
+      question.reopen();
+    } else {
+      reopened = question.castReopenVote(req.user._id);
+    }
+
+    await question.save();
+    await question.populate(lifecyclePopulate);
+
+    res.json({
+      success: true,
+      message: reopened ? 'Question reopened' : 'Reopen vote recorded',
+      state: lifecycleState(question, req.user)
+    });
+
+  } catch (error) {
+    console.error('Reopen question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reopening question'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/lock
+// @desc    Lock a question, freezing answers, comments and votes
+// @access  Private (Moderator or Admin)
+router.post('/:id/lock', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    question.setLocked(true, req.user._id);
+    await question.save();
+    await question.populate(lifecyclePopulate);
+
+    res.json({
+      success: true,
+      message: 'Question locked',
+      state: lifecycleState(question, req.user)
+    });
+
+  } catch (error) {
+    console.error('Lock question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error locking question'
+    });
+  }
+});
+
+// @route   DELETE /api/questions/:id/lock
+// @desc    Unlock a question
+// @access  Private (Moderator or Admin)
+router.delete('/:id/lock', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    question.setLocked(false);
+    await question.save();
+    await question.populate(lifecyclePopulate);
+
+    res.json({
+      success: true,
+      message: 'Question unlocked',
+      state: lifecycleState(question, req.user)
+    });
+
+  } catch (error) {
+    console.error('Unlock question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking question'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/pin
+// @desc    Pin a question globally (admins) or in a topic (topic moderators), with optional expiry
+// @access  Private
+router.post('/:id/pin', authenticateToken, async (req, res) => {
+  try {
+    const { topic: topicSlug, expiresAt } = req.body;
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pin expiry must be a date in the future'
+        });
+      }
+    }
+
+    const target = await loadPinTarget(req, res, topicSlug);
+    if (!target) return;
+
+    const { question, topic } = target;
+    question.pin({ topicId: topic ? topic._id : null, userId: req.user._id, expiresAt: expiry });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: topic ? `Pinned in ${topic.name}` : 'Pinned to the home page',
+      ...pinState(question)
+    });
+
+  } catch (error) {
+    console.error('Pin question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pinning question'
+    });
+  }
+});
+
+// @route   DELETE /api/questions/:id/pin
+// @desc    Unpin a question globally, or from the topic given as ?topic=slug
+// @access  Private
+router.delete('/:id/pin', authenticateToken, async (req, res) => {
+  try {
+    const target = await loadPinTarget(req, res, req.query.topic);
+    if (!target) return;
+
+    const { question, topic } = target;
+    question.unpin(topic ? topic._id : null);
+    await question.save();
+
+    res.json({
+      success: true,
+      message: topic ? `Unpinned from ${topic.name}` : 'Unpinned from the home page',
+      ...pinState(question)
+    });
+
+  } catch (error) {
+    console.error('Unpin question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unpinning question'
+    });
+  }
+});
+
+// @route   POST /api/questions/:id/answers
+// @desc    Add an answer to a question
+// @access  Private
+router.post('/:id/answers', authenticateToken, acceptAttachments, async (req, res) => {
+  try {
+    const { content } = req.body;
+    const questionId = req.params.id;
+    const userId = req.user._id;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ message: 'Answer content is required' });
+    }
+
+    const question = await Question.findById(questionId);
+    if (!question || !question.isActive) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (question.isLocked) {
+      return res.status(403).json({ message: 'This question is locked' });
+    }
+
+    if (question.isClosed) {
+      return res.status(403).json({ message: 'This question is closed' });
+    }
+
+    const attachments = await storeUploads(req.files, await Topic.attachmentPolicyFor(question.topics));
+
+    const newAnswer = {
+      content: content.trim(),
+      attachments,
+      author: userId,
+      createdAt: new Date(),
+      isAccepted: false
+    };
+
+    question.answers.push(newAnswer);
+    try {
+      await question.save();
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
+    await enqueueMedia(attachments);
+
+    await User.findByIdAndUpdate(userId, {
+      $addToSet: { watchedQuestions: question._id }
+    });
+
+    // Populate the new answer with author details
+    await question.populate('answers.author', 'username avatar');
+    const addedAnswer = withAttachmentUrls(question.answers[question.answers.length - 1].toObject());
+
+    await Notification.notify({
+      recipient: question.author,
+      actor: userId,
+      type: 'answer',
+      question: question._id,
+      answer: addedAnswer._id
+    });
+
+    publish(questionChannel(question._id), 'answer-created', {
+      answer: { ...addedAnswer, comments: [] }
+    });
+
+    res.status(201).json({
+      message: 'Answer added successfully',
+      answer: addedAnswer
+    });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error adding answer:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/questions/:id/answers/:answerId/vote
+// @desc    Vote on an answer
+// @access  Private
+router.post('/:id/answers/:answerId/vote', authenticateToken, async (req, res) => {
+  try {
+    const { voteType } = req.body;
+    const questionId = req.params.id;
+    const answerId = req.params.answerId;
+    const userId = req.user._id;
+
+    if (!['upvote', 'downvote', 'remove'].includes(voteType)) {
+      return res.status(400).json({ message: 'Invalid vote type' });
+    }
+
+    // Deleted and hidden posts can't be voted on (hidden ones stay visible to moderators only)
+    const question = await Question.findById(questionId);
+    const canModerate = isModerator(req.user);
+    if (!question || !question.isActive || (question.isHidden && !canModerate)) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (question.isLocked) {
+      return res.status(403).json({ message: 'This question is locked' });
+    }
+
+    const answer = question.findAnswer(answerId);
+    if (!answer || (answer.isHidden && !canModerate)) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+
+    // Can't vote on own answer
+    if (answer.author.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot vote on your own answer'
+      });
+    }
+
+    const previousVote = answer.vote(userId, voteType);
+
+    await question.save();
+
+    await ReputationEvent.recordVote({
+      recipient: answer.author,
+      actor: userId,
+      kind: 'answer',
+      previousVote,
+      newVote: voteType === 'remove' ? null : voteType,
+      question: question._id,
+      answer: answer._id
+    });
+
+    if (voteType === 'upvote' && previousVote !== 'upvote') {
+      await Notification.notify({
+        recipient: answer.author,
+        actor: userId,
+        type: 'upvote',
+        question: question._id,
+        answer: answer._id
+      });
+    }
+
+    const voteScore = answer.votes.upvotes.length - answer.votes.downvotes.length;
+
+    publish(questionChannel(question._id), 'answer-voted', {
+      answerId: answer._id,
+      votes: answer.votes,
+      voteScore
+    });
 
-    const voteScore = answer.votes.upvotes.length - answer.votes.downvotes.length;
-    
     res.json({
       message: 'Vote recorded successfully',
       voteScore,
-      userVote: voteType
+      userVote: voteType === 'remove' ? null : voteType
     });
   } catch (error) {
     console.error('Error voting on answer:', error);
@@ -600,4 +1457,394 @@ router.post('/:id/answers/:answerId/vote', authenticateToken, async (req, res) =
   }
 });
 
+// @route   POST /api/questions/:id/answers/:answerId/accept
+// @desc    Accept an answer
+// @access  Private (Question author only)
+router.post('/:id/answers/:answerId/accept', authenticateToken, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (question.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the question author can accept an answer'
+      });
+    }
+
+    const answer = question.findAnswer(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    if (answer.isAccepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answer is already accepted'
+      });
+    }
+
+    const previous = question.acceptAnswer(answer._id);
+    await question.save();
+
+    // Move the accepted-answer reputation from the previous answer author to the new one.
+    // Self-answers never earn reputation.
+    if (previous && previous.author.toString() !== question.author.toString()) {
+      await ReputationEvent.record({
+        user: previous.author,
+        actor: req.user._id,
+        type: 'accept_removed',
+        points: -ACCEPT_POINTS.answer,
+        source: { kind: 'answer', question: question._id, answer: previous._id }
+      });
+    }
+    if (answer.author.toString() !== question.author.toString()) {
+      await ReputationEvent.record({
+        user: answer.author,
+        actor: req.user._id,
+        type: 'accepted',
+        points: ACCEPT_POINTS.answer,
+        source: { kind: 'answer', question: question._id, answer: answer._id }
+      });
+    }
+    if (!previous) {
+      await ReputationEvent.record({
+        user: question.author,
+        actor: req.user._id,
+        type: 'accepted',
+        points: ACCEPT_POINTS.accepter,
+        source: { kind: 'question', question: question._id, answer: answer._id }
+      });
+    }
+
+    await Notification.notify({
+      recipient: answer.author,
+      actor: req.user._id,
+      type: 'accepted',
+      question: question._id,
+      answer: answer._id
+    });
+
+    publish(questionChannel(question._id), 'accepted', {
+      acceptedAnswerId: answer._id,
+      isResolved: question.isResolved
+    });
+
+    res.json({
+      success: true,
+      message: 'Answer accepted successfully',
+      acceptedAnswerId: answer._id,
+      isResolved: question.isResolved
+    });
+
+  } catch (error) {
+    console.error('Accept answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting answer'
+    });
+  }
+});
+
+// @route   DELETE /api/questions/:id/answers/:answerId/accept
+// @desc    Un-accept an answer
+// @access  Private (Question author only)
+router.delete('/:id/answers/:answerId/accept', authenticateToken, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (question.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the question author can un-accept an answer'
+      });
+    }
+
+    const answer = question.findAnswer(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    if (!answer.isAccepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answer is not accepted'
+      });
+    }
+
+    question.unacceptAnswer();
+    await question.save();
+
+    await ReputationEvent.reverseAcceptance(question, answer, req.user._id);
+
+    publish(questionChannel(question._id), 'accepted', {
+      acceptedAnswerId: null,
+      isResolved: question.isResolved
+    });
+
+    res.json({
+      success: true,
+      message: 'Answer un-accepted successfully',
+      acceptedAnswerId: null,
+      isResolved: question.isResolved
+    });
+
+  } catch (error) {
+    console.error('Unaccept answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error un-accepting answer'
+    });
+  }
+});
+
+// @route   PUT /api/questions/:id/answers/:answerId
+// @desc    Edit an answer
+// @access  Private (Author or Admin)
+router.put('/:id/answers/:answerId', authenticateToken, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answer content is required'
+      });
+    }
+
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const answer = question.findAnswer(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    // Check ownership
+    if (answer.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this answer'
+      });
+    }
+
+    if (question.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    const previous = answerSnapshot(answer);
+    answer.content = content.trim();
+    const current = answerSnapshot(answer);
+
+    if (previous.body !== current.body) {
+      answer.editedAt = new Date();
+      answer.editedBy = req.user._id;
+      answer.updatedAt = new Date();
+
+      await question.save();
+
+      await Revision.recordEdit({
+        question: question._id,
+        answer: answer._id,
+        editor: req.user._id,
+        originalAuthor: answer.author,
+        originalDate: answer.createdAt,
+        previous,
+        current
+      });
+    }
+
+    await question.populate('answers.author', 'username avatar reputation');
+
+    res.json({
+      success: true,
+      message: 'Answer updated successfully',
+      answer: withAttachmentUrls(question.answers.id(answer._id).toObject())
+    });
+
+  } catch (error) {
+    console.error('Update answer error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating answer'
+    });
+  }
+});
+
+// @route   DELETE /api/questions/:id/answers/:answerId
+// @desc    Delete an answer (soft delete)
+// @access  Private (Author or Admin)
+router.delete('/:id/answers/:answerId', authenticateToken, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const answer = question.findAnswer(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    // Check ownership
+    if (answer.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this answer'
+      });
+    }
+
+    // Moderators can still clean up locked questions
+    if (question.isLocked && !isModerator(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This question is locked'
+      });
+    }
+
+    // A deleted answer can no longer be the accepted one
+    const wasAccepted = answer.isAccepted;
+    if (wasAccepted) {
+      question.unacceptAnswer();
+    }
+
+    await question.softDeleteAnswer(answer);
+
+    if (wasAccepted) {
+      await ReputationEvent.reverseAcceptance(question, answer, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Answer deleted successfully',
+      isResolved: question.isResolved
+    });
+
+  } catch (error) {
+    console.error('Delete answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting answer'
+    });
+  }
+});
+
+// @route   GET /api/questions/:id/revisions
+// @desc    Get the edit history of a question
+// @access  Public
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id).select('title isActive isHidden');
+
+    if (!question || !question.isActive || (question.isHidden && !isModerator(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const revisions = await Revision.getHistory(question._id);
+
+    res.json({
+      success: true,
+      question: { _id: question._id, title: question.title },
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get question revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/questions/:id/answers/:answerId/revisions
+// @desc    Get the edit history of an answer
+// @access  Public
+router.get('/:id/answers/:answerId/revisions', optionalAuth, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    const canModerate = isModerator(req.user);
+
+    if (!question || !question.isActive || (question.isHidden && !canModerate)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const answer = question.findAnswer(req.params.answerId);
+    if (!answer || (answer.isHidden && !canModerate)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    const revisions = await Revision.getHistory(question._id, answer._id);
+
+    res.json({
+      success: true,
+      question: { _id: question._id, title: question.title },
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get answer revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching revisions'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
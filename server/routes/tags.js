@@ -0,0 +1,272 @@
+import express from 'express';
+import Tag, { normalizeTagName } from '../models/Tag.js';
+import Question from '../models/Question.js';
+import { authenticateToken, requireModerator } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/search.js';
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    Get tags, optionally only those whose name or a synonym starts with `q` (autocomplete)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const {
+      q = '',
+      page = 1,
+      limit = 20,
+      sortBy = 'popular'
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query
+    const prefix = normalizeTagName(q);
+    let query = {};
+    let pattern = null;
+
+    if (prefix) {
+      pattern = new RegExp(`^${escapeRegex(prefix)}`);
+      query.$or = [
+        { name: pattern },
+        { synonyms: pattern }
+      ];
+    }
+
+    // Build sort
+    let sort = {};
+    switch (sortBy) {
+      case 'popular':
+        sort = { questionCount: -1, name: 1 };
+        break;
+      case 'recent':
+        sort = { lastUsedAt: -1 };
+        break;
+      case 'alphabetical':
+        sort = { name: 1 };
+        break;
+      default:
+        sort = { questionCount: -1 };
+    }
+
+    // Execute query
+    const tags = await Tag.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    // Get total count for pagination
+    const total = await Tag.countDocuments(query);
+
+    // Tell autocomplete which synonym matched, for tags found by one
+    const tagsWithMatch = pattern
+      ? tags.map(tag => ({
+        ...tag,
+        matchedSynonym: pattern.test(tag.name) ? null : tag.synonyms.find(synonym => pattern.test(synonym))
+      }))
+      : tags;
+
+    res.json({
+      success: true,
+      tags: tagsWithMatch,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching tags'
+    });
+  }
+});
+
+// @route   GET /api/tags/:name
+// @desc    Get a tag. For a synonym, the canonical tag's name is returned as `redirect`.
+// @access  Public
+router.get('/:name', async (req, res) => {
+  try {
+    const name = normalizeTagName(req.params.name);
+    const tag = await Tag.findOne({ name });
+
+    if (!tag) {
+      const owner = await Tag.findOne({ synonyms: name }).select('name');
+
+      if (owner) {
+        return res.json({
+          success: true,
+          redirect: owner.name
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      tag
+    });
+
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching tag'
+    });
+  }
+});
+
+// @route   PUT /api/tags/:name
+// @desc    Update a tag's description and synonyms
+// @access  Private (Moderator only)
+router.put('/:name', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const { description, synonyms } = req.body;
+
+    const tag = await Tag.findOne({ name: normalizeTagName(req.params.name) });
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (description !== undefined) {
+      tag.description = description;
+    }
+
+    if (synonyms !== undefined) {
+      const names = [...new Set((Array.isArray(synonyms) ? synonyms : String(synonyms).split(','))
+        .map(normalizeTagName)
+        .filter(synonym => synonym && synonym !== tag.name))];
+
+      // A name in use as a tag has questions of its own; those have to be merged to keep them findable
+      const [existing, claimed] = await Promise.all([
+        Tag.findOne({ name: { $in: names } }).select('name'),
+        Tag.findOne({ _id: { $ne: tag._id }, synonyms: { $in: names } }).select('name synonyms')
+      ]);
+
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `${existing.name} is a tag of its own; merge it into ${tag.name} instead`
+        });
+      }
+
+      if (claimed) {
+        const synonym = claimed.synonyms.find(name => names.includes(name));
+        return res.status(400).json({
+          success: false,
+          message: `${synonym} is already a synonym of ${claimed.name}`
+        });
+      }
+
+      tag.synonyms = names;
+    }
+
+    await tag.save();
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      tag
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating tag'
+    });
+  }
+});
+
+// @route   POST /api/tags/:name/merge
+// @desc    Merge a tag into another: its questions are retagged and it becomes a synonym of the target
+// @access  Private (Moderator only)
+router.post('/:name/merge', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    if (!req.body.into) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target tag is required'
+      });
+    }
+
+    const name = normalizeTagName(req.params.name);
+    // The target may be given by one of its synonyms
+    const [into] = await Tag.canonicalize([req.body.into]);
+
+    if (into === name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a tag into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Tag.findOne({ name }),
+      Tag.findOne({ name: into })
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    // Add the target before pulling the source; one update can't do both on the same array.
+    // Retagging isn't an edit, so the questions keep their updatedAt.
+    await Question.updateMany({ tags: source.name }, { $addToSet: { tags: target.name } }, { timestamps: false });
+    await Question.updateMany({ tags: source.name }, { $pull: { tags: source.name } }, { timestamps: false });
+
+    // The source's name and synonyms now lead to the target
+    await source.deleteOne();
+    target.synonyms = [...new Set([...target.synonyms, source.name, ...source.synonyms])];
+    if (!target.description) {
+      target.description = source.description;
+    }
+    target.lastUsedAt = new Date(Math.max(target.lastUsedAt, source.lastUsedAt));
+    await target.save();
+
+    await Tag.recount([target.name]);
+    const merged = await Tag.findById(target._id);
+
+    res.json({
+      success: true,
+      message: `${source.name} merged into ${target.name}`,
+      tag: merged
+    });
+
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging tags'
+    });
+  }
+});
+
+export default router;
@@ -3,9 +3,15 @@ import Topic from '../models/Topic.js';
 import Question from '../models/Question.js';
 import User from '../models/User.js';
 import { authenticateToken, optionalAuth, requireAdmin } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/search.js';
+import { ATTACHMENT_TYPES, ATTACHMENT_MAX_BYTES, describePolicy } from '../utils/attachments.js';
 
 const router = express.Router();
 
+// Whether the signed-in user follows a topic (follows live on User.followedTopics)
+const isFollowedBy = (user, topicId) =>
+  !!user && user.followedTopics.some(id => id.toString() === topicId.toString());
+
 // @route   GET /api/topics
 // @desc    Get all topics with optional filtering
 // @access  Public
@@ -16,7 +22,8 @@ router.get('/', optionalAuth, async (req, res) => {
       limit = 20,
       search,
       sortBy = 'popular',
-      featured
+      featured,
+      following
     } = req.query;
 
     const pageNum = parseInt(page);
@@ -27,9 +34,10 @@ router.get('/', optionalAuth, async (req, res) => {
     let query = { isActive: true };
 
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
       ];
     }
 
@@ -37,6 +45,11 @@ router.get('/', optionalAuth, async (req, res) => {
       query.isFeatured = true;
     }
 
+    // Only the signed-in user's followed topics
+    if (following === 'true' && req.user) {
+      query._id = { $in: req.user.followedTopics };
+    }
+
     // Build sort
     let sort = {};
     switch (sortBy) {
@@ -49,6 +62,9 @@ router.get('/', optionalAuth, async (req, res) => {
       case 'active':
         sort = { lastActivity: -1 };
         break;
+      case 'followers':
+        sort = { followerCount: -1, questionCount: -1 };
+        break;
       case 'alphabetical':
         sort = { name: 1 };
         break;
@@ -73,7 +89,7 @@ router.get('/', optionalAuth, async (req, res) => {
     if (req.user) {
       topicsWithFollowStatus = topics.map(topic => ({
         ...topic,
-        isFollowing: topic.followers && topic.followers.includes(req.user._id)
+        isFollowing: isFollowedBy(req.user, topic._id)
       }));
     }
 
@@ -121,16 +137,115 @@ router.get('/popular', async (req, res) => {
   }
 });
 
+// @route   GET /api/topics/search
+// @desc    Search topics by name or description
+// @access  Public
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q = '', limit = 20 } = req.query;
+
+    if (!q.trim()) {
+      return res.json({
+        success: true,
+        topics: []
+      });
+    }
+
+    const topics = await Topic.searchTopics(escapeRegex(q.trim()), Math.min(parseInt(limit) || 20, 50)).lean();
+
+    res.json({
+      success: true,
+      topics: topics.map(topic => ({
+        ...topic,
+        isFollowing: isFollowedBy(req.user, topic._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Search topics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching topics'
+    });
+  }
+});
+
+// @route   GET /api/topics/manage
+// @desc    Get the topics the current user can manage (all topics for admins)
+// @access  Private
+router.get('/manage', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const query = { isActive: true };
+    if (!isAdmin) {
+      query.moderators = req.user._id;
+    }
+
+    const topics = await Topic.find(query)
+      .populate('moderators', 'username avatar')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      topics,
+      isAdmin,
+      // For editing attachment policies
+      attachmentTypes: Object.entries(ATTACHMENT_TYPES).map(([id, type]) => ({ id, label: type.label })),
+      maxAttachmentSize: ATTACHMENT_MAX_BYTES
+    });
+
+  } catch (error) {
+    console.error('Get managed topics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching topics'
+    });
+  }
+});
+
+// @route   GET /api/topics/attachment-policy
+// @desc    Get the attachment policy for a post in the given topics (?topics=slug,slug)
+// @access  Public
+router.get('/attachment-policy', async (req, res) => {
+  try {
+    const slugs = String(req.query.topics || '').split(',').map(slug => slug.trim()).filter(Boolean);
+    const topics = await Topic.find({ slug: { $in: slugs }, isActive: true }).select('_id');
+
+    res.json({
+      success: true,
+      policy: describePolicy(await Topic.attachmentPolicyFor(topics.map(topic => topic._id)))
+    });
+
+  } catch (error) {
+    console.error('Get attachment policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching attachment policy'
+    });
+  }
+});
+
 // @route   GET /api/topics/:slug
 // @desc    Get single topic by slug
 // @access  Public
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
     const topic = await Topic.findOne({ slug: req.params.slug, isActive: true })
-      .populate('creator', 'username avatar reputation createdAt')
+      .populate('createdBy', 'username avatar reputation createdAt')
       .populate('moderators', 'username avatar reputation');
 
     if (!topic) {
+      const merged = await Topic.findOne({ slug: req.params.slug, mergedInto: { $ne: null } })
+        .populate('mergedInto', 'slug isActive');
+
+      if (merged && merged.mergedInto && merged.mergedInto.isActive) {
+        return res.json({
+          success: true,
+          redirect: merged.mergedInto.slug
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Topic not found'
@@ -140,7 +255,7 @@ router.get('/:slug', optionalAuth, async (req, res) => {
     // Add user following status if authenticated
     const topicWithFollowStatus = {
       ...topic.toObject(),
-      isFollowing: req.user && topic.followers ? topic.followers.includes(req.user._id) : false
+      isFollowing: isFollowedBy(req.user, topic._id)
     };
 
     res.json({
@@ -157,12 +272,42 @@ router.get('/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/topics/:slug/contributors
+// @desc    Get a topic's top contributors
+// @access  Public
+router.get('/:slug/contributors', async (req, res) => {
+  try {
+    const topic = await Topic.findOne({ slug: req.params.slug, isActive: true }).select('_id');
+
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    const contributors = await Topic.getTopContributors(topic._id, Math.min(parseInt(req.query.limit) || 5, 20));
+
+    res.json({
+      success: true,
+      contributors
+    });
+
+  } catch (error) {
+    console.error('Get topic contributors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching contributors'
+    });
+  }
+});
+
 // @route   POST /api/topics
 // @desc    Create a new topic
 // @access  Private (Admin only)
 router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { name, description, color, icon } = req.body;
+    const { name, description, color, icon, isFeatured } = req.body;
 
     // Validation
     if (!name || !description) {
@@ -174,7 +319,7 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
 
     // Check if topic already exists
     const existingTopic = await Topic.findOne({ 
-      name: { $regex: new RegExp(`^${name}$`, 'i') }
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
     });
 
     if (existingTopic) {
@@ -190,13 +335,14 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       description,
       color: color || '#8B5CF6',
       icon: icon || '💬',
-      creator: req.user._id
+      isFeatured: isFeatured === true,
+      createdBy: req.user._id
     });
 
     await topic.save();
 
     const populatedTopic = await Topic.findById(topic._id)
-      .populate('creator', 'username avatar');
+      .populate('createdBy', 'username avatar');
 
     res.status(201).json({
       success: true,
@@ -239,7 +385,7 @@ router.put('/:slug', authenticateToken, async (req, res) => {
     // Check permissions
     const isAdmin = req.user.role === 'admin';
     const isModerator = topic.moderators.includes(req.user._id);
-    const isCreator = topic.creator.toString() === req.user._id.toString();
+    const isCreator = topic.createdBy.toString() === req.user._id.toString();
 
     if (!isAdmin && !isModerator && !isCreator) {
       return res.status(403).json({
@@ -248,7 +394,7 @@ router.put('/:slug', authenticateToken, async (req, res) => {
       });
     }
 
-    const { name, description, color, icon, isFeatured } = req.body;
+    const { name, description, color, icon, isFeatured, attachmentPolicy } = req.body;
 
     // Update fields
     if (name) topic.name = name;
@@ -258,11 +404,18 @@ router.put('/:slug', authenticateToken, async (req, res) => {
     if (typeof isFeatured === 'boolean' && isAdmin) {
       topic.isFeatured = isFeatured;
     }
+    // null fields go back to the site-wide defaults
+    if (attachmentPolicy) {
+      topic.attachmentPolicy = {
+        allowedTypes: Array.isArray(attachmentPolicy.allowedTypes) ? attachmentPolicy.allowedTypes : undefined,
+        maxFileSize: attachmentPolicy.maxFileSize || null
+      };
+    }
 
     await topic.save();
 
     const updatedTopic = await Topic.findById(topic._id)
-      .populate('creator', 'username avatar')
+      .populate('createdBy', 'username avatar')
       .populate('moderators', 'username avatar');
 
     res.json({
@@ -273,6 +426,15 @@ router.put('/:slug', authenticateToken, async (req, res) => {
 
   } catch (error) {
     console.error('Update topic error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error updating topic'
@@ -339,22 +501,18 @@ router.post('/:slug/follow', authenticateToken, async (req, res) => {
       });
     }
 
-    const userId = req.user._id;
-    const isFollowing = topic.followers && topic.followers.includes(userId);
+    const isFollowing = isFollowedBy(req.user, topic._id);
 
     if (isFollowing) {
       // Unfollow
-      topic.followers = topic.followers.filter(id => id.toString() !== userId.toString());
-      await topic.decrementFollowerCount();
+      await User.findByIdAndUpdate(req.user._id, { $pull: { followedTopics: topic._id } });
+      await topic.removeFollower();
     } else {
       // Follow
-      if (!topic.followers) topic.followers = [];
-      topic.followers.push(userId);
-      await topic.incrementFollowerCount();
+      await User.findByIdAndUpdate(req.user._id, { $addToSet: { followedTopics: topic._id } });
+      await topic.addFollower();
     }
 
-    await topic.save();
-
     res.json({
       success: true,
       message: isFollowing ? 'Topic unfollowed successfully' : 'Topic followed successfully',
@@ -371,6 +529,85 @@ router.post('/:slug/follow', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/topics/:slug/merge
+// @desc    Merge a topic into another, moving its questions, followers and moderators
+// @access  Private (Admin only)
+router.post('/:slug/merge', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { into } = req.body;
+
+    if (!into) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target topic is required'
+      });
+    }
+
+    if (into === req.params.slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge a topic into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Topic.findOne({ slug: req.params.slug, isActive: true }),
+      Topic.findOne({ slug: into, isActive: true })
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    // Add the target before pulling the source; one update can't do both on the same array
+    await Question.updateMany({ topics: source._id }, { $addToSet: { topics: target._id } });
+    await Question.updateMany({ topics: source._id }, { $pull: { topics: source._id } });
+
+    await User.updateMany({ followedTopics: source._id }, { $addToSet: { followedTopics: target._id } });
+    await User.updateMany({ followedTopics: source._id }, { $pull: { followedTopics: source._id } });
+
+    // Topics merged into the source earlier now redirect straight to the target
+    await Topic.updateMany({ mergedInto: source._id }, { mergedInto: target._id });
+
+    source.moderators.forEach(moderatorId => {
+      if (!target.moderators.some(id => id.toString() === moderatorId.toString())) {
+        target.moderators.push(moderatorId);
+      }
+    });
+
+    const [questionCount, followerCount] = await Promise.all([
+      Question.countDocuments({ topics: target._id, isActive: true }),
+      User.countDocuments({ followedTopics: target._id })
+    ]);
+    target.questionCount = questionCount;
+    target.followerCount = followerCount;
+    target.lastActivity = new Date();
+    await target.save();
+
+    source.isActive = false;
+    source.mergedInto = target._id;
+    source.questionCount = 0;
+    source.followerCount = 0;
+    await source.save();
+
+    res.json({
+      success: true,
+      message: `${source.name} merged into ${target.name}`,
+      topic: target
+    });
+
+  } catch (error) {
+    console.error('Merge topic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging topics'
+    });
+  }
+});
+
 // @route   POST /api/topics/:slug/moderators
 // @desc    Add moderator to topic
 // @access  Private (Admin only)
@@ -1,10 +1,23 @@
 import express from 'express';
-import User from '../models/User.js';
+import multer from 'multer';
+import User, { PUBLIC_PROFILE_FIELDS } from '../models/User.js';
 import Question from '../models/Question.js';
-import { authenticateToken, optionalAuth, requireAdmin } from '../middleware/auth.js';
+import ReputationEvent from '../models/ReputationEvent.js';
+import Notification from '../models/Notification.js';
+import { authenticateToken, optionalAuth, requireAdmin, isModerator } from '../middleware/auth.js';
+import { AVATAR_MAX_BYTES, AvatarError, saveAvatar, removeAvatar, identiconSvg } from '../utils/avatar.js';
 
 const router = express.Router();
 
+// Query conditions for the questions a user may see: hidden ones only for moderators
+const visibleQuestions = (user) => (isModerator(user) ? { isActive: true } : { isActive: true, isHidden: { $ne: true } });
+
+// Answers a user may see: not deleted, and hidden ones only for moderators
+const visibleAnswers = (answers, user) => {
+  const canModerate = isModerator(user);
+  return answers.filter(answer => answer.isActive !== false && (canModerate || !answer.isHidden));
+};
+
 // @route   GET /api/users
 // @desc    Get all users with pagination and filtering
 // @access  Public
@@ -28,7 +41,6 @@ router.get('/', optionalAuth, async (req, res) => {
     if (search) {
       query.$or = [
         { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
         { bio: { $regex: search, $options: 'i' } }
       ];
     }
@@ -61,7 +73,7 @@ router.get('/', optionalAuth, async (req, res) => {
 
     // Execute query
     const users = await User.find(query)
-      .select('-password -email') // Exclude sensitive fields
+      .select(PUBLIC_PROFILE_FIELDS.join(' '))
       .sort(sort)
       .skip(skip)
       .limit(limitNum)
@@ -118,6 +130,512 @@ router.get('/top', async (req, res) => {
   }
 });
 
+// Maximum number of bookmark collections per user
+const MAX_BOOKMARK_COLLECTIONS = 50;
+
+// Summarize a user's collections for the client
+const collectionSummaries = (user) => user.bookmarkCollections.map(collection => ({
+  _id: collection._id,
+  name: collection.name,
+  count: collection.questions.length,
+  questions: collection.questions,
+  createdAt: collection.createdAt
+}));
+
+// Load the current user and one of their collections, responding with 404 if it doesn't exist
+const loadCollection = async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const collection = user.bookmarkCollections.id(req.params.collectionId);
+
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      message: 'Collection not found'
+    });
+    return null;
+  }
+
+  return { user, collection };
+};
+
+// @route   GET /api/users/me/saved
+// @desc    Get current user's saved questions, newest first (optionally one collection)
+// @access  Private
+router.get('/me/saved', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, collection: collectionId } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const user = await User.findById(req.user._id);
+
+    let savedIds = user.savedQuestions;
+    if (collectionId) {
+      const collection = user.bookmarkCollections.id(collectionId);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+      savedIds = collection.questions;
+    }
+
+    // Skip questions that have since been deleted, keeping the order they were saved in
+    const active = await Question.find({ _id: { $in: savedIds }, ...visibleQuestions(req.user) }).select('_id').lean();
+    const activeIds = new Set(active.map(question => question._id.toString()));
+    const orderedIds = savedIds
+      .map(id => id.toString())
+      .filter(id => activeIds.has(id))
+      .reverse();
+
+    const total = orderedIds.length;
+    const pageIds = orderedIds.slice(skip, skip + limitNum);
+
+    const questions = await Question.find({ _id: { $in: pageIds } })
+      .populate('author', 'username avatar reputation')
+      .populate('topics', 'name slug color')
+      .lean();
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+    // Add computed fields (deleted and hidden answers excluded)
+    const questionsWithStats = pageIds.map(id => byId.get(id)).filter(Boolean).map(question => {
+      const answers = visibleAnswers(question.answers, req.user);
+      return {
+        ...question,
+        answers,
+        voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
+        answerCount: answers.length,
+        hasAcceptedAnswer: answers.some(answer => answer.isAccepted)
+      };
+    });
+
+    res.json({
+      success: true,
+      questions: questionsWithStats,
+      collections: collectionSummaries(user),
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching saved questions'
+    });
+  }
+});
+
+// @route   POST /api/users/me/saved/:questionId
+// @desc    Save (bookmark) a question, optionally into a collection
+// @access  Private
+router.post('/me/saved/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const { collectionId } = req.body;
+
+    const question = await Question.findById(req.params.questionId).select('isActive');
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    let collection = null;
+    if (collectionId) {
+      collection = user.bookmarkCollections.id(collectionId);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+    }
+
+    user.addBookmark(question._id, collection);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Question saved',
+      savedQuestions: user.savedQuestions,
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Save question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving question'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/saved/:questionId
+// @desc    Unsave a question (also removes it from every collection)
+// @access  Private
+router.delete('/me/saved/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.removeBookmark(req.params.questionId);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Question removed from saved',
+      savedQuestions: user.savedQuestions,
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Unsave question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing saved question'
+    });
+  }
+});
+
+// @route   GET /api/users/me/collections
+// @desc    Get current user's bookmark collections
+// @access  Private
+router.get('/me/collections', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('bookmarkCollections');
+
+    res.json({
+      success: true,
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching collections'
+    });
+  }
+});
+
+// @route   POST /api/users/me/collections
+// @desc    Create a bookmark collection
+// @access  Private
+router.post('/me/collections', authenticateToken, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.bookmarkCollections.length >= MAX_BOOKMARK_COLLECTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_BOOKMARK_COLLECTIONS} collections`
+      });
+    }
+
+    if (user.bookmarkCollections.some(collection => collection.name.toLowerCase() === name.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A collection with this name already exists'
+      });
+    }
+
+    user.bookmarkCollections.push({ name });
+    await user.save();
+
+    const collection = user.bookmarkCollections[user.bookmarkCollections.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      collection: { _id: collection._id, name: collection.name, count: 0, questions: [], createdAt: collection.createdAt },
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating collection'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/collections/:collectionId
+// @desc    Rename a bookmark collection
+// @access  Private
+router.put('/me/collections/:collectionId', authenticateToken, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name is required'
+      });
+    }
+
+    const loaded = await loadCollection(req, res);
+    if (!loaded) return;
+    const { user, collection } = loaded;
+
+    if (user.bookmarkCollections.some(other =>
+      other._id.toString() !== collection._id.toString() && other.name.toLowerCase() === name.toLowerCase()
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'A collection with this name already exists'
+      });
+    }
+
+    collection.name = name;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Collection renamed',
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Rename collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error renaming collection'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/collections/:collectionId
+// @desc    Delete a bookmark collection (its questions stay saved)
+// @access  Private
+router.delete('/me/collections/:collectionId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadCollection(req, res);
+    if (!loaded) return;
+    const { user, collection } = loaded;
+
+    collection.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted',
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting collection'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/collections/:collectionId/questions/:questionId
+// @desc    Add a question to a collection (saving it if needed)
+// @access  Private
+router.put('/me/collections/:collectionId/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId).select('isActive');
+    if (!question || !question.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const loaded = await loadCollection(req, res);
+    if (!loaded) return;
+    const { user, collection } = loaded;
+
+    user.addBookmark(question._id, collection);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Question added to collection',
+      savedQuestions: user.savedQuestions,
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Add to collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating collection'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/collections/:collectionId/questions/:questionId
+// @desc    Remove a question from a collection (it stays saved)
+// @access  Private
+router.delete('/me/collections/:collectionId/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadCollection(req, res);
+    if (!loaded) return;
+    const { user, collection } = loaded;
+
+    collection.questions = collection.questions.filter(id => id.toString() !== req.params.questionId);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Question removed from collection',
+      savedQuestions: user.savedQuestions,
+      collections: collectionSummaries(user)
+    });
+
+  } catch (error) {
+    console.error('Remove from collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating collection'
+    });
+  }
+});
+
+// Avatars are processed in memory, so only the resized images are written to disk
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AVATAR_MAX_BYTES,
+    files: 1
+  }
+}).single('avatar');
+
+// Delete an avatar's files without failing the request
+const discardAvatar = async (avatar, userId) => {
+  try {
+    await removeAvatar(avatar, userId);
+  } catch (error) {
+    console.error('Remove avatar files error:', error);
+  }
+};
+
+// @route   POST /api/users/me/avatar
+// @desc    Upload a new avatar (multipart field "avatar")
+// @access  Private
+router.post('/me/avatar', authenticateToken, (req, res, next) => {
+  avatarUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Avatars must be 5 MB or smaller' : error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = await saveAvatar(user._id, req.file.buffer);
+    await user.save();
+    await discardAvatar(previousAvatar, user._id);
+
+    res.json({
+      success: true,
+      message: 'Avatar updated',
+      avatar: user.avatar
+    });
+
+  } catch (error) {
+    if (error instanceof AvatarError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the avatar (the generated identicon is shown instead)
+// @access  Private
+router.delete('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = '';
+    await user.save();
+    await discardAvatar(previousAvatar, user._id);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed',
+      avatar: user.avatar
+    });
+
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing avatar'
+    });
+  }
+});
+
+// @route   GET /api/users/identicon/:seed.svg
+// @desc    Generated avatar for users without one (the seed is the user id)
+// @access  Public
+router.get('/identicon/:seed.svg', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=604800, immutable');
+  res.type('image/svg+xml').send(identiconSvg(req.params.seed.slice(0, 64)));
+});
+
 // @route   GET /api/users/:username
 // @desc    Get user profile by username
 // @access  Public
@@ -138,13 +656,13 @@ router.get('/:username', optionalAuth, async (req, res) => {
     // Get user's questions count
     const questionCount = await Question.countDocuments({
       author: user._id,
-      isActive: true
+      ...visibleQuestions(req.user)
     });
 
     // Get user's recent questions
     const recentQuestions = await Question.find({
       author: user._id,
-      isActive: true
+      ...visibleQuestions(req.user)
     })
     .populate('topics', 'name slug color')
     .sort({ createdAt: -1 })
@@ -152,10 +670,11 @@ router.get('/:username', optionalAuth, async (req, res) => {
     .select('title slug createdAt views topics')
     .lean();
 
-    // Prepare user profile (hide email from others)
-    const userProfile = user.toObject();
-    if (!req.user || req.user._id.toString() !== user._id.toString()) {
-      delete userProfile.email;
+    // Public fields for everyone; the owner also sees their email
+    const userProfile = user.getPublicProfile();
+    if (req.user && req.user._id.toString() === user._id.toString()) {
+      userProfile.email = user.email;
+      userProfile.emailVerified = user.emailVerified;
     }
 
     res.json({
@@ -179,7 +698,7 @@ router.get('/:username', optionalAuth, async (req, res) => {
 // @route   GET /api/users/:username/questions
 // @desc    Get user's questions
 // @access  Public
-router.get('/:username/questions', async (req, res) => {
+router.get('/:username/questions', optionalAuth, async (req, res) => {
   try {
     const {
       page = 1,
@@ -223,7 +742,7 @@ router.get('/:username/questions', async (req, res) => {
     // Get user's questions
     const questions = await Question.find({
       author: user._id,
-      isActive: true
+      ...visibleQuestions(req.user)
     })
     .populate('topics', 'name slug color')
     .populate('answers.author', 'username avatar')
@@ -235,16 +754,20 @@ router.get('/:username/questions', async (req, res) => {
     // Get total count
     const total = await Question.countDocuments({
       author: user._id,
-      isActive: true
+      ...visibleQuestions(req.user)
     });
 
-    // Add computed fields
-    const questionsWithStats = questions.map(question => ({
-      ...question,
-      voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
-      answerCount: question.answers.length,
-      hasAcceptedAnswer: question.answers.some(answer => answer.isAccepted)
-    }));
+    // Add computed fields (deleted and hidden answers excluded)
+    const questionsWithStats = questions.map(question => {
+      const answers = visibleAnswers(question.answers, req.user);
+      return {
+        ...question,
+        answers,
+        voteScore: question.votes.upvotes.length - question.votes.downvotes.length,
+        answerCount: answers.length,
+        hasAcceptedAnswer: answers.some(answer => answer.isAccepted)
+      };
+    });
 
     res.json({
       success: true,
@@ -267,6 +790,60 @@ router.get('/:username/questions', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:username/reputation
+// @desc    Get user's reputation history
+// @access  Public
+router.get('/:username/reputation', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const user = await User.findOne({
+      username: req.params.username,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const events = await ReputationEvent.find({ user: user._id })
+      .populate('actor', 'username avatar')
+      .populate('source.question', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const total = await ReputationEvent.countDocuments({ user: user._id });
+
+    res.json({
+      success: true,
+      reputation: user.reputation,
+      events,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total,
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reputation history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching reputation history'
+    });
+  }
+});
+
 // @route   PUT /api/users/:username
 // @desc    Update user profile
 // @access  Private (Own profile or Admin)
@@ -305,15 +882,27 @@ router.put('/:username', authenticateToken, async (req, res) => {
     if (socialLinks !== undefined) user.socialLinks = socialLinks;
 
     // Admin-only fields
+    let reputationAdjustment = 0;
     if (isAdmin) {
       const { role, reputation, isActive } = req.body;
       if (role !== undefined) user.role = role;
-      if (reputation !== undefined) user.reputation = reputation;
+      if (reputation !== undefined) reputationAdjustment = Number(reputation) - user.reputation;
       if (isActive !== undefined) user.isActive = isActive;
     }
 
     await user.save();
 
+    // Reputation is derived from the ledger, so admin changes are recorded as adjustments
+    if (reputationAdjustment) {
+      await ReputationEvent.record({
+        user: user._id,
+        actor: req.user._id,
+        type: 'adjustment',
+        points: reputationAdjustment,
+        source: { kind: 'admin' }
+      });
+    }
+
     // Return updated user (excluding password)
     const updatedUser = await User.findById(user._id).select('-password');
 
@@ -447,6 +1036,14 @@ router.post('/:username/follow', authenticateToken, async (req, res) => {
     await currentUser.save();
     await userToFollow.save();
 
+    if (!isFollowing) {
+      await Notification.notify({
+        recipient: userToFollow._id,
+        actor: currentUser._id,
+        type: 'follow'
+      });
+    }
+
     res.json({
       success: true,
       message: isFollowing ? 'User unfollowed successfully' : 'User followed successfully',
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import Question from "../models/Question.js";
+import Comment from "../models/Comment.js";
+import MediaJob from "../models/MediaJob.js";
+import { mediaJobKind } from "../utils/media.js";
+
+// Queue media pipeline jobs (see utils/media.js) for image and video attachments that have none yet,
+// such as ones uploaded before the pipeline existed. Attachments with a job still waiting are skipped.
+//
+// Usage:
+//   node scripts/backfillMedia.js                  # attachments never processed
+//   node scripts/backfillMedia.js --retry-failed   # also the ones whose processing failed
+//   node scripts/backfillMedia.js --dry-run        # only count what would be queued
+
+dotenv.config();
+
+const retryFailed = process.argv.includes("--retry-failed");
+const dryRun = process.argv.includes("--dry-run");
+
+const needsProcessing = (attachment) => (
+  mediaJobKind(attachment) !== null &&
+  (!attachment.media?.status || (retryFailed && attachment.media.status === "failed"))
+);
+
+// Every attachment of questions, their answers and comments
+async function* allAttachments() {
+  const questions = Question.find({
+    $or: [{ "attachments.0": { $exists: true } }, { "answers.attachments.0": { $exists: true } }]
+  }).select("attachments answers.attachments").lean().cursor();
+  for await (const question of questions) {
+    yield* question.attachments || [];
+    for (const answer of question.answers || []) {
+      yield* answer.attachments || [];
+    }
+  }
+
+  const comments = Comment.find({ "attachments.0": { $exists: true } }).select("attachments").lean().cursor();
+  for await (const comment of comments) {
+    yield* comment.attachments;
+  }
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  const waiting = new Set(await MediaJob.distinct("attachment.filename", { status: { $in: ["queued", "running"] } }));
+  let queued = 0;
+
+  for await (const attachment of allAttachments()) {
+    if (!needsProcessing(attachment) || waiting.has(attachment.filename)) continue;
+
+    if (!dryRun) {
+      await MediaJob.enqueue(mediaJobKind(attachment), attachment);
+    }
+    queued += 1;
+  }
+
+  console.log(`${dryRun ? "Would queue" : "Queued"} ${queued} attachment(s)`);
+  console.log("Done.");
+};
+
+run()
+  .catch((error) => {
+    console.error("Media backfill failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
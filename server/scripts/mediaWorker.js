@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import { startMediaWorker } from "../utils/mediaQueue.js";
+
+// Work off the media pipeline's queue (thumbnails, video posters and transcodes) outside the API
+// server, for example on a machine with ffmpeg. Run the API server with MEDIA_WORKER=off so it only
+// queues jobs. Several workers can run side by side.
+//
+// Usage:
+//   node scripts/mediaWorker.js
+//   MEDIA_CONCURRENCY=2 node scripts/mediaWorker.js
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  startMediaWorker();
+  console.log("Media worker started");
+};
+
+run().catch(async (error) => {
+  console.error("Media worker failed:", error.message);
+  process.exitCode = 1;
+  await mongoose.disconnect();
+});
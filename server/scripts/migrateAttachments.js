@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import Question from "../models/Question.js";
+import { getStorageDriver, attachmentStorage, attachmentKey } from "../utils/storage.js";
+
+// Move question attachments from one storage backend to another (see utils/storage.js), for example
+// after switching STORAGE_DRIVER. Each file is copied, its attachment is pointed at the new backend and
+// the original is deleted. The drivers read their settings from the environment as the server does.
+//
+// Usage:
+//   node scripts/migrateAttachments.js --to s3                 # everything not on s3 yet
+//   node scripts/migrateAttachments.js --from disk --to gridfs
+//   node scripts/migrateAttachments.js --to s3 --dry-run       # only list what would move
+//   node scripts/migrateAttachments.js --to s3 --keep-source   # leave the originals in place
+
+dotenv.config();
+
+const readOptions = (args) => {
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  return {
+    from: option("from"),
+    to: option("to"),
+    dryRun: args.includes("--dry-run"),
+    keepSource: args.includes("--keep-source")
+  };
+};
+
+const run = async () => {
+  const { from, to, dryRun, keepSource } = readOptions(process.argv.slice(2));
+
+  if (!to) {
+    throw new Error("Pass the target backend with --to <disk|s3|gridfs>");
+  }
+  if (from === to) {
+    throw new Error("--from and --to must differ");
+  }
+  const target = getStorageDriver(to);
+  if (from) getStorageDriver(from);
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  const counts = { moved: 0, missing: 0, failed: 0 };
+  const questions = Question.find({ "attachments.0": { $exists: true } }).select("attachments").lean().cursor();
+
+  for await (const question of questions) {
+    for (const attachment of question.attachments) {
+      const storage = attachmentStorage(attachment);
+      if (storage === to || (from && storage !== from)) continue;
+
+      const key = attachmentKey(attachment);
+      console.log(`${dryRun ? "Would move" : "Moving"} ${storage}:${key} -> ${to}`);
+      if (dryRun) {
+        counts.moved += 1;
+        continue;
+      }
+
+      try {
+        const source = getStorageDriver(storage);
+        const stream = await source.get(key);
+        if (!stream) {
+          console.warn(`  Missing from ${storage}, skipped`);
+          counts.missing += 1;
+          continue;
+        }
+
+        await target.put(key, stream, { contentType: attachment.mimetype, size: attachment.size });
+        await Question.collection.updateOne(
+          { _id: question._id, "attachments._id": attachment._id },
+          {
+            $set: { "attachments.$.storage": to, "attachments.$.key": key },
+            $unset: { "attachments.$.path": "" }
+          }
+        );
+
+        if (!keepSource) {
+          await source.remove(key);
+        }
+        counts.moved += 1;
+      } catch (error) {
+        console.error(`  Failed: ${error.message}`);
+        counts.failed += 1;
+      }
+    }
+  }
+
+  console.log(`${dryRun ? "Would move" : "Moved"} ${counts.moved} attachment(s); ${counts.missing} missing, ${counts.failed} failed`);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+  console.log("Done.");
+};
+
+run()
+  .catch((error) => {
+    console.error("Attachment migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import process from "process";
+import express from "express";
+
+// A minimal OpenID Connect provider for trying out "Continue with ..." sign-in locally.
+// It signs in whoever types an email address into its form; never expose it publicly.
+//
+// Usage:
+//   node scripts/mockOidcProvider.js            # listens on MOCK_OIDC_PORT (default 5555)
+//
+// Then start the API with:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_NAME="Mock SSO"
+//   OIDC_MOCK_ISSUER=http://localhost:5555
+//   OIDC_MOCK_CLIENT_ID=h-forum
+//   OIDC_MOCK_CLIENT_SECRET=mock-secret
+
+const PORT = process.env.MOCK_OIDC_PORT || 5555;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "h-forum";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+
+// Issued codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+    claims_supported: ["sub", "email", "email_verified", "name", "preferred_username"]
+  });
+});
+
+// Sign-in form; the OAuth parameters ride along as hidden fields
+app.get("/authorize", (req, res) => {
+  if (req.query.client_id !== CLIENT_ID || req.query.response_type !== "code") {
+    return res.status(400).send("Unknown client or unsupported response type");
+  }
+
+  const hidden = ["redirect_uri", "state", "code_challenge", "code_challenge_method", "scope"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || "")}">`)
+    .join("");
+
+  res.send(`<!doctype html>
+<title>Mock SSO</title>
+<form method="post" action="/authorize" style="font-family: sans-serif; max-width: 320px; margin: 80px auto; display: grid; gap: 12px">
+  <h1>Mock SSO</h1>
+  ${hidden}
+  <label>Email <input name="email" type="email" required style="width: 100%"></label>
+  <label>Name <input name="name" style="width: 100%"></label>
+  <label><input name="email_verified" type="checkbox" checked> Email verified</label>
+  <button>Sign in</button>
+  <button name="deny" value="1">Cancel</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set("state", req.body.state);
+
+  if (req.body.deny) {
+    redirect.searchParams.set("error", "access_denied");
+    return res.redirect(redirect.toString());
+  }
+
+  const email = req.body.email.trim().toLowerCase();
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    redirectUri: req.body.redirect_uri,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + 60 * 1000,
+    profile: {
+      // Stable per email, like a real provider's user id
+      sub: sha256(email).toString("hex").slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === "on",
+      name: req.body.name || email.split("@")[0],
+      preferred_username: email.split("@")[0]
+    }
+  });
+
+  redirect.searchParams.set("code", code);
+  res.redirect(redirect.toString());
+});
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const challengeMatches = issued && code_verifier &&
+    sha256(code_verifier).toString("base64url") === issued.codeChallenge;
+
+  if (grant_type !== "authorization_code" || !issued || issued.expiresAt < Date.now() ||
+    issued.redirectUri !== redirect_uri || !challengeMatches) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, issued.profile);
+
+  res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 3600 });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const profile = accessTokens.get(token);
+
+  if (!profile) {
+    return res.status(401).json({ error: "invalid_token" });
+  }
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client id "${CLIENT_ID}", secret "${CLIENT_SECRET}")`);
+});
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { pipeline } from "stream/promises";
+import express from "express";
+import { signatureV4, UNSIGNED_PAYLOAD } from "../utils/s3.js";
+
+// A minimal S3-compatible object store for trying out the s3 storage driver locally, in the spirit of
+// MinIO. It handles path-style PUT, GET, HEAD and DELETE of objects, checks Signature Version 4
+// signatures (headers and presigned URLs) and keeps objects under MOCK_S3_DIR. Buckets are created on
+// first use. Never expose it publicly.
+//
+// Usage:
+//   node scripts/mockS3Server.js            # listens on MOCK_S3_PORT (default 9000)
+//
+// Then start the API with:
+//   STORAGE_DRIVER=s3
+//   STORAGE_S3_ENDPOINT=http://localhost:9000
+//   STORAGE_S3_BUCKET=h-forum
+//   STORAGE_S3_ACCESS_KEY=mock-access-key
+//   STORAGE_S3_SECRET_KEY=mock-secret-key
+
+const PORT = process.env.MOCK_S3_PORT || 9000;
+const DATA_DIR = process.env.MOCK_S3_DIR || "mock-s3";
+const REGION = process.env.MOCK_S3_REGION || "us-east-1";
+const ACCESS_KEY = process.env.MOCK_S3_ACCESS_KEY || "mock-access-key";
+const SECRET_KEY = process.env.MOCK_S3_SECRET_KEY || "mock-secret-key";
+
+// Content types of stored objects, kept in memory
+const contentTypes = new Map();
+
+const s3Error = (res, status, code) => {
+  res.status(status).type("application/xml").send(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+};
+
+// Time of an X-Amz-Date value (20130524T000000Z)
+const parseAmzDate = (value) => Date.parse(value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, "$1-$2-$3T$4:$5:$6Z"));
+
+// Check the request's signature, from the Authorization header or presigned query parameters
+const isAuthorized = (req) => {
+  const rawPath = req.originalUrl.split("?")[0];
+  const presigned = req.query["X-Amz-Signature"];
+
+  let credential, signedHeaderNames, signature, time, query, payloadHash;
+  if (presigned) {
+    const { "X-Amz-Signature": _signature, ...rest } = req.query;
+    ({ "X-Amz-Credential": credential, "X-Amz-Date": time } = req.query);
+    signedHeaderNames = (req.query["X-Amz-SignedHeaders"] || "").split(";");
+    signature = presigned;
+    query = rest;
+    payloadHash = UNSIGNED_PAYLOAD;
+
+    const expiresAt = parseAmzDate(time || "") + Number(req.query["X-Amz-Expires"]) * 1000;
+    if (!(expiresAt > Date.now())) return false;
+  } else {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/
+      .exec(req.headers.authorization || "");
+    if (!match) return false;
+
+    [, credential, , signature] = match;
+    signedHeaderNames = match[2].split(";");
+    time = req.headers["x-amz-date"] || "";
+    query = req.query;
+    payloadHash = req.headers["x-amz-content-sha256"] || "";
+  }
+
+  if (!credential || credential.split("/")[0] !== ACCESS_KEY) return false;
+
+  const headers = Object.fromEntries(signedHeaderNames.map((name) => [name, req.headers[name] || ""]));
+  return signatureV4({
+    method: req.method,
+    path: rawPath,
+    query,
+    headers,
+    payloadHash,
+    time,
+    region: REGION,
+    secretAccessKey: SECRET_KEY
+  }) === signature;
+};
+
+const objectFile = (req) => {
+  const file = path.resolve(DATA_DIR, req.params.bucket, req.params[0]);
+  return file.startsWith(path.resolve(DATA_DIR) + path.sep) ? file : null;
+};
+
+const app = express();
+
+app.all("/:bucket/*", (req, res, next) => {
+  if (!isAuthorized(req)) return s3Error(res, 403, "SignatureDoesNotMatch");
+  if (!objectFile(req)) return s3Error(res, 400, "InvalidObjectName");
+  next();
+});
+
+app.put("/:bucket/*", async (req, res) => {
+  const file = objectFile(req);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await pipeline(req, fs.createWriteStream(file));
+  contentTypes.set(file, req.headers["content-type"]);
+  res.status(200).end();
+});
+
+app.get("/:bucket/*", (req, res) => {
+  const file = objectFile(req);
+  if (!fs.existsSync(file)) return s3Error(res, 404, "NoSuchKey");
+
+  res.type(contentTypes.get(file) || path.extname(file) || "application/octet-stream");
+  res.sendFile(file);
+});
+
+app.delete("/:bucket/*", async (req, res) => {
+  const file = objectFile(req);
+  await fs.promises.rm(file, { force: true });
+  contentTypes.delete(file);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT} (access key "${ACCESS_KEY}", secret "${SECRET_KEY}")`);
+});
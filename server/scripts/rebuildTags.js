@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import Question from "../models/Question.js";
+import Tag, { MAX_TAGS } from "../models/Tag.js";
+
+// Bring the tag collection (models/Tag.js) in line with the questions: normalize question tags, replace
+// synonyms with their canonical tag, then recount every tag. Tags found on questions get a Tag document.
+// Run it once after upgrading, and whenever counts look off.
+//
+// Usage:
+//   node scripts/rebuildTags.js
+//   node scripts/rebuildTags.js --dry-run   # only count the questions whose tags would change
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  let retagged = 0;
+  const questions = Question.find({ "tags.0": { $exists: true } }).select("tags").lean().cursor();
+
+  for await (const question of questions) {
+    const tags = (await Tag.canonicalize(question.tags)).slice(0, MAX_TAGS);
+    if (JSON.stringify(tags) === JSON.stringify(question.tags)) continue;
+
+    if (!dryRun) {
+      await Question.updateOne({ _id: question._id }, { $set: { tags } }, { timestamps: false });
+    }
+    retagged += 1;
+  }
+  console.log(`${dryRun ? "Would retag" : "Retagged"} ${retagged} question(s)`);
+
+  if (!dryRun) {
+    await Tag.recount();
+    console.log(`Recounted ${await Tag.countDocuments()} tag(s)`);
+  }
+  console.log("Done.");
+};
+
+run()
+  .catch((error) => {
+    console.error("Tag rebuild failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
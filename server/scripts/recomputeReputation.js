@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import ReputationEvent, { VOTE_POINTS, ACCEPT_POINTS } from "../models/ReputationEvent.js";
+
+// Recompute every user's cached reputation from the ReputationEvent ledger.
+//
+// Usage:
+//   node scripts/recomputeReputation.js            # sum the existing ledger
+//   node scripts/recomputeReputation.js --rebuild  # first regenerate vote and
+//                                                  # acceptance events from the
+//                                                  # current state of all questions
+
+dotenv.config();
+
+const rebuild = process.argv.includes("--rebuild");
+
+// Build the vote and acceptance events implied by a question's current state
+const eventsForQuestion = (question) => {
+  const events = [];
+
+  const voteEvents = (votes, recipient, kind, answer) => {
+    for (const voteType of ["upvote", "downvote"]) {
+      for (const actor of votes?.[`${voteType}s`] || []) {
+        events.push({
+          user: recipient,
+          actor,
+          type: voteType,
+          points: VOTE_POINTS[`${kind}_${voteType}`],
+          source: { kind, question: question._id, answer },
+        });
+      }
+    }
+  };
+
+  voteEvents(question.votes, question.author, "question");
+
+  for (const answer of question.answers) {
+    voteEvents(answer.votes, answer.author, "answer", answer._id);
+
+    if (answer.isAccepted && answer.author.toString() !== question.author.toString()) {
+      events.push({
+        user: answer.author,
+        actor: question.author,
+        type: "accepted",
+        points: ACCEPT_POINTS.answer,
+        source: { kind: "answer", question: question._id, answer: answer._id },
+      });
+    }
+    if (answer.isAccepted) {
+      events.push({
+        user: question.author,
+        actor: question.author,
+        type: "accepted",
+        points: ACCEPT_POINTS.accepter,
+        source: { kind: "question", question: question._id, answer: answer._id },
+      });
+    }
+  }
+
+  return events;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  if (rebuild) {
+    // Admin adjustments and bounties cannot be derived from questions, so keep them
+    const { deletedCount } = await ReputationEvent.deleteMany({
+      type: { $nin: ["adjustment", "bounty"] },
+    });
+    console.log(`Removed ${deletedCount} derived events`);
+
+    let created = 0;
+    for await (const question of Question.find({ isActive: true }).lean().cursor()) {
+      const events = eventsForQuestion(question);
+      if (events.length > 0) {
+        await ReputationEvent.insertMany(events);
+        created += events.length;
+      }
+    }
+    console.log(`Rebuilt ${created} events from questions`);
+  }
+
+  let updated = 0;
+  for await (const user of User.find().select("_id username reputation").cursor()) {
+    const total = await ReputationEvent.recomputeUserReputation(user._id);
+    if (total !== user.reputation) {
+      console.log(`${user.username}: ${user.reputation} -> ${total}`);
+      updated += 1;
+    }
+  }
+
+  console.log(`Done. ${updated} user(s) updated.`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Reputation recompute failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import process from "process";
+import dotenv from "dotenv";
+import Question from "../models/Question.js";
+import Comment from "../models/Comment.js";
+import { renderMarkdown, renderInlineMarkdown } from "../utils/markdown.js";
+
+// Re-render the stored HTML of every question, answer and comment from its Markdown source.
+// Run after changing the Markdown pipeline or sanitizer settings; documents are updated
+// in place so timestamps and lastActivity are left untouched.
+//
+// Usage:
+//   node scripts/renderMarkdown.js
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("MongoDB Connected");
+
+  let questions = 0;
+  for await (const question of Question.find().select("description answers.content").lean().cursor()) {
+    const update = { descriptionHtml: renderMarkdown(question.description) };
+    question.answers.forEach((answer, index) => {
+      update[`answers.${index}.contentHtml`] = renderMarkdown(answer.content);
+    });
+
+    await Question.collection.updateOne({ _id: question._id }, { $set: update });
+    questions += 1;
+  }
+  console.log(`Rendered ${questions} question(s)`);
+
+  let comments = 0;
+  for await (const comment of Comment.find().select("content").lean().cursor()) {
+    await Comment.collection.updateOne(
+      { _id: comment._id },
+      { $set: { contentHtml: renderInlineMarkdown(comment.content) } }
+    );
+    comments += 1;
+  }
+  console.log(`Rendered ${comments} comment(s)`);
+
+  console.log("Done.");
+};
+
+run()
+  .catch((error) => {
+    console.error("Markdown render failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
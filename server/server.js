@@ -6,6 +6,7 @@ import morgan from "morgan";
 import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
 import path from "path";
+import process from "process";
 import { fileURLToPath } from "url";
 
 // Properly resolve directory for ESM
@@ -20,6 +21,15 @@ import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/users.js";
 import questionRoutes from "./routes/questions.js";
 import topicRoutes from "./routes/topics.js";
+import tagRoutes from "./routes/tags.js";
+import commentRoutes from "./routes/comments.js";
+import notificationRoutes from "./routes/notifications.js";
+import eventRoutes from "./routes/events.js";
+import markdownRoutes from "./routes/markdown.js";
+import feedRoutes from "./routes/feed.js";
+import moderationRoutes from "./routes/moderation.js";
+import fileRoutes from "./routes/files.js";
+import { startMediaWorker } from "./utils/mediaQueue.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -55,8 +65,9 @@ app.use(
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// ✅ Serve uploaded files statically (Render’s free plan will not persist uploads)
-app.use("/uploads", express.static("uploads"));
+// ✅ Serve uploaded avatars statically (Render’s free plan will not persist uploads).
+// Attachments go through signed /api/files URLs or the configured object store (see utils/storage.js).
+app.use("/uploads/avatars", express.static("uploads/avatars"));
 
 // ✅ MongoDB Connection
 const connectDB = async () => {
@@ -66,6 +77,11 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Thumbnails and video posters; MEDIA_WORKER=off leaves them to `npm run media:worker`
+    if (process.env.MEDIA_WORKER !== "off") {
+      startMediaWorker();
+    }
   } catch (error) {
     console.error("Database connection error:", error.message);
     process.exit(1);
@@ -78,7 +94,15 @@ connectDB();
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/questions", questionRoutes);
+app.use("/api/questions/:id", commentRoutes);
 app.use("/api/topics", topicRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/markdown", markdownRoutes);
+app.use("/api/feed", feedRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/files", fileRoutes);
 
 // ✅ Health Check Endpoint (Render uses this)
 app.get("/api/health", (req, res) => {
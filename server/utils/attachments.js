@@ -0,0 +1,144 @@
+// Attachments on questions, answers and comments: recognizing file types from their content and
+// checking uploads against the policy of the topics they are posted in.
+//
+// The type is read from the file's first bytes; the name and the mimetype the browser sent are not
+// trusted. Stored files get the extension and mimetype of the detected type.
+
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import fs from 'fs';
+import { saveAttachment, removeAttachments } from './storage.js';
+
+export const ATTACHMENT_TYPES = {
+  jpeg: { label: 'JPEG image', mimetype: 'image/jpeg', extension: '.jpg' },
+  png: { label: 'PNG image', mimetype: 'image/png', extension: '.png' },
+  gif: { label: 'GIF image', mimetype: 'image/gif', extension: '.gif' },
+  webp: { label: 'WebP image', mimetype: 'image/webp', extension: '.webp' },
+  mp4: { label: 'MP4 video', mimetype: 'video/mp4', extension: '.mp4' },
+  mov: { label: 'QuickTime video', mimetype: 'video/quicktime', extension: '.mov' },
+  webm: { label: 'WebM video', mimetype: 'video/webm', extension: '.webm' },
+  mkv: { label: 'Matroska video', mimetype: 'video/x-matroska', extension: '.mkv' },
+  avi: { label: 'AVI video', mimetype: 'video/x-msvideo', extension: '.avi' },
+  pdf: { label: 'PDF document', mimetype: 'application/pdf', extension: '.pdf' },
+  zip: { label: 'ZIP archive', mimetype: 'application/zip', extension: '.zip' },
+  gzip: { label: 'Gzip archive', mimetype: 'application/gzip', extension: '.gz' },
+  text: { label: 'Text or log file', mimetype: 'text/plain', extension: '.txt' }
+};
+
+// Upper limits for every topic; a topic's policy can only be stricter
+export const ATTACHMENT_MAX_BYTES = 50 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 5;
+
+export const DEFAULT_ATTACHMENT_POLICY = {
+  allowedTypes: Object.keys(ATTACHMENT_TYPES),
+  maxFileSize: ATTACHMENT_MAX_BYTES
+};
+
+// How many leading bytes are read to recognize a file
+const SNIFF_BYTES = 4096;
+
+export class AttachmentError extends Error {}
+
+const startsWith = (head, bytes, offset = 0) => bytes.every((byte, index) => head[offset + index] === byte);
+const ascii = (head, start, end) => head.subarray(start, end).toString('latin1');
+
+// Text if it holds no NUL bytes and is valid UTF-8 (a sequence cut off at the end of the sample is fine)
+const isText = (head) => {
+  if (head.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Detect the type of a file from its content. Returns a key of ATTACHMENT_TYPES, or null.
+export const sniffFileType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  let head;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (head.length === 0) return null;
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (['GIF87a', 'GIF89a'].includes(ascii(head, 0, 6))) return 'gif';
+  if (ascii(head, 0, 4) === 'RIFF') {
+    const format = ascii(head, 8, 12);
+    if (format === 'WEBP') return 'webp';
+    if (format === 'AVI ') return 'avi';
+    return null;
+  }
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12);
+    // Still images (HEIC, AVIF) share the container
+    if (/^(hei|hev|mif|msf|avi)/.test(brand)) return null;
+    return brand === 'qt  ' ? 'mov' : 'mp4';
+  }
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(head, 0, 64).includes('webm') ? 'webm' : 'mkv';
+  }
+  if (ascii(head, 0, 5) === '%PDF-') return 'pdf';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) return 'zip';
+  if (startsWith(head, [0x1f, 0x8b])) return 'gzip';
+  if (isText(head)) return 'text';
+  return null;
+};
+
+const formatMegabytes = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+// Policy as sent to clients: the allowed types with their labels
+export const describePolicy = (policy) => ({
+  allowedTypes: policy.allowedTypes.map(id => ({ id, label: ATTACHMENT_TYPES[id].label })),
+  maxFileSize: policy.maxFileSize
+});
+
+// Check files uploaded through middleware/upload.js against a policy and move them to attachment storage.
+// Returns the attachments to save on the post, with images and videos marked pending for the media
+// pipeline (queue them with enqueueMedia() from utils/mediaQueue.js once the post is saved). Nothing is
+// stored unless every file passes; if storing one fails, the ones already stored are removed.
+export const storeUploads = async (files = [], policy = DEFAULT_ATTACHMENT_POLICY) => {
+  const checked = await Promise.all(files.map(async (file) => {
+    const type = await sniffFileType(file.path);
+
+    if (!type || !policy.allowedTypes.includes(type)) {
+      const allowed = policy.allowedTypes.map(id => ATTACHMENT_TYPES[id].label).join(', ');
+      throw new AttachmentError(allowed
+        ? `${file.originalname} is not an allowed file type here (allowed: ${allowed})`
+        : 'Attachments are not allowed here');
+    }
+    if (file.size > policy.maxFileSize) {
+      throw new AttachmentError(`${file.originalname} is larger than the ${formatMegabytes(policy.maxFileSize)} allowed here`);
+    }
+
+    return { file, type: ATTACHMENT_TYPES[type] };
+  }));
+
+  const attachments = [];
+  try {
+    for (const { file, type } of checked) {
+      const key = `attachments-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${type.extension}`;
+      const stored = await saveAttachment(key, fs.createReadStream(file.path), {
+        contentType: type.mimetype,
+        size: file.size
+      });
+      attachments.push({
+        filename: key,
+        originalName: file.originalname,
+        mimetype: type.mimetype,
+        size: file.size,
+        ...stored,
+        ...(/^(image|video)\//.test(type.mimetype) && { media: { status: 'pending' } })
+      });
+    }
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+  return attachments;
+};
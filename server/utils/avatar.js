@@ -0,0 +1,95 @@
+// Avatar images: uploads are center-cropped to squares in a few standard sizes, and users without
+// one get an identicon generated from their id.
+//
+// An uploaded avatar is stored on the user as a base path (/uploads/avatars/<user>-<time>); each size
+// is served from <base path>-<size>.webp.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+export const AVATAR_SIZES = [32, 64, 128, 256];
+
+export const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+
+const AVATAR_DIR = path.join('uploads', 'avatars');
+const AVATAR_URL_PREFIX = '/uploads/avatars/';
+
+// Formats accepted for upload (checked against the decoded image, not the file name)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Refuse decompression bombs: at most this many pixels in the source image
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export class AvatarError extends Error {}
+
+// Whether an avatar value is an upload handled here (rather than empty or an external URL)
+export const isUploadedAvatar = (avatar) => typeof avatar === 'string' && avatar.startsWith(AVATAR_URL_PREFIX);
+
+// Validate an uploaded image and write every size. Returns the base path to store on the user.
+// Re-encoding drops all metadata, including EXIF (camera details and GPS position).
+export const saveAvatar = async (userId, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new AvatarError('The file is not a valid image');
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new AvatarError('Avatars must be JPEG, PNG, WebP or GIF images');
+  }
+
+  await fs.mkdir(AVATAR_DIR, { recursive: true });
+  const name = `${userId}-${Date.now()}`;
+
+  await Promise.all(AVATAR_SIZES.map(size => (
+    sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      // Apply the EXIF orientation before it is dropped
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'centre' })
+      .webp({ quality: 85 })
+      .toFile(path.join(AVATAR_DIR, `${name}-${size}.webp`))
+  )));
+
+  return `${AVATAR_URL_PREFIX}${name}`;
+};
+
+// Delete the files of a user's uploaded avatar. Other values (empty, external URLs, or a path
+// typed in pointing at someone else's upload) are left alone.
+export const removeAvatar = async (avatar, userId) => {
+  if (!isUploadedAvatar(avatar)) return;
+
+  const name = path.basename(avatar);
+  if (!name.startsWith(`${userId}-`)) return;
+
+  await Promise.all(AVATAR_SIZES.map(size => (
+    fs.rm(path.join(AVATAR_DIR, `${name}-${size}.webp`), { force: true })
+  )));
+};
+
+// Symmetric 5x5 identicon as SVG, the same for the same seed
+export const identiconSvg = (seed) => {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  const hue = Math.round((hash[0] / 255) * 360);
+  const color = `hsl(${hue}, 55%, 55%)`;
+
+  const cells = [];
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      // One bit per cell of the left half, mirrored to the right
+      if (hash[1 + row * 3 + col] % 2 === 0) {
+        cells.push([col, row]);
+        if (col < 2) cells.push([4 - col, row]);
+      }
+    }
+  }
+
+  const rects = cells
+    .map(([x, y]) => `<rect x="${x + 1}" y="${y + 1}" width="1" height="1"/>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 7 7" shape-rendering="crispEdges">` +
+    `<rect width="7" height="7" fill="#f3f0ff"/><g fill="${color}">${rects}</g></svg>`;
+};
@@ -0,0 +1,72 @@
+// Line-based diff between two versions of a text, using the longest common subsequence.
+// Returns an array of { type: 'equal' | 'added' | 'removed', value } chunks.
+
+// Most cells of the LCS table computed for one diff. Texts that differ in more lines than this allows
+// are shown as the changed lines removed and added as a whole.
+const MAX_CELLS = 1000 * 1000;
+
+export const diffLines = (previous = '', current = '') => {
+  const a = previous.split('\n');
+  const b = current.split('\n');
+
+  // Lines shared at the start and end are equal whatever is between them
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const chunks = [];
+  const push = (type, value) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+      last.value += `\n${value}`;
+    } else {
+      chunks.push({ type, value });
+    }
+  };
+
+  a.slice(0, start).forEach(line => push('equal', line));
+
+  const oldLines = a.slice(start, a.length - end);
+  const newLines = b.slice(start, b.length - end);
+  const m = oldLines.length;
+  const n = newLines.length;
+
+  if ((m + 1) * (n + 1) > MAX_CELLS) {
+    oldLines.forEach(line => push('removed', line));
+    newLines.forEach(line => push('added', line));
+  } else {
+    // lcs[i * (n + 1) + j] = length of the LCS of oldLines[i..] and newLines[j..]
+    const width = n + 1;
+    const lcs = new Uint32Array((m + 1) * width);
+    for (let i = m - 1; i >= 0; i--) {
+      for (let j = n - 1; j >= 0; j--) {
+        lcs[i * width + j] = oldLines[i] === newLines[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < m && j < n) {
+      if (oldLines[i] === newLines[j]) {
+        push('equal', oldLines[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        push('removed', oldLines[i]);
+        i++;
+      } else {
+        push('added', newLines[j]);
+        j++;
+      }
+    }
+    while (i < m) push('removed', oldLines[i++]);
+    while (j < n) push('added', newLines[j++]);
+  }
+
+  a.slice(a.length - end).forEach(line => push('equal', line));
+
+  return chunks;
+};
@@ -0,0 +1,85 @@
+// Email address checks and outgoing mail.
+// Mail goes through a pluggable transport picked with MAIL_TRANSPORT. 'console' (the default outside
+// production) logs each message and 'file' writes it to MAIL_OUTBOX_DIR, so development needs no mail
+// server. A real provider is plugged in with registerTransport() before the server starts. In production
+// MAIL_TRANSPORT must be set, and never to 'console': messages carry sign-in and password reset links.
+
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import emailValidator from 'email-validator';
+import emailExistence from 'email-existence';
+
+const EXISTENCE_CHECK_TIMEOUT = 5000;
+
+// Syntax check for an email address
+export const isValidEmail = (email) => typeof email === 'string' && emailValidator.validate(email);
+
+// Ask the domain's mail server whether the mailbox exists. Opt-in with CHECK_EMAIL_EXISTENCE=true,
+// since many networks block outgoing SMTP. Resolves true when the check is disabled.
+export const emailExists = (email) => {
+  if (process.env.CHECK_EMAIL_EXISTENCE !== 'true') {
+    return Promise.resolve(true);
+  }
+
+  return new Promise(resolve => {
+    emailExistence(email, (error, exists) => resolve(!!exists), EXISTENCE_CHECK_TIMEOUT);
+  });
+};
+
+// Plain-text rendering of a message, used by the development transports
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  '',
+  text
+].join('\n');
+
+const transports = new Map();
+
+// Transports take { from, to, subject, text, html } and return a promise
+export const registerTransport = (name, send) => {
+  transports.set(name, send);
+};
+
+registerTransport('console', async (message) => {
+  console.log(`📧 Mail\n${formatMessage(message)}\n`);
+});
+
+registerTransport('file', async (message) => {
+  const outbox = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+  await fs.mkdir(outbox, { recursive: true });
+
+  const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const filename = `${Date.now()}-${safeRecipient}.eml`;
+  await fs.writeFile(path.join(outbox, filename), formatMessage(message));
+});
+
+// Send a message through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  if (isProduction && name === 'console') {
+    throw new Error('The console mail transport would log sign-in links and cannot be used in production');
+  }
+
+  const send = transports.get(name);
+
+  if (!send) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || 'H-Forum <no-reply@h-forum.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,93 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js';
+import sanitizeHtml from 'sanitize-html';
+
+// Usernames as matched by Comment.extractMentions
+const MENTION_PATTERN = /(^|\s)@([A-Za-z0-9_.-]{3,30})/g;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const marked = new Marked(
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  {
+    gfm: true,
+    // Posts used to be shown with whitespace-pre-wrap, so keep single newlines as line breaks
+    breaks: true,
+    renderer: {
+      // Wrap @username mentions in plain text (code spans and blocks are left alone)
+      text(token) {
+        if (token.tokens) return false;
+
+        const html = token.escaped ? token.text : escapeHtml(token.text);
+        return html.replace(MENTION_PATTERN, (match, space, username) => {
+          const name = username.replace(/[.-]+$/, '');
+          const rest = username.slice(name.length);
+          return `${space}<span class="mention">@${name}</span>${rest}`;
+        });
+      }
+    }
+  }
+);
+
+const linkTransform = (tagName, attribs) => ({
+  tagName,
+  attribs: { ...attribs, target: '_blank', rel: 'nofollow noopener noreferrer' }
+});
+
+// Full posts (questions and answers)
+const blockOptions = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del'],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    code: ['class'],
+    span: ['class']
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    // highlight.js also emits sub-scope classes such as "hljs-title function_"
+    span: ['hljs-*', '*_', 'mention']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: { a: linkTransform }
+};
+
+// Comments only allow inline formatting
+const inlineOptions = {
+  allowedTags: ['a', 'code', 'em', 'strong', 'del', 'span', 'br'],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    span: ['class']
+  },
+  allowedClasses: {
+    span: ['mention']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: { a: linkTransform }
+};
+
+// Render Markdown to sanitized HTML
+export const renderMarkdown = (source = '') => {
+  return sanitizeHtml(marked.parse(source), blockOptions);
+};
+
+// Render a single line of inline Markdown (no headings, lists or code blocks) to sanitized HTML
+export const renderInlineMarkdown = (source = '') => {
+  return sanitizeHtml(marked.parseInline(source), inlineOptions);
+};
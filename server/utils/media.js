@@ -0,0 +1,306 @@
+// Media pipeline: thumbnails and responsive sizes of images, poster frames and metadata of videos, and
+// browser-playable copies of videos uploaded in other formats. Jobs are queued and run by
+// utils/mediaQueue.js; the results are recorded on the attachment's `media` field and the derived files
+// are stored next to the original with the current storage driver.
+//
+// Videos need ffmpeg and ffprobe, found on the PATH or at FFMPEG_PATH and FFPROBE_PATH. Without them
+// video jobs fail and videos are shown without posters.
+
+import { Buffer } from 'buffer';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import Question from '../models/Question.js';
+import Comment from '../models/Comment.js';
+import MediaJob from '../models/MediaJob.js';
+import {
+  getStorageDriver,
+  attachmentStorage,
+  attachmentKey,
+  saveAttachment,
+  removeAttachments
+} from './storage.js';
+
+// Longest side of each image size. Sizes that wouldn't be smaller than the original are skipped; clients
+// use the original instead.
+export const IMAGE_SIZES = { thumb: 320, medium: 960, large: 1920 };
+
+const POSTER_SIZE = 1280;
+const PLAYBACK_HEIGHT = 720;
+
+// Refuse decompression bombs: at most this many pixels in a source image
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const PROBE_TIMEOUT = 2 * 60 * 1000;
+// Kept below the job lock timeout in models/MediaJob.js
+const TRANSCODE_TIMEOUT = 30 * 60 * 1000;
+
+// ffmpeg demuxer for each video type utils/attachments.js detects. Uploads are always read with the
+// demuxer of their detected type and only the file protocol: left to guess, ffmpeg can be steered by a
+// crafted file into playlist or concat demuxers that fetch other local files or URLs.
+const VIDEO_DEMUXERS = {
+  'video/mp4': 'mov',
+  'video/quicktime': 'mov',
+  'video/webm': 'matroska',
+  'video/x-matroska': 'matroska',
+  'video/x-msvideo': 'avi'
+};
+
+// Videos browsers play as uploaded: container to video codecs
+const PLAYABLE_VIDEOS = {
+  'video/mp4': ['h264', 'av1'],
+  'video/webm': ['vp8', 'vp9', 'av1']
+};
+
+// A failure that trying again won't fix, such as an unreadable file or ffmpeg not being installed
+export class MediaError extends Error {}
+
+// The job an attachment needs, or null for files the pipeline doesn't handle
+export const mediaJobKind = (attachment) => {
+  if (attachment.mimetype.startsWith('image/')) return 'image';
+  if (attachment.mimetype.startsWith('video/')) return 'video';
+  return null;
+};
+
+const ffmpeg = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobe = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Input options that pin how ffmpeg and ffprobe read a video of the given type
+const videoInput = (mimetype) => {
+  const demuxer = VIDEO_DEMUXERS[mimetype];
+  if (!demuxer) {
+    throw new MediaError(`Unsupported video type ${mimetype}`);
+  }
+  return ['-protocol_whitelist', 'file', '-f', demuxer];
+};
+
+// Run a command and resolve with its output
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout });
+  const output = [];
+  let errorOutput = '';
+
+  child.stdout.on('data', chunk => output.push(chunk));
+  child.stderr.on('data', (chunk) => {
+    errorOutput = (errorOutput + chunk).slice(-2000);
+  });
+  child.on('error', (error) => {
+    reject(error.code === 'ENOENT' ? new MediaError(`${command} is not installed`) : error);
+  });
+  child.on('close', (code, signal) => {
+    if (code === 0) return resolve(Buffer.concat(output));
+    const reason = signal ? `stopped by ${signal}` : errorOutput.trim().split('\n').pop();
+    reject(new MediaError(`${path.basename(command)} failed: ${reason}`));
+  });
+});
+
+// Copy an attachment's file to a temporary folder and run `work(file, folder)` on it
+const withLocalCopy = async (attachment, work) => {
+  const stream = await getStorageDriver(attachmentStorage(attachment)).get(attachmentKey(attachment));
+  if (!stream) {
+    throw new MediaError('The file is missing from storage');
+  }
+
+  const folder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+  try {
+    const file = path.join(folder, 'source');
+    await pipeline(stream, fs.createWriteStream(file));
+    return await work(file, folder);
+  } finally {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+  }
+};
+
+// Key of a derived file: the original's key with the variant name, e.g. attachments-123-ab12-thumb.webp
+const variantKey = (attachment, name, extension) => (
+  `${attachmentKey(attachment).replace(/\.[^./]+$/, '')}-${name}${extension}`
+);
+
+// Store the variants `work(add)` produces with add(name, file, { mimetype, extension, width, height }).
+// If it fails, the ones already stored are removed.
+const buildVariants = async (attachment, work) => {
+  const variants = [];
+  const add = async (name, file, { mimetype, extension, width, height }) => {
+    const { size } = await fs.promises.stat(file);
+    const stored = await saveAttachment(variantKey(attachment, name, extension), fs.createReadStream(file), {
+      contentType: mimetype,
+      size
+    });
+    variants.push({ name, mimetype, size, width, height, ...stored });
+  };
+
+  try {
+    await work(add);
+  } catch (error) {
+    await removeAttachments(variants);
+    throw error;
+  }
+  return variants;
+};
+
+// Scale an image to fit a square of `side` pixels and write it as WebP. Only the first frame of
+// animations is used.
+const resizeImage = async (source, folder, name, side) => {
+  const file = path.join(folder, `${name}.webp`);
+  const { width, height } = await sharp(source, { limitInputPixels: MAX_INPUT_PIXELS })
+    // Apply the EXIF orientation before metadata is dropped
+    .rotate()
+    .resize(side, side, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(file);
+  return { file, width, height, mimetype: 'image/webp', extension: '.webp' };
+};
+
+const prefixed = (prefix, fields) => Object.fromEntries(
+  Object.entries(fields).map(([field, value]) => [`${prefix}.${field}`, value])
+);
+
+// Update an attachment wherever it is: on a question, an answer or a comment. `fields` are relative to
+// the attachment. Returns whether the attachment still exists.
+const updateAttachment = async (filename, operator, fields) => {
+  const options = { timestamps: false };
+  const results = await Promise.all([
+    Question.updateOne(
+      { 'attachments.filename': filename },
+      { [operator]: prefixed('attachments.$', fields) },
+      options
+    ),
+    Question.updateOne(
+      { 'answers.attachments.filename': filename },
+      { [operator]: prefixed('answers.$[answer].attachments.$[attachment]', fields) },
+      { ...options, arrayFilters: [{ 'answer.attachments.filename': filename }, { 'attachment.filename': filename }] }
+    ),
+    Comment.updateOne(
+      { 'attachments.filename': filename },
+      { [operator]: prefixed('attachments.$', fields) },
+      options
+    )
+  ]);
+  return results.some(result => result.matchedCount > 0);
+};
+
+// Save the results of a job. Variants of attachments deleted while the job ran are removed again.
+const recordMedia = async (attachment, operator, fields, variants) => {
+  const exists = await updateAttachment(attachment.filename, operator, fields);
+  if (!exists) {
+    await removeAttachments(variants);
+  }
+};
+
+// Record that a job was given up. A failed transcode leaves the poster and metadata in place.
+export const recordMediaFailure = async (kind, attachment, error) => {
+  await updateAttachment(attachment.filename, '$set', kind === 'transcode'
+    ? { 'media.error': error.message }
+    : { 'media.status': 'failed', 'media.error': error.message });
+};
+
+// Image job: dimensions, a thumbnail and the larger sizes. Animated images keep only a still thumbnail,
+// so they are still shown moving as uploaded.
+export const processImage = (attachment) => withLocalCopy(attachment, async (source, folder) => {
+  let metadata;
+  try {
+    metadata = await sharp(source, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new MediaError('The file is not a readable image');
+  }
+
+  // EXIF orientations 5 to 8 turn the image sideways
+  const [width, height] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+  const animated = (metadata.pages || 1) > 1;
+  const sizes = Object.entries(IMAGE_SIZES)
+    .filter(([name, side]) => name === 'thumb' || (!animated && Math.max(width, height) > side));
+
+  const variants = await buildVariants(attachment, async (add) => {
+    for (const [name, side] of sizes) {
+      const resized = await resizeImage(source, folder, name, side);
+      await add(name, resized.file, resized);
+    }
+  });
+
+  await recordMedia(attachment, '$set', {
+    media: { status: 'ready', width, height, variants }
+  }, variants);
+});
+
+// Dimensions, duration and codec of a video
+const probeVideo = async (file, mimetype) => {
+  const output = await run(ffprobe(), [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', ...videoInput(mimetype), file
+  ], PROBE_TIMEOUT);
+  const { format = {}, streams = [] } = JSON.parse(output.toString());
+  const video = streams.find(stream => stream.codec_type === 'video');
+  if (!video) {
+    throw new MediaError('The file has no video stream');
+  }
+
+  // Phone videos are often stored sideways with a rotation to apply when playing
+  const rotation = Number(video.tags?.rotate ?? video.side_data_list?.find(data => 'rotation' in data)?.rotation ?? 0);
+  const sideways = Math.abs(rotation) % 180 === 90;
+
+  return {
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    duration: Number(format.duration) || undefined,
+    codec: video.codec_name
+  };
+};
+
+// Video job: metadata and a poster frame with a thumbnail of it. Videos browsers can't play as uploaded
+// get a transcode job.
+export const processVideo = (attachment) => withLocalCopy(attachment, async (source, folder) => {
+  const metadata = await probeVideo(source, attachment.mimetype);
+
+  const variants = await buildVariants(attachment, async (add) => {
+    const frame = path.join(folder, 'frame.png');
+    // A frame a second in, which is less often black than the first one
+    const seek = Math.min(1, (metadata.duration || 0) / 2);
+    await run(ffmpeg(), [
+      '-v', 'error', '-ss', String(seek), ...videoInput(attachment.mimetype), '-i', source, '-frames:v', '1', '-y', frame
+    ], PROBE_TIMEOUT);
+
+    const poster = await resizeImage(frame, folder, 'poster', POSTER_SIZE);
+    await add('poster', poster.file, poster);
+    const thumb = await resizeImage(frame, folder, 'thumb', IMAGE_SIZES.thumb);
+    await add('thumb', thumb.file, thumb);
+  });
+
+  await recordMedia(attachment, '$set', {
+    media: { status: 'ready', ...metadata, variants }
+  }, variants);
+
+  if (!PLAYABLE_VIDEOS[attachment.mimetype]?.includes(metadata.codec)) {
+    await MediaJob.enqueue('transcode', attachment);
+  }
+});
+
+// Transcode job: an H.264/AAC MP4 copy of at most 720p, for videos browsers can't play as uploaded
+export const transcodeVideo = (attachment) => withLocalCopy(attachment, async (source, folder) => {
+  const variants = await buildVariants(attachment, async (add) => {
+    const output = path.join(folder, 'playback.mp4');
+    await run(ffmpeg(), [
+      '-v', 'error', ...videoInput(attachment.mimetype), '-i', source,
+      '-vf', `scale=-2:'min(${PLAYBACK_HEIGHT},ih)'`,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k',
+      // Metadata up front, so playback can start before the whole file is downloaded
+      '-movflags', '+faststart',
+      '-y', output
+    ], TRANSCODE_TIMEOUT);
+
+    const metadata = await probeVideo(output, 'video/mp4');
+    await add('playback', output, {
+      mimetype: 'video/mp4',
+      extension: '.mp4',
+      width: metadata.width,
+      height: metadata.height
+    });
+  });
+
+  await recordMedia(attachment, '$push', { 'media.variants': variants[0] }, variants);
+});
@@ -0,0 +1,95 @@
+// Background queue of the media pipeline (utils/media.js). Jobs are kept in MongoDB (models/MediaJob.js)
+// and worked off by the API server, or with MEDIA_WORKER=off by a separate `npm run media:worker`.
+// MEDIA_CONCURRENCY jobs (default 1) run at a time. Failed attempts are retried with a growing delay;
+// failures retrying can't fix, and jobs that failed MAX_ATTEMPTS times, are given up.
+
+import process from 'process';
+import MediaJob from '../models/MediaJob.js';
+import {
+  MediaError,
+  mediaJobKind,
+  processImage,
+  processVideo,
+  transcodeVideo,
+  recordMediaFailure
+} from './media.js';
+
+// New jobs start right away in the process that queued them; other workers find them on their next poll
+const POLL_INTERVAL = 15 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 60 * 1000;
+
+const HANDLERS = {
+  image: processImage,
+  video: processVideo,
+  transcode: transcodeVideo
+};
+
+let started = false;
+let active = 0;
+
+const concurrency = () => Number(process.env.MEDIA_CONCURRENCY) || 1;
+
+const runJob = async (job) => {
+  try {
+    await HANDLERS[job.kind](job.attachment);
+    await job.complete();
+  } catch (error) {
+    const retry = !(error instanceof MediaError) && job.attempts < MAX_ATTEMPTS;
+    console.error(`Media job ${job._id} (${job.kind} ${job.attachment.filename}) error:`, error.message);
+
+    await job.fail(error, retry ? RETRY_DELAY * job.attempts : null);
+    if (!retry) {
+      await recordMediaFailure(job.kind, job.attachment, error);
+    }
+  }
+};
+
+// Claim and start jobs until none are due or MEDIA_CONCURRENCY are running
+const work = async () => {
+  while (active < concurrency()) {
+    // Counted before claiming, so overlapping calls don't start too many
+    active += 1;
+    let job;
+    try {
+      job = await MediaJob.claimNext();
+    } finally {
+      if (!job) active -= 1;
+    }
+    if (!job) return;
+
+    runJob(job)
+      .catch(error => console.error('Media job error:', error))
+      .finally(() => {
+        active -= 1;
+        wake();
+      });
+  }
+};
+
+const wake = () => {
+  if (!started) return;
+  work().catch(error => console.error('Media queue error:', error));
+};
+
+// Start working off jobs in this process
+export const startMediaWorker = () => {
+  if (started) return;
+  started = true;
+  wake();
+  setInterval(wake, POLL_INTERVAL);
+};
+
+// Queue processing for attachments storeUploads() just stored (those marked pending). A failure is
+// logged rather than thrown: the attachment is still usable, shown without thumbnails, and
+// `npm run media:backfill` can queue it again.
+export const enqueueMedia = async (attachments) => {
+  try {
+    await Promise.all(attachments
+      .filter(attachment => attachment.media?.status === 'pending')
+      .map(attachment => MediaJob.enqueue(mediaJobKind(attachment), attachment)));
+    wake();
+  } catch (error) {
+    console.error('Queue media error:', error);
+  }
+};
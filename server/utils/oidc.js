@@ -0,0 +1,156 @@
+// Sign-in with external OpenID Connect / OAuth2 identity providers (authorization code flow with PKCE).
+//
+// Providers are configured with environment variables, one set per provider id:
+//   OIDC_PROVIDERS=company,google                 ids, in the order the buttons are shown
+//   OIDC_COMPANY_NAME=Acme SSO                    button label (defaults to the id)
+//   OIDC_COMPANY_ISSUER=https://sso.acme.com      endpoints come from the issuer's discovery document
+//   OIDC_COMPANY_CLIENT_ID=... / OIDC_COMPANY_CLIENT_SECRET=...
+//   OIDC_COMPANY_SCOPES=openid email profile      (the default)
+// OAuth2 providers without discovery set OIDC_<ID>_AUTHORIZATION_URL, _TOKEN_URL and _USERINFO_URL
+// instead of _ISSUER. The provider must allow SERVER_URL/api/auth/oidc/<id>/callback as a redirect URI.
+//
+// scripts/mockOidcProvider.js runs a local provider for development.
+
+import crypto from 'crypto';
+import process from 'process';
+
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const discoveryCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// Public URL of this API server, used to build the callback URL
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const readProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const env = (name) => process.env[`${prefix}${name}`];
+
+  return {
+    id,
+    name: env('NAME') || id,
+    issuer: env('ISSUER')?.replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+    endpoints: {
+      authorization_endpoint: env('AUTHORIZATION_URL'),
+      token_endpoint: env('TOKEN_URL'),
+      userinfo_endpoint: env('USERINFO_URL')
+    }
+  };
+};
+
+// Configured providers; ones missing a client id or endpoints are skipped with a warning
+export const getProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean)
+  .map(readProvider)
+  .filter(provider => {
+    const usable = provider.clientId && (provider.issuer || provider.endpoints.authorization_endpoint);
+    if (!usable) {
+      console.warn(`OIDC provider "${provider.id}" needs a client id and an issuer or endpoint URLs`);
+    }
+    return usable;
+  });
+
+export const getProvider = (id) => getProviders().find(provider => provider.id === id) || null;
+
+// What the client needs to show the buttons
+export const publicProviders = () => getProviders().map(({ id, name }) => ({ id, name }));
+
+export const callbackUrl = (provider) => `${serverUrl()}/api/auth/oidc/${provider.id}/callback`;
+
+const definedOnly = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+
+// Endpoint URLs from configuration, filling the gaps from the issuer's discovery document
+const resolveEndpoints = async (provider) => {
+  if (!provider.issuer) {
+    return provider.endpoints;
+  }
+
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.document, ...definedOnly(provider.endpoints) };
+  }
+
+  const response = await fetch(`${provider.issuer}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed for ${provider.id} (${response.status})`);
+  }
+
+  const document = await response.json();
+  discoveryCache.set(provider.issuer, { document, expiresAt: Date.now() + DISCOVERY_TTL });
+  return { ...document, ...definedOnly(provider.endpoints) };
+};
+
+// Build the URL that sends the browser to the provider.
+// Returns the URL and the PKCE code verifier to keep until the callback.
+export const createAuthorizationRequest = async (provider, state) => {
+  const endpoints = await resolveEndpoints(provider);
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: callbackUrl(provider),
+    scope: provider.scopes,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return { url: `${endpoints.authorization_endpoint}?${params}`, codeVerifier };
+};
+
+// Exchange the callback's code for tokens and read the user's profile.
+// Returns { subject, email, emailVerified, name, username }.
+export const fetchIdentity = async (provider, { code, codeVerifier }) => {
+  const endpoints = await resolveEndpoints(provider);
+
+  const tokenResponse = await fetch(endpoints.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: callbackUrl(provider),
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: codeVerifier
+    })
+  });
+  const tokens = await tokenResponse.json();
+
+  if (!tokenResponse.ok || !tokens.access_token) {
+    throw new Error(`Token exchange failed for ${provider.id}: ${tokens.error_description || tokens.error || tokenResponse.status}`);
+  }
+
+  // The profile comes from the userinfo endpoint over the back channel, so the ID token's signature
+  // doesn't need checking here
+  const profileResponse = await fetch(endpoints.userinfo_endpoint, {
+    headers: {
+      Authorization: `Bearer ${tokens.access_token}`,
+      Accept: 'application/json'
+    }
+  });
+  const profile = await profileResponse.json();
+
+  if (!profileResponse.ok || !(profile.sub || profile.id)) {
+    throw new Error(`Userinfo request failed for ${provider.id} (${profileResponse.status})`);
+  }
+
+  return {
+    subject: String(profile.sub || profile.id),
+    email: typeof profile.email === 'string' ? profile.email.trim().toLowerCase() : '',
+    // Only an explicit claim counts; plain OAuth2 providers don't vouch for the address
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || '',
+    username: profile.preferred_username || profile.login || ''
+  };
+};
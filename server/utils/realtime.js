@@ -0,0 +1,47 @@
+// In-process pub/sub for Server-Sent Events.
+// Channels are plain strings: 'questions' for the listing feed and `question:<id>` per question page.
+// Subscribers only live in this process, so a multi-instance deployment would need a shared broker.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const channels = new Map();
+
+export const questionChannel = (questionId) => `question:${questionId}`;
+
+// Open an SSE stream on the response and register it on a channel until the client disconnects
+export const subscribe = (channel, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  const subscribers = channels.get(channel);
+  subscribers.add(res);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+    if (subscribers.size === 0) {
+      channels.delete(channel);
+    }
+  });
+};
+
+// Send an event to every subscriber on a channel
+export const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach(res => res.write(message));
+};
@@ -0,0 +1,151 @@
+// Minimal client for S3-compatible object stores (AWS S3, MinIO, R2, ...), signing requests with
+// AWS Signature Version 4. Objects are addressed path-style (<endpoint>/<bucket>/<key>), which every
+// S3-compatible store accepts.
+
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+// The body is not hashed; S3 accepts this for header-signed requests and presigned URLs
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// URI encoding as SigV4 defines it: everything but A-Z a-z 0-9 - _ . ~
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// 20130524T000000Z
+export const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+export const credentialScope = (time, region) => `${time.slice(0, 8)}/${region}/s3/aws4_request`;
+
+// Signature of a request. `path` is already URI-encoded, `query` holds the raw (unencoded) parameters
+// except X-Amz-Signature, and `headers` the signed headers with lower-case names.
+export const signatureV4 = ({ method, path, query = {}, headers, payloadHash, time, region, secretAccessKey }) => {
+  const canonicalQuery = Object.keys(query)
+    .map(name => [encode(name), encode(query[name])])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const headerNames = Object.keys(headers).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery,
+    canonicalHeaders,
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = credentialScope(time, region);
+  const stringToSign = [ALGORITHM, time, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, time.slice(0, 8)), region), 's3'), 'aws4_request');
+
+  return hmac(signingKey, stringToSign).toString('hex');
+};
+
+// Client for one bucket. `publicEndpoint` is used for presigned URLs when browsers reach the store at
+// a different address than the server does.
+export const createS3Client = ({ endpoint, publicEndpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) => {
+  const objectPath = (key) => `/${encode(bucket)}/${key.split('/').map(encode).join('/')}`;
+
+  const request = async (method, key, { body, headers = {} } = {}) => {
+    const url = new URL(objectPath(key), endpoint);
+    const time = amzDate(new Date());
+    const signedHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': time,
+      ...headers
+    };
+    const signature = signatureV4({
+      method,
+      path: url.pathname,
+      headers: signedHeaders,
+      payloadHash: UNSIGNED_PAYLOAD,
+      time,
+      region,
+      secretAccessKey
+    });
+
+    // fetch sets Host itself
+    const { host: _host, ...sentHeaders } = signedHeaders;
+    return fetch(url, {
+      method,
+      headers: {
+        ...sentHeaders,
+        Authorization: `${ALGORITHM} Credential=${accessKeyId}/${credentialScope(time, region)}, ` +
+          `SignedHeaders=${Object.keys(signedHeaders).sort().join(';')}, Signature=${signature}`
+      },
+      body,
+      ...(body && { duplex: 'half' })
+    });
+  };
+
+  const fail = async (action, key, response) => {
+    const detail = (await response.text()).match(/<Code>([^<]+)<\/Code>/)?.[1] || response.status;
+    throw new Error(`S3 ${action} failed for "${key}": ${detail}`);
+  };
+
+  return {
+    // Upload a stream or buffer. The size is required: S3 does not take chunked uploads.
+    async putObject(key, body, { contentType, size }) {
+      const response = await request('PUT', key, {
+        body: Buffer.isBuffer(body) ? body : Readable.from(body),
+        headers: {
+          'content-length': String(size),
+          ...(contentType && { 'content-type': contentType })
+        }
+      });
+      if (!response.ok) await fail('upload', key, response);
+    },
+
+    // Readable stream of an object, or null if it doesn't exist
+    async getObject(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail('download', key, response);
+      return Readable.fromWeb(response.body);
+    },
+
+    async deleteObject(key) {
+      const response = await request('DELETE', key);
+      if (!response.ok && response.status !== 404) await fail('delete', key, response);
+    },
+
+    // URL anyone can GET the object from until it expires
+    presignedUrl(key, expiresIn) {
+      const url = new URL(objectPath(key), publicEndpoint || endpoint);
+      const time = amzDate(new Date());
+      const query = {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${accessKeyId}/${credentialScope(time, region)}`,
+        'X-Amz-Date': time,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const signature = signatureV4({
+        method: 'GET',
+        path: url.pathname,
+        query,
+        headers: { host: url.host },
+        payloadHash: UNSIGNED_PAYLOAD,
+        time,
+        region,
+        secretAccessKey
+      });
+
+      url.search = new URLSearchParams({ ...query, 'X-Amz-Signature': signature }).toString();
+      return url.toString();
+    }
+  };
+};
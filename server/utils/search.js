@@ -0,0 +1,100 @@
+// Helpers for question search: query parsing, regex escaping and highlighted snippets
+
+const OPERATOR_PATTERN = /(-?)(tag|user|topic|is):("[^"]*"|\S+)/gi;
+const PHRASE_PATTERN = /"([^"]+)"/g;
+
+// Escape user input for safe use inside a RegExp
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a search string into free text and operators:
+//   tag:react  user:alice  topic:web-development  is:answered|unanswered|accepted  "exact phrase"
+// Returns { text, phrases, words, tags, users, topics, is }
+export const parseSearchQuery = (raw = '') => {
+  const parsed = { text: '', phrases: [], words: [], tags: [], users: [], topics: [], is: [] };
+
+  const rest = raw.replace(OPERATOR_PATTERN, (match, negate, operator, value) => {
+    // Negated operators aren't supported; keep them as plain text
+    if (negate) return match;
+
+    const cleaned = value.replace(/^"|"$/g, '').trim();
+    if (!cleaned) return ' ';
+
+    switch (operator.toLowerCase()) {
+      case 'tag':
+        parsed.tags.push(cleaned.toLowerCase());
+        break;
+      case 'user':
+        parsed.users.push(cleaned);
+        break;
+      case 'topic':
+        parsed.topics.push(cleaned.toLowerCase());
+        break;
+      case 'is':
+        parsed.is.push(cleaned.toLowerCase());
+        break;
+    }
+    return ' ';
+  });
+
+  const withoutPhrases = rest.replace(PHRASE_PATTERN, (match, phrase) => {
+    if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  parsed.words = withoutPhrases.split(/\s+/).map(word => word.replace(/"/g, '')).filter(Boolean);
+
+  // MongoDB $text syntax: quoted phrases must all match, remaining words are OR-ed and ranked
+  parsed.text = [
+    ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...parsed.words
+  ].join(' ');
+
+  return parsed;
+};
+
+// Wrap every occurrence of the search terms in <mark>. The text is HTML-escaped first,
+// so the result is safe to render as HTML.
+export const highlight = (text = '', terms = []) => {
+  const escaped = escapeHtml(text);
+  const patterns = terms
+    .filter(Boolean)
+    .map(term => escapeRegex(escapeHtml(term)))
+    .sort((a, b) => b.length - a.length);
+
+  if (patterns.length === 0) return escaped;
+
+  return escaped.replace(new RegExp(`(${patterns.join('|')})`, 'gi'), '<mark>$1</mark>');
+};
+
+// Cut a window of plain text around the first match and highlight it
+export const snippet = (text = '', terms = [], length = 200) => {
+  const plain = text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#>*_`~[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const lower = plain.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  let start = 0;
+  if (firstMatch !== undefined && firstMatch > length / 3) {
+    start = plain.lastIndexOf(' ', firstMatch - Math.floor(length / 3)) + 1;
+  }
+  const end = Math.min(plain.length, start + length);
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < plain.length ? ' …' : '';
+
+  return `${escapeHtml(prefix)}${highlight(plain.slice(start, end), terms)}${escapeHtml(suffix)}`;
+};
@@ -0,0 +1,199 @@
+// Attachment storage. Files go through a pluggable driver picked with STORAGE_DRIVER:
+//   disk     files under STORAGE_DISK_DIR (default uploads/); the default
+//   s3       an S3-compatible bucket: STORAGE_S3_ENDPOINT, STORAGE_S3_REGION (default us-east-1),
+//            STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY, STORAGE_S3_SECRET_KEY, and optionally
+//            STORAGE_S3_PUBLIC_ENDPOINT when browsers reach the store at another address
+//   gridfs   MongoDB GridFS in the bucket STORAGE_GRIDFS_BUCKET (default attachments)
+// Another backend is plugged in with registerStorageDriver() before the server starts.
+//
+// Each attachment records the driver that holds it, so files stay readable after STORAGE_DRIVER changes;
+// scripts/migrateAttachments.js moves them between backends. Downloads use signed URLs that expire after
+// STORAGE_URL_TTL seconds (default one hour): presigned by the store for s3, served by /api/files otherwise.
+
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import { createS3Client } from './s3.js';
+
+const DEFAULT_URL_TTL = 60 * 60;
+
+const drivers = new Map();
+
+// Drivers implement:
+//   put(key, stream, { contentType, size })  store a file
+//   get(key)                                 readable stream, or null when the file doesn't exist
+//   remove(key)                              delete the file; missing files are not an error
+//   url(key, expiresIn)                      signed download URL
+export const registerStorageDriver = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+export const getStorageDriver = (name) => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+};
+
+export const currentStorageName = () => process.env.STORAGE_DRIVER || 'disk';
+
+const urlTtl = () => Number(process.env.STORAGE_URL_TTL) || DEFAULT_URL_TTL;
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const fileSignature = (storage, key, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${storage}\n${key}\n${expires}`)
+  .digest('base64url');
+
+// Signed /api/files URL for drivers the API serves itself
+const signedApiUrl = (storage, key, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const signature = fileSignature(storage, key, expires);
+  return `/api/files/${storage}/${encodeURIComponent(key)}?expires=${expires}&signature=${signature}`;
+};
+
+// Check the expiry and signature of an /api/files request
+export const verifyFileSignature = (storage, key, expires, signature) => {
+  if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(fileSignature(storage, key, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Disk
+
+const diskPath = (key) => {
+  const root = path.resolve(process.env.STORAGE_DISK_DIR || 'uploads');
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+};
+
+registerStorageDriver('disk', {
+  async put(key, stream) {
+    await fs.promises.mkdir(path.dirname(diskPath(key)), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(diskPath(key)));
+  },
+
+  async get(key) {
+    try {
+      await fs.promises.access(diskPath(key));
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(diskPath(key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(diskPath(key), { force: true });
+  },
+
+  url: (key, expiresIn) => signedApiUrl('disk', key, expiresIn)
+});
+
+// S3-compatible object store
+
+let s3Client = null;
+const s3 = () => {
+  if (!s3Client) {
+    s3Client = createS3Client({
+      endpoint: process.env.STORAGE_S3_ENDPOINT,
+      publicEndpoint: process.env.STORAGE_S3_PUBLIC_ENDPOINT,
+      region: process.env.STORAGE_S3_REGION,
+      bucket: process.env.STORAGE_S3_BUCKET,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_KEY
+    });
+  }
+  return s3Client;
+};
+
+registerStorageDriver('s3', {
+  put: (key, stream, options) => s3().putObject(key, stream, options),
+  get: (key) => s3().getObject(key),
+  remove: (key) => s3().deleteObject(key),
+  url: (key, expiresIn) => s3().presignedUrl(key, expiresIn)
+});
+
+// GridFS
+
+const gridFsBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+  bucketName: process.env.STORAGE_GRIDFS_BUCKET || 'attachments'
+});
+
+registerStorageDriver('gridfs', {
+  async put(key, stream, { contentType }) {
+    await pipeline(stream, gridFsBucket().openUploadStream(key, { metadata: { contentType } }));
+  },
+
+  async get(key) {
+    const bucket = gridFsBucket();
+    const [file] = await bucket.find({ filename: key }).limit(1).toArray();
+    return file ? bucket.openDownloadStream(file._id) : null;
+  },
+
+  async remove(key) {
+    const bucket = gridFsBucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    await Promise.all(files.map(file => bucket.delete(file._id)));
+  },
+
+  url: (key, expiresIn) => signedApiUrl('gridfs', key, expiresIn)
+});
+
+// Attachments
+
+// Attachments from before storage drivers were on disk, under their filename
+export const attachmentStorage = (attachment) => attachment.storage || 'disk';
+export const attachmentKey = (attachment) => attachment.key || attachment.filename;
+
+// Store an uploaded file with the current driver. Returns the fields to save on the attachment.
+export const saveAttachment = async (key, stream, { contentType, size }) => {
+  const storage = currentStorageName();
+  await getStorageDriver(storage).put(key, stream, { contentType, size });
+  return { storage, key };
+};
+
+// Signed download URL of an attachment
+export const attachmentUrl = (attachment) => (
+  getStorageDriver(attachmentStorage(attachment)).url(attachmentKey(attachment), urlTtl())
+);
+
+// Attachment with download URLs for it and its media variants, for API responses
+export const withAttachmentUrl = (attachment) => ({
+  ...attachment,
+  url: attachmentUrl(attachment),
+  ...(attachment.media?.variants && {
+    media: {
+      ...attachment.media,
+      variants: attachment.media.variants.map(variant => ({ ...variant, url: attachmentUrl(variant) }))
+    }
+  })
+});
+
+// Question, answer or comment (as a plain object) with download URLs on its attachments
+export const withAttachmentUrls = (post) => ({ ...post, attachments: (post.attachments || []).map(withAttachmentUrl) });
+
+// Delete the files of attachments that are no longer referenced, with their media variants. Failures are
+// logged rather than thrown, so a store being unreachable doesn't undo the change that orphaned them.
+export const removeAttachments = async (attachments) => {
+  const files = attachments.flatMap(attachment => [attachment, ...(attachment.media?.variants || [])]);
+  await Promise.all(files.map(async (attachment) => {
+    try {
+      await getStorageDriver(attachmentStorage(attachment)).remove(attachmentKey(attachment));
+    } catch (error) {
+      console.error('Remove attachment error:', error);
+    }
+  }));
+};
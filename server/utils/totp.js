@@ -0,0 +1,88 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// 6 digits, 30 second steps, HMAC-SHA1, secrets shared as base32.
+
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Uint8Array.from(bytes);
+};
+
+// The 30 second step a time falls in
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Code for one step (RFC 4226 HOTP with the step as counter)
+const codeForStep = (secret, step) => {
+  const counter = new Uint8Array(8);
+  new DataView(counter.buffer).setBigUint64(0, BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// New random secret (160 bits, as recommended by RFC 4226)
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Check a code against the current step and one step either side, to allow for clock drift.
+// Returns the matching step, or null. Callers should refuse steps at or before the last one used.
+export const verifyCode = (secret, code, time = Date.now()) => {
+  const digits = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const current = stepAt(time);
+  for (const step of [current - 1, current, current + 1]) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from the QR code
+export const provisioningUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
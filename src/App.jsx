@@ -4,7 +4,15 @@ import Layout from './components/Layout';
 import Homepage from './components/Homepage';
 import QuestionListings from './components/QuestionListings';
 import QuestionDetail from './components/QuestionDetail';
+import RevisionHistory from './components/RevisionHistory';
+import SearchResults from './components/SearchResults';
+import SavedQuestions from './components/SavedQuestions';
+import TopicPage from './components/TopicPage';
+import TagPage from './components/TagPage';
+import TopicAdmin from './components/TopicAdmin';
+import ModerationQueue from './components/ModerationQueue';
 import Login from './components/Login';
+import EmailLink from './components/EmailLink';
 import AskQuestion from './components/AskQuestion';
 import UserProfile from './components/UserProfile';
 import EditProfile from './components/EditProfile';
@@ -31,6 +39,10 @@ function App() {
         <Routes>
           {/* Login route without layout */}
           <Route path="/login" element={<LoginRedirect />} />
+          <Route path="/verify-email" element={<EmailLink type="verify" />} />
+          <Route path="/reset-password" element={<EmailLink type="reset" />} />
+          <Route path="/magic-link" element={<EmailLink type="magic" />} />
+          <Route path="/oauth/callback" element={<EmailLink type="oidc" />} />
           
           {/* Routes with layout */}
           <Route path="/*" element={
@@ -39,12 +51,31 @@ function App() {
                 <Route path="/" element={<QuestionListings />} />
                 <Route path="/explore-topics" element={<Homepage />} />
                 <Route path="/recent" element={<QuestionListings />} />
+                <Route path="/search" element={<SearchResults />} />
                 <Route path="/my-topics" element={
                   <ProtectedRoute>
                     <QuestionListings />
                   </ProtectedRoute>
                 } />
 
+                <Route path="/saved" element={
+                  <ProtectedRoute>
+                    <SavedQuestions />
+                  </ProtectedRoute>
+                } />
+
+                <Route path="/admin/topics" element={
+                  <ProtectedRoute>
+                    <TopicAdmin />
+                  </ProtectedRoute>
+                } />
+
+                <Route path="/moderation" element={
+                  <ProtectedRoute>
+                    <ModerationQueue />
+                  </ProtectedRoute>
+                } />
+
                 <Route path="/ask-question" element={
                   <ProtectedRoute>
                     <AskQuestion />
@@ -60,8 +91,17 @@ function App() {
                     <EditProfile />
                   </ProtectedRoute>
                 } />
-                <Route path="/topics/:topicName" element={<QuestionListings />} />
+                <Route path="/topics/:topicName" element={<TopicPage />} />
+                <Route path="/tags/:tagName" element={<TagPage />} />
                 <Route path="/question/:id" element={<QuestionDetail />} />
+                {/* Keyed so going between editing and asking starts a fresh form */}
+                <Route path="/question/:id/edit" element={
+                  <ProtectedRoute>
+                    <AskQuestion key="edit" />
+                  </ProtectedRoute>
+                } />
+                <Route path="/question/:id/revisions" element={<RevisionHistory />} />
+                <Route path="/question/:id/answers/:answerId/revisions" element={<RevisionHistory />} />
               </Routes>
             </Layout>
           } />
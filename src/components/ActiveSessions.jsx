@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+// Signed-in devices for the current user, with remote logout
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await authAPI.getSessions();
+        setSessions(response.sessions);
+      } catch (err) {
+        setError(err.message || 'Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const signOutHere = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevokingId(session._id);
+      setError(null);
+      await authAPI.revokeSession(session._id);
+
+      if (session.current) {
+        await signOutHere();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (err) {
+      setError(err.message || 'Failed to sign out device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    try {
+      setRevokingId('all');
+      setError(null);
+      await authAPI.revokeAllSessions();
+      await signOutHere();
+    } catch (err) {
+      setError(err.message || 'Failed to sign out devices');
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="lg:col-span-2 bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <h2 className="text-xl sm:text-2xl font-bold">Where You're Signed In</h2>
+        <button
+          type="button"
+          onClick={handleRevokeAll}
+          disabled={revokingId !== null || sessions.length === 0}
+          className="bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-medium transition-colors cursor-pointer text-sm"
+        >
+          Log out everywhere
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-3 sm:mb-6 text-sm sm:text-base">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-white/10">
+          {sessions.map(session => (
+            <li key={session._id} className="flex items-center justify-between gap-3 py-3">
+              <div className="min-w-0">
+                <p className="font-medium truncate" title={session.userAgent}>
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-500/20 text-green-200">This device</span>
+                  )}
+                </p>
+                <p className="text-xs sm:text-sm text-purple-200">
+                  {session.ip || 'Unknown IP'} · Last active {formatDateTime(session.lastUsedAt)} · Signed in {formatDateTime(session.createdAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={revokingId !== null}
+                className="px-3 py-1 text-sm rounded border border-white/30 text-purple-200 hover:text-white disabled:opacity-50 cursor-pointer flex-shrink-0"
+              >
+                {revokingId === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
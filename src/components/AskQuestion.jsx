@@ -1,18 +1,28 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams } from 'react-router-dom';
 import { questionsAPI, topicsAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPicker from './AttachmentPicker';
+import TagInput from './TagInput';
+import { MAX_ATTACHMENTS, formatFileSize } from '../utils/attachments';
 
+// Asks a new question, or edits an existing one when opened at /question/:id/edit
 const AskQuestion = () => {
+  const { id } = useParams();
+  const isEditing = Boolean(id);
   const [questionTitle, setQuestionTitle] = useState('');
   const [questionDescription, setQuestionDescription] = useState('');
-  const [relatedTags, setRelatedTags] = useState('');
+  const [tags, setTags] = useState([]);
   const [selectedTopic, setSelectedTopic] = useState('');
   const [topics, setTopics] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [attachments, setAttachments] = useState([]);
-  const [dragActive, setDragActive] = useState(false);
+  const [attachmentPolicy, setAttachmentPolicy] = useState(null);
+  const [existingAttachments, setExistingAttachments] = useState([]);
+  const [removedAttachmentIds, setRemovedAttachmentIds] = useState([]);
+  const [loadingQuestion, setLoadingQuestion] = useState(isEditing);
   const navigate = useNavigate();
   const { user, loading } = useAuth();
 
@@ -37,71 +47,50 @@ const AskQuestion = () => {
     fetchTopics();
   }, []);
 
-  const handleFileSelect = (files) => {
-    const validFiles = Array.from(files).filter(file => {
-      const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'video/mp4', 'video/mov', 'video/avi', 'video/webm', 'video/mkv'];
-      const maxSize = 50 * 1024 * 1024; // 50MB
-      
-      if (!validTypes.includes(file.type)) {
-        setError(`${file.name} is not a supported file type. Please use images (JPEG, PNG, GIF) or videos (MP4, MOV, AVI, WEBM, MKV).`);
-        return false;
-      }
-      
-      if (file.size > maxSize) {
-        setError(`${file.name} is too large. Maximum file size is 50MB.`);
-        return false;
-      }
-      
-      return true;
-    });
-    
-    if (attachments.length + validFiles.length > 5) {
-      setError('Maximum 5 files allowed per question.');
-      return;
-    }
-    
-    const newAttachments = validFiles.map(file => ({
-      file,
-      id: Date.now() + Math.random(),
-      preview: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
-    }));
-    
-    setAttachments(prev => [...prev, ...newAttachments]);
-    setError(null);
-  };
-  
-  const removeAttachment = (id) => {
-    setAttachments(prev => {
-      const updated = prev.filter(att => att.id !== id);
-      // Clean up preview URLs
-      const removed = prev.find(att => att.id === id);
-      if (removed && removed.preview) {
-        URL.revokeObjectURL(removed.preview);
+  // Pre-fill the form from the question being edited
+  useEffect(() => {
+    if (!id || !user) return;
+
+    const fetchQuestion = async () => {
+      try {
+        const { question } = await questionsAPI.getQuestion(id);
+        if (question.author?._id !== user._id && user.role !== 'admin') {
+          setError('You can only edit your own questions');
+          return;
+        }
+
+        setQuestionTitle(question.title);
+        setQuestionDescription(question.description);
+        setTags(question.tags || []);
+        setSelectedTopic(question.topics?.[0]?.slug || '');
+        setExistingAttachments(question.attachments || []);
+      } catch (err) {
+        setError(err.message || 'Failed to load question');
+      } finally {
+        setLoadingQuestion(false);
       }
-      return updated;
-    });
-  };
-  
-  const handleDrag = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (e.type === 'dragenter' || e.type === 'dragover') {
-      setDragActive(true);
-    } else if (e.type === 'dragleave') {
-      setDragActive(false);
-    }
-  };
-  
-  const handleDrop = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setDragActive(false);
-    
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileSelect(e.dataTransfer.files);
-    }
+    };
+
+    fetchQuestion();
+  }, [id, user]);
+
+  const toggleRemoveAttachment = (attachmentId) => {
+    setRemovedAttachmentIds(prev => (
+      prev.includes(attachmentId) ? prev.filter(other => other !== attachmentId) : [...prev, attachmentId]
+    ));
   };
 
+  const keptAttachmentCount = existingAttachments.length - removedAttachmentIds.length;
+
+  // What can be attached depends on the topic
+  useEffect(() => {
+    if (!selectedTopic) return;
+
+    topicsAPI.getAttachmentPolicy([selectedTopic])
+      .then(response => setAttachmentPolicy(response.policy))
+      .catch(err => console.error('Error fetching attachment policy:', err));
+  }, [selectedTopic]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
@@ -111,7 +100,7 @@ const AskQuestion = () => {
       const formData = new FormData();
       formData.append('title', questionTitle.trim());
       formData.append('description', questionDescription.trim());
-      formData.append('tags', relatedTags);
+      formData.append('tags', tags.join(','));
       if (selectedTopic) {
         formData.append('topics', JSON.stringify([selectedTopic]));
       }
@@ -121,31 +110,37 @@ const AskQuestion = () => {
         formData.append('attachments', attachment.file);
       });
       
-      console.log('Submitting question with attachments:', attachments.length);
-      
-      const response = await questionsAPI.createQuestion(formData);
-      
-      // Clean up preview URLs
-      attachments.forEach(att => {
-        if (att.preview) {
-          URL.revokeObjectURL(att.preview);
-        }
-      });
+      if (isEditing) {
+        formData.append('removeAttachments', JSON.stringify(removedAttachmentIds));
+        await questionsAPI.updateQuestion(id, formData);
+        navigate(`/question/${id}`);
+        return;
+      }
+
+      await questionsAPI.createQuestion(formData);
       
       // Navigate to the question or back to home
       navigate('/');
     } catch (err) {
       console.error('Full error object:', err);
-      setError(err.message || 'Failed to create question');
+      setError(err.message || (isEditing ? 'Failed to update question' : 'Failed to create question'));
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  if (loadingQuestion) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-2xl mx-auto">
       <div className="bg-gradient-to-r from-purple-500 to-purple-600 rounded-lg p-8 text-white">
-        <h1 className="text-2xl font-bold mb-6 text-center">Ask a Question</h1>
+        <h1 className="text-2xl font-bold mb-6 text-center">{isEditing ? 'Edit Question' : 'Ask a Question'}</h1>
         
         <form onSubmit={handleSubmit} className="space-y-6">
           <div>
@@ -192,7 +187,7 @@ const AskQuestion = () => {
             <label htmlFor="questionDescription" className="block text-sm font-medium mb-2">
               Question Description *
             </label>
-            <textarea
+            <MarkdownEditor
               id="questionDescription"
               value={questionDescription}
               onChange={(e) => setQuestionDescription(e.target.value)}
@@ -212,17 +207,14 @@ const AskQuestion = () => {
             <label htmlFor="relatedTags" className="block text-sm font-medium mb-2">
               Related Tags
             </label>
-            <input
-              type="text"
+            <TagInput
               id="relatedTags"
-              value={relatedTags}
-              onChange={(e) => setRelatedTags(e.target.value)}
-              className="w-full px-4 py-3 rounded-lg border-2 border-purple-300 text-white-800 focus:outline-none focus:ring-2 focus:ring-purple-400 focus:border-purple-400"
-              placeholder="Enter tags separated by commas (e.g., javascript, react, api)"
-              maxLength={200}
+              tags={tags}
+              onChange={setTags}
+              disabled={isSubmitting}
             />
             <p className="text-xs text-purple-200 mt-1">
-              Separate tags with commas. Maximum 5 tags.
+              Press Enter or comma after each tag. Maximum 10 tags.
             </p>
           </div>
           
@@ -231,77 +223,42 @@ const AskQuestion = () => {
             <label className="block text-sm font-medium mb-2">
               Attachments (Optional)
             </label>
-            <div
-              className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
-                dragActive 
-                  ? 'border-purple-400 bg-purple-50/10' 
-                  : 'border-purple-300 hover:border-purple-400'
-              }`}
-              onDragEnter={handleDrag}
-              onDragLeave={handleDrag}
-              onDragOver={handleDrag}
-              onDrop={handleDrop}
-            >
-              <div className="space-y-2">
-                <div className="text-4xl">📎</div>
-                <div className="text-purple-200">
-                  <p>Drag and drop files here, or</p>
-                  <label className="cursor-pointer text-purple-300 hover:text-white underline">
-                    browse files
-                    <input
-                      type="file"
-                      multiple
-                      accept="image/*,video/*"
-                      onChange={(e) => handleFileSelect(e.target.files)}
-                      className="hidden"
-                    />
-                  </label>
-                </div>
-                <p className="text-xs text-purple-300">
-                  Images (JPEG, PNG, GIF) and Videos (MP4, MOV, AVI, WEBM, MKV)
-                  <br />Maximum 5 files, 50MB each
-                </p>
-              </div>
-            </div>
-            
-            {/* File Previews */}
-            {attachments.length > 0 && (
-              <div className="mt-4 space-y-2">
-                <p className="text-sm text-purple-200">Attached Files:</p>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                  {attachments.map((attachment) => (
-                    <div key={attachment.id} className="bg-white/10 rounded-lg p-3 flex items-center space-x-3">
-                      {attachment.preview ? (
-                        <img 
-                          src={attachment.preview} 
-                          alt="Preview" 
-                          className="w-12 h-12 object-cover rounded"
-                        />
-                      ) : (
-                        <div className="w-12 h-12 bg-purple-600 rounded flex items-center justify-center text-white text-xs">
-                          {attachment.file.type.startsWith('video/') ? '🎥' : '📄'}
-                        </div>
-                      )}
+            {existingAttachments.length > 0 && (
+              <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {existingAttachments.map(attachment => {
+                  const isRemoved = removedAttachmentIds.includes(attachment._id);
+                  return (
+                    <div
+                      key={attachment._id}
+                      className={`bg-white/10 rounded-lg p-3 flex items-center space-x-3 ${isRemoved ? 'opacity-50' : ''}`}
+                    >
                       <div className="flex-1 min-w-0">
-                        <p className="text-sm text-white truncate">{attachment.file.name}</p>
-                        <p className="text-xs text-purple-300">
-                          {(attachment.file.size / 1024 / 1024).toFixed(1)} MB
-                        </p>
+                        <p className={`text-sm text-white truncate ${isRemoved ? 'line-through' : ''}`}>{attachment.originalName}</p>
+                        <p className="text-xs text-purple-300">{formatFileSize(attachment.size)}</p>
                       </div>
                       <button
                         type="button"
-                        onClick={() => removeAttachment(attachment.id)}
-                        className="text-red-400 hover:text-red-300 text-sm"
+                        onClick={() => toggleRemoveAttachment(attachment._id)}
+                        disabled={isSubmitting || (isRemoved && keptAttachmentCount + attachments.length >= MAX_ATTACHMENTS)}
+                        className={`text-sm cursor-pointer disabled:opacity-50 ${isRemoved ? 'text-purple-200 hover:text-white' : 'text-red-400 hover:text-red-300'}`}
                       >
-                        ✕
+                        {isRemoved ? 'Keep' : 'Remove'}
                       </button>
                     </div>
-                  ))}
-                </div>
+                  );
+                })}
               </div>
             )}
+            <AttachmentPicker
+              files={attachments}
+              onChange={setAttachments}
+              onError={setError}
+              policy={attachmentPolicy}
+              disabled={isSubmitting}
+              maxFiles={MAX_ATTACHMENTS - keptAttachmentCount}
+            />
           </div>
-          
+
           {error && (
             <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
               {error}
@@ -311,7 +268,7 @@ const AskQuestion = () => {
           <div className="flex justify-center space-x-4">
             <button
               type="button"
-              onClick={() => navigate('/')}
+              onClick={() => navigate(isEditing ? `/question/${id}` : '/')}
               className="bg-gray-600 text-white px-6 py-3 rounded-lg font-medium hover:bg-gray-700 transition-colors cursor-pointer"
               disabled={isSubmitting}
             >
@@ -323,7 +280,11 @@ const AskQuestion = () => {
               disabled={isSubmitting || questionTitle.length < 10 || questionDescription.length < 20 || !selectedTopic}
             >
               <span>📝</span>
-              <span>{isSubmitting ? 'Posting...' : 'Ask on Community'}</span>
+              <span>
+                {isEditing
+                  ? (isSubmitting ? 'Saving...' : 'Save changes')
+                  : (isSubmitting ? 'Posting...' : 'Ask on Community')}
+              </span>
             </button>
           </div>
         </form>
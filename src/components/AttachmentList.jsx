@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { attachmentUrl, attachmentKind, formatFileSize, mediaVariant } from '../utils/attachments';
+
+const FILE_ICONS = {
+  'application/pdf': '📕',
+  'application/zip': '🗜️',
+  'application/gzip': '🗜️',
+  'text/plain': '📝'
+};
+
+const formatDuration = (seconds) => {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+// URL of an image's thumbnail, falling back to the original until the server has made one
+const thumbnailUrl = (image) => attachmentUrl(mediaVariant(image, 'thumb') || image);
+
+// Responsive sizes for gallery tiles, when the server made a medium size
+const thumbnailSrcSet = (image) => {
+  const thumb = mediaVariant(image, 'thumb');
+  const medium = mediaVariant(image, 'medium');
+  if (!thumb || !medium) return undefined;
+  return `${attachmentUrl(thumb)} ${thumb.width}w, ${attachmentUrl(medium)} ${medium.width}w`;
+};
+
+// Full-screen view of the gallery's images, with previous/next navigation. The large size (or the
+// original, for small and animated images) is only loaded here; the thumbnail stands in until it arrives.
+const Lightbox = ({ images, index, onChange, onClose }) => {
+  const [loadedUrl, setLoadedUrl] = useState(null);
+  const image = images[index];
+  const hasMany = images.length > 1;
+  const fullUrl = attachmentUrl(mediaVariant(image, 'large') || image);
+  const loaded = loadedUrl === fullUrl;
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') onChange((index - 1 + images.length) % images.length);
+      if (e.key === 'ArrowRight') onChange((index + 1) % images.length);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [index, images.length, onChange, onClose]);
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="relative max-w-4xl max-h-full" onClick={(e) => e.stopPropagation()}>
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-white bg-black/50 rounded-full w-10 h-10 flex items-center justify-center hover:bg-black/75 transition-colors z-10 cursor-pointer"
+        >
+          ✕
+        </button>
+        {hasMany && (
+          <>
+            <button
+              onClick={() => onChange((index - 1 + images.length) % images.length)}
+              title="Previous image"
+              className="absolute left-4 top-1/2 -translate-y-1/2 text-white bg-black/50 rounded-full w-10 h-10 flex items-center justify-center hover:bg-black/75 transition-colors z-10 cursor-pointer"
+            >
+              ‹
+            </button>
+            <button
+              onClick={() => onChange((index + 1) % images.length)}
+              title="Next image"
+              className="absolute right-4 top-1/2 -translate-y-1/2 text-white bg-black/50 rounded-full w-10 h-10 flex items-center justify-center hover:bg-black/75 transition-colors z-10 cursor-pointer"
+            >
+              ›
+            </button>
+          </>
+        )}
+        {!loaded && (
+          <img
+            src={thumbnailUrl(image)}
+            alt={image.originalName}
+            width={image.media?.width}
+            height={image.media?.height}
+            className="max-w-full max-h-[85vh] object-contain rounded-lg blur-sm"
+          />
+        )}
+        <img
+          key={fullUrl}
+          src={fullUrl}
+          alt={image.originalName}
+          onLoad={() => setLoadedUrl(fullUrl)}
+          className={`max-w-full max-h-[85vh] object-contain rounded-lg ${loaded ? '' : 'hidden'}`}
+        />
+        <div className="absolute bottom-4 left-4 bg-black/50 text-white px-3 py-2 rounded">
+          <p className="text-sm font-medium">{image.originalName}</p>
+          <p className="text-xs opacity-75">
+            {image.media?.width && `${image.media.width}×${image.media.height} · `}
+            {formatFileSize(image.size)}{hasMany && ` · ${index + 1} of ${images.length}`}
+            {' · '}
+            <a href={attachmentUrl(image)} target="_blank" rel="noopener noreferrer" className="underline hover:opacity-100">
+              Original
+            </a>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Attachments of a question, answer or comment: an image gallery, video players and download cards.
+// `compact` renders smaller thumbnails for comments.
+const AttachmentList = ({ attachments = [], compact = false }) => {
+  const [openImage, setOpenImage] = useState(null);
+
+  if (attachments.length === 0) {
+    return null;
+  }
+
+  const images = attachments.filter(attachment => attachmentKind(attachment) === 'image');
+  const videos = attachments.filter(attachment => attachmentKind(attachment) === 'video');
+  const files = attachments.filter(attachment => attachmentKind(attachment) === 'file');
+
+  return (
+    <div className={compact ? 'mt-1 space-y-2' : 'space-y-4'}>
+      {images.length > 0 && (
+        <div className={compact ? 'flex flex-wrap gap-2' : 'grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3'}>
+          {images.map((image, index) => (
+            <button
+              key={image._id || image.key}
+              type="button"
+              onClick={() => setOpenImage(index)}
+              title={image.originalName}
+              className={`group bg-white/5 rounded-lg overflow-hidden cursor-pointer ${compact ? 'w-16 h-16' : 'aspect-video'}`}
+            >
+              <img
+                src={thumbnailUrl(image)}
+                srcSet={compact ? undefined : thumbnailSrcSet(image)}
+                sizes="(min-width: 640px) 33vw, 50vw"
+                alt={image.originalName}
+                loading="lazy"
+                className="w-full h-full object-cover group-hover:opacity-80 transition-opacity"
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {videos.map(video => (
+        <div key={video._id || video.key} className={`bg-white/5 rounded-lg overflow-hidden ${compact ? 'max-w-xs' : ''}`}>
+          <video
+            controls
+            preload="metadata"
+            poster={mediaVariant(video, 'poster') ? attachmentUrl(mediaVariant(video, 'poster')) : undefined}
+            className="w-full max-h-96 bg-black"
+          >
+            {/* A copy the server transcoded for videos browsers can't play as uploaded */}
+            {mediaVariant(video, 'playback') && (
+              <source src={attachmentUrl(mediaVariant(video, 'playback'))} type="video/mp4" />
+            )}
+            <source src={attachmentUrl(video)} type={video.mimetype} />
+            Your browser does not support the video tag.
+          </video>
+          <div className="px-3 py-2">
+            <p className="text-sm text-white truncate">{video.originalName}</p>
+            <p className="text-xs text-purple-300">
+              {video.media?.duration && `${formatDuration(video.media.duration)} · `}
+              {formatFileSize(video.size)}
+            </p>
+          </div>
+        </div>
+      ))}
+
+      {files.length > 0 && (
+        <div className={compact ? 'flex flex-wrap gap-2' : 'grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3'}>
+          {files.map(file => (
+            <a
+              key={file._id || file.key}
+              href={attachmentUrl(file)}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={`Download ${file.originalName}`}
+              className={`flex items-center gap-3 bg-white/5 hover:bg-white/10 rounded-lg transition-colors ${compact ? 'px-2 py-1' : 'p-3'}`}
+            >
+              <span className={compact ? 'text-base' : 'text-2xl'}>{FILE_ICONS[file.mimetype] || '📄'}</span>
+              <span className="min-w-0">
+                <span className="block text-sm text-white truncate">{file.originalName}</span>
+                <span className="block text-xs text-purple-300">{formatFileSize(file.size)} · Download</span>
+              </span>
+            </a>
+          ))}
+        </div>
+      )}
+
+      {openImage !== null && (
+        <Lightbox
+          images={images}
+          index={openImage}
+          onChange={setOpenImage}
+          onClose={() => setOpenImage(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
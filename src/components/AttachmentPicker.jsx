@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { MAX_ATTACHMENTS, formatFileSize } from '../utils/attachments';
+
+// Thumbnail of an image that hasn't been uploaded yet
+const LocalImagePreview = ({ file, className }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return url ? <img src={url} alt="Preview" className={className} /> : null;
+};
+
+const fileIcon = (file) => {
+  if (file.type.startsWith('video/')) return '🎥';
+  if (file.type.startsWith('image/')) return '🖼️';
+  return '📄';
+};
+
+// File chooser for a post's attachments. `files` holds { id, file } entries; `policy` is the
+// attachment policy from the server ({ allowedTypes: [{ id, label }], maxFileSize }). The server checks
+// the actual file types; only size and count are checked here. `maxFiles` is lower when the post
+// already has attachments.
+const AttachmentPicker = ({ files, onChange, onError, policy, disabled = false, compact = false, maxFiles = MAX_ATTACHMENTS }) => {
+  const [dragActive, setDragActive] = useState(false);
+
+  const addFiles = (fileList) => {
+    const added = Array.from(fileList);
+    const maxFileSize = policy?.maxFileSize;
+    const tooLarge = maxFileSize && added.find(file => file.size > maxFileSize);
+
+    if (tooLarge) {
+      onError(`${tooLarge.name} is too large. Maximum file size is ${formatFileSize(maxFileSize)}.`);
+      return;
+    }
+    if (files.length + added.length > maxFiles) {
+      onError(`Maximum ${MAX_ATTACHMENTS} files allowed.`);
+      return;
+    }
+
+    onError(null);
+    onChange([...files, ...added.map(file => ({ id: `${Date.now()}-${Math.random()}`, file }))]);
+  };
+
+  const removeFile = (id) => onChange(files.filter(entry => entry.id !== id));
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(e.type === 'dragenter' || e.type === 'dragover');
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    if (!disabled && e.dataTransfer.files?.length) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const fileInput = (
+    <input
+      type="file"
+      multiple
+      disabled={disabled}
+      onChange={(e) => {
+        addFiles(e.target.files);
+        e.target.value = '';
+      }}
+      className="hidden"
+    />
+  );
+
+  const allowedLabels = policy?.allowedTypes.map(type => type.label).join(', ');
+  const attachmentsAllowed = !policy || policy.allowedTypes.length > 0;
+
+  if (!attachmentsAllowed) {
+    return null;
+  }
+
+  if (compact) {
+    return (
+      <div className="flex flex-wrap items-center gap-2">
+        <label
+          className={`text-xs text-purple-200 hover:text-white cursor-pointer ${disabled ? 'opacity-50 pointer-events-none' : ''}`}
+          title={allowedLabels ? `Allowed: ${allowedLabels}` : undefined}
+        >
+          📎 Attach
+          {fileInput}
+        </label>
+        {files.map(({ id, file }) => (
+          <span key={id} className="flex items-center gap-1 max-w-48 px-2 py-0.5 bg-white/10 rounded-full text-xs">
+            <span className="truncate">{file.name}</span>
+            <button type="button" onClick={() => removeFile(id)} className="text-red-400 hover:text-red-300 cursor-pointer">✕</button>
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div
+        className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
+          dragActive
+            ? 'border-purple-400 bg-purple-50/10'
+            : 'border-purple-300 hover:border-purple-400'
+        }`}
+        onDragEnter={handleDrag}
+        onDragLeave={handleDrag}
+        onDragOver={handleDrag}
+        onDrop={handleDrop}
+      >
+        <div className="space-y-2">
+          <div className="text-4xl">📎</div>
+          <div className="text-purple-200">
+            <p>Drag and drop files here, or</p>
+            <label className="cursor-pointer text-purple-300 hover:text-white underline">
+              browse files
+              {fileInput}
+            </label>
+          </div>
+          <p className="text-xs text-purple-300">
+            {allowedLabels || 'Images, videos, PDFs, archives and text files'}
+            <br />Maximum {MAX_ATTACHMENTS} files{policy ? `, ${formatFileSize(policy.maxFileSize)} each` : ''}
+          </p>
+        </div>
+      </div>
+
+      {files.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-purple-200">Attached Files:</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {files.map(({ id, file }) => (
+              <div key={id} className="bg-white/10 rounded-lg p-3 flex items-center space-x-3">
+                {file.type.startsWith('image/') ? (
+                  <LocalImagePreview file={file} className="w-12 h-12 object-cover rounded" />
+                ) : (
+                  <div className="w-12 h-12 bg-purple-600 rounded flex items-center justify-center text-white text-xs">
+                    {fileIcon(file)}
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-white truncate">{file.name}</p>
+                  <p className="text-xs text-purple-300">{formatFileSize(file.size)}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeFile(id)}
+                  className="text-red-400 hover:text-red-300 text-sm cursor-pointer"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
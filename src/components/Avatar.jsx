@@ -0,0 +1,20 @@
+import { avatarUrl } from '../utils/avatar';
+
+// Round user avatar; size is the displayed width and height in pixels
+const Avatar = ({ user, size = 32, className = '' }) => {
+  if (!user) return null;
+
+  return (
+    <img
+      src={avatarUrl(user, size)}
+      alt={user.username}
+      width={size}
+      height={size}
+      loading="lazy"
+      className={`rounded-full object-cover bg-white flex-shrink-0 ${className}`}
+      style={{ width: size, height: size }}
+    />
+  );
+};
+
+export default Avatar;
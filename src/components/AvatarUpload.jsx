@@ -0,0 +1,91 @@
+import { useState, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { usersAPI } from '../services/api';
+import Avatar from './Avatar';
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// Upload, replace or remove the current user's avatar
+const AvatarUpload = () => {
+  const { user, setAvatar } = useAuth();
+  const fileInput = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasUpload = user.avatar?.startsWith('/uploads/avatars/');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_BYTES) {
+      setError('Avatars must be 5 MB or smaller');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await usersAPI.uploadAvatar(file);
+      setAvatar(response.avatar);
+    } catch (err) {
+      setError(err.message || 'Failed to upload avatar');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const response = await usersAPI.removeAvatar();
+      setAvatar(response.avatar);
+    } catch (err) {
+      setError(err.message || 'Failed to remove avatar');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-4 mb-4 sm:mb-6">
+      <Avatar user={user} size={64} className={busy ? 'opacity-50' : ''} />
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => fileInput.current.click()}
+            disabled={busy}
+            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-3 py-1.5 rounded-lg text-sm font-medium cursor-pointer"
+          >
+            {busy ? 'Saving...' : hasUpload ? 'Change photo' : 'Upload photo'}
+          </button>
+          {user.avatar && (
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={busy}
+              className="px-3 py-1.5 rounded-lg text-sm border border-white/30 text-purple-200 hover:text-white disabled:opacity-50 cursor-pointer"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-purple-200">JPEG, PNG, WebP or GIF, up to 5 MB. Cropped to a square.</p>
+        {error && <p className="text-xs text-red-300">{error}</p>}
+      </div>
+      <input
+        ref={fileInput}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default AvatarUpload;
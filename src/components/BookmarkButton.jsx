@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bookmark, ChevronDown, Check } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { usersAPI } from '../services/api';
+
+// savedQuestions holds ids after login and populated questions after /auth/me
+const savedIdOf = (saved) => (typeof saved === 'string' ? saved : saved?._id);
+
+const themes = {
+  light: {
+    button: 'text-gray-500 hover:text-purple-600',
+    saved: 'text-purple-600',
+    menu: 'bg-white border-gray-200 text-gray-700',
+    item: 'hover:bg-gray-100'
+  },
+  dark: {
+    button: 'text-purple-200 hover:text-white',
+    saved: 'text-yellow-300',
+    menu: 'bg-indigo-950 border-white/20 text-purple-100',
+    item: 'hover:bg-white/10'
+  }
+};
+
+// Bookmark toggle. With showCollections, a menu lets the user file the question into collections.
+const BookmarkButton = ({ questionId, variant = 'light', showCollections = false }) => {
+  const navigate = useNavigate();
+  const { user, setSavedQuestions } = useAuth();
+  const [busy, setBusy] = useState(false);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [collections, setCollections] = useState(null);
+  const [newCollection, setNewCollection] = useState('');
+
+  const theme = themes[variant];
+  const isSaved = !!user?.savedQuestions?.some(saved => savedIdOf(saved) === questionId);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuOpen && !event.target.closest('.bookmark-menu')) {
+        setMenuOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [menuOpen]);
+
+  const applyResponse = (response) => {
+    if (response.savedQuestions) setSavedQuestions(response.savedQuestions);
+    if (response.collections) setCollections(response.collections);
+  };
+
+  const handleToggle = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = isSaved
+        ? await usersAPI.unsaveQuestion(questionId)
+        : await usersAPI.saveQuestion(questionId);
+      applyResponse(response);
+    } catch (err) {
+      console.error('Error updating bookmark:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpenMenu = async () => {
+    setMenuOpen(!menuOpen);
+    if (collections === null) {
+      try {
+        const response = await usersAPI.getCollections();
+        setCollections(response.collections || []);
+      } catch (err) {
+        console.error('Error fetching collections:', err);
+      }
+    }
+  };
+
+  const handleCollectionToggle = async (collection) => {
+    const inCollection = collection.questions.includes(questionId);
+
+    try {
+      const response = inCollection
+        ? await usersAPI.removeFromCollection(collection._id, questionId)
+        : await usersAPI.addToCollection(collection._id, questionId);
+      applyResponse(response);
+    } catch (err) {
+      console.error('Error updating collection:', err);
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollection.trim()) return;
+
+    try {
+      const created = await usersAPI.createCollection(newCollection.trim());
+      const response = await usersAPI.addToCollection(created.collection._id, questionId);
+      applyResponse(response);
+      setNewCollection('');
+    } catch (err) {
+      alert(err.message || 'Failed to create collection');
+    }
+  };
+
+  return (
+    <div className="relative inline-flex items-center bookmark-menu">
+      <button
+        onClick={handleToggle}
+        disabled={busy}
+        title={isSaved ? 'Remove from saved' : 'Save question'}
+        className={`p-1 transition-colors cursor-pointer disabled:opacity-50 ${isSaved ? theme.saved : theme.button}`}
+      >
+        <Bookmark size={18} fill={isSaved ? 'currentColor' : 'none'} />
+      </button>
+
+      {showCollections && user && (
+        <button
+          onClick={handleOpenMenu}
+          title="Save to collection"
+          className={`p-0.5 transition-colors cursor-pointer ${theme.button}`}
+        >
+          <ChevronDown size={14} />
+        </button>
+      )}
+
+      {menuOpen && (
+        <div className={`absolute right-0 top-full mt-2 w-56 rounded-lg shadow-lg border py-2 z-50 text-sm ${theme.menu}`}>
+          <p className="px-3 pb-2 text-xs font-semibold uppercase tracking-wide opacity-70">Save to collection</p>
+          {collections === null ? (
+            <p className="px-3 py-1 opacity-70">Loading...</p>
+          ) : (
+            collections.map(collection => (
+              <button
+                key={collection._id}
+                onClick={() => handleCollectionToggle(collection)}
+                className={`w-full flex items-center justify-between px-3 py-1.5 text-left cursor-pointer ${theme.item}`}
+              >
+                <span className="truncate">{collection.name}</span>
+                {collection.questions.includes(questionId) && <Check size={14} />}
+              </button>
+            ))
+          )}
+          <form onSubmit={handleCreateCollection} className="px-3 pt-2 mt-1 border-t border-current/10">
+            <input
+              type="text"
+              value={newCollection}
+              onChange={(e) => setNewCollection(e.target.value)}
+              placeholder="New collection..."
+              maxLength={50}
+              className="w-full px-2 py-1 rounded bg-transparent border border-current/30 text-sm focus:outline-none focus:ring-1 focus:ring-purple-400"
+            />
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { questionsAPI } from '../services/api';
+import { CLOSE_REASONS } from '../utils/closeReasons';
+
+// Accepts a question link or a bare question id
+const parseQuestionId = (value) => {
+  const match = value.match(/[a-f0-9]{24}/i);
+  return match ? match[0] : null;
+};
+
+// "close" / "reopen" link for users allowed to close questions.
+// Moderators act immediately; other users cast a vote. onChange receives the new lifecycle state.
+const CloseQuestionButton = ({ question, onChange }) => {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [duplicateInput, setDuplicateInput] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isModerator = ['moderator', 'admin'].includes(user?.role);
+
+  // Close form when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (open && !event.target.closest('.close-question-menu')) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  if (!user || !question.canClose) {
+    return null;
+  }
+
+  const voteProgress = (count) => (count > 0 ? ` (${count}/${question.closeVotesRequired})` : '');
+
+  const handleReopen = async () => {
+    const prompt = isModerator ? 'Reopen this question?' : 'Vote to reopen this question?';
+    if (!window.confirm(prompt)) return;
+
+    try {
+      const response = await questionsAPI.reopenQuestion(question._id);
+      onChange(response.state);
+    } catch (err) {
+      alert(err.message || 'Failed to reopen question');
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!reason) return;
+
+    const duplicateOf = reason === 'duplicate' ? parseQuestionId(duplicateInput) : undefined;
+    if (reason === 'duplicate' && !duplicateOf) {
+      setError('Paste a link to the original question');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await questionsAPI.closeQuestion(question._id, { reason, note, duplicateOf });
+      onChange(response.state);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || 'Failed to close question');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (question.isClosed) {
+    return (
+      <button
+        type="button"
+        onClick={handleReopen}
+        disabled={question.hasVotedToReopen}
+        className="text-purple-300 hover:text-white disabled:opacity-60 disabled:cursor-default cursor-pointer"
+      >
+        {question.hasVotedToReopen ? 'reopen vote cast' : 'reopen'}{voteProgress(question.reopenVoteCount)}
+      </button>
+    );
+  }
+
+  return (
+    <span className="relative inline-block close-question-menu">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={question.hasVotedToClose}
+        className="text-purple-300 hover:text-white disabled:opacity-60 disabled:cursor-default cursor-pointer"
+      >
+        {question.hasVotedToClose ? 'close vote cast' : 'close'}{voteProgress(question.closeVoteCount)}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-80 p-3 rounded-lg shadow-lg border border-white/20 bg-indigo-950 text-purple-100 text-sm z-50 space-y-2">
+          <p className="text-xs font-semibold uppercase tracking-wide opacity-70">
+            {isModerator ? 'Why should this question be closed?' : 'Why are you voting to close?'}
+          </p>
+          {CLOSE_REASONS.map(option => (
+            <label key={option.value} className="flex items-start space-x-2 cursor-pointer">
+              <input
+                type="radio"
+                name={`close-${question._id}`}
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => setReason(option.value)}
+                className="mt-1"
+              />
+              <span>
+                <span className="block text-white">{option.label}</span>
+                <span className="block text-xs text-purple-300">{option.hint}</span>
+              </span>
+            </label>
+          ))}
+          {reason === 'duplicate' && (
+            <input
+              type="text"
+              value={duplicateInput}
+              onChange={(e) => setDuplicateInput(e.target.value)}
+              placeholder="Link to the original question"
+              className="w-full px-2 py-1 rounded bg-white/10 border border-white/20 text-white placeholder-purple-300 text-xs focus:outline-none focus:ring-1 focus:ring-purple-400"
+            />
+          )}
+          {isModerator && (
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={500}
+              rows={2}
+              placeholder="Note shown on the question (optional)"
+              className="w-full px-2 py-1 rounded bg-white/10 border border-white/20 text-white placeholder-purple-300 text-xs focus:outline-none focus:ring-1 focus:ring-purple-400 resize-none"
+            />
+          )}
+          {error && <p className="text-red-300 text-xs">{error}</p>}
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setOpen(false)} className="px-2 py-1 text-xs text-purple-300 hover:text-white cursor-pointer">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={!reason || submitting}
+              className="px-3 py-1 text-xs bg-purple-600 hover:bg-purple-700 rounded disabled:opacity-50 cursor-pointer"
+            >
+              {submitting ? 'Sending...' : isModerator ? 'Close question' : 'Vote to close'}
+            </button>
+          </div>
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default CloseQuestionButton;
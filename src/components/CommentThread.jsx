@@ -0,0 +1,238 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { commentsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDateTime } from '../utils/dateUtils';
+import MarkdownContent from './MarkdownContent';
+import FlagButton from './FlagButton';
+import AttachmentList from './AttachmentList';
+import AttachmentPicker from './AttachmentPicker';
+import { formDataWithFiles } from '../utils/attachments';
+
+// Highlight @username mentions in comment text
+const renderContent = (content) => {
+  return content.split(/(@[A-Za-z0-9_.-]{3,30})/g).map((part, index) => (
+    part.startsWith('@')
+      ? <span key={index} className="text-purple-300 font-medium">{part}</span>
+      : part
+  ));
+};
+
+const CommentThread = ({ questionId, answerId, initialComments = [], isLocked = false, attachmentPolicy }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState(initialComments);
+  const [expanded, setExpanded] = useState(false);
+  const [newComment, setNewComment] = useState('');
+  const [files, setFiles] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const content = newComment.trim();
+      const response = await commentsAPI.addComment(questionId, answerId, files.length > 0
+        ? formDataWithFiles({ content }, files)
+        : { content });
+      setComments(prev => [...prev, response.comment]);
+      setNewComment('');
+      setFiles([]);
+    } catch (err) {
+      setError(err.message || 'Failed to add comment');
+      console.error('Error adding comment:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEditSave = async (commentId) => {
+    if (!editContent.trim()) return;
+
+    try {
+      setError(null);
+      const response = await commentsAPI.updateComment(questionId, answerId, commentId, editContent.trim());
+      setComments(prev => prev.map(comment => comment._id === commentId ? response.comment : comment));
+      setEditingId(null);
+    } catch (err) {
+      setError(err.message || 'Failed to update comment');
+      console.error('Error updating comment:', err);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      setError(null);
+      await commentsAPI.deleteComment(questionId, answerId, commentId);
+      setComments(prev => prev.filter(comment => comment._id !== commentId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete comment');
+      console.error('Error deleting comment:', err);
+    }
+  };
+
+  const handleVote = async (commentId) => {
+    try {
+      const response = await commentsAPI.voteComment(questionId, answerId, commentId);
+      setComments(prev => prev.map(comment => {
+        if (comment._id !== commentId) return comment;
+        const upvotes = (comment.votes?.upvotes || []).filter(id => id !== user._id);
+        if (response.userVote === 'upvote') upvotes.push(user._id);
+        return { ...comment, votes: { ...comment.votes, upvotes } };
+      }));
+    } catch (err) {
+      console.error('Error voting on comment:', err);
+    }
+  };
+
+  return (
+    <div className="mt-3 sm:mt-4 border-t border-white/10 pt-3">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="text-xs sm:text-sm text-purple-200 hover:text-white transition-colors cursor-pointer"
+      >
+        {expanded
+          ? 'Hide comments'
+          : comments.length > 0
+            ? `Show ${comments.length} comment${comments.length !== 1 ? 's' : ''}`
+            : 'Add a comment'}
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {comments.map((comment) => {
+            const upvotes = comment.votes?.upvotes || [];
+            const isCommentAuthor = user && comment.author?._id === user._id;
+            const canDelete = isCommentAuthor || ['moderator', 'admin'].includes(user?.role);
+            const userUpvoted = user && upvotes.includes(user._id);
+
+            return (
+              <div key={comment._id} className="flex gap-2 text-xs sm:text-sm">
+                <button
+                  type="button"
+                  onClick={() => handleVote(comment._id)}
+                  disabled={!user || isCommentAuthor || isLocked}
+                  title="Upvote this comment"
+                  className={`w-8 flex-shrink-0 text-center rounded transition-colors cursor-pointer disabled:cursor-not-allowed ${
+                    userUpvoted ? 'text-green-400' : 'text-purple-300 hover:text-white'
+                  }`}
+                >
+                  ▲ {upvotes.length}
+                </button>
+
+                <div className="flex-1 min-w-0">
+                  {editingId === comment._id ? (
+                    <div className="space-y-2">
+                      <textarea
+                        value={editContent}
+                        onChange={(e) => setEditContent(e.target.value)}
+                        rows={2}
+                        maxLength={600}
+                        className="w-full px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-purple-400 resize-none"
+                      />
+                      <div className="space-x-3">
+                        <button type="button" onClick={() => handleEditSave(comment._id)} className="text-green-300 hover:text-white cursor-pointer">
+                          Save
+                        </button>
+                        <button type="button" onClick={() => setEditingId(null)} className="text-purple-300 hover:text-white cursor-pointer">
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="leading-relaxed break-words">
+                      {comment.contentHtml
+                        ? <MarkdownContent html={comment.contentHtml} inline />
+                        : renderContent(comment.content)}
+                      <span className="text-purple-300">
+                        {' – '}{comment.author?.username || 'Anonymous'} · {formatDateTime(comment.createdAt)}
+                      </span>
+                      {isCommentAuthor && (
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setEditingId(comment._id);
+                            setEditContent(comment.content);
+                          }}
+                          className="ml-2 text-purple-300 hover:text-white cursor-pointer"
+                        >
+                          edit
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(comment._id)}
+                          className="ml-2 text-red-300 hover:text-red-200 cursor-pointer"
+                        >
+                          delete
+                        </button>
+                      )}
+                      {!isCommentAuthor && (
+                        <FlagButton targetType="comment" targetId={comment._id} className="ml-2" />
+                      )}
+                      {comment.isHidden && (
+                        <span className="ml-2 text-yellow-300">(hidden)</span>
+                      )}
+                    </p>
+                  )}
+                  <AttachmentList attachments={comment.attachments} compact />
+                </div>
+              </div>
+            );
+          })}
+
+          {error && (
+            <p className="text-red-300 text-xs sm:text-sm">{error}</p>
+          )}
+
+          {isLocked ? (
+            <p className="text-xs sm:text-sm text-purple-200">This question is locked. New comments are disabled.</p>
+          ) : user ? (
+            <form onSubmit={handleSubmit} className="pt-1 space-y-1">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newComment}
+                  onChange={(e) => setNewComment(e.target.value)}
+                  maxLength={600}
+                  placeholder="Add a comment. Use @username to mention someone."
+                  className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-purple-300 text-xs sm:text-sm focus:outline-none focus:ring-2 focus:ring-purple-400"
+                />
+                <button
+                  type="submit"
+                  disabled={submitting || newComment.trim().length < 2}
+                  className="bg-purple-600 hover:bg-purple-700 px-3 sm:px-4 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                >
+                  {submitting ? 'Posting...' : 'Comment'}
+                </button>
+              </div>
+              <AttachmentPicker
+                files={files}
+                onChange={setFiles}
+                onError={setError}
+                policy={attachmentPolicy}
+                disabled={submitting}
+                compact
+              />
+            </form>
+          ) : (
+            <p className="text-xs sm:text-sm text-purple-200">
+              <Link to="/login" className="underline hover:text-white">Sign in</Link> to comment.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -2,6 +2,11 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { authAPI } from '../services/api';
 import { useNavigate, Link } from 'react-router-dom';
+import ActiveSessions from './ActiveSessions';
+import AvatarUpload from './AvatarUpload';
+import TwoFactorSettings from './TwoFactorSettings';
+import TwoFactorPolicy from './TwoFactorPolicy';
+import LinkedAccounts from './LinkedAccounts';
 
 const EditProfile = () => {
   const { user, updateProfile, changePassword } = useAuth();
@@ -22,6 +27,8 @@ const EditProfile = () => {
   const [passwordLoading, setPasswordLoading] = useState(false);
   const [passwordError, setPasswordError] = useState(null);
   const [passwordSuccess, setPasswordSuccess] = useState(false);
+  // Bumped to reload the session list after other devices are signed out
+  const [sessionsKey, setSessionsKey] = useState(0);
 
   useEffect(() => {
     if (user) {
@@ -115,6 +122,7 @@ const EditProfile = () => {
       });
       if (result.success) {
         setPasswordSuccess(true);
+        setSessionsKey(key => key + 1);
         setPasswordData({
           currentPassword: '',
           newPassword: '',
@@ -149,6 +157,8 @@ const EditProfile = () => {
           {/* Profile Information */}
           <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8">
             <h2 className="text-xl sm:text-2xl font-bold mb-4 sm:mb-6">Profile Information</h2>
+
+            <AvatarUpload />
             
             {error && (
               <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-3 sm:mb-6 text-sm sm:text-base">
@@ -219,7 +229,7 @@ const EditProfile = () => {
             
             {passwordSuccess && (
               <div className="bg-green-500/20 border border-green-500/50 text-green-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-3 sm:mb-6 text-sm sm:text-base">
-                Password changed successfully!
+                Password changed successfully! Other devices have been signed out.
               </div>
             )}
 
@@ -283,6 +293,13 @@ const EditProfile = () => {
               </button>
             </form>
           </div>
+
+          {/* Security */}
+          <TwoFactorSettings />
+          {user.role === 'admin' && <TwoFactorPolicy />}
+          <LinkedAccounts />
+
+          <ActiveSessions key={sessionsKey} />
         </div>
       </div>
     </div>
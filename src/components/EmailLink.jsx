@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const SCREENS = {
+  verify: { title: 'Verifying your email', done: 'Email verified' },
+  magic: { title: 'Signing you in', done: 'Signed in' },
+  reset: { title: 'Choose a New Password', done: 'Password updated' },
+  oidc: { title: 'Signing you in', done: 'Signed in' }
+};
+
+// Landing page for links sent by email (/verify-email, /magic-link and /reset-password) and for
+// the redirect back from an identity provider (/oauth/callback)
+const EmailLink = ({ type }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  // Set by the server when an identity provider sign-in failed
+  const linkError = searchParams.get('error');
+  const navigate = useNavigate();
+  const { completeEmailLink } = useAuth();
+  const [status, setStatus] = useState(type === 'reset' ? 'form' : 'working');
+  const [error, setError] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  // Tokens are single-use, so don't send one twice (StrictMode runs effects twice in development)
+  const submittedToken = useRef(null);
+
+  const screen = SCREENS[type];
+
+  // Verification and sign-in links are used as soon as the page opens
+  useEffect(() => {
+    if (type === 'reset' || !token || submittedToken.current === token) return;
+    submittedToken.current = token;
+
+    completeEmailLink(type, token)
+      .then((response) => {
+        if (response.requiresTwoFactor) {
+          navigate('/login', { state: { twoFactorChallenge: response.challengeToken } });
+          return;
+        }
+        setStatus('done');
+        setTimeout(() => navigate('/'), 1500);
+      })
+      .catch(err => {
+        setError(err.message || 'This link is invalid or has expired');
+        setStatus('failed');
+      });
+  }, [type, token, completeEmailLink, navigate]);
+
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setStatus('working');
+      setError(null);
+      const response = await completeEmailLink('reset', token, password);
+      if (response.requiresTwoFactor) {
+        navigate('/login', { state: { twoFactorChallenge: response.challengeToken } });
+        return;
+      }
+      setStatus('done');
+      setTimeout(() => navigate('/'), 1500);
+    } catch (err) {
+      setError(err.message || 'This link is invalid or has expired');
+      setStatus('form');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-600 via-purple-700 to-purple-800 flex items-center justify-center">
+      <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
+        <h1 className="text-3xl font-bold text-gray-900 mb-6 text-center">
+          {status === 'done' ? screen.done : screen.title}
+        </h1>
+
+        {linkError ? (
+          <p className="text-red-600 text-center">{linkError}</p>
+        ) : !token ? (
+          <p className="text-gray-600 text-center">This link is missing its token. Open the link from your email again.</p>
+        ) : status === 'working' ? (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-purple-600"></div>
+          </div>
+        ) : status === 'done' ? (
+          <p className="text-gray-600 text-center">Taking you to the home page...</p>
+        ) : status === 'failed' ? (
+          <p className="text-red-600 text-center">{error}</p>
+        ) : (
+          <form onSubmit={handleResetSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                New Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                minLength={6}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="At least 6 characters"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                Confirm Password
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                placeholder="Confirm your new password"
+                required
+              />
+            </div>
+
+            {error && <p className="text-red-600 text-sm text-center">{error}</p>}
+
+            <button
+              type="submit"
+              className="w-full bg-black text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-800 transition-colors"
+            >
+              Set password
+            </button>
+          </form>
+        )}
+
+        {status !== 'done' && (
+          <p className="mt-6 text-center">
+            <Link to="/login" className="text-purple-600 hover:text-purple-700 font-medium">
+              Back to sign in
+            </Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailLink;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { moderationAPI } from '../services/api';
+
+const FLAG_REASONS = [
+  { value: 'spam', label: 'Spam', hint: 'Advertising or unrelated links' },
+  { value: 'abuse', label: 'Rude or abusive', hint: 'Harassment, hate speech or threats' },
+  { value: 'off-topic', label: 'Off-topic', hint: "Doesn't belong in this community" },
+  { value: 'low-quality', label: 'Low quality', hint: 'Not an answer, or unreadable' },
+  { value: 'other', label: 'Something else', hint: 'Tell the moderators below' }
+];
+
+// "flag" link that opens a report form for a question, answer, comment or user
+const FlagButton = ({ targetType, targetId, label = 'flag', className = '' }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  // Close form when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (open && !event.target.closest('.flag-menu')) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  const handleOpen = () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    setOpen(!open);
+  };
+
+  const handleSubmit = async () => {
+    if (!reason) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await moderationAPI.flag({ targetType, targetId, reason, details });
+      setDone(true);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || 'Failed to submit flag');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (done) {
+    return <span className={`text-purple-300 ${className}`}>flagged</span>;
+  }
+
+  return (
+    <span className="relative inline-block flag-menu">
+      <button type="button" onClick={handleOpen} className={`text-purple-300 hover:text-white cursor-pointer ${className}`}>
+        {label}
+      </button>
+
+      {open && (
+        // Not a <form>: the link is often rendered inside a paragraph
+        <div
+          className="absolute left-0 top-full mt-2 w-72 p-3 rounded-lg shadow-lg border border-white/20 bg-indigo-950 text-purple-100 text-sm z-50 space-y-2"
+        >
+          <p className="text-xs font-semibold uppercase tracking-wide opacity-70">Why are you flagging this?</p>
+          {FLAG_REASONS.map(option => (
+            <label key={option.value} className="flex items-start space-x-2 cursor-pointer">
+              <input
+                type="radio"
+                name={`flag-${targetId}`}
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => setReason(option.value)}
+                className="mt-1"
+              />
+              <span>
+                <span className="block text-white">{option.label}</span>
+                <span className="block text-xs text-purple-300">{option.hint}</span>
+              </span>
+            </label>
+          ))}
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={500}
+            rows={2}
+            placeholder="Details for moderators (optional)"
+            className="w-full px-2 py-1 rounded bg-white/10 border border-white/20 text-white placeholder-purple-300 text-xs focus:outline-none focus:ring-1 focus:ring-purple-400 resize-none"
+          />
+          {error && <p className="text-red-300 text-xs">{error}</p>}
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setOpen(false)} className="px-2 py-1 text-xs text-purple-300 hover:text-white cursor-pointer">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={!reason || submitting}
+              className="px-3 py-1 text-xs bg-purple-600 hover:bg-purple-700 rounded disabled:opacity-50 cursor-pointer"
+            >
+              {submitting ? 'Sending...' : 'Flag'}
+            </button>
+          </div>
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default FlagButton;
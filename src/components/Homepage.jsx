@@ -1,27 +1,82 @@
+import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import { Search, MessageSquare, Users, Star } from 'lucide-react';
+import { topicsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import TopicFollowButton from './TopicFollowButton';
+
+const sortOptions = [
+  { value: 'popular', label: 'Popular' },
+  { value: 'followers', label: 'Most followed' },
+  { value: 'active', label: 'Recently active' },
+  { value: 'recent', label: 'Newest' },
+  { value: 'alphabetical', label: 'A–Z' }
+];
 
 const Homepage = () => {
-  const topics = [
-    { name: 'Technology', color: 'bg-red-500', icon: '🔴' },
-    { name: 'Climate', color: 'bg-green-500', icon: '🟢' },
-    { name: 'Space exploration', color: 'bg-purple-500', icon: '🟣' },
-    { name: 'AI and ethics', color: 'bg-pink-500', icon: '🔴' },
-    { name: 'Social media', color: 'bg-teal-500', icon: '🟢' },
-    { name: 'Mental health', color: 'bg-blue-500', icon: '🔵' },
-    { name: 'Education', color: 'bg-purple-500', icon: '🟣' },
-    { name: 'Health', color: 'bg-pink-500', icon: '🔴' },
-    { name: 'Culture', color: 'bg-yellow-500', icon: '🟡' },
-    { name: 'Politics', color: 'bg-orange-500', icon: '🟠' },
-    { name: 'Sports', color: 'bg-purple-500', icon: '🟣' },
-    { name: 'Public opinion', color: 'bg-green-500', icon: '🟢' },
-    { name: 'History', color: 'bg-green-500', icon: '🟢' },
-    { name: 'Economy', color: 'bg-blue-500', icon: '🔵' },
-    { name: 'Business', color: 'bg-red-500', icon: '🔴' },
-    { name: 'Science', color: 'bg-purple-500', icon: '🟣' },
-    { name: 'Philosophy', color: 'bg-green-500', icon: '🟢' },
-    { name: 'Art', color: 'bg-blue-500', icon: '🔵' }
+  const { user } = useAuth();
+  const [topics, setTopics] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sortBy, setSortBy] = useState('popular');
+  const [filter, setFilter] = useState('all');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+
+  const filters = [
+    { value: 'all', label: 'All' },
+    { value: 'featured', label: 'Featured' },
+    ...(user ? [{ value: 'following', label: 'Following' }] : [])
   ];
 
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchTerm(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  useEffect(() => {
+    const fetchTopics = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        if (searchTerm) {
+          const response = await topicsAPI.searchTopics(searchTerm, 50);
+          setTopics(response.topics || []);
+          setPagination(null);
+          return;
+        }
+
+        const params = { page: currentPage, limit: 24, sortBy };
+        if (filter === 'featured') params.featured = 'true';
+        if (filter === 'following') params.following = 'true';
+
+        const response = await topicsAPI.getTopics(params);
+        setTopics(response.topics || []);
+        setPagination(response.pagination);
+      } catch (err) {
+        setError(err.message || 'Failed to load topics');
+        console.error('Error fetching topics:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTopics();
+  }, [searchTerm, sortBy, filter, currentPage, user]);
+
+  const handleFollowChange = (slug, changes) => {
+    setTopics(prev => prev.map(topic => (topic.slug === slug ? { ...topic, ...changes } : topic)));
+  };
+
+  const selectFilter = (value) => {
+    setFilter(value);
+    setCurrentPage(1);
+  };
+
   return (
     <div className="max-w-6xl mx-auto">
       <div className="text-center mb-8">
@@ -29,22 +84,121 @@ const Homepage = () => {
         <p className="text-gray-600">Select a topic to discover related discussions</p>
       </div>
 
-      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-4 mb-8 auto-rows-fr">
-        {topics.map((topic) => (
-          <Link
-            key={topic.name}
-            to={`/topics/${topic.name.toLowerCase().replace(/\s+/g, '-')}`}
-            className="flex items-start space-x-3 p-4 bg-white rounded-lg border border-gray-200 hover:shadow-md transition-shadow cursor-pointer w-full h-full min-h-[80px]"
-          >
-            <div className={`w-3 h-3 rounded-full ${topic.color} flex-shrink-0 mt-1`}></div>
-            <span className="text-sm font-medium text-gray-700 flex-1 text-left leading-tight break-words">{topic.name}</span>
-          </Link>
-        ))}
+      {/* Search, filter and sort */}
+      <div className="flex flex-col md:flex-row md:items-center gap-3 mb-6">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search topics..."
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+        {!searchTerm && (
+          <div className="flex items-center gap-2">
+            {filters.map(option => (
+              <button
+                key={option.value}
+                onClick={() => selectFilter(option.value)}
+                className={`px-3 py-1.5 text-sm rounded-lg transition-colors cursor-pointer ${
+                  filter === option.value ? 'bg-purple-600 text-white' : 'bg-white border border-gray-300 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            <select
+              value={sortBy}
+              onChange={(e) => {
+                setSortBy(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {sortOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
+      {loading ? (
+        <div className="flex justify-center items-center min-h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+        </div>
+      ) : error ? (
+        <p className="text-red-600 text-center py-8">{error}</p>
+      ) : topics.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg border border-gray-200">
+          <h3 className="text-lg font-medium text-gray-700 mb-2">No topics found</h3>
+          <p className="text-sm text-gray-500">
+            {searchTerm ? 'Try a different search.' : filter === 'following' ? 'Follow a topic to see it here.' : 'Check back later.'}
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 mb-8 auto-rows-fr">
+          {topics.map((topic) => (
+            <Link
+              key={topic._id}
+              to={`/topics/${topic.slug}`}
+              className="flex flex-col p-4 bg-white rounded-lg border border-gray-200 border-t-4 hover:shadow-md transition-shadow cursor-pointer w-full h-full"
+              style={{ borderTopColor: topic.color }}
+            >
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <span className="text-lg flex-shrink-0">{topic.icon}</span>
+                  <span className="text-sm font-semibold text-gray-800 leading-tight break-words">{topic.name}</span>
+                  {topic.isFeatured && <Star size={12} className="text-yellow-500 flex-shrink-0" fill="currentColor" />}
+                </div>
+                <TopicFollowButton
+                  slug={topic.slug}
+                  isFollowing={topic.isFollowing}
+                  onChange={(changes) => handleFollowChange(topic.slug, changes)}
+                  className="flex-shrink-0"
+                />
+              </div>
+              <p className="text-xs text-gray-600 leading-relaxed line-clamp-3 flex-1 mb-3">
+                {topic.description || 'No description yet.'}
+              </p>
+              <div className="flex items-center space-x-4 text-xs text-gray-500">
+                <span className="flex items-center space-x-1">
+                  <MessageSquare size={12} />
+                  <span>{topic.questionCount} questions</span>
+                </span>
+                <span className="flex items-center space-x-1">
+                  <Users size={12} />
+                  <span>{topic.followerCount} followers</span>
+                </span>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
 
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-center space-x-4 mb-8">
+          <button
+            onClick={() => setCurrentPage(page => page - 1)}
+            disabled={!pagination.hasPrev}
+            className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+          <button
+            onClick={() => setCurrentPage(page => page + 1)}
+            disabled={!pagination.hasNext}
+            className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+          >
+            Next
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default Homepage;
\ No newline at end of file
+export default Homepage;
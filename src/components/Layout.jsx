@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { usersAPI } from '../services/api';
+import { usersAPI, authAPI } from '../services/api';
 import { Menu, X } from 'lucide-react';
+import NotificationBell from './NotificationBell';
+import Avatar from './Avatar';
 
 const Layout = ({ children }) => {
   const location = useLocation();
@@ -12,28 +14,33 @@ const Layout = ({ children }) => {
   const [topUsers, setTopUsers] = useState([]);
   const [showProfileDropdown, setShowProfileDropdown] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
 
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      navigate(`/?search=${encodeURIComponent(searchQuery.trim())}`);
-    }
-  };
+  // Query shown on the search results page (null elsewhere)
+  const currentSearch = location.pathname === '/search'
+    ? new URLSearchParams(location.search).get('q') || ''
+    : null;
+
+  // Keep the box in sync with the results page, and clear it when leaving search
+  useEffect(() => {
+    setSearchQuery(prev => (prev.trim() === (currentSearch || '') ? prev : currentSearch || ''));
+  }, [currentSearch]);
 
   // Auto-search functionality
   useEffect(() => {
     const timeoutId = setTimeout(() => {
-      if (searchQuery.trim()) {
-        navigate(`/?search=${encodeURIComponent(searchQuery.trim())}`);
-      } else if (location.pathname === '/' && location.search.includes('search=')) {
-        // Clear search results and show all discussions when search is cleared
+      const query = searchQuery.trim();
+      if (query && query !== currentSearch) {
+        navigate(`/search?q=${encodeURIComponent(query)}`);
+      } else if (!query && currentSearch) {
+        // Show all discussions when search is cleared
         navigate('/');
       }
     }, 300); // 300ms delay to avoid too many requests
 
     return () => clearTimeout(timeoutId);
-  }, [searchQuery, navigate, location.pathname, location.search]);
+  }, [searchQuery, currentSearch, navigate]);
 
 
 
@@ -41,7 +48,8 @@ const Layout = ({ children }) => {
     { name: 'HOME', path: '/', active: true },
     { name: 'EXPLORE TOPICS', path: '/explore-topics' },
     { name: 'RECENT TOPICS', path: '/recent' },
-    { name: 'MY TOPICS', path: '/my-topics' }
+    { name: 'MY TOPICS', path: '/my-topics' },
+    { name: 'SAVED', path: '/saved' }
   ];
 
   useEffect(() => {
@@ -119,14 +127,15 @@ const Layout = ({ children }) => {
                   <span className="hidden sm:inline">+ Start a New Topic</span>
                   <span className="sm:hidden">+ New</span>
                 </Link>
+                <NotificationBell />
                 {/* User Profile Dropdown */}
                 <div className="relative profile-dropdown">
                   <button
                     onClick={() => setShowProfileDropdown(!showProfileDropdown)}
-                    className="w-8 h-8 bg-purple-600 rounded-full flex items-center justify-center text-white text-sm font-medium hover:bg-purple-700 transition-colors cursor-pointer"
+                    className="w-8 h-8 rounded-full flex items-center justify-center hover:ring-2 hover:ring-purple-300 transition-shadow cursor-pointer"
                     title={user?.username || 'User Profile'}
                   >
-                    {user?.username?.charAt(0).toUpperCase() || 'U'}
+                    <Avatar user={user} size={32} />
                   </button>
                   
                   {/* Dropdown Menu */}
@@ -150,6 +159,24 @@ const Layout = ({ children }) => {
                       >
                         Edit Profile
                       </Link>
+                      {['admin', 'moderator'].includes(user?.role) && (
+                        <Link
+                          to="/admin/topics"
+                          className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                          onClick={() => setShowProfileDropdown(false)}
+                        >
+                          Manage Topics
+                        </Link>
+                      )}
+                      {['admin', 'moderator'].includes(user?.role) && (
+                        <Link
+                          to="/moderation"
+                          className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                          onClick={() => setShowProfileDropdown(false)}
+                        >
+                          Moderation
+                        </Link>
+                      )}
                       <hr className="my-1" />
                       <button
                         onClick={() => {
@@ -241,6 +268,7 @@ const Layout = ({ children }) => {
                             {index + 1}
                           </div>
                         </div>
+                        <Avatar user={topUser} size={24} />
                         <div className="flex-1 min-w-0">
                           <p className="text-sm font-medium text-gray-900 truncate">
                             {topUser.username}
@@ -283,6 +311,36 @@ const Layout = ({ children }) => {
 
         {/* Main Content */}
         <main className="flex-1 p-4 sm:p-6">
+          {user && user.emailVerified === false && (
+            <div className="mb-4 px-4 py-2 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg flex flex-wrap items-center justify-between gap-2">
+              <span>Please verify your email address ({user.email}).</span>
+              {verificationSent ? (
+                <span className="text-yellow-700">Verification link sent. Check your inbox.</span>
+              ) : (
+                <button
+                  onClick={async () => {
+                    try {
+                      await authAPI.resendVerification(user.email);
+                      setVerificationSent(true);
+                    } catch (err) {
+                      alert(err.message || 'Failed to send verification email');
+                    }
+                  }}
+                  className="font-medium text-yellow-900 underline cursor-pointer"
+                >
+                  Resend link
+                </button>
+              )}
+            </div>
+          )}
+          {user?.twoFactorSetupRequired && (
+            <div className="mb-4 px-4 py-2 bg-red-50 border border-red-200 text-red-800 text-sm rounded-lg flex flex-wrap items-center justify-between gap-2">
+              <span>Your role requires two-factor authentication. You can't post or moderate until it is on.</span>
+              <Link to="/edit-profile" className="font-medium text-red-900 underline">
+                Set it up
+              </Link>
+            </div>
+          )}
           {children}
         </main>
 
@@ -298,6 +356,7 @@ const Layout = ({ children }) => {
                       {index + 1}
                     </div>
                   </div>
+                  <Avatar user={topUser} size={24} />
                   <div className="flex-1 min-w-0">
                     <p className="text-base font-medium text-gray-900 truncate">
                       {topUser.username}
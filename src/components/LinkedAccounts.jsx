@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { authAPI, getOidcStartUrl } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+
+// Identity providers ("Continue with ...") linked to the account
+const LinkedAccounts = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [providers, setProviders] = useState([]);
+  const [identities, setIdentities] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  // The server redirects back here with ?linkConfirmation=<token> or ?oidcError=<message>
+  const [linkConfirmation] = useState(() => searchParams.get('linkConfirmation'));
+  const [redirectError] = useState(() => searchParams.get('oidcError'));
+
+  useEffect(() => {
+    if (searchParams.has('linkConfirmation') || searchParams.has('oidcError')) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        // The provider account is linked only once this session confirms it
+        if (linkConfirmation) {
+          try {
+            const response = await authAPI.completeOidcLink(linkConfirmation);
+            setMessage(response.message);
+          } catch (err) {
+            setError(err.message || 'Failed to link account');
+          }
+        }
+
+        const [options, me] = await Promise.all([authAPI.getOptions(), authAPI.getCurrentUser()]);
+        setProviders(options.oidcProviders || []);
+        setIdentities(me.user.identities || []);
+      } catch (err) {
+        setError(err.message || 'Failed to load linked accounts');
+      }
+    };
+
+    load();
+  }, [linkConfirmation]);
+
+  if (providers.length === 0 && identities.length === 0) {
+    return null;
+  }
+
+  const providerName = (id) => providers.find(provider => provider.id === id)?.name || id;
+
+  const handleLink = async (provider) => {
+    try {
+      setBusyId(provider.id);
+      setError(null);
+      const { linkToken } = await authAPI.getOidcLinkToken(provider.id);
+      window.location.href = getOidcStartUrl(provider.id, linkToken);
+    } catch (err) {
+      setError(err.message || 'Failed to start linking');
+      setBusyId(null);
+    }
+  };
+
+  const handleUnlink = async (identity) => {
+    if (!window.confirm(`Unlink ${providerName(identity.provider)}? You won't be able to sign in with it until you link it again.`)) return;
+
+    try {
+      setBusyId(identity._id);
+      setError(null);
+      const response = await authAPI.unlinkIdentity(identity._id);
+      setIdentities(response.identities);
+    } catch (err) {
+      setError(err.message || 'Failed to unlink account');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8">
+      <h2 className="text-xl sm:text-2xl font-bold mb-4 sm:mb-6">Linked Accounts</h2>
+
+      {(error || redirectError) && (
+        <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-4 text-sm">
+          {error || redirectError}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-500/20 border border-green-500/50 text-green-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-4 text-sm">
+          {message}
+        </div>
+      )}
+
+      <ul className="divide-y divide-white/10 mb-4">
+        {identities.map(identity => (
+          <li key={identity._id} className="flex items-center justify-between gap-3 py-3">
+            <div className="min-w-0">
+              <p className="font-medium">{providerName(identity.provider)}</p>
+              <p className="text-xs sm:text-sm text-purple-200 truncate">
+                {identity.email || 'No email shared'} · Linked {formatDate(identity.linkedAt)}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleUnlink(identity)}
+              disabled={busyId !== null}
+              className="px-3 py-1 text-sm rounded border border-white/30 text-purple-200 hover:text-white disabled:opacity-50 cursor-pointer flex-shrink-0"
+            >
+              Unlink
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-3">
+        {providers.map(provider => (
+          <button
+            key={provider.id}
+            type="button"
+            onClick={() => handleLink(provider)}
+            disabled={busyId !== null}
+            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+          >
+            {identities.some(identity => identity.provider === provider.id)
+              ? `Link another ${provider.name} account`
+              : `Link ${provider.name}`}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LinkedAccounts;
@@ -1,9 +1,46 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI, getOidcStartUrl } from '../services/api';
+
+// Headings for the screens that only ask for an email address
+const EMAIL_ONLY_SCREENS = {
+  forgot: {
+    title: 'Reset Password',
+    subtitle: "Enter your email and we'll send you a link to choose a new password",
+    submit: 'Send reset link',
+    request: authAPI.forgotPassword
+  },
+  magic: {
+    title: 'Email Sign-In',
+    subtitle: "Enter your email and we'll send you a link that signs you in",
+    submit: 'Send sign-in link',
+    request: authAPI.requestMagicLink
+  },
+  resend: {
+    title: 'Verify Your Email',
+    subtitle: "Enter your email and we'll send you a new verification link",
+    submit: 'Resend verification link',
+    request: authAPI.resendVerification
+  }
+};
 
 const Login = () => {
-  const [isLogin, setIsLogin] = useState(true);
+  const location = useLocation();
+  // Set when the password (or an emailed link) was accepted and an authenticator code is needed
+  const [challengeToken, setChallengeToken] = useState(location.state?.twoFactorChallenge || null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState(null);
+  // 'login', 'register' or one of EMAIL_ONLY_SCREENS
+  const [mode, setMode] = useState('login');
+  const isLogin = mode === 'login';
+  const emailOnly = EMAIL_ONLY_SCREENS[mode];
+  const [notice, setNotice] = useState(null);
+  const [emailError, setEmailError] = useState(null);
+  const [unverified, setUnverified] = useState(false);
+  const [magicLinksEnabled, setMagicLinksEnabled] = useState(false);
+  const [oidcProviders, setOidcProviders] = useState([]);
   const [formData, setFormData] = useState({
     email: 'usman@gmail.com',
     password: '123456',
@@ -12,15 +49,46 @@ const Login = () => {
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const navigate = useNavigate();
-  const { login, register, error } = useAuth();
+  const { login, register, completeTwoFactor, error } = useAuth();
+
+  useEffect(() => {
+    authAPI.getOptions()
+      .then(options => {
+        setMagicLinksEnabled(options.magicLinks);
+        setOidcProviders(options.oidcProviders || []);
+      })
+      .catch(() => setMagicLinksEnabled(false));
+  }, []);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setNotice(null);
+    setEmailError(null);
+    setUnverified(false);
+  };
+
+  const handleEmailOnlySubmit = async () => {
+    try {
+      setEmailError(null);
+      const response = await emailOnly.request(formData.email);
+      setNotice(response.message);
+    } catch (err) {
+      setEmailError(err.message || 'Failed to send email');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    console.log('Form submitted:', { isLogin, formData: { email: formData.email, password: '***' } });
+    console.log('Form submitted:', { mode, formData: { email: formData.email, password: '***' } });
     setIsSubmitting(true);
     
     try {
       let result;
+
+      if (emailOnly) {
+        await handleEmailOnlySubmit();
+        return;
+      }
       
       if (isLogin) {
         console.log('Attempting login...');
@@ -29,6 +97,12 @@ const Login = () => {
           password: formData.password
         });
         console.log('Login result:', result);
+        setUnverified(result.code === 'EMAIL_NOT_VERIFIED');
+
+        if (result.requiresTwoFactor) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
       } else {
         if (formData.password !== formData.confirmPassword) {
           alert('Passwords do not match');
@@ -43,7 +117,9 @@ const Login = () => {
         });
       }
       
-      if (result.success) {
+      if (result.requiresVerification) {
+        setNotice(result.message);
+      } else if (result.success) {
         navigate('/');
       }
     } catch (err) {
@@ -53,20 +129,135 @@ const Login = () => {
     }
   };
 
+  const cancelTwoFactor = (message = null) => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setTwoFactorError(message);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      setTwoFactorError(null);
+      await completeTwoFactor(challengeToken, useRecoveryCode
+        ? { recoveryCode: twoFactorCode }
+        : { code: twoFactorCode });
+      navigate(location.state?.from?.pathname || '/');
+    } catch (err) {
+      if (err.code === 'CHALLENGE_EXPIRED') {
+        cancelTwoFactor(err.message);
+      } else {
+        setTwoFactorError(err.message || 'Invalid code');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-600 via-purple-700 to-purple-800 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Two-Factor Authentication</h1>
+            <p className="text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="twoFactorCode"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent tracking-widest text-center"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                required
+              />
+            </div>
+
+            {twoFactorError && (
+              <p className="text-red-600 text-sm text-center">{twoFactorError}</p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full bg-black text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-800 transition-colors"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Please wait...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="mt-6 flex justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setTwoFactorCode('');
+                setTwoFactorError(null);
+              }}
+              className="text-purple-600 hover:text-purple-700 font-medium cursor-pointer"
+            >
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={() => cancelTwoFactor()}
+              className="text-gray-600 hover:text-gray-800 cursor-pointer"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (notice) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-600 via-purple-700 to-purple-800 flex items-center justify-center">
+        <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md text-center">
+          <h1 className="text-3xl font-bold text-gray-900 mb-4">Check Your Email</h1>
+          <p className="text-gray-600 mb-6">{notice}</p>
+          <button
+            onClick={() => switchMode('login')}
+            className="text-purple-600 hover:text-purple-700 font-medium cursor-pointer"
+          >
+            Back to sign in
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-600 via-purple-700 to-purple-800 flex items-center justify-center">
       <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            {isLogin ? 'Welcome Back' : 'Create Account'}
+            {emailOnly ? emailOnly.title : isLogin ? 'Welcome Back' : 'Create Account'}
           </h1>
           <p className="text-gray-600">
-            {isLogin ? 'Please sign in to your account' : 'Join our community today'}
+            {emailOnly ? emailOnly.subtitle : isLogin ? 'Please sign in to your account' : 'Join our community today'}
           </p>
         </div>
         
         <form onSubmit={handleSubmit} className="space-y-6">
-          {!isLogin && (
+          {mode === 'register' && (
             <div>
               <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
                 Username
@@ -78,7 +269,7 @@ const Login = () => {
                 onChange={(e) => setFormData({...formData, username: e.target.value})}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 placeholder="Choose a username"
-                required={!isLogin}
+                required
               />
             </div>
           )}
@@ -98,10 +289,22 @@ const Login = () => {
             />
           </div>
 
+          {!emailOnly && (
           <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              {isLogin && (
+                <button
+                  type="button"
+                  onClick={() => switchMode('forgot')}
+                  className="text-sm text-purple-600 hover:text-purple-700 cursor-pointer"
+                >
+                  Forgot password?
+                </button>
+              )}
+            </div>
             <input
               type="password"
               id="password"
@@ -112,8 +315,9 @@ const Login = () => {
               required
             />
           </div>
+          )}
           
-          {!isLogin && (
+          {mode === 'register' && (
             <div>
               <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
                 Confirm Password
@@ -125,14 +329,27 @@ const Login = () => {
                 onChange={(e) => setFormData({...formData, confirmPassword: e.target.value})}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 placeholder="Confirm your password"
-                required={!isLogin}
+                required
               />
             </div>
           )}
 
-          {error && (
+          {isLogin && twoFactorError && (
+            <p className="text-red-600 text-sm text-center">{twoFactorError}</p>
+          )}
+
+          {(emailOnly ? emailError : error) && (
             <div className="error-message" style={{ color: 'red', marginBottom: '1rem', textAlign: 'center' }}>
-              {error}
+              {emailOnly ? emailError : error}
+              {isLogin && unverified && (
+                <button
+                  type="button"
+                  onClick={() => switchMode('resend')}
+                  className="block mx-auto mt-1 text-sm text-purple-600 hover:text-purple-700 cursor-pointer"
+                >
+                  Resend verification email
+                </button>
+              )}
             </div>
           )}
           
@@ -141,20 +358,49 @@ const Login = () => {
             className="w-full bg-black text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-800 transition-colors"
             disabled={isSubmitting}
           >
-            {isSubmitting ? 'Please wait...' : (isLogin ? 'Sign In' : 'Sign Up')}
+            {isSubmitting ? 'Please wait...' : emailOnly ? emailOnly.submit : (isLogin ? 'Sign In' : 'Sign Up')}
           </button>
+
+          {isLogin && magicLinksEnabled && (
+            <button
+              type="button"
+              onClick={() => switchMode('magic')}
+              className="w-full border border-gray-300 text-gray-700 py-3 px-4 rounded-lg font-medium hover:bg-gray-50 transition-colors cursor-pointer"
+            >
+              Email me a sign-in link
+            </button>
+          )}
+
+          {!emailOnly && oidcProviders.map(provider => (
+            <a
+              key={provider.id}
+              href={getOidcStartUrl(provider.id)}
+              className="block w-full text-center border border-gray-300 text-gray-700 py-3 px-4 rounded-lg font-medium hover:bg-gray-50 transition-colors"
+            >
+              Continue with {provider.name}
+            </a>
+          ))}
         </form>
 
         <div className="mt-6 text-center">
-          <p className="text-gray-600">
-            {isLogin ? "Don't have an account?" : "Already have an account?"}{' '}
+          {emailOnly ? (
             <button
-              onClick={() => setIsLogin(!isLogin)}
+              onClick={() => switchMode('login')}
               className="text-purple-600 hover:text-purple-700 font-medium"
             >
-              {isLogin ? 'Sign up' : 'Sign in'}
+              Back to sign in
             </button>
-          </p>
+          ) : (
+            <p className="text-gray-600">
+              {isLogin ? "Don't have an account?" : "Already have an account?"}{' '}
+              <button
+                onClick={() => switchMode(isLogin ? 'register' : 'login')}
+                className="text-purple-600 hover:text-purple-700 font-medium"
+              >
+                {isLogin ? 'Sign up' : 'Sign in'}
+              </button>
+            </p>
+          )}
         </div>
       </div>
     </div>
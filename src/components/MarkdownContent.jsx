@@ -0,0 +1,18 @@
+// Render HTML produced (and sanitized) by the server's Markdown pipeline.
+// Falls back to the raw text for posts that haven't been rendered yet.
+const MarkdownContent = ({ html, fallback = '', inline = false, className = '' }) => {
+  if (!html) {
+    const Tag = inline ? 'span' : 'p';
+    return <Tag className={`whitespace-pre-wrap ${className}`}>{fallback}</Tag>;
+  }
+
+  const Tag = inline ? 'span' : 'div';
+  return (
+    <Tag
+      className={`markdown-body ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownContent;
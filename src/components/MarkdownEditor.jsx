@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { markdownAPI } from '../services/api';
+import MarkdownContent from './MarkdownContent';
+
+// Textarea with a Write/Preview toggle. The preview is rendered by the server
+// so it matches exactly what will be stored. Other props go to the textarea.
+const MarkdownEditor = ({ value, onChange, className = '', rows = 4, ...textareaProps }) => {
+  const [tab, setTab] = useState('write');
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+
+  const showPreview = async () => {
+    setTab('preview');
+    if (!value.trim()) {
+      setPreviewHtml('');
+      return;
+    }
+
+    try {
+      setPreviewLoading(true);
+      setPreviewError(null);
+      const response = await markdownAPI.preview(value);
+      setPreviewHtml(response.html);
+    } catch (err) {
+      setPreviewError(err.message || 'Failed to render preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const tabClass = (name) => `px-3 py-1 rounded-md text-xs sm:text-sm transition-colors cursor-pointer ${
+    tab === name ? 'bg-purple-600 text-white' : 'text-purple-200 hover:text-white hover:bg-white/10'
+  }`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex space-x-1">
+          <button type="button" onClick={() => setTab('write')} className={tabClass('write')}>
+            Write
+          </button>
+          <button type="button" onClick={showPreview} className={tabClass('preview')}>
+            Preview
+          </button>
+        </div>
+        <span className="text-xs text-purple-300">Markdown supported</span>
+      </div>
+
+      {tab === 'write' ? (
+        <textarea
+          value={value}
+          onChange={onChange}
+          rows={rows}
+          className={className}
+          {...textareaProps}
+        />
+      ) : (
+        <div className="min-h-[6rem] px-3 sm:px-4 py-2 sm:py-3 rounded-lg border-2 border-purple-300/50 bg-white/5 text-sm sm:text-base">
+          {previewLoading ? (
+            <p className="text-purple-200">Rendering preview...</p>
+          ) : previewError ? (
+            <p className="text-red-300">{previewError}</p>
+          ) : previewHtml ? (
+            <MarkdownContent html={previewHtml} />
+          ) : (
+            <p className="text-purple-200">Nothing to preview</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
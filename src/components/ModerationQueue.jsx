@@ -0,0 +1,331 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Flag, AlertTriangle, X } from 'lucide-react';
+import { moderationAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const TARGET_TABS = [
+  { value: '', label: 'All' },
+  { value: 'question', label: 'Questions' },
+  { value: 'answer', label: 'Answers' },
+  { value: 'comment', label: 'Comments' },
+  { value: 'user', label: 'Users' }
+];
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  abuse: 'Rude or abusive',
+  'off-topic': 'Off-topic',
+  'low-quality': 'Low quality',
+  other: 'Other'
+};
+
+const ACTION_LABELS = {
+  dismiss: 'Dismiss',
+  hide: 'Hide',
+  delete: 'Delete',
+  lock: 'Lock',
+  warn: 'Warn author'
+};
+
+const ACTION_STYLES = {
+  dismiss: 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50',
+  hide: 'bg-yellow-500 text-white hover:bg-yellow-600',
+  delete: 'bg-red-600 text-white hover:bg-red-700',
+  lock: 'bg-gray-700 text-white hover:bg-gray-800',
+  warn: 'bg-orange-500 text-white hover:bg-orange-600'
+};
+
+// What each action does, shown in the confirmation prompt
+const actionDescription = (action, item) => {
+  switch (action) {
+    case 'dismiss':
+      return 'Dismiss these flags without taking action?';
+    case 'hide':
+      return `Hide this ${item.targetType} from everyone except moderators?`;
+    case 'delete':
+      return `Delete this ${item.targetType}?`;
+    case 'lock':
+      return item.targetType === 'user'
+        ? `Suspend ${item.targetUser?.username || 'this user'}?`
+        : 'Lock the question? It will stop accepting answers and comments.';
+    default:
+      return null;
+  }
+};
+
+// Queue of flagged content for moderators, grouped by target
+const ModerationQueue = () => {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [targetType, setTargetType] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [warningKey, setWarningKey] = useState(null);
+  const [warningNote, setWarningNote] = useState('');
+  const [busyKey, setBusyKey] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setError(null);
+      const params = { page: currentPage, limit: 20 };
+      if (targetType) params.targetType = targetType;
+      if (reason) params.reason = reason;
+
+      const response = await moderationAPI.getQueue(params);
+      setItems(response.items || []);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to load moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, targetType, reason]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleFilter = (changes) => {
+    if ('targetType' in changes) setTargetType(changes.targetType);
+    if ('reason' in changes) setReason(changes.reason);
+    setCurrentPage(1);
+  };
+
+  const handleAction = async (item, action, note = '') => {
+    const prompt = actionDescription(action, item);
+    if (prompt && !window.confirm(prompt)) return;
+
+    const key = `${item.targetType}-${item.targetId}`;
+    try {
+      setBusyKey(key);
+      const response = await moderationAPI.act(item.targetType, item.targetId, action, note);
+      setNotice(response.message);
+      setWarningKey(null);
+      setWarningNote('');
+      fetchQueue();
+    } catch (err) {
+      alert(err.message || 'Failed to apply action');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-2 sm:px-0">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Moderation</h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-2">
+          Flagged content, most reported first
+          {pagination ? ` · ${pagination.total} pending` : ''}
+        </p>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div className="flex flex-wrap gap-2">
+          {TARGET_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => handleFilter({ targetType: tab.value })}
+              className={`px-3 py-1.5 text-sm rounded-lg cursor-pointer ${
+                targetType === tab.value
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={reason}
+          onChange={(e) => handleFilter({ reason: e.target.value })}
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="">All reasons</option>
+          {Object.entries(REASON_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {notice && (
+        <div className="flex items-center justify-between mb-4 px-4 py-2 bg-green-50 border border-green-200 text-green-700 text-sm rounded-lg">
+          <span>{notice}</span>
+          <button onClick={() => setNotice(null)} className="cursor-pointer"><X size={14} /></button>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-8 text-center text-gray-500">
+          <Flag size={32} className="mx-auto mb-3 text-gray-300" />
+          <p>Nothing to review. The queue is empty.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map(item => {
+            const key = `${item.targetType}-${item.targetId}`;
+
+            return (
+              <div key={key} className="bg-white rounded-lg border border-gray-200 p-4 sm:p-5">
+                <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+                  <span className="px-2 py-0.5 rounded bg-purple-100 text-purple-700 font-medium uppercase tracking-wide">
+                    {item.targetType}
+                  </span>
+                  <span className="flex items-center space-x-1 px-2 py-0.5 rounded bg-red-50 text-red-700 font-medium">
+                    <Flag size={12} />
+                    <span>{item.count} flag{item.count !== 1 ? 's' : ''}</span>
+                  </span>
+                  {Object.entries(item.reasons).map(([flagReason, count]) => (
+                    <span key={flagReason} className="px-2 py-0.5 rounded bg-gray-100 text-gray-600">
+                      {REASON_LABELS[flagReason] || flagReason} × {count}
+                    </span>
+                  ))}
+                  {item.state.isHidden && (
+                    <span className="px-2 py-0.5 rounded bg-yellow-100 text-yellow-800">hidden</span>
+                  )}
+                  {item.state.isLocked && (
+                    <span className="px-2 py-0.5 rounded bg-gray-200 text-gray-700">locked</span>
+                  )}
+                  {item.state.isActive === false && (
+                    <span className="px-2 py-0.5 rounded bg-gray-200 text-gray-700">
+                      {item.targetType === 'user' ? 'suspended' : 'deleted'}
+                    </span>
+                  )}
+                </div>
+
+                {item.question && (
+                  <Link
+                    to={`/question/${item.question._id}`}
+                    className="block text-base font-semibold text-gray-800 hover:text-purple-600 mb-1"
+                  >
+                    {item.question.title}
+                  </Link>
+                )}
+                {item.preview && (
+                  <p className="text-sm text-gray-600 whitespace-pre-line break-words mb-3">{item.preview}</p>
+                )}
+
+                {item.details.length > 0 && (
+                  <ul className="mb-3 space-y-1">
+                    {item.details.map((detail, index) => (
+                      <li key={index} className="text-xs text-gray-500 border-l-2 border-gray-200 pl-2">
+                        {detail}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500 mb-3">
+                  {item.targetUser ? (
+                    <span className="flex items-center space-x-1">
+                      <span>{item.targetType === 'user' ? 'User' : 'Author'}:</span>
+                      <span className="font-medium text-gray-700">{item.targetUser.username}</span>
+                      <span>· {item.targetUser.reputation} rep</span>
+                      {item.targetUser.warningCount > 0 && (
+                        <span className="flex items-center space-x-1 text-orange-600">
+                          <AlertTriangle size={12} />
+                          <span>{item.targetUser.warningCount} warning{item.targetUser.warningCount !== 1 ? 's' : ''}</span>
+                        </span>
+                      )}
+                    </span>
+                  ) : (
+                    <span>Unknown user</span>
+                  )}
+                  <span>Last flagged {formatDateTime(item.lastFlaggedAt)}</span>
+                </div>
+
+                {warningKey === key ? (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      handleAction(item, 'warn', warningNote);
+                    }}
+                    className="flex flex-col sm:flex-row gap-2"
+                  >
+                    <input
+                      type="text"
+                      value={warningNote}
+                      onChange={(e) => setWarningNote(e.target.value)}
+                      maxLength={500}
+                      placeholder="Message to the author (defaults to the flag reasons)"
+                      className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={busyKey === key}
+                      className={`px-3 py-1.5 text-sm rounded-lg disabled:opacity-50 cursor-pointer ${ACTION_STYLES.warn}`}
+                    >
+                      Send warning
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setWarningKey(null)}
+                      className={`px-3 py-1.5 text-sm rounded-lg cursor-pointer ${ACTION_STYLES.dismiss}`}
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {item.actions.map(action => (
+                      <button
+                        key={action}
+                        onClick={() => {
+                          if (action === 'warn') {
+                            setWarningKey(key);
+                            setWarningNote('');
+                          } else {
+                            handleAction(item, action);
+                          }
+                        }}
+                        disabled={busyKey === key}
+                        className={`px-3 py-1.5 text-sm rounded-lg disabled:opacity-50 cursor-pointer ${ACTION_STYLES[action]}`}
+                      >
+                        {item.targetType === 'user' && action === 'lock' ? 'Suspend' : ACTION_LABELS[action]}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-center space-x-4 pt-2">
+              <button
+                onClick={() => setCurrentPage(page => page - 1)}
+                disabled={!pagination.hasPrev}
+                className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+              <button
+                onClick={() => setCurrentPage(page => page + 1)}
+                disabled={!pagination.hasNext}
+                className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,165 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell } from 'lucide-react';
+import { notificationsAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const POLL_INTERVAL = 60 * 1000;
+
+const notificationText = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const title = notification.question?.title;
+
+  switch (notification.type) {
+    case 'answer':
+      return `${actor} answered your question "${title}"`;
+    case 'upvote':
+      return notification.answer
+        ? `${actor} upvoted your answer on "${title}"`
+        : `${actor} upvoted your question "${title}"`;
+    case 'accepted':
+      return `${actor} accepted your answer on "${title}"`;
+    case 'follow':
+      return `${actor} started following you`;
+    case 'warning':
+      return `Moderator warning: ${notification.message}`;
+    case 'edit':
+      return `${actor} edited the question "${title}"`;
+    default:
+      return 'New activity';
+  }
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getNotifications({ limit: 10 });
+      setNotifications(response.notifications || []);
+      setUnreadCount(response.unreadCount || 0);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const intervalId = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchNotifications]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !event.target.closest('.notification-dropdown')) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      fetchNotifications();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const handleNotificationClick = async (notification) => {
+    setIsOpen(false);
+
+    if (!notification.isRead) {
+      try {
+        const response = await notificationsAPI.markRead(notification._id);
+        setUnreadCount(response.unreadCount);
+        setNotifications(prev => prev.map(item => (
+          item._id === notification._id ? { ...item, isRead: true } : item
+        )));
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+
+    if (notification.type === 'edit') {
+      // Straight to what changed
+      navigate(`/question/${notification.question._id}/revisions`);
+    } else if (notification.question) {
+      navigate(`/question/${notification.question._id}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      setUnreadCount(0);
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="relative notification-dropdown">
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-full text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-colors cursor-pointer"
+        title="Notifications"
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 sm:w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <p className="text-sm font-medium text-gray-900">Notifications</p>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-purple-600 hover:text-purple-800 cursor-pointer"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors cursor-pointer ${
+                      notification.isRead ? '' : 'bg-purple-50'
+                    }`}
+                  >
+                    <p className={`text-sm ${notification.isRead ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>
+                      {notificationText(notification)}
+                    </p>
+                    <p className="text-xs text-gray-400 mt-1">{formatDateTime(notification.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
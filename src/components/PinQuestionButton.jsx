@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { questionsAPI } from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+
+const PIN_DURATIONS = [
+  { value: '', label: 'Until unpinned' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '1 week' },
+  { value: '30', label: '1 month' }
+];
+
+// Expired pins no longer count
+const isActivePin = (expiresAt) => !expiresAt || new Date(expiresAt) > new Date();
+
+// "pin" link for admins (home page) and topic moderators (their topics).
+// onChange receives the question's updated pin fields.
+const PinQuestionButton = ({ question, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [duration, setDuration] = useState('');
+  const [savingScope, setSavingScope] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (open && !event.target.closest('.pin-menu')) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  const pinnableTopics = (question.topics || []).filter(topic => (
+    (question.pinnableTopics || []).includes(topic._id)
+  ));
+
+  if (!question.canPinGlobally && pinnableTopics.length === 0) {
+    return null;
+  }
+
+  // One row per place the user can pin to: the home page and each topic they moderate
+  const scopes = [
+    ...(question.canPinGlobally ? [{
+      key: 'home',
+      label: 'Home page',
+      topic: null,
+      pin: question.isPinned ? { expiresAt: question.pinnedUntil } : null
+    }] : []),
+    ...pinnableTopics.map(topic => ({
+      key: topic.slug,
+      label: topic.name,
+      topic: topic.slug,
+      pin: question.topicPins.find(pin => pin.topic === topic._id) || null
+    }))
+  ].map(scope => ({ ...scope, isPinned: !!scope.pin && isActivePin(scope.pin.expiresAt) }));
+
+  const isPinnedAnywhere = scopes.some(scope => scope.isPinned);
+
+  const handleToggle = async (scope) => {
+    try {
+      setSavingScope(scope.key);
+      setError(null);
+
+      let response;
+      if (scope.isPinned) {
+        response = await questionsAPI.unpinQuestion(question._id, scope.topic);
+      } else {
+        const expiresAt = duration
+          ? new Date(Date.now() + Number(duration) * 24 * 60 * 60 * 1000).toISOString()
+          : null;
+        response = await questionsAPI.pinQuestion(question._id, { topic: scope.topic, expiresAt });
+      }
+
+      onChange({
+        isPinned: response.isPinned,
+        pinnedUntil: response.pinnedUntil,
+        topicPins: response.topicPins
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to update pin');
+    } finally {
+      setSavingScope(null);
+    }
+  };
+
+  return (
+    <span className="relative inline-block pin-menu">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-purple-300 hover:text-white cursor-pointer"
+      >
+        {isPinnedAnywhere ? 'pinned' : 'pin'}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-2 w-72 p-3 rounded-lg shadow-lg border border-white/20 bg-indigo-950 text-purple-100 text-sm z-50 space-y-3">
+          <label className="block">
+            <span className="block text-xs font-semibold uppercase tracking-wide opacity-70 mb-1">New pins last</span>
+            <select
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              className="w-full px-2 py-1 rounded bg-white/10 border border-white/20 text-white text-xs focus:outline-none focus:ring-1 focus:ring-purple-400"
+            >
+              {PIN_DURATIONS.map(option => (
+                <option key={option.value} value={option.value} className="text-gray-800">{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <ul className="space-y-2">
+            {scopes.map(scope => (
+              <li key={scope.key} className="flex items-center justify-between gap-2">
+                <span className="min-w-0">
+                  <span className="block text-white truncate">{scope.label}</span>
+                  {scope.isPinned && (
+                    <span className="block text-xs text-purple-300">
+                      {scope.pin.expiresAt ? `Pinned until ${formatDate(scope.pin.expiresAt)}` : 'Pinned'}
+                    </span>
+                  )}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleToggle(scope)}
+                  disabled={savingScope === scope.key}
+                  className={`px-2 py-1 text-xs rounded disabled:opacity-50 cursor-pointer flex-shrink-0 ${
+                    scope.isPinned ? 'border border-white/30 text-purple-200 hover:text-white' : 'bg-purple-600 hover:bg-purple-700'
+                  }`}
+                >
+                  {scope.isPinned ? 'Unpin' : 'Pin'}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {error && <p className="text-red-300 text-xs">{error}</p>}
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default PinQuestionButton;
@@ -1,8 +1,21 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { questionsAPI } from '../services/api';
+import { subscribeToQuestion } from '../services/realtime';
 import { useAuth } from '../contexts/AuthContext';
 import { formatDateTime } from '../utils/dateUtils';
+import CommentThread from './CommentThread';
+import MarkdownContent from './MarkdownContent';
+import MarkdownEditor from './MarkdownEditor';
+import BookmarkButton from './BookmarkButton';
+import FlagButton from './FlagButton';
+import CloseQuestionButton from './CloseQuestionButton';
+import PinQuestionButton from './PinQuestionButton';
+import Avatar from './Avatar';
+import AttachmentList from './AttachmentList';
+import AttachmentPicker from './AttachmentPicker';
+import { closeReasonLabel } from '../utils/closeReasons';
+import { formDataWithFiles } from '../utils/attachments';
 
 const QuestionDetail = () => {
   const { id } = useParams();
@@ -16,7 +29,11 @@ const QuestionDetail = () => {
   const [submittingAnswer, setSubmittingAnswer] = useState(false);
   const [answerError, setAnswerError] = useState(null);
   const [votingAnswers, setVotingAnswers] = useState(new Set());
-  const [selectedImage, setSelectedImage] = useState(null);
+  const [acceptingAnswer, setAcceptingAnswer] = useState(null);
+  const [editingAnswerId, setEditingAnswerId] = useState(null);
+  const [editAnswerContent, setEditAnswerContent] = useState('');
+  const [answerFiles, setAnswerFiles] = useState([]);
+  const [editedWhileViewing, setEditedWhileViewing] = useState(false);
 
   useEffect(() => {
     const fetchQuestion = async () => {
@@ -38,6 +55,39 @@ const QuestionDetail = () => {
     }
   }, [id]);
 
+  // Merge answers, votes and acceptances made by other users as they happen
+  useEffect(() => {
+    if (!id) return;
+
+    return subscribeToQuestion(id, {
+      'answer-created': ({ answer }) => {
+        // Our own answers are already added from the POST response
+        setAnswers(prev => (
+          prev.some(existing => existing._id === answer._id) ? prev : [...prev, answer]
+        ));
+      },
+      'answer-voted': ({ answerId, votes }) => {
+        setAnswers(prev => prev.map(answer => (
+          answer._id === answerId ? { ...answer, votes } : answer
+        )));
+      },
+      'question-edited': ({ question: edited }) => {
+        setQuestion(prev => (prev ? { ...prev, ...edited } : prev));
+        setEditedWhileViewing(true);
+      },
+      'question-voted': ({ voteScore }) => {
+        setQuestion(prev => (prev ? { ...prev, voteScore } : prev));
+      },
+      'accepted': ({ acceptedAnswerId, isResolved }) => {
+        setAnswers(prev => prev.map(answer => ({
+          ...answer,
+          isAccepted: answer._id === acceptedAnswerId
+        })));
+        setQuestion(prev => (prev ? { ...prev, isResolved } : prev));
+      }
+    });
+  }, [id]);
+
 
 
   const handleAnswerSubmit = async (e) => {
@@ -56,13 +106,19 @@ const QuestionDetail = () => {
       setSubmittingAnswer(true);
       setAnswerError(null);
       
-      const response = await questionsAPI.answerQuestion(id, {
-        content: newAnswer.trim()
-      });
+      const content = newAnswer.trim();
+      const response = await questionsAPI.answerQuestion(id, answerFiles.length > 0
+        ? formDataWithFiles({ content }, answerFiles)
+        : { content });
       
-      // Add the new answer to the list
-      setAnswers(prev => [...prev, response.answer]);
+      // Add the new answer to the list (the realtime event may have added it already)
+      setAnswers(prev => (
+        prev.some(answer => answer._id === response.answer._id) ? prev : [...prev, response.answer]
+      ));
       setNewAnswer('');
+      setAnswerFiles([]);
+      // Answering watches the question
+      setQuestion(prev => ({ ...prev, isWatching: true }));
     } catch (err) {
       setAnswerError(err.message || 'Failed to submit answer');
       console.error('Error submitting answer:', err);
@@ -134,7 +190,95 @@ const QuestionDetail = () => {
     }
   };
 
+  const handleAnswerEditSave = async (answerId) => {
+    try {
+      const response = await questionsAPI.updateAnswer(id, answerId, {
+        content: editAnswerContent.trim()
+      });
+
+      // Keep client-side fields (comments) that the update response doesn't carry
+      setAnswers(prev => prev.map(answer => (
+        answer._id === answerId ? { ...answer, ...response.answer } : answer
+      )));
+      setEditingAnswerId(null);
+    } catch (err) {
+      console.error('Error updating answer:', err);
+      alert(err.message || 'Failed to update answer');
+    }
+  };
+
+  const handleAnswerDelete = async (answerId) => {
+    if (!window.confirm('Are you sure you want to delete this answer?')) {
+      return;
+    }
+
+    try {
+      const response = await questionsAPI.deleteAnswer(id, answerId);
+      setAnswers(prev => prev.filter(answer => answer._id !== answerId));
+      setQuestion(prev => ({ ...prev, isResolved: response.isResolved }));
+    } catch (err) {
+      console.error('Error deleting answer:', err);
+      alert(err.message || 'Failed to delete answer');
+    }
+  };
+
+  const handleWatchToggle = async () => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
 
+    try {
+      const response = question.isWatching
+        ? await questionsAPI.unwatchQuestion(id)
+        : await questionsAPI.watchQuestion(id);
+      setQuestion(prev => ({ ...prev, isWatching: response.isWatching }));
+    } catch (err) {
+      console.error('Error updating watch status:', err);
+    }
+  };
+
+  const handleQuestionChange = (state) => {
+    setQuestion(prev => ({ ...prev, ...state }));
+  };
+
+  const handleLockToggle = async () => {
+    if (!window.confirm(question.isLocked ? 'Unlock this question?' : 'Lock this question? Answers, comments and votes will be frozen.')) return;
+
+    try {
+      const response = question.isLocked
+        ? await questionsAPI.unlockQuestion(id)
+        : await questionsAPI.lockQuestion(id);
+      handleQuestionChange(response.state);
+    } catch (err) {
+      alert(err.message || 'Failed to update lock');
+    }
+  };
+
+  const handleAcceptAnswer = async (answerId, isAccepted) => {
+    if (acceptingAnswer) {
+      return; // Prevent multiple simultaneous requests
+    }
+
+    try {
+      setAcceptingAnswer(answerId);
+
+      const response = isAccepted
+        ? await questionsAPI.unacceptAnswer(id, answerId)
+        : await questionsAPI.acceptAnswer(id, answerId);
+
+      // Only one answer can be accepted at a time
+      setAnswers(prev => prev.map(answer => ({
+        ...answer,
+        isAccepted: answer._id === response.acceptedAnswerId
+      })));
+      setQuestion(prev => ({ ...prev, isResolved: response.isResolved }));
+    } catch (err) {
+      console.error('Error accepting answer:', err);
+    } finally {
+      setAcceptingAnswer(null);
+    }
+  };
 
   if (loading) {
     return (
@@ -185,6 +329,11 @@ const QuestionDetail = () => {
     );
   }
 
+  const isQuestionAuthor = user && question.author?._id === user._id;
+
+  // Pin the accepted answer to the top, keep the rest in posting order
+  const sortedAnswers = [...answers].sort((a, b) => Number(!!b.isAccepted) - Number(!!a.isAccepted));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white rounded-xl">
       <div className="container mx-auto px-2 sm:px-4 py-4 sm:py-8">
@@ -199,67 +348,88 @@ const QuestionDetail = () => {
 
 
 
+        {editedWhileViewing && (
+          <div className="mb-4 p-4 rounded-xl border border-purple-300/40 bg-purple-500/20 text-sm text-purple-50 flex items-center justify-between gap-3">
+            <p>
+              This question was edited while you were reading it.{' '}
+              <Link to={`/question/${id}/revisions`} className="underline hover:text-white">See what changed</Link>
+            </p>
+            <button onClick={() => setEditedWhileViewing(false)} className="text-purple-200 hover:text-white cursor-pointer">✕</button>
+          </div>
+        )}
+
+        {/* Lifecycle banners */}
+        {question.duplicateOf && (
+          <div className="mb-4 p-4 rounded-xl border border-blue-300/40 bg-blue-500/20 text-sm text-blue-50">
+            <p className="font-semibold">This question already has an answer here:</p>
+            <Link to={`/question/${question.duplicateOf._id}`} className="underline hover:text-white">
+              {question.duplicateOf.title}
+            </Link>
+          </div>
+        )}
+        {question.isClosed && (
+          <div className="mb-4 p-4 rounded-xl border border-yellow-300/40 bg-yellow-500/20 text-sm text-yellow-50">
+            <p>
+              <span className="font-semibold">Closed as {closeReasonLabel(question.closure.reason).toLowerCase()}</span>
+              {question.closure.closedBy?.length > 0 && (
+                <> by {question.closure.closedBy.map(closer => closer.username).join(', ')}</>
+              )}
+              {' '}on {formatDateTime(question.closure.closedAt)}.
+              {' '}It is not accepting new answers.
+            </p>
+            {question.closure.note && <p className="mt-1 text-yellow-100">{question.closure.note}</p>}
+          </div>
+        )}
+        {question.isLocked && (
+          <div className="mb-4 p-4 rounded-xl border border-gray-300/40 bg-gray-500/30 text-sm text-gray-100">
+            <span className="font-semibold">Locked</span>
+            {question.lockedBy && <> by {question.lockedBy.username}</>}
+            . Answers, comments and votes are frozen.
+          </div>
+        )}
+
         {/* Question */}
         <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 mb-6 sm:mb-8">
           <div className="flex-1">
-              <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold mb-3 sm:mb-4 leading-tight">{question.title}</h1>
+              <div className="flex items-start justify-between gap-3 mb-3 sm:mb-4">
+                <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold leading-tight">{question.title}</h1>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={handleWatchToggle}
+                    title={question.isWatching ? 'Stop showing this question in My Topics' : 'Show activity on this question in My Topics'}
+                    className={`px-2 py-1 text-xs rounded border transition-colors cursor-pointer ${
+                      question.isWatching
+                        ? 'border-yellow-300/60 text-yellow-300'
+                        : 'border-white/30 text-purple-200 hover:text-white'
+                    }`}
+                  >
+                    {question.isWatching ? 'Watching' : 'Watch'}
+                  </button>
+                  <BookmarkButton questionId={question._id} variant="dark" showCollections />
+                </div>
+              </div>
               
+              {question.isHidden && (
+                <div className="mb-3">
+                  <span className="bg-yellow-500/30 text-yellow-100 px-2 py-1 rounded text-xs font-medium">
+                    Hidden by moderators
+                  </span>
+                </div>
+              )}
+
               <div className="prose prose-invert max-w-none mb-4 sm:mb-6">
-                <p className="text-sm sm:text-base lg:text-lg leading-relaxed whitespace-pre-wrap">{question.description}</p>
+                <MarkdownContent
+                  html={question.descriptionHtml}
+                  fallback={question.description}
+                  className="text-sm sm:text-base lg:text-lg leading-relaxed"
+                />
               </div>
 
               {/* Attachments */}
-              {question.attachments && question.attachments.length > 0 && (
+              {question.attachments?.length > 0 && (
                 <div className="mb-4 sm:mb-6">
                   <h3 className="text-lg font-semibold mb-3 text-purple-200">Attachments</h3>
-                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {question.attachments.map((attachment, index) => (
-                      <div key={index} className="bg-white/5 rounded-lg overflow-hidden">
-                        {attachment.mimetype.startsWith('image/') ? (
-                          <div className="group cursor-pointer" onClick={() => setSelectedImage(attachment)}>
-                            <img
-                              src={`https://h-forum-backend.onrender.com/uploads/${attachment.filename}`}
-                              alt={attachment.originalName}
-                              className="w-full h-48 object-cover group-hover:opacity-80 transition-opacity"
-                            />
-                            <div className="p-3">
-                              <p className="text-sm text-white truncate">{attachment.originalName}</p>
-                              <p className="text-xs text-purple-300">{(attachment.size / 1024 / 1024).toFixed(1)} MB</p>
-                            </div>
-                          </div>
-                        ) : attachment.mimetype.startsWith('video/') ? (
-                          <div>
-                            <video
-                              controls
-                              className="w-full h-48 object-cover"
-                              preload="metadata"
-                            >
-                              <source src={`https://h-forum-backend.onrender.com/uploads/${attachment.filename}`} type={attachment.mimetype} />
-                              Your browser does not support the video tag.
-                            </video>
-                            <div className="p-3">
-                              <p className="text-sm text-white truncate">{attachment.originalName}</p>
-                              <p className="text-xs text-purple-300">{(attachment.size / 1024 / 1024).toFixed(1)} MB</p>
-                            </div>
-                          </div>
-                        ) : (
-                          <div className="p-4 text-center">
-                            <div className="text-4xl mb-2">📄</div>
-                            <p className="text-sm text-white truncate">{attachment.originalName}</p>
-                            <p className="text-xs text-purple-300 mb-2">{(attachment.size / 1024 / 1024).toFixed(1)} MB</p>
-                            <a
-                              href={`https://h-forum-backend.onrender.com/uploads/${attachment.filename}`}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-purple-300 hover:text-white text-sm underline"
-                            >
-                              Download
-                            </a>
-                          </div>
-                        )}
-                      </div>
-                    ))}
-                  </div>
+                  <AttachmentList attachments={question.attachments} />
                 </div>
               )}
 
@@ -267,12 +437,13 @@ const QuestionDetail = () => {
               {question.tags && question.tags.length > 0 && (
                 <div className="flex flex-wrap gap-1 sm:gap-2 mb-3 sm:mb-4">
                   {question.tags.map((tag, index) => (
-                    <span
+                    <Link
                       key={index}
-                      className="bg-purple-600/50 px-2 sm:px-3 py-1 rounded-full text-xs sm:text-sm"
+                      to={`/tags/${encodeURIComponent(tag)}`}
+                      className="bg-purple-600/50 hover:bg-purple-600/70 px-2 sm:px-3 py-1 rounded-full text-xs sm:text-sm"
                     >
                       {tag}
-                    </span>
+                    </Link>
                   ))}
                 </div>
               )}
@@ -280,8 +451,42 @@ const QuestionDetail = () => {
               {/* Question Meta */}
               <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0 text-xs sm:text-sm text-purple-200">
                 <div className="flex flex-col sm:flex-row sm:items-center space-y-1 sm:space-y-0 sm:space-x-4">
-                  <span>Asked by {question.author?.username || 'Anonymous'}</span>
+                  <span className="flex items-center gap-2">
+                    <Avatar user={question.author} size={24} />
+                    Asked by {question.author?.username || 'Anonymous'}
+                    {user && question.author && question.author._id !== user._id && (
+                      <FlagButton targetType="user" targetId={question.author._id} label="report user" className="ml-2 text-xs" />
+                    )}
+                  </span>
                   <span>{formatDateTime(question.createdAt)}</span>
+                  {question.editedAt && (
+                    <Link
+                      to={`/question/${id}/revisions`}
+                      className="italic underline hover:text-white"
+                      title={`Edited ${formatDateTime(question.editedAt)}`}
+                    >
+                      edited
+                    </Link>
+                  )}
+                  {(isQuestionAuthor || user?.role === 'admin') && (
+                    <Link to={`/question/${id}/edit`} className="text-left text-purple-300 hover:text-white">
+                      edit
+                    </Link>
+                  )}
+                  {user && question.author?._id !== user._id && (
+                    <FlagButton targetType="question" targetId={question._id} />
+                  )}
+                  <CloseQuestionButton question={question} onChange={handleQuestionChange} />
+                  <PinQuestionButton question={question} onChange={handleQuestionChange} />
+                  {['moderator', 'admin'].includes(user?.role) && (
+                    <button
+                      type="button"
+                      onClick={handleLockToggle}
+                      className="text-left text-purple-300 hover:text-white cursor-pointer"
+                    >
+                      {question.isLocked ? 'unlock' : 'lock'}
+                    </button>
+                  )}
                   {question.topic && (
                     <Link
                       to={`/topic/${question.topic}`}
@@ -293,6 +498,13 @@ const QuestionDetail = () => {
                 </div>
                 <span className="font-medium">{answers.length} answer{answers.length !== 1 ? 's' : ''}</span>
               </div>
+
+              <CommentThread
+                questionId={id}
+                initialComments={question.comments || []}
+                isLocked={question.isLocked}
+                attachmentPolicy={question.attachmentPolicy}
+              />
             </div>
         </div>
 
@@ -308,21 +520,27 @@ const QuestionDetail = () => {
             </div>
           ) : (
             <div className="space-y-4 sm:space-y-6">
-              {answers.map((answer, index) => {
+              {sortedAnswers.map((answer, index) => {
                 const voteScore = (answer.votes?.upvotes?.length || 0) - (answer.votes?.downvotes?.length || 0);
                 const userUpvoted = user && answer.votes?.upvotes?.includes(user._id);
                 const userDownvoted = user && answer.votes?.downvotes?.includes(user._id);
                 const isVoting = votingAnswers.has(answer._id);
                 const isAnswerAuthor = user && answer.author._id === user._id;
+                const isAccepting = acceptingAnswer === answer._id;
                 
                 return (
-                  <div key={answer._id || index} className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6">
+                  <div
+                    key={answer._id || index}
+                    className={`bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 ${
+                      answer.isAccepted ? 'border-2 border-green-400' : ''
+                    }`}
+                  >
                     <div className="flex gap-3 sm:gap-4">
                       {/* Vote Section */}
                       <div className="flex flex-col items-center space-y-1 sm:space-y-2 min-w-[50px] sm:min-w-[60px] flex-shrink-0">
                         <button
                           onClick={() => handleAnswerVote(answer._id, 'upvote')}
-                          disabled={isVoting || !user || isAnswerAuthor}
+                          disabled={isVoting || !user || isAnswerAuthor || question.isLocked}
                           className={`p-1.5 sm:p-2 rounded-lg transition-colors cursor-pointer ${
                             userUpvoted
                               ? 'bg-green-600 text-white'
@@ -343,7 +561,7 @@ const QuestionDetail = () => {
                         
                         <button
                           onClick={() => handleAnswerVote(answer._id, 'downvote')}
-                          disabled={isVoting || !user || isAnswerAuthor}
+                          disabled={isVoting || !user || isAnswerAuthor || question.isLocked}
                           className={`p-1.5 sm:p-2 rounded-lg transition-colors cursor-pointer ${
                             userDownvoted
                               ? 'bg-red-600 text-white'
@@ -354,17 +572,132 @@ const QuestionDetail = () => {
                             <path fillRule="evenodd" d="M16.707 10.293a1 1 0 010 1.414l-6 6a1 1 0 01-1.414 0l-6-6a1 1 0 111.414-1.414L9 14.586V3a1 1 0 012 0v11.586l4.293-4.293a1 1 0 011.414 0z" clipRule="evenodd" />
                           </svg>
                         </button>
+
+                        {/* Accept control (question author only) */}
+                        {isQuestionAuthor ? (
+                          <button
+                            onClick={() => handleAcceptAnswer(answer._id, answer.isAccepted)}
+                            disabled={isAccepting}
+                            title={answer.isAccepted ? 'Un-accept this answer' : 'Accept this answer'}
+                            className={`p-1.5 sm:p-2 rounded-lg transition-colors cursor-pointer ${
+                              answer.isAccepted
+                                ? 'bg-green-600 text-white'
+                                : 'bg-white/10 hover:bg-white/20 text-purple-200 hover:text-green-400'
+                            } disabled:opacity-50 disabled:cursor-not-allowed`}
+                          >
+                            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                            </svg>
+                          </button>
+                        ) : answer.isAccepted && (
+                          <div className="p-1.5 sm:p-2 rounded-lg bg-green-600 text-white" title="Accepted answer">
+                            <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                            </svg>
+                          </div>
+                        )}
                       </div>
                       
                       {/* Answer Content */}
                       <div className="flex-1 min-w-0">
-                        <div className="prose prose-invert max-w-none mb-3 sm:mb-4">
-                          <p className="text-sm sm:text-base leading-relaxed whitespace-pre-wrap">{answer.content}</p>
-                        </div>
+                        {answer.isAccepted && (
+                          <span className="inline-block bg-green-600/60 text-green-100 px-2 py-1 rounded text-xs font-medium mb-2">
+                            ✓ Accepted Answer
+                          </span>
+                        )}
+                        {answer.isHidden && (
+                          <span className="inline-block bg-yellow-500/30 text-yellow-100 px-2 py-1 rounded text-xs font-medium mb-2 ml-2">
+                            Hidden by moderators
+                          </span>
+                        )}
+                        {editingAnswerId === answer._id ? (
+                          <div className="mb-3 sm:mb-4">
+                            <MarkdownEditor
+                              value={editAnswerContent}
+                              onChange={(e) => setEditAnswerContent(e.target.value)}
+                              rows={4}
+                              className="w-full px-3 sm:px-4 py-2 sm:py-3 rounded-lg text-white-200 border-2 border-gray-300 focus:outline-none focus:ring-2 focus:ring-purple-300 focus:border-purple-400 resize-none text-sm sm:text-base"
+                              minLength={10}
+                              maxLength={5000}
+                            />
+                            <div className="flex space-x-2 mt-2">
+                              <button
+                                onClick={() => handleAnswerEditSave(answer._id)}
+                                disabled={editAnswerContent.trim().length < 10}
+                                className="bg-purple-600 hover:bg-purple-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                              >
+                                Save Edit
+                              </button>
+                              <button
+                                onClick={() => setEditingAnswerId(null)}
+                                className="bg-white/10 hover:bg-white/20 px-4 py-2 rounded-lg text-sm transition-colors cursor-pointer"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="prose prose-invert max-w-none mb-3 sm:mb-4">
+                            <MarkdownContent
+                              html={answer.contentHtml}
+                              fallback={answer.content}
+                              className="text-sm sm:text-base leading-relaxed"
+                            />
+                          </div>
+                        )}
+                        {answer.attachments?.length > 0 && (
+                          <div className="mb-3 sm:mb-4">
+                            <AttachmentList attachments={answer.attachments} />
+                          </div>
+                        )}
                         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-1 sm:space-y-0 text-xs sm:text-sm text-purple-200">
-                          <span>Answered by {answer.author?.username || 'Anonymous'}</span>
-                          <span>{formatDateTime(answer.createdAt)}</span>
+                          <span className="flex items-center gap-2">
+                            <Avatar user={answer.author} size={20} />
+                            Answered by {answer.author?.username || 'Anonymous'}
+                          </span>
+                          <div className="flex items-center space-x-3">
+                            {answer.editedAt && (
+                              <Link
+                                to={`/question/${id}/answers/${answer._id}/revisions`}
+                                className="italic underline hover:text-white"
+                                title={`Edited ${formatDateTime(answer.editedAt)}`}
+                              >
+                                edited
+                              </Link>
+                            )}
+                            {user && !isAnswerAuthor && (
+                              <FlagButton targetType="answer" targetId={answer._id} />
+                            )}
+                            {(isAnswerAuthor || user?.role === 'admin') && editingAnswerId !== answer._id && (
+                              <>
+                                <button
+                                  onClick={() => {
+                                    setEditingAnswerId(answer._id);
+                                    setEditAnswerContent(answer.content);
+                                  }}
+                                  className="hover:text-white cursor-pointer"
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  onClick={() => handleAnswerDelete(answer._id)}
+                                  className="text-red-300 hover:text-red-200 cursor-pointer"
+                                >
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                            <span>{formatDateTime(answer.createdAt)}</span>
+                          </div>
                         </div>
+
+                        <CommentThread
+                          questionId={id}
+                          answerId={answer._id}
+                          initialComments={answer.comments || []}
+                          isLocked={question.isLocked}
+                          attachmentPolicy={question.attachmentPolicy}
+                        />
                       </div>
                     </div>
                   </div>
@@ -375,12 +708,20 @@ const QuestionDetail = () => {
         </div>
 
         {/* Answer Form */}
-        {user ? (
+        {question.isLocked ? (
+          <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 text-center text-purple-200">
+            This question is locked and no longer accepts answers.
+          </div>
+        ) : question.isClosed ? (
+          <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 text-center text-purple-200">
+            This question is closed and no longer accepts answers.
+          </div>
+        ) : user ? (
           <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6">
             <h3 className="text-lg sm:text-xl font-bold mb-3 sm:mb-4">Your Answer</h3>
             <form onSubmit={handleAnswerSubmit}>
               <div className="mb-4">
-                <textarea
+                <MarkdownEditor
                   value={newAnswer}
                   onChange={(e) => setNewAnswer(e.target.value)}
                   rows={4}
@@ -394,6 +735,16 @@ const QuestionDetail = () => {
                   {newAnswer.length}/5000 characters (minimum 10)
                 </p>
               </div>
+
+              <div className="mb-4">
+                <AttachmentPicker
+                  files={answerFiles}
+                  onChange={setAnswerFiles}
+                  onError={setAnswerError}
+                  policy={question.attachmentPolicy}
+                  disabled={submittingAnswer}
+                />
+              </div>
               
               {answerError && (
                 <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
@@ -423,30 +774,8 @@ const QuestionDetail = () => {
         )}
       </div>
 
-      {/* Image Modal */}
-      {selectedImage && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4" onClick={() => setSelectedImage(null)}>
-          <div className="relative max-w-4xl max-h-full" onClick={(e) => e.stopPropagation()}>
-            <button
-              onClick={() => setSelectedImage(null)}
-              className="absolute top-4 right-4 text-white bg-black bg-opacity-50 rounded-full w-10 h-10 flex items-center justify-center hover:bg-opacity-75 transition-colors z-10"
-            >
-              ✕
-            </button>
-            <img
-              src={`https://h-forum-backend.onrender.com/uploads/${selectedImage.filename}`}
-              alt={selectedImage.originalName}
-              className="max-w-full max-h-full object-contain rounded-lg"
-            />
-            <div className="absolute bottom-4 left-4 bg-black bg-opacity-50 text-white px-3 py-2 rounded">
-              <p className="text-sm font-medium">{selectedImage.originalName}</p>
-              <p className="text-xs opacity-75">{(selectedImage.size / 1024 / 1024).toFixed(1)} MB</p>
-            </div>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
 
-export default QuestionDetail;
\ No newline at end of file
+export default QuestionDetail;
@@ -1,9 +1,19 @@
 import { useState, useEffect } from 'react';
 import { useLocation, useParams, Link } from 'react-router-dom';
-import { MessageSquare, ArrowUp, ArrowDown, Eye, Clock, User, Tag } from 'lucide-react';
-import { questionsAPI } from '../services/api';
+import { MessageSquare, ArrowUp, ArrowDown, Eye, Clock, User, Tag, Pin } from 'lucide-react';
+import { questionsAPI, feedAPI } from '../services/api';
+import { subscribeToQuestions } from '../services/realtime';
+import BookmarkButton from './BookmarkButton';
+import Avatar from './Avatar';
 import { useAuth } from '../contexts/AuthContext';
 
+// Why a question appears in the My Topics feed
+const feedReasonLabels = {
+  topic: 'Followed topic',
+  user: 'Followed user',
+  watched: 'Watching'
+};
+
 const QuestionListings = () => {
   const [sortBy, setSortBy] = useState('recent');
   const [filterBy, setFilterBy] = useState('all');
@@ -12,17 +22,31 @@ const QuestionListings = () => {
   const [error, setError] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [newQuestionIds, setNewQuestionIds] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   
   const location = useLocation();
   const params = useParams();
   const { user } = useAuth();
 
+  // My Topics is the personal feed, paged with a cursor instead of page numbers
+  const isFeed = location.pathname === '/my-topics';
+
   // Fetch questions from API
   useEffect(() => {
     const fetchQuestions = async () => {
       try {
         setLoading(true);
         setError(null);
+
+        if (isFeed) {
+          const response = await feedAPI.getFeed({ limit: 10 });
+          setQuestions(response.questions || []);
+          setNextCursor(response.nextCursor);
+          return;
+        }
         
         const queryParams = {
           page: currentPage,
@@ -38,14 +62,16 @@ const QuestionListings = () => {
         }
         
         // Add filters based on current route
-        if (location.pathname === '/my-topics' && user) {
-          queryParams.author = user.username;
-        } else if (params.topicName) {
+        if (params.topicName) {
           // Ensure we're passing the topic slug correctly
           const topicSlug = params.topicName.toLowerCase().replace(/\s+/g, '-');
           queryParams.topic = topicSlug;
           console.log('Filtering by topic:', params.topicName, 'with slug:', topicSlug);
         }
+
+        if (params.tagName) {
+          queryParams.tags = params.tagName;
+        }
         
         if (filterBy !== 'all') {
           queryParams.filter = filterBy;
@@ -54,6 +80,7 @@ const QuestionListings = () => {
         const response = await questionsAPI.getQuestions(queryParams);
         setQuestions(response.questions || []);
         setTotalPages(response.totalPages || 1);
+        setNewQuestionIds([]);
       } catch (err) {
         setError(err.message || 'Failed to fetch questions');
         console.error('Error fetching questions:', err);
@@ -63,7 +90,47 @@ const QuestionListings = () => {
     };
     
     fetchQuestions();
-  }, [sortBy, filterBy, currentPage, location.pathname, location.search, params.topicName, user]);
+  }, [sortBy, filterBy, currentPage, isFeed, location.search, params.topicName, params.tagName, user, refreshKey]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await feedAPI.getFeed({ limit: 10, cursor: nextCursor });
+      setQuestions(prev => [
+        ...prev,
+        ...(response.questions || []).filter(question => !prev.some(existing => existing._id === question._id))
+      ]);
+      setNextCursor(response.nextCursor);
+    } catch (err) {
+      console.error('Error loading more questions:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Count questions posted by others since the list was loaded
+  const isSearching = new URLSearchParams(location.search).has('search');
+  useEffect(() => {
+    // The feed and search results aren't ordered by date
+    if (isFeed || isSearching) return;
+
+    const topicSlug = params.topicName?.toLowerCase().replace(/\s+/g, '-');
+
+    return subscribeToQuestions({
+      'question-created': ({ questionId, author, topics, tags }) => {
+        if (user && author === user.username) return;
+        if (topicSlug && !topics.includes(topicSlug)) return;
+        if (params.tagName && !tags?.includes(params.tagName)) return;
+
+        setNewQuestionIds(prev => (prev.includes(questionId) ? prev : [...prev, questionId]));
+      }
+    });
+  }, [isFeed, isSearching, params.topicName, params.tagName, user]);
+
+  const handleShowNewQuestions = () => {
+    setCurrentPage(1);
+    setRefreshKey(key => key + 1);
+  };
 
   const handleVote = async (questionId, voteType) => {
     if (!user) {
@@ -83,7 +150,20 @@ const QuestionListings = () => {
         actualVoteType = 'remove';
       }
       
-      await questionsAPI.voteQuestion(questionId, actualVoteType);
+      const voteResponse = await questionsAPI.voteQuestion(questionId, actualVoteType);
+
+      // Refetching would drop the feed pages loaded so far, so update the card in place
+      if (isFeed) {
+        setQuestions(prev => prev.map(question => {
+          if (question._id !== questionId) return question;
+          const upvotes = question.votes.upvotes.filter(id => id !== user._id);
+          const downvotes = question.votes.downvotes.filter(id => id !== user._id);
+          if (voteResponse.userVote === 'upvote') upvotes.push(user._id);
+          if (voteResponse.userVote === 'downvote') downvotes.push(user._id);
+          return { ...question, votes: { ...question.votes, upvotes, downvotes } };
+        }));
+        return;
+      }
       
       // Refresh questions after voting with all current parameters
       const queryParams = {
@@ -100,13 +180,15 @@ const QuestionListings = () => {
       }
       
       // Add filters based on current route
-      if (location.pathname === '/my-topics' && user) {
-        queryParams.author = user.username;
-      } else if (params.topicName) {
+      if (params.topicName) {
         const topicSlug = params.topicName.toLowerCase().replace(/\s+/g, '-');
         queryParams.topic = topicSlug;
         console.log('Refreshing with topic slug:', topicSlug);
       }
+
+      if (params.tagName) {
+        queryParams.tags = params.tagName;
+      }
       
       if (filterBy !== 'all') {
         queryParams.filter = filterBy;
@@ -147,22 +229,47 @@ const QuestionListings = () => {
       <div className="mb-4 sm:mb-6">
         <h1 className="text-xl sm:text-2xl font-bold text-gray-800">
           {location.pathname === '/' ? 'Main Discussions' :
-           location.pathname === '/my-topics' ? 'My Questions' : 
-           params.topicName ? `${params.topicName} Questions` : 'Recent Questions'}
+           isFeed ? 'My Topics' : 
+           params.topicName ? `${params.topicName} Questions` :
+           params.tagName ? `Questions tagged ${params.tagName}` : 'Recent Questions'}
         </h1>
         <p className="text-sm sm:text-base text-gray-600 mt-2">
-          {location.pathname === '/' ? 'Discover and participate in community discussions' : 'Browse questions from our community'}
+          {location.pathname === '/' ? 'Discover and participate in community discussions' :
+           isFeed ? 'Activity from topics and people you follow, and questions you watch' :
+           'Browse questions from our community'}
         </p>
       </div>
 
-
+      {newQuestionIds.length > 0 && (
+        <button
+          onClick={handleShowNewQuestions}
+          className="w-full mb-4 sm:mb-6 py-2 bg-purple-100 text-purple-700 text-sm font-medium rounded-lg hover:bg-purple-200 transition-colors cursor-pointer"
+        >
+          {newQuestionIds.length} new question{newQuestionIds.length !== 1 ? 's' : ''} · Click to show
+        </button>
+      )}
 
       <div className="space-y-4 sm:space-y-6">
-        {questions.length === 0 ? (
+        {questions.length === 0 && isFeed ? (
+          <div className="text-center py-8 sm:py-12 bg-white/10 backdrop-blur-sm rounded-xl p-6">
+            <MessageSquare size={64} className="mx-auto text-gray-400 mb-4" />
+            <h3 className="text-xl sm:text-2xl font-medium text-gray-700 mb-3">Your feed is empty</h3>
+            <p className="text-md sm:text-lg text-gray-500 mb-6">
+              Follow topics or people, or watch questions, and their activity will show up here.
+            </p>
+            <Link
+              to="/explore-topics"
+              className="inline-block bg-purple-600 hover:bg-purple-700 text-white px-6 py-3 rounded-lg font-medium transition-colors text-lg"
+            >
+              Explore Topics
+            </Link>
+          </div>
+        ) : questions.length === 0 ? (
           <div className="text-center py-8 sm:py-12 bg-white/10 backdrop-blur-sm rounded-xl p-6">
             <MessageSquare size={64} className="mx-auto text-gray-400 mb-4" />
             <h3 className="text-xl sm:text-2xl font-medium text-gray-700 mb-3">
-              {params.topicName ? `No current posts for ${params.topicName.replace(/-/g, ' ')}` : 'No questions found'}
+              {params.topicName ? `No current posts for ${params.topicName.replace(/-/g, ' ')}` :
+               params.tagName ? `No questions tagged ${params.tagName}` : 'No questions found'}
             </h3>
             <p className="text-md sm:text-lg text-gray-500 mb-6">
               {params.topicName 
@@ -178,7 +285,12 @@ const QuestionListings = () => {
           </div>
         ) : (
           questions.map((question) => (
-            <div key={question._id} className="bg-white rounded-lg border border-gray-200 p-4 sm:p-6 hover:shadow-md transition-shadow">
+            <div
+              key={question._id}
+              className={`bg-white rounded-lg border p-4 sm:p-6 hover:shadow-md transition-shadow ${
+                question.pinned ? 'border-purple-300' : 'border-gray-200'
+              }`}
+            >
               <div className="flex items-start space-x-3 sm:space-x-4">
                 {/* Vote buttons */}
                 <div className="flex flex-col items-center space-y-1 sm:space-y-2 flex-shrink-0">
@@ -211,11 +323,31 @@ const QuestionListings = () => {
                 
                 {/* Question content */}
                 <div className="flex-1 min-w-0">
-                  <Link to={`/question/${question._id}`}>
-                    <h2 className="text-base sm:text-lg font-semibold text-gray-800 hover:text-purple-600 cursor-pointer mb-2 line-clamp-2">
-                      {question.title}
-                    </h2>
-                  </Link>
+                  <div className="flex items-start justify-between gap-2">
+                    <Link to={`/question/${question._id}`}>
+                      <h2 className="text-base sm:text-lg font-semibold text-gray-800 hover:text-purple-600 cursor-pointer mb-2 line-clamp-2">
+                        {question.title}
+                      </h2>
+                    </Link>
+                    <BookmarkButton questionId={question._id} />
+                  </div>
+
+                  {question.pinned && (
+                    <span className="inline-flex items-center space-x-1 px-2 py-0.5 mb-2 bg-purple-100 text-purple-700 text-xs font-medium rounded">
+                      <Pin size={12} />
+                      <span>Pinned</span>
+                    </span>
+                  )}
+
+                  {question.feedReasons && question.feedReasons.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mb-2">
+                      {question.feedReasons.map(reason => (
+                        <span key={reason} className="px-2 py-0.5 bg-gray-100 text-gray-500 text-xs rounded">
+                          {feedReasonLabels[reason]}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                   
                   <p className="text-sm sm:text-base text-gray-600 mb-3 sm:mb-4 leading-relaxed line-clamp-3">
                     {question.description && question.description.length > 150 
@@ -239,10 +371,14 @@ const QuestionListings = () => {
                   {question.tags && question.tags.length > 0 && (
                     <div className="flex flex-wrap gap-1 sm:gap-2 mb-3 sm:mb-4">
                       {question.tags.slice(0, 3).map((tag, index) => (
-                        <span key={index} className="px-2 py-1 bg-purple-100 text-purple-700 text-xs rounded-full">
+                        <Link
+                          key={index}
+                          to={`/tags/${encodeURIComponent(tag)}`}
+                          className="px-2 py-1 bg-purple-100 text-purple-700 text-xs rounded-full hover:bg-purple-200"
+                        >
                           <Tag size={10} className="inline mr-1 sm:w-3 sm:h-3" />
                           {tag}
-                        </span>
+                        </Link>
                       ))}
                       {question.tags.length > 3 && (
                         <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded-full">
@@ -262,7 +398,11 @@ const QuestionListings = () => {
                     </div>
                     
                     <div className="flex items-center space-x-2 text-xs sm:text-sm text-gray-500">
-                      <User size={12} className="sm:w-3.5 sm:h-3.5" />
+                      {question.author ? (
+                        <Avatar user={question.author} size={18} />
+                      ) : (
+                        <User size={12} className="sm:w-3.5 sm:h-3.5" />
+                      )}
                       <span className="truncate max-w-20 sm:max-w-none">{question.author?.username || 'Anonymous'}</span>
                       <Clock size={12} className="sm:w-3.5 sm:h-3.5" />
                       <span className="hidden sm:inline">{new Date(question.createdAt).toLocaleDateString()}</span>
@@ -276,8 +416,21 @@ const QuestionListings = () => {
         )}
       </div>
 
+      {/* Feed paging */}
+      {isFeed && nextCursor && (
+        <div className="flex justify-center mt-6 sm:mt-8">
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed text-sm cursor-pointer"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+
       {/* Pagination */}
-      {totalPages > 1 && (
+      {!isFeed && totalPages > 1 && (
         <div className="flex justify-center mt-6 sm:mt-8 space-x-2">
           <button
             onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
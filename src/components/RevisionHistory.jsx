@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { questionsAPI } from '../services/api';
+import { formatDateTime } from '../utils/dateUtils';
+
+const chunkStyles = {
+  added: 'bg-green-500/20 text-green-200',
+  removed: 'bg-red-500/20 text-red-200 line-through',
+  equal: 'text-purple-100'
+};
+
+const DiffBlock = ({ chunks }) => (
+  <pre className="text-xs sm:text-sm whitespace-pre-wrap break-words font-sans rounded-lg bg-black/20 p-3">
+    {chunks.map((chunk, index) => (
+      <span key={index} className={`block ${chunkStyles[chunk.type]}`}>
+        {chunk.type === 'added' ? '+ ' : chunk.type === 'removed' ? '- ' : '  '}
+        {chunk.value}
+      </span>
+    ))}
+  </pre>
+);
+
+// Added and removed tags, topics or attachments. `diff` is null for revisions from before the
+// list was recorded.
+const ListDiff = ({ label, diff, itemLabel = item => item, itemKey = item => item }) => {
+  if (!diff || (diff.added.length === 0 && diff.removed.length === 0)) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-purple-200">{label}:</span>
+      {diff.added.map((item, index) => (
+        <span key={`+${itemKey(item)}-${index}`} className="bg-green-600/50 px-2 py-1 rounded-full">+ {itemLabel(item)}</span>
+      ))}
+      {diff.removed.map((item, index) => (
+        <span key={`-${itemKey(item)}-${index}`} className="bg-red-600/50 px-2 py-1 rounded-full line-through">{itemLabel(item)}</span>
+      ))}
+    </div>
+  );
+};
+
+const RevisionHistory = () => {
+  const { id, answerId } = useParams();
+  const [question, setQuestion] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const response = await questionsAPI.getRevisions(id, answerId);
+        setQuestion(response.question);
+        setRevisions(response.revisions || []);
+      } catch (err) {
+        setError(err.message || 'Failed to load revisions');
+        console.error('Error fetching revisions:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [id, answerId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 text-white rounded-xl">
+      <div className="container mx-auto px-2 sm:px-4 py-4 sm:py-8">
+        <Link
+          to={`/question/${id}`}
+          className="mb-4 sm:mb-6 inline-flex items-center space-x-2 text-purple-200 hover:text-white transition-colors"
+        >
+          <span>←</span>
+          <span className="text-sm sm:text-base">Back to Question</span>
+        </Link>
+
+        <h1 className="text-xl sm:text-2xl font-bold mb-1">
+          {answerId ? 'Answer' : 'Question'} Revision History
+        </h1>
+        {question && <p className="text-purple-200 mb-6 text-sm sm:text-base">{question.title}</p>}
+
+        {error ? (
+          <p className="text-red-300">{error}</p>
+        ) : revisions.length === 0 ? (
+          <div className="bg-white/5 rounded-xl p-6 text-center text-purple-200">
+            This post has not been edited.
+          </div>
+        ) : (
+          <div className="space-y-4 sm:space-y-6">
+            {revisions.map((revision) => (
+              <div key={revision._id} className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-3 text-xs sm:text-sm text-purple-200">
+                  <span className="font-semibold text-white">Revision {revision.revision}</span>
+                  <span>
+                    {revision.revision === 1 ? 'Posted' : 'Edited'} by {revision.editor?.username || 'Anonymous'} · {formatDateTime(revision.createdAt)}
+                  </span>
+                </div>
+
+                {revision.diff ? (
+                  <div className="space-y-3">
+                    {revision.diff.title.some(chunk => chunk.type !== 'equal') && (
+                      <DiffBlock chunks={revision.diff.title} />
+                    )}
+                    <DiffBlock chunks={revision.diff.body} />
+                    <ListDiff label="Tags" diff={revision.diff.tags} />
+                    <ListDiff
+                      label="Topics"
+                      diff={revision.diff.topics}
+                      itemLabel={topic => topic.name}
+                      itemKey={topic => topic._id}
+                    />
+                    <ListDiff label="Attachments" diff={revision.diff.attachments} />
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    {revision.title && <h2 className="font-semibold">{revision.title}</h2>}
+                    <p className="text-sm sm:text-base whitespace-pre-wrap">{revision.body}</p>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Bookmark, MessageSquare, ArrowUp, User, Clock, Pencil, Trash2 } from 'lucide-react';
+import { usersAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const SavedQuestions = () => {
+  const { setSavedQuestions } = useAuth();
+  const [questions, setQuestions] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [activeCollection, setActiveCollection] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newCollection, setNewCollection] = useState('');
+
+  const fetchSaved = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = { page: currentPage, limit: 10 };
+      if (activeCollection) {
+        params.collection = activeCollection;
+      }
+      const response = await usersAPI.getSaved(params);
+      setQuestions(response.questions || []);
+      setCollections(response.collections || []);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.message || 'Failed to load saved questions');
+      console.error('Error fetching saved questions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, activeCollection]);
+
+  useEffect(() => {
+    fetchSaved();
+  }, [fetchSaved]);
+
+  const selectCollection = (collectionId) => {
+    setActiveCollection(collectionId);
+    setCurrentPage(1);
+  };
+
+  const handleRemove = async (questionId) => {
+    try {
+      const response = activeCollection
+        ? await usersAPI.removeFromCollection(activeCollection, questionId)
+        : await usersAPI.unsaveQuestion(questionId);
+      setSavedQuestions(response.savedQuestions);
+      fetchSaved();
+    } catch (err) {
+      console.error('Error removing saved question:', err);
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollection.trim()) return;
+
+    try {
+      const response = await usersAPI.createCollection(newCollection.trim());
+      setCollections(response.collections);
+      setNewCollection('');
+    } catch (err) {
+      alert(err.message || 'Failed to create collection');
+    }
+  };
+
+  const handleRenameCollection = async (collection) => {
+    const name = window.prompt('Rename collection', collection.name);
+    if (!name || !name.trim() || name.trim() === collection.name) return;
+
+    try {
+      const response = await usersAPI.renameCollection(collection._id, name.trim());
+      setCollections(response.collections);
+    } catch (err) {
+      alert(err.message || 'Failed to rename collection');
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(`Delete "${collection.name}"? Its questions stay in your saved list.`)) return;
+
+    try {
+      const response = await usersAPI.deleteCollection(collection._id);
+      setCollections(response.collections);
+      if (activeCollection === collection._id) {
+        selectCollection(null);
+      }
+    } catch (err) {
+      alert(err.message || 'Failed to delete collection');
+    }
+  };
+
+  const activeName = collections.find(collection => collection._id === activeCollection)?.name;
+
+  return (
+    <div className="max-w-5xl mx-auto px-2 sm:px-0">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Saved Questions</h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-2">
+          {activeName ? `Collection: ${activeName}` : 'Everything you have bookmarked'}
+        </p>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4 sm:gap-6">
+        {/* Collections */}
+        <aside className="md:w-56 flex-shrink-0">
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <ul className="space-y-1 mb-4">
+              <li>
+                <button
+                  onClick={() => selectCollection(null)}
+                  className={`w-full text-left px-2 py-1.5 rounded text-sm transition-colors cursor-pointer ${
+                    !activeCollection ? 'bg-purple-100 text-purple-700 font-medium' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  All saved
+                </button>
+              </li>
+              {collections.map(collection => (
+                <li key={collection._id} className="group flex items-center">
+                  <button
+                    onClick={() => selectCollection(collection._id)}
+                    className={`flex-1 min-w-0 flex items-center justify-between px-2 py-1.5 rounded text-sm transition-colors cursor-pointer ${
+                      activeCollection === collection._id ? 'bg-purple-100 text-purple-700 font-medium' : 'text-gray-600 hover:bg-gray-100'
+                    }`}
+                  >
+                    <span className="truncate">{collection.name}</span>
+                    <span className="text-xs text-gray-400 ml-2">{collection.count}</span>
+                  </button>
+                  <button
+                    onClick={() => handleRenameCollection(collection)}
+                    title="Rename"
+                    className="p-1 text-gray-400 hover:text-purple-600 cursor-pointer"
+                  >
+                    <Pencil size={12} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteCollection(collection)}
+                    title="Delete"
+                    className="p-1 text-gray-400 hover:text-red-600 cursor-pointer"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleCreateCollection}>
+              <input
+                type="text"
+                value={newCollection}
+                onChange={(e) => setNewCollection(e.target.value)}
+                placeholder="New collection (e.g. To read)"
+                maxLength={50}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </form>
+          </div>
+        </aside>
+
+        {/* Questions */}
+        <div className="flex-1 min-w-0">
+          {loading ? (
+            <div className="flex justify-center items-center min-h-64">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+            </div>
+          ) : error ? (
+            <p className="text-red-600 text-center py-8">{error}</p>
+          ) : questions.length === 0 ? (
+            <div className="text-center py-8 sm:py-12 bg-white rounded-lg border border-gray-200 p-6">
+              <Bookmark size={48} className="mx-auto text-gray-400 mb-4" />
+              <h3 className="text-lg sm:text-xl font-medium text-gray-700 mb-2">Nothing saved here yet</h3>
+              <p className="text-sm text-gray-500">Use the bookmark icon on any question to save it for later.</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {questions.map(question => (
+                <div key={question._id} className="bg-white rounded-lg border border-gray-200 p-4 sm:p-5 hover:shadow-md transition-shadow">
+                  <div className="flex items-start justify-between gap-3">
+                    <Link to={`/question/${question._id}`} className="min-w-0">
+                      <h2 className="text-base sm:text-lg font-semibold text-gray-800 hover:text-purple-600 line-clamp-2">
+                        {question.title}
+                      </h2>
+                    </Link>
+                    <button
+                      onClick={() => handleRemove(question._id)}
+                      className="flex-shrink-0 text-xs text-gray-500 hover:text-red-600 cursor-pointer"
+                    >
+                      {activeCollection ? 'Remove from collection' : 'Unsave'}
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-xs sm:text-sm text-gray-500">
+                    <span className="flex items-center space-x-1">
+                      <ArrowUp size={12} />
+                      <span>{question.voteScore}</span>
+                    </span>
+                    <span className={`flex items-center space-x-1 ${question.hasAcceptedAnswer ? 'text-green-600' : ''}`}>
+                      <MessageSquare size={12} />
+                      <span>{question.answerCount} answers</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <User size={12} />
+                      <span>{question.author?.username || 'Anonymous'}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Clock size={12} />
+                      <span>{new Date(question.createdAt).toLocaleDateString()}</span>
+                    </span>
+                  </div>
+                </div>
+              ))}
+
+              {pagination && pagination.pages > 1 && (
+                <div className="flex items-center justify-center space-x-4 pt-2">
+                  <button
+                    onClick={() => setCurrentPage(page => page - 1)}
+                    disabled={!pagination.hasPrev}
+                    className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+                  <button
+                    onClick={() => setCurrentPage(page => page + 1)}
+                    disabled={!pagination.hasNext}
+                    className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SavedQuestions;
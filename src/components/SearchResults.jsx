@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MessageSquare, ArrowUp, Clock, User, Tag, CheckCircle } from 'lucide-react';
+import { questionsAPI } from '../services/api';
+
+const sortOptions = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'recent', label: 'Newest' },
+  { value: 'votes', label: 'Most votes' }
+];
+
+const answeredLabels = {
+  answered: 'Answered',
+  unanswered: 'Unanswered',
+  accepted: 'Has accepted answer'
+};
+
+const dateLabels = {
+  day: 'Past 24 hours',
+  week: 'Past week',
+  month: 'Past month',
+  year: 'Past year'
+};
+
+// Facet filters kept in the URL alongside the query
+const FACET_PARAMS = ['topic', 'tag', 'answered', 'date'];
+
+const FacetGroup = ({ title, children }) => (
+  <div className="mb-5">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{title}</h3>
+    <ul className="space-y-1">{children}</ul>
+  </div>
+);
+
+const FacetItem = ({ label, count, active, onClick }) => (
+  <li>
+    <button
+      onClick={onClick}
+      disabled={!active && count === 0}
+      className={`w-full flex items-center justify-between px-2 py-1 rounded text-sm transition-colors cursor-pointer disabled:opacity-40 disabled:cursor-default ${
+        active ? 'bg-purple-100 text-purple-700 font-medium' : 'text-gray-600 hover:bg-gray-100'
+      }`}
+    >
+      <span className="truncate">{label}</span>
+      <span className="text-xs text-gray-400 ml-2">{count}</span>
+    </button>
+  </li>
+);
+
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const query = searchParams.get('q') || '';
+  const sort = searchParams.get('sort') || 'relevance';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await questionsAPI.searchQuestions(Object.fromEntries(searchParams));
+        setResults(response.results || []);
+        setFacets(response.facets);
+        setPagination(response.pagination);
+      } catch (err) {
+        setError(err.message || 'Search failed');
+        setResults([]);
+        setFacets(null);
+        setPagination(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [searchParams]);
+
+  // Update URL params; changing anything but the page goes back to page 1
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
+
+  const toggleFacet = (key, value) => {
+    updateParams({ [key]: searchParams.get(key) === value ? null : value });
+  };
+
+  const activeFilters = FACET_PARAMS.filter(key => searchParams.get(key));
+
+  return (
+    <div className="max-w-6xl mx-auto px-2 sm:px-0">
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Search Results</h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-2">
+          {query ? <>Results for <span className="font-medium">"{query}"</span></> : 'Filtered questions'}
+          {pagination && ` · ${pagination.total} question${pagination.total !== 1 ? 's' : ''}`}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">
+          Tip: narrow results with <code>tag:react</code>, <code>user:name</code>, <code>topic:slug</code>,{' '}
+          <code>is:answered</code>, <code>is:unanswered</code>, <code>is:accepted</code> or <code>"exact phrase"</code>
+        </p>
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-4 sm:gap-6">
+        {/* Facets */}
+        <aside className="lg:w-56 flex-shrink-0">
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <div className="mb-5">
+              <label htmlFor="searchSort" className="block text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+                Sort by
+              </label>
+              <select
+                id="searchSort"
+                value={sort}
+                onChange={(e) => updateParams({ sort: e.target.value === 'relevance' ? null : e.target.value })}
+                className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {activeFilters.length > 0 && (
+              <button
+                onClick={() => updateParams(Object.fromEntries(FACET_PARAMS.map(key => [key, null])))}
+                className="mb-4 text-xs text-purple-600 hover:text-purple-800 cursor-pointer"
+              >
+                Clear filters
+              </button>
+            )}
+
+            {facets && (
+              <>
+                <FacetGroup title="Status">
+                  {Object.entries(answeredLabels).map(([value, label]) => (
+                    <FacetItem
+                      key={value}
+                      label={label}
+                      count={facets.answered[value]}
+                      active={searchParams.get('answered') === value}
+                      onClick={() => toggleFacet('answered', value)}
+                    />
+                  ))}
+                </FacetGroup>
+
+                <FacetGroup title="Date">
+                  {Object.entries(dateLabels).map(([value, label]) => (
+                    <FacetItem
+                      key={value}
+                      label={label}
+                      count={facets.dates[value]}
+                      active={searchParams.get('date') === value}
+                      onClick={() => toggleFacet('date', value)}
+                    />
+                  ))}
+                </FacetGroup>
+
+                {facets.topics.length > 0 && (
+                  <FacetGroup title="Topics">
+                    {facets.topics.map(topic => (
+                      <FacetItem
+                        key={topic.slug}
+                        label={topic.name}
+                        count={topic.count}
+                        active={searchParams.get('topic') === topic.slug}
+                        onClick={() => toggleFacet('topic', topic.slug)}
+                      />
+                    ))}
+                  </FacetGroup>
+                )}
+
+                {facets.tags.length > 0 && (
+                  <FacetGroup title="Tags">
+                    {facets.tags.map(({ tag, count }) => (
+                      <FacetItem
+                        key={tag}
+                        label={tag}
+                        count={count}
+                        active={searchParams.get('tag') === tag}
+                        onClick={() => toggleFacet('tag', tag)}
+                      />
+                    ))}
+                  </FacetGroup>
+                )}
+              </>
+            )}
+          </div>
+        </aside>
+
+        {/* Results */}
+        <div className="flex-1 min-w-0">
+          {loading ? (
+            <div className="flex justify-center items-center min-h-64">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+            </div>
+          ) : error ? (
+            <div className="text-center py-8">
+              <p className="text-red-600">{error}</p>
+            </div>
+          ) : results.length === 0 ? (
+            <div className="text-center py-8 sm:py-12 bg-white rounded-lg border border-gray-200 p-6">
+              <MessageSquare size={48} className="mx-auto text-gray-400 mb-4" />
+              <h3 className="text-lg sm:text-xl font-medium text-gray-700 mb-2">No matching questions</h3>
+              <p className="text-sm text-gray-500">Try different keywords or remove some filters.</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {results.map(question => (
+                <div key={question._id} className="bg-white rounded-lg border border-gray-200 p-4 sm:p-6 hover:shadow-md transition-shadow">
+                  <Link to={`/question/${question._id}`}>
+                    <h2
+                      className="text-base sm:text-lg font-semibold text-gray-800 hover:text-purple-600 mb-2 [&_mark]:bg-yellow-200 [&_mark]:text-gray-900"
+                      dangerouslySetInnerHTML={{ __html: question.titleHtml }}
+                    />
+                  </Link>
+                  <p
+                    className="text-sm text-gray-600 mb-3 leading-relaxed [&_mark]:bg-yellow-200 [&_mark]:text-gray-900"
+                    dangerouslySetInnerHTML={{ __html: question.snippet }}
+                  />
+
+                  {question.tags && question.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 sm:gap-2 mb-3">
+                      {question.tags.map(tag => (
+                        <button
+                          key={tag}
+                          onClick={() => toggleFacet('tag', tag)}
+                          className="px-2 py-1 bg-purple-100 text-purple-700 text-xs rounded-full hover:bg-purple-200 cursor-pointer"
+                        >
+                          <Tag size={10} className="inline mr-1" />
+                          {tag}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs sm:text-sm text-gray-500">
+                    <span className="flex items-center space-x-1">
+                      <ArrowUp size={12} />
+                      <span>{question.voteScore}</span>
+                    </span>
+                    <span className={`flex items-center space-x-1 ${question.hasAcceptedAnswer ? 'text-green-600' : ''}`}>
+                      {question.hasAcceptedAnswer ? <CheckCircle size={12} /> : <MessageSquare size={12} />}
+                      <span>{question.answerCount} answers</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <User size={12} />
+                      <span>{question.author?.username || 'Anonymous'}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Clock size={12} />
+                      <span>{new Date(question.createdAt).toLocaleDateString()}</span>
+                    </span>
+                  </div>
+                </div>
+              ))}
+
+              {pagination && pagination.pages > 1 && (
+                <div className="flex items-center justify-center space-x-4 pt-2">
+                  <button
+                    onClick={() => updateParams({ page: String(page - 1) })}
+                    disabled={!pagination.hasPrev}
+                    className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-sm text-gray-600">Page {pagination.current} of {pagination.pages}</span>
+                  <button
+                    onClick={() => updateParams({ page: String(page + 1) })}
+                    disabled={!pagination.hasNext}
+                    className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed cursor-pointer"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchResults;
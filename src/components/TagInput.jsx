@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { tagsAPI } from '../services/api';
+
+// Same form the server stores tags in: lowercase, with runs of whitespace as hyphens
+const normalizeTag = (name) => name.trim().toLowerCase().replace(/\s+/g, '-').slice(0, 35);
+
+// Tag field of the question form: tags show as chips, and typing suggests existing tags. Enter, Tab
+// or a comma adds the typed tag or the highlighted suggestion; Backspace in the empty field removes
+// the last tag. Synonyms typed in are kept as typed; the server swaps them for their tag.
+const TagInput = ({ id, tags, onChange, maxTags = 10, disabled = false }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const query = normalizeTag(input);
+  const isFull = tags.length >= maxTags;
+
+  // Look up suggestions once typing pauses
+  useEffect(() => {
+    if (!query) return;
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await tagsAPI.getTags({ q: query, limit: 8 });
+        if (!cancelled) {
+          setSuggestions(response.tags);
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.error('Error fetching tag suggestions:', error);
+      }
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [query]);
+
+  const visibleSuggestions = query
+    ? suggestions.filter(tag => !tags.includes(tag.name)).slice(0, 8)
+    : [];
+  const showSuggestions = isOpen && !isFull && visibleSuggestions.length > 0;
+
+  const addTags = (names) => {
+    const added = names.map(normalizeTag).filter(name => name && !tags.includes(name));
+    const next = [...new Set([...tags, ...added])].slice(0, maxTags);
+    if (next.length !== tags.length) {
+      onChange(next);
+    }
+    setInput('');
+  };
+
+  const removeTag = (name) => onChange(tags.filter(tag => tag !== name));
+
+  const handleChange = (e) => {
+    const { value } = e.target;
+    // Typed or pasted commas finish the tags before them
+    if (value.includes(',')) {
+      const parts = value.split(',');
+      addTags(parts.slice(0, -1));
+      setInput(parts[parts.length - 1]);
+    } else {
+      setInput(value);
+    }
+    setIsOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (showSuggestions && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(index => (index + step + visibleSuggestions.length) % visibleSuggestions.length);
+    } else if (['Enter', 'Tab', ','].includes(e.key) && query) {
+      e.preventDefault();
+      addTags([showSuggestions ? visibleSuggestions[highlighted]?.name || query : query]);
+    } else if (e.key === 'Enter') {
+      // Don't submit the form from an empty tag field
+      e.preventDefault();
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full px-3 py-2 rounded-lg border-2 border-purple-300 focus-within:ring-2 focus-within:ring-purple-400 focus-within:border-purple-400 flex flex-wrap items-center gap-2">
+        {tags.map(tag => (
+          <span key={tag} className="inline-flex items-center bg-purple-500/30 text-purple-100 text-sm px-2 py-1 rounded">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              disabled={disabled}
+              className="ml-1 text-purple-300 hover:text-white"
+              aria-label={`Remove ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={input}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => {
+            setIsOpen(false);
+            if (query) addTags([query]);
+          }}
+          disabled={disabled || isFull}
+          className="flex-1 min-w-[8rem] py-1 bg-transparent text-white-800 focus:outline-none"
+          placeholder={isFull ? `Maximum ${maxTags} tags` : tags.length === 0 ? 'e.g. javascript, react, api' : ''}
+          maxLength={35}
+          autoComplete="off"
+        />
+      </div>
+
+      {showSuggestions && (
+        <ul className="absolute z-10 mt-1 w-full bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden">
+          {visibleSuggestions.map((tag, index) => (
+            <li
+              key={tag._id}
+              // Picked on mousedown, before the field's blur adds the typed text instead
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTags([tag.name]);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-4 py-2 cursor-pointer ${index === highlighted ? 'bg-purple-100' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-800">
+                  {tag.name}
+                  {tag.matchedSynonym && (
+                    <span className="ml-2 text-xs font-normal text-gray-500">synonym: {tag.matchedSynonym}</span>
+                  )}
+                </span>
+                <span className="text-xs text-gray-500">×{tag.questionCount}</span>
+              </div>
+              {tag.description && (
+                <p className="text-xs text-gray-500 truncate">{tag.description}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
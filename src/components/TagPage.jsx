@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { MessageSquare, Tag } from 'lucide-react';
+import { tagsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import QuestionListings from './QuestionListings';
+
+// Tag page: description and synonyms above the tag's questions. Moderators can edit the tag and merge
+// it into another one.
+const TagPage = () => {
+  const { tagName } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [tag, setTag] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [description, setDescription] = useState('');
+  const [synonyms, setSynonyms] = useState('');
+  const [mergeInto, setMergeInto] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTag = async () => {
+      try {
+        const response = await tagsAPI.getTag(tagName);
+
+        // Synonyms lead to their tag
+        if (response.redirect) {
+          navigate(`/tags/${encodeURIComponent(response.redirect)}`, { replace: true });
+          return;
+        }
+
+        setTag(response.tag);
+      } catch (err) {
+        // Questions are still listed for tags without a tag document
+        console.error('Error fetching tag:', err);
+        setTag(null);
+      }
+      setIsEditing(false);
+    };
+
+    fetchTag();
+  }, [tagName, navigate]);
+
+  const canModerate = ['moderator', 'admin'].includes(user?.role);
+
+  const startEditing = () => {
+    setDescription(tag.description || '');
+    setSynonyms(tag.synonyms.join(', '));
+    setMergeInto('');
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await tagsAPI.updateTag(tag.name, {
+        description,
+        synonyms: synonyms.split(',').map(synonym => synonym.trim()).filter(Boolean)
+      });
+      setTag(response.tag);
+      setIsEditing(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update tag');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const into = mergeInto.trim();
+    if (!into || !window.confirm(`Merge ${tag.name} into ${into}? Its questions will be retagged.`)) return;
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await tagsAPI.mergeTag(tag.name, into);
+      navigate(`/tags/${encodeURIComponent(response.tag.name)}`, { replace: true });
+    } catch (err) {
+      setError(err.message || 'Failed to merge tag');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {tag && (
+        <div className="bg-white rounded-lg border border-gray-200 p-4 sm:p-6 mb-6">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                <Tag size={20} className="text-purple-600" />
+                <span>{tag.name}</span>
+              </h1>
+              {tag.description && <p className="text-sm sm:text-base text-gray-600 mt-2">{tag.description}</p>}
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-sm text-gray-500">
+                <span className="flex items-center space-x-1">
+                  <MessageSquare size={14} />
+                  <span>{tag.questionCount} questions</span>
+                </span>
+                {tag.synonyms.length > 0 && (
+                  <span>Synonyms: {tag.synonyms.join(', ')}</span>
+                )}
+              </div>
+            </div>
+            {canModerate && !isEditing && (
+              <button onClick={startEditing} className="text-xs text-purple-600 hover:text-purple-800 cursor-pointer">
+                Edit
+              </button>
+            )}
+          </div>
+
+          {isEditing && (
+            <div className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              <form onSubmit={handleSave} className="space-y-3">
+                <div>
+                  <label htmlFor="tagDescription" className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <textarea
+                    id="tagDescription"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    rows={3}
+                    maxLength={500}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="tagSynonyms" className="block text-sm font-medium text-gray-700 mb-1">
+                    Synonyms
+                  </label>
+                  <input
+                    type="text"
+                    id="tagSynonyms"
+                    value={synonyms}
+                    onChange={(e) => setSynonyms(e.target.value)}
+                    placeholder="e.g. js, ecmascript"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Separate with commas. New questions using a synonym get {tag.name} instead.
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-purple-600 text-white text-sm rounded-lg hover:bg-purple-700 disabled:opacity-50 cursor-pointer"
+                  >
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setIsEditing(false)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 text-sm rounded-lg hover:bg-gray-200 cursor-pointer"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+
+              <div>
+                <label htmlFor="tagMergeInto" className="block text-sm font-medium text-gray-700 mb-1">
+                  Merge into another tag
+                </label>
+                <div className="flex space-x-2">
+                  <input
+                    type="text"
+                    id="tagMergeInto"
+                    value={mergeInto}
+                    onChange={(e) => setMergeInto(e.target.value)}
+                    placeholder="Target tag"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleMerge}
+                    disabled={saving || !mergeInto.trim()}
+                    className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 disabled:opacity-50 cursor-pointer"
+                  >
+                    Merge
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Questions tagged {tag.name} move to the target, and {tag.name} becomes one of its synonyms.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <QuestionListings />
+    </div>
+  );
+};
+
+export default TagPage;
@@ -0,0 +1,507 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Pencil, Trash2, GitMerge, X, Star } from 'lucide-react';
+import { topicsAPI } from '../services/api';
+
+const COLOR_PRESETS = [
+  '#EF4444', '#F97316', '#EAB308', '#22C55E', '#14B8A6',
+  '#3B82F6', '#6366F1', '#8B5CF6', '#EC4899', '#64748B'
+];
+
+const ICON_PRESETS = [
+  '💬', '💻', '🤖', '🚀', '🌍', '🧠', '📚', '🏥', '🎨', '🏛️',
+  '⚽', '📈', '💼', '🔬', '🤔', '🎵', '🍳', '✈️', '🟣', '🔵'
+];
+
+const emptyTopic = { name: '', description: '', color: '#8B5CF6', icon: '💬', isFeatured: false };
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Form fields for a topic's attachment policy; unset fields mean the site-wide defaults
+const policyFields = (policy, attachmentTypes) => ({
+  allowedTypes: policy?.allowedTypes || attachmentTypes.map(type => type.id),
+  maxFileSizeMb: policy?.maxFileSize ? String(policy.maxFileSize / BYTES_PER_MB) : ''
+});
+
+// Attachment policy as the API takes it. Allowing every type stores no list, so types added later are allowed too.
+const policyPayload = (form, attachmentTypes) => ({
+  allowedTypes: form.allowedTypes.length === attachmentTypes.length ? null : form.allowedTypes,
+  maxFileSize: form.maxFileSizeMb ? Math.round(Number(form.maxFileSizeMb) * BYTES_PER_MB) : null
+});
+
+// Create/edit form with color and icon pickers. Passing `attachmentTypes` shows the attachment policy fields.
+const TopicForm = ({ initial, isAdmin, submitLabel, onSubmit, onCancel, attachmentTypes, maxAttachmentSize }) => {
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleAttachmentType = (id) => update({
+    allowedTypes: form.allowedTypes.includes(id)
+      ? form.allowedTypes.filter(type => type !== id)
+      : [...form.allowedTypes, id]
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      await onSubmit(form);
+    } catch (err) {
+      setError(err.message || 'Failed to save topic');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+            required
+            minLength={2}
+            maxLength={50}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+        <div className="flex items-end">
+          <div className="flex items-center space-x-3 px-3 py-2 rounded-lg border border-gray-200 w-full">
+            <span className="text-xl">{form.icon}</span>
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: form.color }}></span>
+            <span className="text-sm font-medium text-gray-700 truncate">{form.name || 'Preview'}</span>
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <textarea
+          value={form.description}
+          onChange={(e) => update({ description: e.target.value })}
+          required
+          maxLength={500}
+          rows={3}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Color</label>
+        <div className="flex flex-wrap items-center gap-2">
+          {COLOR_PRESETS.map(color => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => update({ color })}
+              title={color}
+              className={`w-7 h-7 rounded-full cursor-pointer ${
+                form.color.toLowerCase() === color.toLowerCase() ? 'ring-2 ring-offset-2 ring-gray-500' : ''
+              }`}
+              style={{ backgroundColor: color }}
+            />
+          ))}
+          <input
+            type="color"
+            value={form.color}
+            onChange={(e) => update({ color: e.target.value })}
+            title="Custom color"
+            className="w-9 h-7 cursor-pointer"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Icon</label>
+        <div className="flex flex-wrap items-center gap-1">
+          {ICON_PRESETS.map(icon => (
+            <button
+              key={icon}
+              type="button"
+              onClick={() => update({ icon })}
+              className={`w-9 h-9 text-lg rounded-lg cursor-pointer ${
+                form.icon === icon ? 'bg-purple-100 ring-2 ring-purple-400' : 'hover:bg-gray-100'
+              }`}
+            >
+              {icon}
+            </button>
+          ))}
+          <input
+            type="text"
+            value={form.icon}
+            onChange={(e) => update({ icon: e.target.value })}
+            maxLength={4}
+            title="Custom icon"
+            className="w-14 px-2 py-1.5 border border-gray-300 rounded-lg text-center text-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+      </div>
+
+      {attachmentTypes && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Allowed attachments</label>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-1">
+            {attachmentTypes.map(type => (
+              <label key={type.id} className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.allowedTypes.includes(type.id)}
+                  onChange={() => toggleAttachmentType(type.id)}
+                />
+                <span>{type.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center space-x-2 mt-3 text-sm text-gray-700">
+            <span>Maximum file size</span>
+            <input
+              type="number"
+              value={form.maxFileSizeMb}
+              onChange={(e) => update({ maxFileSizeMb: e.target.value })}
+              min={0.1}
+              max={maxAttachmentSize / BYTES_PER_MB}
+              step={0.1}
+              placeholder={String(maxAttachmentSize / BYTES_PER_MB)}
+              className="w-24 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            <span>MB</span>
+          </div>
+        </div>
+      )}
+
+      {isAdmin && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.isFeatured}
+            onChange={(e) => update({ isFeatured: e.target.checked })}
+          />
+          <span>Featured on Explore Topics</span>
+        </label>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg cursor-pointer"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 cursor-pointer"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Topic management console: admins manage every topic, topic moderators edit the topics they moderate
+const TopicAdmin = () => {
+  const [topics, setTopics] = useState([]);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [attachmentTypes, setAttachmentTypes] = useState([]);
+  const [maxAttachmentSize, setMaxAttachmentSize] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [editingSlug, setEditingSlug] = useState(null);
+  const [mergingSlug, setMergingSlug] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [moderatorInputs, setModeratorInputs] = useState({});
+  const [notice, setNotice] = useState(null);
+
+  const fetchTopics = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await topicsAPI.getManagedTopics();
+      setTopics(response.topics || []);
+      setIsAdmin(response.isAdmin);
+      setAttachmentTypes(response.attachmentTypes || []);
+      setMaxAttachmentSize(response.maxAttachmentSize);
+    } catch (err) {
+      setError(err.message || 'Failed to load topics');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTopics();
+  }, [fetchTopics]);
+
+  const handleCreate = async (form) => {
+    await topicsAPI.createTopic(form);
+    setCreating(false);
+    setNotice(`Created ${form.name}`);
+    fetchTopics();
+  };
+
+  const handleUpdate = async (slug, form) => {
+    const { allowedTypes, maxFileSizeMb, ...fields } = form;
+    await topicsAPI.updateTopic(slug, {
+      ...fields,
+      attachmentPolicy: policyPayload({ allowedTypes, maxFileSizeMb }, attachmentTypes)
+    });
+    setEditingSlug(null);
+    setNotice(`Updated ${form.name}`);
+    fetchTopics();
+  };
+
+  const handleDelete = async (topic) => {
+    if (!window.confirm(`Delete ${topic.name}? Topics with active questions can't be deleted; merge them instead.`)) return;
+
+    try {
+      await topicsAPI.deleteTopic(topic.slug);
+      setNotice(`Deleted ${topic.name}`);
+      fetchTopics();
+    } catch (err) {
+      alert(err.message || 'Failed to delete topic');
+    }
+  };
+
+  const handleMerge = async (topic) => {
+    const target = topics.find(other => other.slug === mergeTarget);
+    if (!target) return;
+    if (!window.confirm(`Merge ${topic.name} into ${target.name}? All questions and followers move to ${target.name} and /topics/${topic.slug} will redirect there.`)) return;
+
+    try {
+      const response = await topicsAPI.mergeTopic(topic.slug, target.slug);
+      setMergingSlug(null);
+      setMergeTarget('');
+      setNotice(response.message);
+      fetchTopics();
+    } catch (err) {
+      alert(err.message || 'Failed to merge topics');
+    }
+  };
+
+  const handleAddModerator = async (e, topic) => {
+    e.preventDefault();
+    const username = (moderatorInputs[topic.slug] || '').trim();
+    if (!username) return;
+
+    try {
+      const response = await topicsAPI.addModerator(topic.slug, username);
+      setTopics(prev => prev.map(other => (
+        other.slug === topic.slug ? { ...other, moderators: response.moderators } : other
+      )));
+      setModeratorInputs(prev => ({ ...prev, [topic.slug]: '' }));
+    } catch (err) {
+      alert(err.message || 'Failed to add moderator');
+    }
+  };
+
+  const handleRemoveModerator = async (topic, moderator) => {
+    try {
+      const response = await topicsAPI.removeModerator(topic.slug, moderator._id);
+      setTopics(prev => prev.map(other => (
+        other.slug === topic.slug ? { ...other, moderators: response.moderators } : other
+      )));
+    } catch (err) {
+      alert(err.message || 'Failed to remove moderator');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-2 sm:px-0">
+      <div className="flex items-start justify-between mb-4 sm:mb-6">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Manage Topics</h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-2">
+            {isAdmin ? 'Create, edit, merge and assign moderators to topics' : 'Topics you moderate'}
+          </p>
+        </div>
+        {isAdmin && !creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className="flex items-center space-x-1 px-4 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 cursor-pointer"
+          >
+            <Plus size={16} />
+            <span>New topic</span>
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {notice && (
+        <div className="flex items-center justify-between mb-4 px-4 py-2 bg-green-50 border border-green-200 text-green-700 text-sm rounded-lg">
+          <span>{notice}</span>
+          <button onClick={() => setNotice(null)} className="cursor-pointer"><X size={14} /></button>
+        </div>
+      )}
+
+      {creating && (
+        <div className="bg-white rounded-lg border border-gray-200 p-4 sm:p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">New topic</h2>
+          <TopicForm
+            initial={emptyTopic}
+            isAdmin={isAdmin}
+            submitLabel="Create topic"
+            onSubmit={handleCreate}
+            onCancel={() => setCreating(false)}
+          />
+        </div>
+      )}
+
+      {topics.length === 0 && !error ? (
+        <div className="text-center py-12 bg-white rounded-lg border border-gray-200">
+          <p className="text-gray-600">You don't manage any topics yet.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {topics.map(topic => (
+            <div
+              key={topic._id}
+              className="bg-white rounded-lg border border-gray-200 border-l-4 p-4 sm:p-5"
+              style={{ borderLeftColor: topic.color }}
+            >
+              {editingSlug === topic.slug ? (
+                <TopicForm
+                  initial={{
+                    name: topic.name,
+                    description: topic.description,
+                    color: topic.color,
+                    icon: topic.icon,
+                    isFeatured: !!topic.isFeatured,
+                    ...policyFields(topic.attachmentPolicy, attachmentTypes)
+                  }}
+                  isAdmin={isAdmin}
+                  attachmentTypes={attachmentTypes}
+                  maxAttachmentSize={maxAttachmentSize}
+                  submitLabel="Save changes"
+                  onSubmit={(form) => handleUpdate(topic.slug, form)}
+                  onCancel={() => setEditingSlug(null)}
+                />
+              ) : (
+                <>
+                  <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                    <div className="min-w-0">
+                      <Link to={`/topics/${topic.slug}`} className="flex items-center space-x-2 text-base font-semibold text-gray-800 hover:text-purple-600">
+                        <span>{topic.icon}</span>
+                        <span>{topic.name}</span>
+                        {topic.isFeatured && <Star size={12} className="text-yellow-500" fill="currentColor" />}
+                      </Link>
+                      <p className="text-xs text-gray-400 mt-0.5">/topics/{topic.slug} · {topic.questionCount} questions · {topic.followerCount} followers</p>
+                      <p className="text-sm text-gray-600 mt-2">{topic.description}</p>
+                    </div>
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      <button
+                        onClick={() => setEditingSlug(topic.slug)}
+                        title="Edit"
+                        className="p-2 text-gray-500 hover:text-purple-600 hover:bg-gray-100 rounded-lg cursor-pointer"
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      {isAdmin && (
+                        <>
+                          <button
+                            onClick={() => {
+                              setMergingSlug(mergingSlug === topic.slug ? null : topic.slug);
+                              setMergeTarget('');
+                            }}
+                            title="Merge into another topic"
+                            className="p-2 text-gray-500 hover:text-purple-600 hover:bg-gray-100 rounded-lg cursor-pointer"
+                          >
+                            <GitMerge size={16} />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(topic)}
+                            title="Delete"
+                            className="p-2 text-gray-500 hover:text-red-600 hover:bg-gray-100 rounded-lg cursor-pointer"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+
+                  {mergingSlug === topic.slug && (
+                    <div className="flex flex-wrap items-center gap-2 mt-3 p-3 bg-gray-50 rounded-lg text-sm">
+                      <span className="text-gray-600">Merge into</span>
+                      <select
+                        value={mergeTarget}
+                        onChange={(e) => setMergeTarget(e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                      >
+                        <option value="">Choose a topic</option>
+                        {topics.filter(other => other.slug !== topic.slug).map(other => (
+                          <option key={other._id} value={other.slug}>{other.name}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleMerge(topic)}
+                        disabled={!mergeTarget}
+                        className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50 cursor-pointer"
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  )}
+
+                  <div className="mt-3 pt-3 border-t border-gray-100">
+                    <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Moderators</p>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {topic.moderators.length === 0 && <span className="text-sm text-gray-400">None</span>}
+                      {topic.moderators.map(moderator => (
+                        <span key={moderator._id} className="flex items-center space-x-1 px-2 py-1 bg-purple-50 text-purple-700 text-xs rounded-full">
+                          <span>{moderator.username}</span>
+                          {isAdmin && (
+                            <button
+                              onClick={() => handleRemoveModerator(topic, moderator)}
+                              title="Remove moderator"
+                              className="hover:text-red-600 cursor-pointer"
+                            >
+                              <X size={12} />
+                            </button>
+                          )}
+                        </span>
+                      ))}
+                      {isAdmin && (
+                        <form onSubmit={(e) => handleAddModerator(e, topic)} className="flex items-center space-x-1">
+                          <input
+                            type="text"
+                            value={moderatorInputs[topic.slug] || ''}
+                            onChange={(e) => setModeratorInputs(prev => ({ ...prev, [topic.slug]: e.target.value }))}
+                            placeholder="Add by username"
+                            className="px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                          <button type="submit" className="p-1 text-purple-600 hover:text-purple-800 cursor-pointer" title="Add moderator">
+                            <Plus size={14} />
+                          </button>
+                        </form>
+                      )}
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicAdmin;
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { topicsAPI } from '../services/api';
+
+// Follow toggle for a topic; onChange receives { isFollowing, followerCount } from the server
+const TopicFollowButton = ({ slug, isFollowing, onChange, className = '' }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [busy, setBusy] = useState(false);
+
+  const handleClick = async (e) => {
+    // Cards wrap the button in a link
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await topicsAPI.toggleFollow(slug);
+      onChange({ isFollowing: response.isFollowing, followerCount: response.followerCount });
+    } catch (err) {
+      console.error('Error following topic:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={busy}
+      className={`px-3 py-1 text-xs font-medium rounded-full transition-colors cursor-pointer disabled:opacity-50 ${
+        isFollowing
+          ? 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+          : 'bg-purple-600 text-white hover:bg-purple-700'
+      } ${className}`}
+    >
+      {isFollowing ? 'Following' : 'Follow'}
+    </button>
+  );
+};
+
+export default TopicFollowButton;
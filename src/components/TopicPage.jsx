@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { MessageSquare, Users, Shield, Award } from 'lucide-react';
+import { topicsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import QuestionListings from './QuestionListings';
+import TopicFollowButton from './TopicFollowButton';
+import Avatar from './Avatar';
+
+const UserRow = ({ user, detail }) => (
+  <li>
+    <div className="flex items-center space-x-2 py-1 text-sm text-gray-700">
+      <Avatar user={user} size={24} />
+      <span className="truncate flex-1">{user.username}</span>
+      {detail && <span className="text-xs text-gray-400">{detail}</span>}
+    </div>
+  </li>
+);
+
+// Topic landing page: header, moderators and top contributors around the topic's questions
+const TopicPage = () => {
+  const { topicName } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [topic, setTopic] = useState(null);
+  const [contributors, setContributors] = useState([]);
+
+  useEffect(() => {
+    const fetchTopic = async () => {
+      try {
+        const topicResponse = await topicsAPI.getTopic(topicName);
+
+        // Merged topics redirect to the topic they were merged into
+        if (topicResponse.redirect) {
+          navigate(`/topics/${topicResponse.redirect}`, { replace: true });
+          return;
+        }
+
+        const contributorsResponse = await topicsAPI.getContributors(topicName);
+        setTopic(topicResponse.topic);
+        setContributors(contributorsResponse.contributors || []);
+      } catch (err) {
+        // Questions are still listed for slugs without a topic document
+        console.error('Error fetching topic:', err);
+        setTopic(null);
+        setContributors([]);
+      }
+    };
+
+    fetchTopic();
+  }, [topicName, navigate]);
+
+  const canManage = !!user && !!topic && (
+    user.role === 'admin' || topic.moderators.some(moderator => moderator._id === user._id)
+  );
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {topic && (
+        <div
+          className="bg-white rounded-lg border border-gray-200 border-l-4 p-4 sm:p-6 mb-6"
+          style={{ borderLeftColor: topic.color }}
+        >
+          <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+            <div className="min-w-0">
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                <span>{topic.icon}</span>
+                <span>{topic.name}</span>
+              </h1>
+              {topic.description && <p className="text-sm sm:text-base text-gray-600 mt-2">{topic.description}</p>}
+              <div className="flex items-center space-x-4 mt-3 text-sm text-gray-500">
+                <span className="flex items-center space-x-1">
+                  <MessageSquare size={14} />
+                  <span>{topic.questionCount} questions</span>
+                </span>
+                <span className="flex items-center space-x-1">
+                  <Users size={14} />
+                  <span>{topic.followerCount} followers</span>
+                </span>
+              </div>
+            </div>
+            <div className="flex items-center gap-2 self-start">
+              {canManage && (
+                <Link to="/admin/topics" className="text-xs text-purple-600 hover:text-purple-800">
+                  Manage
+                </Link>
+              )}
+              <TopicFollowButton
+                slug={topic.slug}
+                isFollowing={topic.isFollowing}
+                onChange={(changes) => setTopic(prev => ({ ...prev, ...changes }))}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-6">
+        <div className="flex-1 min-w-0">
+          <QuestionListings />
+        </div>
+
+        {topic && (
+          <aside className="lg:w-64 flex-shrink-0 space-y-4">
+            {topic.moderators && topic.moderators.length > 0 && (
+              <div className="bg-white rounded-lg border border-gray-200 p-4">
+                <h3 className="flex items-center space-x-1 text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+                  <Shield size={12} />
+                  <span>Moderators</span>
+                </h3>
+                <ul>
+                  {topic.moderators.map(moderator => (
+                    <UserRow key={moderator._id} user={moderator} />
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="bg-white rounded-lg border border-gray-200 p-4">
+              <h3 className="flex items-center space-x-1 text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+                <Award size={12} />
+                <span>Top contributors</span>
+              </h3>
+              {contributors.length === 0 ? (
+                <p className="text-sm text-gray-500">No contributions yet.</p>
+              ) : (
+                <ul>
+                  {contributors.map(({ user, questions, answers }) => (
+                    <UserRow
+                      key={user._id}
+                      user={user}
+                      detail={`${questions}Q · ${answers}A`}
+                    />
+                  ))}
+                </ul>
+              )}
+            </div>
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TopicPage;
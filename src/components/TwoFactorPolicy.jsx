@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+const ROLE_LABELS = {
+  user: 'Members',
+  moderator: 'Moderators',
+  admin: 'Admins'
+};
+
+// Admin setting: which roles must turn on two-factor authentication
+const TwoFactorPolicy = () => {
+  const [roles, setRoles] = useState([]);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authAPI.getTwoFactorPolicy()
+      .then(response => {
+        setRoles(response.roles);
+        setRequiredRoles(response.requiredRoles);
+      })
+      .catch(err => setError(err.message || 'Failed to load two-factor policy'));
+  }, []);
+
+  const toggleRole = (role) => {
+    setMessage(null);
+    setRequiredRoles(prev => (
+      prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]
+    ));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await authAPI.updateTwoFactorPolicy(requiredRoles);
+      setRequiredRoles(response.requiredRoles);
+      setMessage('Saved. People in these roles must turn on two-factor before they can post or moderate.');
+    } catch (err) {
+      setError(err.message || 'Failed to save two-factor policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8">
+      <h2 className="text-xl sm:text-2xl font-bold mb-4 sm:mb-6">Require Two-Factor</h2>
+
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-2 mb-4">
+        {roles.map(role => (
+          <label key={role} className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={requiredRoles.includes(role)}
+              onChange={() => toggleRole(role)}
+              className="h-4 w-4 accent-purple-500"
+            />
+            <span>{ROLE_LABELS[role] || role}</span>
+          </label>
+        ))}
+      </div>
+
+      {message && <p className="text-sm text-green-200 mb-4">{message}</p>}
+
+      <button
+        type="button"
+        onClick={handleSave}
+        disabled={saving || roles.length === 0}
+        className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+      >
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+    </div>
+  );
+};
+
+export default TwoFactorPolicy;
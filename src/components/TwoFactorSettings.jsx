@@ -0,0 +1,260 @@
+import { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
+
+const inputClass = 'w-full px-3 sm:px-4 py-2 sm:py-3 rounded-lg bg-white/10 border border-white/20 text-white placeholder-purple-200 focus:outline-none focus:ring-2 focus:ring-purple-400 focus:border-transparent text-sm sm:text-base';
+
+// Turn authenticator app codes on or off, and manage recovery codes
+const TwoFactorSettings = () => {
+  const { user, setTwoFactorEnabled } = useAuth();
+  // null, 'setup', 'regenerate' or 'disable'
+  const [panel, setPanel] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const openPanel = (next) => {
+    setPanel(next);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setSetup(response);
+    openPanel('setup');
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code);
+      setRecoveryCodes(response.recoveryCodes);
+      setSetup(null);
+      openPanel(null);
+      setTwoFactorEnabled(true);
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.recoveryCodes);
+      openPanel(null);
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await authAPI.disableTwoFactor({ password, code });
+      openPanel(null);
+      setTwoFactorEnabled(false);
+    });
+  };
+
+  const downloadRecoveryCodes = () => {
+    const text = `H-Forum recovery codes for ${user.email}\nEach code can be used once.\n\n${recoveryCodes.join('\n')}\n`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = 'h-forum-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className={inputClass}
+      placeholder="6-digit code from your app"
+      required
+    />
+  );
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8">
+      <div className="flex items-center justify-between gap-3 mb-4 sm:mb-6">
+        <h2 className="text-xl sm:text-2xl font-bold">Two-Factor Authentication</h2>
+        <span className={`px-2 py-0.5 text-xs rounded-full ${user.twoFactorEnabled ? 'bg-green-500/20 text-green-200' : 'bg-white/10 text-purple-200'}`}>
+          {user.twoFactorEnabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      <p className="text-sm text-purple-200 mb-4">
+        Sign-in asks for a code from an authenticator app (such as Google Authenticator, 1Password or Authy) after your password.
+      </p>
+
+      {user.twoFactorSetupRequired && (
+        <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-4 text-sm">
+          Your role requires two-factor authentication.
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/50 text-red-200 px-3 sm:px-4 py-2 sm:py-3 rounded-lg mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="bg-green-500/10 border border-green-500/40 rounded-lg p-4 mb-4">
+          <p className="text-sm text-green-200 mb-3">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They won't be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-4">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={downloadRecoveryCodes}
+              className="px-3 py-1 text-sm rounded border border-white/30 text-purple-200 hover:text-white cursor-pointer"
+            >
+              Download
+            </button>
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="px-3 py-1 text-sm rounded bg-purple-600 hover:bg-purple-700 cursor-pointer"
+            >
+              I've saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {panel === 'setup' && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm">Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 bg-white p-2 rounded-lg" />
+          <p className="text-xs text-purple-200">
+            Can't scan it? Enter this key instead: <span className="font-mono text-white break-all">{setup.secret}</span>
+          </p>
+          {codeInput}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+            >
+              {busy ? 'Checking...' : 'Turn on'}
+            </button>
+            <button
+              type="button"
+              onClick={() => openPanel(null)}
+              className="text-purple-200 hover:text-white cursor-pointer text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {panel === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-sm">Your current recovery codes will stop working.</p>
+          {codeInput}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+            >
+              {busy ? 'Generating...' : 'Generate new codes'}
+            </button>
+            <button
+              type="button"
+              onClick={() => openPanel(null)}
+              className="text-purple-200 hover:text-white cursor-pointer text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {panel === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder="Your password"
+            required
+          />
+          {codeInput}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-red-600 hover:bg-red-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+            >
+              {busy ? 'Turning off...' : 'Turn off'}
+            </button>
+            <button
+              type="button"
+              onClick={() => openPanel(null)}
+              className="text-purple-200 hover:text-white cursor-pointer text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {panel === null && (
+        user.twoFactorEnabled ? (
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="button"
+              onClick={() => openPanel('regenerate')}
+              className="px-4 py-2 text-sm rounded-lg border border-white/30 text-purple-200 hover:text-white cursor-pointer"
+            >
+              New recovery codes
+            </button>
+            <button
+              type="button"
+              onClick={() => openPanel('disable')}
+              className="px-4 py-2 text-sm rounded-lg border border-red-400/50 text-red-200 hover:text-white cursor-pointer"
+            >
+              Turn off
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={busy}
+            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50 px-4 py-2 rounded-lg font-medium cursor-pointer text-sm"
+          >
+            {busy ? 'Starting...' : 'Set up two-factor authentication'}
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,8 +1,19 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { questionsAPI } from '../services/api';
+import { questionsAPI, usersAPI } from '../services/api';
 import { Link } from 'react-router-dom';
-import { formatDate } from '../utils/dateUtils';
+import { formatDate, formatDateTime } from '../utils/dateUtils';
+import Avatar from './Avatar';
+
+const reputationEventLabels = {
+  upvote: 'Upvoted',
+  downvote: 'Downvoted',
+  vote_removed: 'Vote removed',
+  accepted: 'Answer accepted',
+  accept_removed: 'Acceptance removed',
+  bounty: 'Bounty',
+  adjustment: 'Adjusted by admin'
+};
 
 const UserProfile = () => {
   const { user } = useAuth();
@@ -14,6 +25,8 @@ const UserProfile = () => {
     totalAnswers: 0,
     totalVotes: 0
   });
+  const [reputation, setReputation] = useState(null);
+  const [reputationEvents, setReputationEvents] = useState([]);
 
   useEffect(() => {
     const fetchUserData = async () => {
@@ -44,6 +57,11 @@ const UserProfile = () => {
           totalAnswers,
           totalVotes
         });
+
+        // Fetch reputation history from the ledger
+        const reputationResponse = await usersAPI.getReputationHistory(user.username, { limit: 10 });
+        setReputation(reputationResponse.reputation);
+        setReputationEvents(reputationResponse.events || []);
       } catch (err) {
         setError(err.message || 'Failed to load profile data');
         console.error('Error fetching user data:', err);
@@ -88,9 +106,7 @@ const UserProfile = () => {
         <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 lg:p-8 mb-6 sm:mb-8">
           <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between space-y-4 sm:space-y-0">
             <div className="flex flex-col sm:flex-row items-center sm:items-start space-y-4 sm:space-y-0 sm:space-x-6 text-center sm:text-left">
-              <div className="w-16 h-16 sm:w-20 sm:h-20 bg-purple-600 rounded-full flex items-center justify-center text-2xl sm:text-3xl font-bold flex-shrink-0">
-                {user?.username?.charAt(0).toUpperCase() || 'U'}
-              </div>
+              <Avatar user={user} size={80} className="ring-4 ring-white/20" />
               <div>
                 <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold mb-2">{user?.username}</h1>
                 <p className="text-purple-200 mb-2 text-sm sm:text-base">{user?.email}</p>
@@ -104,7 +120,7 @@ const UserProfile = () => {
         {/* Stats Cards */}
         <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 lg:gap-6 mb-6 sm:mb-8">
           <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 text-center">
-            <div className="text-xl sm:text-2xl lg:text-3xl font-bold text-green-400 mb-1 sm:mb-2">{user?.reputation || 0}</div>
+            <div className="text-xl sm:text-2xl lg:text-3xl font-bold text-green-400 mb-1 sm:mb-2">{reputation ?? user?.reputation ?? 0}</div>
             <div className="text-purple-200 text-xs sm:text-sm lg:text-base">Reputation</div>
           </div>
           <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6 text-center">
@@ -121,6 +137,38 @@ const UserProfile = () => {
           </div>
         </div>
 
+        {/* Reputation History */}
+        <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold mb-4">Reputation History</h2>
+          {reputationEvents.length === 0 ? (
+            <p className="text-purple-200 text-sm sm:text-base">No reputation changes yet.</p>
+          ) : (
+            <ul className="space-y-3">
+              {reputationEvents.map((event) => (
+                <li key={event._id} className="flex items-center justify-between gap-3 text-sm sm:text-base">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <span className={`font-bold w-12 text-right flex-shrink-0 ${event.points > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {event.points > 0 ? `+${event.points}` : event.points}
+                    </span>
+                    <span className="truncate">
+                      {reputationEventLabels[event.type] || event.type}
+                      {event.source?.question && (
+                        <>
+                          {' · '}
+                          <Link to={`/question/${event.source.question._id}`} className="text-purple-200 hover:text-white underline">
+                            {event.source.question.title}
+                          </Link>
+                        </>
+                      )}
+                    </span>
+                  </div>
+                  <span className="text-xs text-purple-300 flex-shrink-0">{formatDateTime(event.createdAt)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
 
       </div>
     </div>
@@ -1,8 +1,23 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI, setAuthToken, clearAuthToken, getAuthToken } from '../services/api';
+import { authAPI, setAuthToken, clearAuthToken, getAuthToken, refreshSession, onSessionExpired } from '../services/api';
 
 const AuthContext = createContext();
 
+// Renew the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
+// Wait before trying again when a refresh fails on the network
+const REFRESH_RETRY = 30 * 1000;
+
+// Expiry time (ms) read from a JWT's payload, or null if it can't be read
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -38,6 +53,43 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Sign out here when the server ends the session (e.g. "log out everywhere" from another device)
+  useEffect(() => {
+    onSessionExpired(() => setUser(null));
+    return () => onSessionExpired(null);
+  }, []);
+
+  const isSignedIn = !!user;
+
+  // Renew the access token shortly before it expires, so requests rarely hit an expired token
+  useEffect(() => {
+    if (!isSignedIn) return;
+
+    let timer;
+    const schedule = () => {
+      const expiresAt = tokenExpiry(getAuthToken());
+      if (!expiresAt) return;
+
+      timer = setTimeout(async () => {
+        try {
+          if (await refreshSession()) schedule();
+        } catch (error) {
+          console.error('Session refresh failed:', error);
+          timer = setTimeout(schedule, REFRESH_RETRY);
+        }
+      }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN, 0));
+    };
+
+    schedule();
+    return () => clearTimeout(timer);
+  }, [isSignedIn]);
+
+  // Store the session from an auth response that carries { token, refreshToken, user }
+  const startSession = ({ token, refreshToken, user }) => {
+    setAuthToken(token, refreshToken);
+    setUser(user);
+  };
+
   const login = async (credentials) => {
     try {
       console.log('Login attempt with credentials:', { email: credentials.email, password: '***' });
@@ -46,17 +98,20 @@ export const AuthProvider = ({ children }) => {
       
       const response = await authAPI.login(credentials);
       console.log('Login response:', response);
-      const { token, user } = response;
-      
-      setAuthToken(token);
-      setUser(user);
-      console.log('User set after login:', user);
+
+      // Password accepted; the authenticator code comes next
+      if (response.requiresTwoFactor) {
+        return { success: true, requiresTwoFactor: true, challengeToken: response.challengeToken };
+      }
+
+      startSession(response);
+      console.log('User set after login:', response.user);
       
-      return { success: true, user };
+      return { success: true, user: response.user };
     } catch (error) {
       console.error('Login error:', error);
       setError(error.message);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
     } finally {
       setLoading(false);
     }
@@ -68,12 +123,14 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       
       const response = await authAPI.register(userData);
-      const { token, user } = response;
-      
-      setAuthToken(token);
-      setUser(user);
-      
-      return { success: true, user };
+
+      // No session until the email is verified, when the server requires it
+      if (response.requiresVerification) {
+        return { success: true, requiresVerification: true, message: response.message };
+      }
+
+      startSession(response);
+      return { success: true, user: response.user };
     } catch (error) {
       setError(error.message);
       return { success: false, error: error.message };
@@ -82,7 +139,38 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Sign in from an emailed link or an identity provider redirect: 'verify', 'magic' and 'oidc' take
+  // just the token, 'reset' also a new password
+  const completeEmailLink = async (type, token, password) => {
+    const response = type === 'reset'
+      ? await authAPI.resetPassword(token, password)
+      : type === 'magic'
+        ? await authAPI.verifyMagicLink(token)
+        : type === 'oidc'
+          ? await authAPI.completeOidcLogin(token)
+          : await authAPI.verifyEmail(token);
+
+    // Accounts with two-factor finish signing in on the login page
+    if (!response.requiresTwoFactor) {
+      startSession(response);
+    }
+    return response;
+  };
+
+  // Second sign-in step with { code } or { recoveryCode }
+  const completeTwoFactor = async (challengeToken, factor) => {
+    const response = await authAPI.verifyTwoFactor(challengeToken, factor);
+    startSession(response);
+    return response;
+  };
+
+  const logout = async () => {
+    // End the session on the server too; sign out locally even if that fails
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     clearAuthToken();
     setUser(null);
     setError(null);
@@ -111,6 +199,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Replace the saved question list after a bookmark change (ids or populated questions)
+  const setSavedQuestions = (savedQuestions) => {
+    setUser(prev => (prev ? { ...prev, savedQuestions } : prev));
+  };
+
+  const setAvatar = (avatar) => {
+    setUser(prev => (prev ? { ...prev, avatar } : prev));
+  };
+
+  const setTwoFactorEnabled = (twoFactorEnabled) => {
+    setUser(prev => (prev ? {
+      ...prev,
+      twoFactorEnabled,
+      twoFactorSetupRequired: twoFactorEnabled ? false : prev.twoFactorSetupRequired
+    } : prev));
+  };
+
   const value = {
     user,
     loading,
@@ -120,6 +225,11 @@ export const AuthProvider = ({ children }) => {
     logout,
     updateProfile,
     changePassword,
+    completeEmailLink,
+    completeTwoFactor,
+    setSavedQuestions,
+    setTwoFactorEnabled,
+    setAvatar,
     isAuthenticated: !!user,
   };
 
@@ -1,17 +1,71 @@
-const API_BASE_URL = 'https://h-forum-backend.onrender.com/api';
+export const API_BASE_URL = 'https://h-forum-backend.onrender.com/api';
+
+// Called when the session has ended (revoked, expired or refresh token reused), so the app can sign out
+let sessionExpiredHandler = null;
+
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const endSession = () => {
+  clearAuthToken();
+  if (sessionExpiredHandler) sessionExpiredHandler();
+};
+
+// Shared by concurrent callers, so a refresh token is only sent once
+let refreshPromise = null;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exchange the refresh token for a new access token. Resolves true when the session was renewed.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setAuthToken(data.token, data.refreshToken);
+        return true;
+      }
+
+      // Another tab refreshed first; its new tokens land in localStorage shortly
+      if (data.code === 'REFRESH_CONFLICT') {
+        await wait(1000);
+        return localStorage.getItem('refreshToken') !== refreshToken;
+      }
+
+      endSession();
+      return false;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
 
 // Helper function to make API requests
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, isRetry = false) => {
   const url = `${API_BASE_URL}${endpoint}`;
   const token = localStorage.getItem('token');
+  // Let the browser set the multipart boundary for file uploads
+  const isFormData = options.body instanceof FormData;
   
   const config = {
+    ...options,
     headers: {
-      'Content-Type': 'application/json',
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
       ...(token && { Authorization: `Bearer ${token}` }),
       ...options.headers,
     },
-    ...options,
   };
 
   try {
@@ -19,7 +73,18 @@ const apiRequest = async (endpoint, options = {}) => {
     const data = await response.json();
     
     if (!response.ok) {
-      throw new Error(data.message || 'Something went wrong');
+      // Access tokens are short-lived: renew once and replay the request
+      if (data.code === 'TOKEN_EXPIRED' && !isRetry && await refreshSession()) {
+        return apiRequest(endpoint, options, true);
+      }
+      if (data.code === 'SESSION_EXPIRED') {
+        endSession();
+      }
+
+      const error = new Error(data.message || 'Something went wrong');
+      // Machine-readable reason, e.g. EMAIL_NOT_VERIFIED
+      error.code = data.code;
+      throw error;
     }
     
     return data;
@@ -62,6 +127,133 @@ export const authAPI = {
       body: JSON.stringify(passwordData),
     });
   },
+
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    return apiRequest('/auth/login/two-factor', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code, recoveryCode }),
+    });
+  },
+
+  setupTwoFactor: async () => {
+    return apiRequest('/auth/two-factor/setup', { method: 'POST' });
+  },
+
+  enableTwoFactor: async (code) => {
+    return apiRequest('/auth/two-factor/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  disableTwoFactor: async ({ password, code, recoveryCode }) => {
+    return apiRequest('/auth/two-factor/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code, recoveryCode }),
+    });
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    return apiRequest('/auth/two-factor/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  getTwoFactorPolicy: async () => {
+    return apiRequest('/auth/two-factor/policy');
+  },
+
+  updateTwoFactorPolicy: async (requiredRoles) => {
+    return apiRequest('/auth/two-factor/policy', {
+      method: 'PUT',
+      body: JSON.stringify({ requiredRoles }),
+    });
+  },
+
+  completeOidcLogin: async (token) => {
+    return apiRequest('/auth/oidc/complete', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  getOidcLinkToken: async (providerId) => {
+    return apiRequest(`/auth/oidc/${providerId}/link-token`, { method: 'POST' });
+  },
+
+  completeOidcLink: async (confirmation) => {
+    return apiRequest('/auth/oidc/link/complete', {
+      method: 'POST',
+      body: JSON.stringify({ confirmation }),
+    });
+  },
+
+  unlinkIdentity: async (identityId) => {
+    return apiRequest(`/auth/identities/${identityId}`, { method: 'DELETE' });
+  },
+
+  logout: async () => {
+    return apiRequest('/auth/logout', { method: 'POST' });
+  },
+
+  getSessions: async () => {
+    return apiRequest('/auth/sessions');
+  },
+
+  revokeSession: async (sessionId) => {
+    return apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  },
+
+  revokeAllSessions: async () => {
+    return apiRequest('/auth/sessions', { method: 'DELETE' });
+  },
+
+  getOptions: async () => {
+    return apiRequest('/auth/options');
+  },
+
+  verifyEmail: async (token) => {
+    return apiRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerification: async (email) => {
+    return apiRequest('/auth/resend-verification', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  forgotPassword: async (email) => {
+    return apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: async (token, password) => {
+    return apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  requestMagicLink: async (email) => {
+    return apiRequest('/auth/magic-link', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  verifyMagicLink: async (token) => {
+    return apiRequest('/auth/magic-link/verify', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
 };
 
 // Questions API
@@ -71,6 +263,11 @@ export const questionsAPI = {
     return apiRequest(`/questions${queryString ? `?${queryString}` : ''}`);
   },
 
+  searchQuestions: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/questions/search${queryString ? `?${queryString}` : ''}`);
+  },
+
   getQuestion: async (id) => {
     return apiRequest(`/questions/${id}`);
   },
@@ -78,31 +275,10 @@ export const questionsAPI = {
   createQuestion: async (questionData) => {
     // Check if questionData is FormData (for file uploads)
     if (questionData instanceof FormData) {
-      const token = localStorage.getItem('token');
-      const url = `${API_BASE_URL}/questions`;
-      
-      const config = {
+      return apiRequest('/questions', {
         method: 'POST',
-        headers: {
-          ...(token && { Authorization: `Bearer ${token}` }),
-          // Don't set Content-Type for FormData, let browser set it with boundary
-        },
         body: questionData,
-      };
-
-      try {
-        const response = await fetch(url, config);
-        const data = await response.json();
-        
-        if (!response.ok) {
-          throw new Error(data.message || 'Something went wrong');
-        }
-        
-        return data;
-      } catch (error) {
-        console.error('API Request Error:', error);
-        throw error;
-      }
+      });
     } else {
       // Regular JSON request
       return apiRequest('/questions', {
@@ -112,7 +288,13 @@ export const questionsAPI = {
     }
   },
 
-
+  // questionData is FormData when files are added
+  updateQuestion: async (id, questionData) => {
+    return apiRequest(`/questions/${id}`, {
+      method: 'PUT',
+      body: questionData instanceof FormData ? questionData : JSON.stringify(questionData),
+    });
+  },
 
   voteQuestion: async (id, voteType) => {
     return apiRequest(`/questions/${id}/vote`, {
@@ -121,10 +303,11 @@ export const questionsAPI = {
     });
   },
 
+  // answerData is FormData when the answer has attachments
   answerQuestion: async (id, answerData) => {
     return apiRequest(`/questions/${id}/answers`, {
       method: 'POST',
-      body: JSON.stringify(answerData),
+      body: answerData instanceof FormData ? answerData : JSON.stringify(answerData),
     });
   },
 
@@ -134,6 +317,129 @@ export const questionsAPI = {
       body: JSON.stringify({ voteType }),
     });
   },
+
+  updateAnswer: async (questionId, answerId, answerData) => {
+    return apiRequest(`/questions/${questionId}/answers/${answerId}`, {
+      method: 'PUT',
+      body: JSON.stringify(answerData),
+    });
+  },
+
+  deleteAnswer: async (questionId, answerId) => {
+    return apiRequest(`/questions/${questionId}/answers/${answerId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getRevisions: async (questionId, answerId) => {
+    return apiRequest(answerId
+      ? `/questions/${questionId}/answers/${answerId}/revisions`
+      : `/questions/${questionId}/revisions`);
+  },
+
+  acceptAnswer: async (questionId, answerId) => {
+    return apiRequest(`/questions/${questionId}/answers/${answerId}/accept`, {
+      method: 'POST',
+    });
+  },
+
+  unacceptAnswer: async (questionId, answerId) => {
+    return apiRequest(`/questions/${questionId}/answers/${answerId}/accept`, {
+      method: 'DELETE',
+    });
+  },
+
+  watchQuestion: async (id) => {
+    return apiRequest(`/questions/${id}/watch`, {
+      method: 'POST',
+    });
+  },
+
+  unwatchQuestion: async (id) => {
+    return apiRequest(`/questions/${id}/watch`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Pins globally when topic (a slug) is omitted; expiresAt is optional
+  pinQuestion: async (id, { topic, expiresAt }) => {
+    return apiRequest(`/questions/${id}/pin`, {
+      method: 'POST',
+      body: JSON.stringify({ topic, expiresAt }),
+    });
+  },
+
+  unpinQuestion: async (id, topic) => {
+    return apiRequest(`/questions/${id}/pin${topic ? `?topic=${encodeURIComponent(topic)}` : ''}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Moderators close immediately; other users cast a close vote
+  closeQuestion: async (id, { reason, note, duplicateOf }) => {
+    return apiRequest(`/questions/${id}/close`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, note, duplicateOf }),
+    });
+  },
+
+  reopenQuestion: async (id) => {
+    return apiRequest(`/questions/${id}/reopen`, {
+      method: 'POST',
+    });
+  },
+
+  lockQuestion: async (id) => {
+    return apiRequest(`/questions/${id}/lock`, {
+      method: 'POST',
+    });
+  },
+
+  unlockQuestion: async (id) => {
+    return apiRequest(`/questions/${id}/lock`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Comments API (answerId is omitted for comments on the question itself)
+const commentsPath = (questionId, answerId) => (
+  answerId
+    ? `/questions/${questionId}/answers/${answerId}/comments`
+    : `/questions/${questionId}/comments`
+);
+
+export const commentsAPI = {
+  getComments: async (questionId, answerId) => {
+    return apiRequest(commentsPath(questionId, answerId));
+  },
+
+  // commentData is FormData when the comment has attachments
+  addComment: async (questionId, answerId, commentData) => {
+    return apiRequest(commentsPath(questionId, answerId), {
+      method: 'POST',
+      body: commentData instanceof FormData ? commentData : JSON.stringify(commentData),
+    });
+  },
+
+  updateComment: async (questionId, answerId, commentId, content) => {
+    return apiRequest(`${commentsPath(questionId, answerId)}/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  deleteComment: async (questionId, answerId, commentId) => {
+    return apiRequest(`${commentsPath(questionId, answerId)}/${commentId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  voteComment: async (questionId, answerId, commentId) => {
+    return apiRequest(`${commentsPath(questionId, answerId)}/${commentId}/vote`, {
+      method: 'POST',
+    });
+  },
 };
 
 // Topics API
@@ -147,9 +453,100 @@ export const topicsAPI = {
     return apiRequest(`/topics/popular?limit=${limit}`);
   },
 
+  searchTopics: async (q, limit = 20) => {
+    const queryString = new URLSearchParams({ q, limit }).toString();
+    return apiRequest(`/topics/search?${queryString}`);
+  },
+
   getTopic: async (slug) => {
     return apiRequest(`/topics/${slug}`);
   },
+
+  getContributors: async (slug, limit = 5) => {
+    return apiRequest(`/topics/${slug}/contributors?limit=${limit}`);
+  },
+
+  toggleFollow: async (slug) => {
+    return apiRequest(`/topics/${slug}/follow`, {
+      method: 'POST',
+    });
+  },
+
+  // Attachment policy for a post in the given topic slugs
+  getAttachmentPolicy: async (slugs) => {
+    return apiRequest(`/topics/attachment-policy?topics=${encodeURIComponent(slugs.join(','))}`);
+  },
+
+  getManagedTopics: async () => {
+    return apiRequest('/topics/manage');
+  },
+
+  createTopic: async (topicData) => {
+    return apiRequest('/topics', {
+      method: 'POST',
+      body: JSON.stringify(topicData),
+    });
+  },
+
+  updateTopic: async (slug, topicData) => {
+    return apiRequest(`/topics/${slug}`, {
+      method: 'PUT',
+      body: JSON.stringify(topicData),
+    });
+  },
+
+  deleteTopic: async (slug) => {
+    return apiRequest(`/topics/${slug}`, {
+      method: 'DELETE',
+    });
+  },
+
+  mergeTopic: async (slug, into) => {
+    return apiRequest(`/topics/${slug}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ into }),
+    });
+  },
+
+  addModerator: async (slug, username) => {
+    return apiRequest(`/topics/${slug}/moderators`, {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+    });
+  },
+
+  removeModerator: async (slug, userId) => {
+    return apiRequest(`/topics/${slug}/moderators/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Tags API
+export const tagsAPI = {
+  // Tags by popularity; with `q`, those whose name or a synonym starts with it
+  getTags: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/tags${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getTag: async (name) => {
+    return apiRequest(`/tags/${encodeURIComponent(name)}`);
+  },
+
+  updateTag: async (name, tagData) => {
+    return apiRequest(`/tags/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      body: JSON.stringify(tagData),
+    });
+  },
+
+  mergeTag: async (name, into) => {
+    return apiRequest(`/tags/${encodeURIComponent(name)}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ into }),
+    });
+  },
 };
 
 // Users API
@@ -158,6 +555,19 @@ export const usersAPI = {
     return apiRequest(`/users/top?limit=${limit}`);
   },
 
+  uploadAvatar: async (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    return apiRequest('/users/me/avatar', {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  removeAvatar: async () => {
+    return apiRequest('/users/me/avatar', { method: 'DELETE' });
+  },
+
   getUser: async (username) => {
     return apiRequest(`/users/${username}`);
   },
@@ -166,15 +576,144 @@ export const usersAPI = {
     const queryString = new URLSearchParams(params).toString();
     return apiRequest(`/users/${username}/questions${queryString ? `?${queryString}` : ''}`);
   },
+
+  getReputationHistory: async (username, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/users/${username}/reputation${queryString ? `?${queryString}` : ''}`);
+  },
+
+  getSaved: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/users/me/saved${queryString ? `?${queryString}` : ''}`);
+  },
+
+  saveQuestion: async (questionId, collectionId) => {
+    return apiRequest(`/users/me/saved/${questionId}`, {
+      method: 'POST',
+      body: JSON.stringify({ collectionId }),
+    });
+  },
+
+  unsaveQuestion: async (questionId) => {
+    return apiRequest(`/users/me/saved/${questionId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getCollections: async () => {
+    return apiRequest('/users/me/collections');
+  },
+
+  createCollection: async (name) => {
+    return apiRequest('/users/me/collections', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  renameCollection: async (collectionId, name) => {
+    return apiRequest(`/users/me/collections/${collectionId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  deleteCollection: async (collectionId) => {
+    return apiRequest(`/users/me/collections/${collectionId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  addToCollection: async (collectionId, questionId) => {
+    return apiRequest(`/users/me/collections/${collectionId}/questions/${questionId}`, {
+      method: 'PUT',
+    });
+  },
+
+  removeFromCollection: async (collectionId, questionId) => {
+    return apiRequest(`/users/me/collections/${collectionId}/questions/${questionId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Markdown API
+export const markdownAPI = {
+  preview: async (content, inline = false) => {
+    return apiRequest('/markdown/preview', {
+      method: 'POST',
+      body: JSON.stringify({ content, inline }),
+    });
+  },
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getNotifications: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/notifications${queryString ? `?${queryString}` : ''}`);
+  },
+
+  markRead: async (id) => {
+    return apiRequest(`/notifications/${id}/read`, {
+      method: 'PUT',
+    });
+  },
+
+  markAllRead: async () => {
+    return apiRequest('/notifications/read-all', {
+      method: 'PUT',
+    });
+  },
+};
+
+// Moderation API
+export const moderationAPI = {
+  flag: async ({ targetType, targetId, reason, details }) => {
+    return apiRequest('/moderation/flags', {
+      method: 'POST',
+      body: JSON.stringify({ targetType, targetId, reason, details }),
+    });
+  },
+
+  getQueue: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/moderation/queue${queryString ? `?${queryString}` : ''}`);
+  },
+
+  act: async (targetType, targetId, action, note = '') => {
+    return apiRequest(`/moderation/queue/${targetType}/${targetId}`, {
+      method: 'POST',
+      body: JSON.stringify({ action, note }),
+    });
+  },
+};
+
+// Feed API (cursor comes from the previous page's nextCursor)
+export const feedAPI = {
+  getFeed: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/feed${queryString ? `?${queryString}` : ''}`);
+  },
 };
 
 // Utility functions
-export const setAuthToken = (token) => {
+
+// Page on the API server that sends the browser to an identity provider (pass linkToken to link instead of sign in)
+export const getOidcStartUrl = (providerId, linkToken = null) => {
+  const query = linkToken ? `?${new URLSearchParams({ linkToken })}` : '';
+  return `${API_BASE_URL}/auth/oidc/${providerId}/start${query}`;
+};
+
+export const setAuthToken = (token, refreshToken) => {
   if (token) {
     localStorage.setItem('token', token);
   } else {
     localStorage.removeItem('token');
   }
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
 };
 
 export const getAuthToken = () => {
@@ -183,13 +722,20 @@ export const getAuthToken = () => {
 
 export const clearAuthToken = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
 };
 
 export default {
   auth: authAPI,
   questions: questionsAPI,
+  comments: commentsAPI,
   topics: topicsAPI,
+  tags: tagsAPI,
   users: usersAPI,
+  notifications: notificationsAPI,
+  markdown: markdownAPI,
+  feed: feedAPI,
+  moderation: moderationAPI,
   setAuthToken,
   getAuthToken,
   clearAuthToken,
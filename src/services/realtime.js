@@ -0,0 +1,30 @@
+import { API_BASE_URL } from './api';
+
+// Open a Server-Sent Events stream and dispatch its named events to handlers.
+// `handlers` maps event names to callbacks receiving the parsed payload.
+// Returns a function that closes the stream.
+const subscribe = (endpoint, handlers) => {
+  const source = new EventSource(`${API_BASE_URL}${endpoint}`);
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    source.addEventListener(event, (e) => {
+      try {
+        handler(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Realtime event error:', error);
+      }
+    });
+  });
+
+  return () => source.close();
+};
+
+// Events: answer-created, answer-voted, question-voted, accepted
+export const subscribeToQuestion = (questionId, handlers) => {
+  return subscribe(`/events/questions/${questionId}`, handlers);
+};
+
+// Events: question-created
+export const subscribeToQuestions = (handlers) => {
+  return subscribe('/events/questions', handlers);
+};
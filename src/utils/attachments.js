@@ -0,0 +1,38 @@
+import { API_BASE_URL } from '../services/api';
+
+const SERVER_ORIGIN = API_BASE_URL.replace(/\/api$/, '');
+
+// Most files a question, answer or comment can carry (the server enforces it too)
+export const MAX_ATTACHMENTS = 5;
+
+// Download URL of an attachment. The server signs it; files it serves itself come as a path.
+export const attachmentUrl = (attachment) => (
+  attachment.url?.startsWith('/') ? `${SERVER_ORIGIN}${attachment.url}` : attachment.url
+);
+
+// A size, poster frame or playable copy of an image or video made by the server's media pipeline
+// ('thumb', 'medium', 'large', 'poster' or 'playback'), or null while there is none
+export const mediaVariant = (attachment, name) => (
+  attachment.media?.variants?.find(variant => variant.name === name) || null
+);
+
+// How an attachment is shown: 'image', 'video' or a downloadable 'file'
+export const attachmentKind = (attachment) => {
+  if (attachment.mimetype.startsWith('image/')) return 'image';
+  if (attachment.mimetype.startsWith('video/')) return 'video';
+  return 'file';
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// FormData for a post with attachments; `files` come from AttachmentPicker
+export const formDataWithFiles = (fields, files) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  files.forEach(({ file }) => formData.append('attachments', file));
+  return formData;
+};
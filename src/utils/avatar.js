@@ -0,0 +1,21 @@
+import { API_BASE_URL } from '../services/api';
+
+// Square sizes the server keeps for uploaded avatars (see server/utils/avatar.js)
+const AVATAR_SIZES = [32, 64, 128, 256];
+
+const SERVER_ORIGIN = API_BASE_URL.replace(/\/api$/, '');
+
+// Image URL for a user's avatar shown at `size` CSS pixels: the smallest stored size that stays sharp
+// on high-density screens, an external URL as is, or the generated identicon
+export const avatarUrl = (user, size = 32) => {
+  if (!user) return null;
+
+  if (user.avatar?.startsWith('/uploads/avatars/')) {
+    const stored = AVATAR_SIZES.find(candidate => candidate >= size * 2) || AVATAR_SIZES[AVATAR_SIZES.length - 1];
+    return `${SERVER_ORIGIN}${user.avatar}-${stored}.webp`;
+  }
+
+  if (user.avatar) return user.avatar;
+
+  return `${API_BASE_URL}/users/identicon/${user._id}.svg`;
+};
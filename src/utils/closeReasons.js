@@ -0,0 +1,14 @@
+// Close reasons for questions (mirrors CLOSE_REASONS in server/models/Question.js)
+
+export const CLOSE_REASONS = [
+  { value: 'duplicate', label: 'Duplicate', hint: 'This has been asked and answered before' },
+  { value: 'off-topic', label: 'Off-topic', hint: "Doesn't belong in this community" },
+  { value: 'unclear', label: 'Needs details or clarity', hint: "It's hard to tell what is being asked" },
+  { value: 'too-broad', label: 'Too broad', hint: 'Would need a book-length answer' },
+  { value: 'opinion-based', label: 'Opinion-based', hint: 'Answers would be mostly opinions' }
+];
+
+export const closeReasonLabel = (value) => {
+  const reason = CLOSE_REASONS.find(option => option.value === value);
+  return reason ? reason.label : value;
+};